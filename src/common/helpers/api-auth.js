@@ -0,0 +1,112 @@
+import { createHash } from 'node:crypto'
+import { safeEqual } from './secret-hash.js'
+
+// Scopes a caller can be granted; routes require one of these
+const SCOPES = {
+  NOTIFY_SEND: 'notify:send',
+  SUBSCRIBE_VERIFY: 'subscribe:verify',
+  ADMIN: 'admin'
+}
+
+const AUTH_METHOD = {
+  API_KEY: 'api-key',
+  JWT: 'jwt',
+  NONE: 'none'
+}
+
+const API_KEY_HEADER = 'x-api-key'
+const API_CLIENTS_COLLECTION = 'api-clients'
+
+/**
+ * API keys are only ever stored as unkeyed SHA-256 digests, so a hash can be
+ * produced with `echo -n <key> | sha256sum` when provisioning a client
+ */
+function hashApiKey(apiKey) {
+  return createHash('sha256').update(String(apiKey)).digest('hex')
+}
+
+function toScopeList(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes).split(/\s+/)
+  return list.filter(Boolean)
+}
+
+/**
+ * Parse configured clients. Each entry is `clientId:sha256Hex:scope scope`;
+ * scopes themselves contain colons, so only the first two separate fields.
+ */
+function parseApiKeyEntries(entries = []) {
+  return entries
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [clientId, keyHash, ...scopeParts] = entry.split(':')
+      return {
+        clientId: clientId.trim(),
+        keyHash: (keyHash || '').trim().toLowerCase(),
+        scopes: toScopeList(scopeParts.join(':'))
+      }
+    })
+    .filter(({ clientId, keyHash }) => clientId && keyHash)
+}
+
+/**
+ * Resolve the client that owns an API key, checking configured keys before
+ * the api-clients collection. Disabled clients are ignored.
+ * @param {object} db - MongoDB database
+ * @param {Array} configuredClients - Output of parseApiKeyEntries
+ * @param {string} apiKey - Key presented by the caller
+ * @returns {Promise<object|null>} - { clientId, scopes } or null
+ */
+async function findApiKeyClient(db, configuredClients, apiKey) {
+  const keyHash = hashApiKey(apiKey)
+
+  // Every entry is compared so the match position is not observable
+  let configured = null
+  for (const client of configuredClients) {
+    if (safeEqual(client.keyHash, keyHash) && !configured) {
+      configured = client
+    }
+  }
+  if (configured) {
+    return { clientId: configured.clientId, scopes: configured.scopes }
+  }
+
+  const stored = await db
+    .collection(API_CLIENTS_COLLECTION)
+    .findOne({ keyHash, disabled: { $ne: true } })
+  return stored
+    ? { clientId: stored.clientId, scopes: toScopeList(stored.scopes || []) }
+    : null
+}
+
+/**
+ * Map verified JWT claims to a caller. Identity comes from `client_id`
+ * (client-credentials tokens) or `sub`; scopes from `scope` or `scp`.
+ * Only this service's prefix (e.g. `aqie-notify/` in `aqie-notify/notify:send`)
+ * is stripped; scopes for other resource servers are kept whole so they
+ * never match a route.
+ * @param {object} claims - Verified token claims
+ * @param {string|null} [scopePrefix] - Prefix to strip from scopes
+ */
+function credentialsFromClaims(claims, scopePrefix = null) {
+  const scopes = toScopeList(claims.scope ?? claims.scp ?? []).map((scope) =>
+    scopePrefix && scope.startsWith(scopePrefix)
+      ? scope.slice(scopePrefix.length)
+      : scope
+  )
+  return {
+    clientId: claims.client_id || claims.azp || claims.sub || null,
+    scopes
+  }
+}
+
+export {
+  SCOPES,
+  AUTH_METHOD,
+  API_KEY_HEADER,
+  API_CLIENTS_COLLECTION,
+  hashApiKey,
+  parseApiKeyEntries,
+  findApiKeyClient,
+  credentialsFromClaims
+}
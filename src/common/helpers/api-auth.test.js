@@ -0,0 +1,115 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  hashApiKey,
+  parseApiKeyEntries,
+  findApiKeyClient,
+  credentialsFromClaims
+} from './api-auth.js'
+
+vi.mock('../../config.js', () => ({
+  config: { get: vi.fn(() => 'test-secret-hash-key') }
+}))
+
+const ALERTS_HASH = hashApiKey('alerts-key')
+
+function makeDb(client = null) {
+  const findOne = vi.fn().mockResolvedValue(client)
+  return { collection: vi.fn(() => ({ findOne })), findOne }
+}
+
+describe('hashApiKey', () => {
+  it('should return the hex SHA-256 digest of the key', () => {
+    expect(hashApiKey('abc')).toBe(
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+    )
+  })
+})
+
+describe('parseApiKeyEntries', () => {
+  it('should split client, hash and scopes that contain colons', () => {
+    expect(
+      parseApiKeyEntries([
+        `alerts:${ALERTS_HASH.toUpperCase()}:notify:send subscribe:verify`,
+        ' ops:abc123:admin ',
+        'incomplete'
+      ])
+    ).toEqual([
+      {
+        clientId: 'alerts',
+        keyHash: ALERTS_HASH,
+        scopes: ['notify:send', 'subscribe:verify']
+      },
+      { clientId: 'ops', keyHash: 'abc123', scopes: ['admin'] }
+    ])
+  })
+})
+
+describe('findApiKeyClient', () => {
+  const configured = parseApiKeyEntries([`alerts:${ALERTS_HASH}:notify:send`])
+
+  it('should match a configured key without querying Mongo', async () => {
+    const db = makeDb()
+
+    const client = await findApiKeyClient(db, configured, 'alerts-key')
+
+    expect(client).toEqual({ clientId: 'alerts', scopes: ['notify:send'] })
+    expect(db.collection).not.toHaveBeenCalled()
+  })
+
+  it('should fall back to enabled clients stored in api-clients', async () => {
+    const db = makeDb({ clientId: 'frontend', scopes: ['subscribe:verify'] })
+
+    const client = await findApiKeyClient(db, configured, 'frontend-key')
+
+    expect(db.collection).toHaveBeenCalledWith('api-clients')
+    expect(db.findOne).toHaveBeenCalledWith({
+      keyHash: hashApiKey('frontend-key'),
+      disabled: { $ne: true }
+    })
+    expect(client).toEqual({
+      clientId: 'frontend',
+      scopes: ['subscribe:verify']
+    })
+  })
+
+  it('should return null for an unknown key', async () => {
+    expect(await findApiKeyClient(makeDb(), configured, 'nope')).toBeNull()
+  })
+})
+
+describe('credentialsFromClaims', () => {
+  it('should read client_id and strip the configured scope prefix', () => {
+    expect(
+      credentialsFromClaims(
+        {
+          client_id: 'alerts',
+          sub: 'ignored',
+          scope: 'aqie-notify/notify:send aqie-notify/admin'
+        },
+        'aqie-notify/'
+      )
+    ).toEqual({ clientId: 'alerts', scopes: ['notify:send', 'admin'] })
+  })
+
+  it('should keep scopes for other resource servers whole', () => {
+    expect(
+      credentialsFromClaims(
+        {
+          client_id: 'alerts',
+          scope: 'other-api/admin aqie-notify/notify:send'
+        },
+        'aqie-notify/'
+      ).scopes
+    ).toEqual(['other-api/admin', 'notify:send'])
+    expect(
+      credentialsFromClaims({ client_id: 'alerts', scope: 'aqie-notify/admin' })
+        .scopes
+    ).toEqual(['aqie-notify/admin'])
+  })
+
+  it('should fall back to sub and an scp array', () => {
+    expect(
+      credentialsFromClaims({ sub: 'svc', scp: ['subscribe:verify'] })
+    ).toEqual({ clientId: 'svc', scopes: ['subscribe:verify'] })
+  })
+})
@@ -0,0 +1,191 @@
+import { config } from '../../config.js'
+import { createLogger } from './logging/logger.js'
+
+/**
+ * Circuit breaker for downstream dependencies (GOV.UK Notify, alert backend).
+ *
+ * closed    - calls pass through; consecutive failures are counted
+ * open      - calls fail fast with CircuitOpenError until resetTimeout elapses
+ * half_open - a single trial call is let through; success closes the
+ *             circuit, failure opens it again
+ */
+const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+}
+
+// Dependencies guarded by a breaker; always reported by the health endpoint
+const CIRCUITS = {
+  NOTIFY: 'notify',
+  ALERT_BACKEND: 'alert-backend'
+}
+
+const logger = createLogger()
+
+/**
+ * Raised instead of calling the dependency while its circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(circuitName, retryAfterMs) {
+    super(`Circuit '${circuitName}' is open`)
+    this.name = 'CircuitOpenError'
+    this.category = 'circuit_open'
+    this.retriable = false
+    this.circuitName = circuitName
+    this.retryAfterMs = retryAfterMs
+  }
+}
+
+/**
+ * True when err (or the Notify error wrapping it) was caused by an open circuit
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isCircuitOpenError(err) {
+  return err?.name === 'CircuitOpenError' || err?.category === 'circuit_open'
+}
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Dependency name used in logs and health output
+   * @param {object} options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeoutMs - How long to stay open before a trial call
+   */
+  constructor(name, { failureThreshold, resetTimeoutMs }) {
+    this.name = name
+    this.failureThreshold = failureThreshold
+    this.resetTimeoutMs = resetTimeoutMs
+    this.state = CIRCUIT_STATE.CLOSED
+    this.consecutiveFailures = 0
+    this.openedAt = null
+    this.trialInFlight = false
+  }
+
+  /**
+   * Run fn through the breaker
+   * @param {Function} fn - Async call to the dependency
+   * @param {Function} [isFailure] - Decides whether a thrown error counts
+   *   against the dependency (client errors such as 400s usually should not)
+   * @returns {Promise<any>} - Result of fn
+   */
+  async execute(fn, isFailure = () => true) {
+    this.beforeCall()
+    try {
+      const result = await fn()
+      this.onSuccess()
+      return result
+    } catch (err) {
+      if (isFailure(err)) {
+        this.onFailure(err)
+      } else {
+        this.onSuccess()
+      }
+      throw err
+    }
+  }
+
+  beforeCall() {
+    if (this.state === CIRCUIT_STATE.OPEN) {
+      const elapsed = Date.now() - this.openedAt
+      if (elapsed < this.resetTimeoutMs) {
+        throw new CircuitOpenError(this.name, this.resetTimeoutMs - elapsed)
+      }
+      this.transition(CIRCUIT_STATE.HALF_OPEN)
+    }
+    if (this.state === CIRCUIT_STATE.HALF_OPEN) {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.name, 0)
+      }
+      this.trialInFlight = true
+    }
+  }
+
+  onSuccess() {
+    this.trialInFlight = false
+    this.consecutiveFailures = 0
+    if (this.state !== CIRCUIT_STATE.CLOSED) {
+      this.openedAt = null
+      this.transition(CIRCUIT_STATE.CLOSED)
+    }
+  }
+
+  onFailure(err) {
+    this.trialInFlight = false
+    this.consecutiveFailures++
+    if (
+      this.state === CIRCUIT_STATE.HALF_OPEN ||
+      this.consecutiveFailures >= this.failureThreshold
+    ) {
+      this.openedAt = Date.now()
+      this.transition(CIRCUIT_STATE.OPEN, err)
+    }
+  }
+
+  transition(state, err) {
+    if (this.state === state) {
+      return
+    }
+    const from = this.state
+    this.state = state
+    const line = `circuit_breaker.state_change ${JSON.stringify({ circuit: this.name, from, to: state, consecutiveFailures: this.consecutiveFailures, error: err?.message })}`
+    if (state === CIRCUIT_STATE.OPEN) {
+      logger.warn(line)
+    } else {
+      logger.info(line)
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    }
+  }
+}
+
+const circuitBreakers = new Map()
+
+/**
+ * Get the shared breaker for a dependency, creating it on first use
+ * @param {string} name - Dependency name, e.g. 'notify' or 'alert-backend'
+ * @returns {CircuitBreaker}
+ */
+function getCircuitBreaker(name) {
+  if (!circuitBreakers.has(name)) {
+    circuitBreakers.set(
+      name,
+      new CircuitBreaker(name, {
+        failureThreshold: Math.max(
+          1,
+          config.get('circuitBreaker.failureThreshold') || 1
+        ),
+        resetTimeoutMs:
+          (config.get('circuitBreaker.resetTimeoutSeconds') || 0) * 1000
+      })
+    )
+  }
+  return circuitBreakers.get(name)
+}
+
+/**
+ * Current status of every known breaker, keyed by name
+ */
+function getCircuitBreakerStatuses() {
+  Object.values(CIRCUITS).forEach((name) => getCircuitBreaker(name))
+  return Object.fromEntries(
+    [...circuitBreakers].map(([name, breaker]) => [name, breaker.getStatus()])
+  )
+}
+
+export {
+  CIRCUITS,
+  CIRCUIT_STATE,
+  CircuitBreaker,
+  CircuitOpenError,
+  getCircuitBreaker,
+  getCircuitBreakerStatuses,
+  isCircuitOpenError
+}
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  CIRCUIT_STATE,
+  CircuitBreaker,
+  CircuitOpenError,
+  isCircuitOpenError
+} from './circuit-breaker.js'
+
+vi.mock('./logging/logger.js', () => ({
+  createLogger: () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}))
+
+describe('CircuitBreaker', () => {
+  let breaker
+  const failing = () => Promise.reject(new Error('boom'))
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    breaker = new CircuitBreaker('test', {
+      failureThreshold: 2,
+      resetTimeoutMs: 1000
+    })
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should pass results through while closed', async () => {
+    await expect(breaker.execute(() => Promise.resolve('ok'))).resolves.toBe(
+      'ok'
+    )
+    expect(breaker.getStatus()).toEqual({
+      state: CIRCUIT_STATE.CLOSED,
+      consecutiveFailures: 0,
+      openedAt: null
+    })
+  })
+
+  it('should open after the failure threshold and then fail fast', async () => {
+    await expect(breaker.execute(failing)).rejects.toThrow('boom')
+    await expect(breaker.execute(failing)).rejects.toThrow('boom')
+
+    expect(breaker.getStatus().state).toBe(CIRCUIT_STATE.OPEN)
+
+    const fn = vi.fn()
+    await expect(breaker.execute(fn)).rejects.toBeInstanceOf(CircuitOpenError)
+    expect(fn).not.toHaveBeenCalled()
+  })
+
+  it('should not count errors rejected by isFailure', async () => {
+    const notAnOutage = () => false
+
+    await expect(breaker.execute(failing, notAnOutage)).rejects.toThrow()
+    await expect(breaker.execute(failing, notAnOutage)).rejects.toThrow()
+
+    expect(breaker.getStatus().state).toBe(CIRCUIT_STATE.CLOSED)
+  })
+
+  it('should close after a successful trial call once the reset timeout elapses', async () => {
+    await expect(breaker.execute(failing)).rejects.toThrow()
+    await expect(breaker.execute(failing)).rejects.toThrow()
+
+    vi.advanceTimersByTime(1000)
+
+    await expect(breaker.execute(() => Promise.resolve('ok'))).resolves.toBe(
+      'ok'
+    )
+    expect(breaker.getStatus().state).toBe(CIRCUIT_STATE.CLOSED)
+  })
+
+  it('should reopen when the trial call fails', async () => {
+    await expect(breaker.execute(failing)).rejects.toThrow()
+    await expect(breaker.execute(failing)).rejects.toThrow()
+
+    vi.advanceTimersByTime(1000)
+    await expect(breaker.execute(failing)).rejects.toThrow('boom')
+
+    expect(breaker.getStatus().state).toBe(CIRCUIT_STATE.OPEN)
+  })
+
+  it('should allow only one trial call while half open', async () => {
+    await expect(breaker.execute(failing)).rejects.toThrow()
+    await expect(breaker.execute(failing)).rejects.toThrow()
+    vi.advanceTimersByTime(1000)
+
+    let release
+    const trial = breaker.execute(
+      () => new Promise((resolve) => (release = resolve))
+    )
+
+    await expect(breaker.execute(vi.fn())).rejects.toBeInstanceOf(
+      CircuitOpenError
+    )
+    release('done')
+    await expect(trial).resolves.toBe('done')
+  })
+
+  it('should recognise circuit open errors', () => {
+    expect(isCircuitOpenError(new CircuitOpenError('notify', 10))).toBe(true)
+    expect(isCircuitOpenError({ category: 'circuit_open' })).toBe(true)
+    expect(isCircuitOpenError(new Error('other'))).toBe(false)
+  })
+})
@@ -0,0 +1,40 @@
+import Joi from 'joi'
+
+const notifyServiceSchema = Joi.object({
+  // 'default' is the service notify.apiKey belongs to
+  serviceId: Joi.string()
+    .pattern(/^[a-z0-9][a-z0-9-]*$/)
+    .invalid('default')
+    .required(),
+  apiKey: Joi.string(),
+  apiKeyEnv: Joi.string(),
+  clientIds: Joi.array().items(Joi.string()),
+  templateIds: Joi.array().items(Joi.string()),
+  inboundNumber: Joi.string(),
+  // Keyword reply templates, named as their notify.* config keys
+  replyTemplates: Joi.object({
+    unsubscribeConfirmationTemplateId: Joi.string(),
+    resubscribeConfirmationTemplateId: Joi.string(),
+    helpTemplateId: Joi.string(),
+    welsh: Joi.object({
+      unsubscribeConfirmationTemplateId: Joi.string(),
+      resubscribeConfirmationTemplateId: Joi.string(),
+      helpTemplateId: Joi.string()
+    })
+  }),
+  alertBackend: Joi.boolean(),
+  sendsPerMinute: Joi.number().integer().min(1),
+  disabled: Joi.boolean()
+}).xor('apiKey', 'apiKeyEnv')
+
+export const convictValidateNotifyServices = {
+  name: 'notify-services',
+  validate: function validateNotifyServices(value) {
+    Joi.assert(
+      value,
+      Joi.array().items(notifyServiceSchema).unique('serviceId')
+    )
+  },
+  // Environment variables hold the list as a JSON array
+  coerce: (value) => (typeof value === 'string' ? JSON.parse(value) : value)
+}
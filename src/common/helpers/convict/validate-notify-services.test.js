@@ -0,0 +1,52 @@
+import { convictValidateNotifyServices } from './validate-notify-services.js'
+
+describe('#convictValidateNotifyServices', () => {
+  test('With a key or key variable per service, Should not throw', () => {
+    expect(() =>
+      convictValidateNotifyServices.validate([
+        { serviceId: 'forecasts', apiKey: 'forecasts-key' },
+        {
+          serviceId: 'research',
+          apiKeyEnv: 'NOTIFY_API_KEY_RESEARCH',
+          clientIds: ['research-panel'],
+          templateIds: ['tmpl-1'],
+          inboundNumber: '07700900123',
+          replyTemplates: {
+            helpTemplateId: 'tmpl-help',
+            welsh: { helpTemplateId: 'tmpl-help-cy' }
+          },
+          alertBackend: false,
+          sendsPerMinute: 100
+        }
+      ])
+    ).not.toThrow()
+  })
+
+  test('With the reserved default id, Should throw', () => {
+    expect(() =>
+      convictValidateNotifyServices.validate([
+        { serviceId: 'default', apiKey: 'key' }
+      ])
+    ).toThrow()
+  })
+
+  test('With no key, or a repeated service id, Should throw', () => {
+    expect(() =>
+      convictValidateNotifyServices.validate([{ serviceId: 'forecasts' }])
+    ).toThrow()
+    expect(() =>
+      convictValidateNotifyServices.validate([
+        { serviceId: 'forecasts', apiKey: 'a' },
+        { serviceId: 'forecasts', apiKey: 'b' }
+      ])
+    ).toThrow()
+  })
+
+  test('With a JSON string, Should coerce to a list', () => {
+    expect(
+      convictValidateNotifyServices.coerce(
+        '[{"serviceId":"forecasts","apiKey":"key"}]'
+      )
+    ).toEqual([{ serviceId: 'forecasts', apiKey: 'key' }])
+  })
+})
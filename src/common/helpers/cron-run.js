@@ -0,0 +1,114 @@
+import { hostname } from 'node:os'
+import { acquireLock } from './mongo-lock.js'
+import { METRIC, metricsTimer } from './metrics.js'
+
+const CRON_RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+}
+
+// Identifies the instance holding the lock in cron_runs
+const HOLDER = `${hostname()}:${process.pid}`
+
+/**
+ * Run a job on at most one instance at a time. The job name doubles as the
+ * mongo lock resource; each run that gets the lock is recorded in cron_runs.
+ * Recording failures are logged and never stop the job.
+ * @param {object} options
+ * @param {object} options.db - MongoDB database instance
+ * @param {object} options.locker - mongo-locks LockManager
+ * @param {string} options.job - Job name, e.g. 'sms-reply-poll'
+ * @param {string} options.trigger - 'schedule' or 'manual'
+ * @param {object} options.logger - Logger instance
+ * @param {Function} run - The job; its resolved value is stored as the run result
+ * @returns {Promise<object>} - { ran: false } when another run holds the lock, else { ran: true, result }
+ */
+async function runExclusive({ db, locker, job, trigger, logger }, run) {
+  const lock = await acquireLock(locker, job)
+  if (!lock) {
+    return { ran: false }
+  }
+
+  const runs = db.collection('cron_runs')
+  const startedAt = new Date()
+  const runId = await runs
+    .insertOne({
+      job,
+      trigger,
+      holder: HOLDER,
+      status: CRON_RUN_STATUS.RUNNING,
+      startedAt
+    })
+    .then((inserted) => inserted.insertedId)
+    .catch((error) => {
+      logger.error(
+        `cron_run.record_failed ${JSON.stringify({ job, error: error.message })}`
+      )
+      return null
+    })
+
+  const finish = async (fields) => {
+    const finishedAt = new Date()
+    const durationMs = finishedAt.getTime() - startedAt.getTime()
+    logger.info(
+      `cron_run.finished ${JSON.stringify({ job, trigger, holder: HOLDER, status: fields.status, durationMs })}`
+    )
+    metricsTimer(METRIC.CRON_RUN_DURATION, durationMs, {
+      job,
+      status: fields.status
+    })
+    if (!runId) {
+      return
+    }
+    await runs
+      .updateOne(
+        { _id: runId },
+        { $set: { ...fields, finishedAt, durationMs } }
+      )
+      .catch((error) => {
+        logger.error(
+          `cron_run.record_failed ${JSON.stringify({ job, error: error.message })}`
+        )
+      })
+  }
+
+  try {
+    const result = await run()
+    await finish({ status: CRON_RUN_STATUS.COMPLETED, result: result ?? null })
+    return { ran: true, result }
+  } catch (error) {
+    await finish({ status: CRON_RUN_STATUS.FAILED, error: error.message })
+    throw error
+  } finally {
+    await lock.free().catch((error) => {
+      logger.error(
+        `cron_run.unlock_failed ${JSON.stringify({ job, error: error.message })}`
+      )
+    })
+  }
+}
+
+/**
+ * Time a job that is not run through runExclusive, recording CronRunDuration
+ * whether it completes or throws
+ * @param {string} job - Job name, e.g. 'notification-outbox-worker'
+ * @param {Function} run - The job
+ * @returns {Promise<any>} - The job's resolved value
+ */
+async function timeCronRun(job, run) {
+  const startedAt = Date.now()
+  let status = CRON_RUN_STATUS.FAILED
+  try {
+    const result = await run()
+    status = CRON_RUN_STATUS.COMPLETED
+    return result
+  } finally {
+    metricsTimer(METRIC.CRON_RUN_DURATION, Date.now() - startedAt, {
+      job,
+      status
+    })
+  }
+}
+
+export { CRON_RUN_STATUS, runExclusive, timeCronRun }
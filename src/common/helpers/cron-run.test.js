@@ -0,0 +1,133 @@
+import { CRON_RUN_STATUS, runExclusive, timeCronRun } from './cron-run.js'
+import { metricsTimer } from './metrics.js'
+
+vi.mock('./metrics.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  metricsTimer: vi.fn()
+}))
+
+describe('runExclusive', () => {
+  let runs
+  let db
+  let lock
+  let locker
+  let logger
+
+  beforeEach(() => {
+    runs = {
+      insertOne: vi.fn().mockResolvedValue({ insertedId: 'run-1' }),
+      updateOne: vi.fn().mockResolvedValue({ modifiedCount: 1 })
+    }
+    db = { collection: vi.fn(() => runs) }
+    lock = { free: vi.fn().mockResolvedValue(true) }
+    locker = { lock: vi.fn().mockResolvedValue(lock) }
+    logger = { info: vi.fn(), error: vi.fn() }
+  })
+
+  const options = () => ({
+    db,
+    locker,
+    job: 'test-job',
+    trigger: 'schedule',
+    logger
+  })
+
+  test('should run the job under the lock and record the run', async () => {
+    const run = vi.fn().mockResolvedValue({ processed: 2 })
+
+    const outcome = await runExclusive(options(), run)
+
+    expect(outcome).toEqual({ ran: true, result: { processed: 2 } })
+    expect(locker.lock).toHaveBeenCalledWith('test-job')
+    expect(db.collection).toHaveBeenCalledWith('cron_runs')
+    expect(runs.insertOne).toHaveBeenCalledWith({
+      job: 'test-job',
+      trigger: 'schedule',
+      holder: expect.stringMatching(/:\d+$/),
+      status: CRON_RUN_STATUS.RUNNING,
+      startedAt: expect.any(Date)
+    })
+    expect(runs.updateOne).toHaveBeenCalledWith(
+      { _id: 'run-1' },
+      {
+        $set: {
+          status: CRON_RUN_STATUS.COMPLETED,
+          result: { processed: 2 },
+          finishedAt: expect.any(Date),
+          durationMs: expect.any(Number)
+        }
+      }
+    )
+    expect(lock.free).toHaveBeenCalled()
+    expect(metricsTimer).toHaveBeenCalledWith(
+      'CronRunDuration',
+      expect.any(Number),
+      { job: 'test-job', status: CRON_RUN_STATUS.COMPLETED }
+    )
+  })
+
+  test('should not run when the lock is held elsewhere', async () => {
+    locker.lock.mockResolvedValue(null)
+    const run = vi.fn()
+
+    const outcome = await runExclusive(options(), run)
+
+    expect(outcome).toEqual({ ran: false })
+    expect(run).not.toHaveBeenCalled()
+    expect(runs.insertOne).not.toHaveBeenCalled()
+  })
+
+  test('should record a failed run, free the lock and rethrow', async () => {
+    const run = vi.fn().mockRejectedValue(new Error('Notify down'))
+
+    await expect(runExclusive(options(), run)).rejects.toThrow('Notify down')
+
+    expect(runs.updateOne).toHaveBeenCalledWith(
+      { _id: 'run-1' },
+      {
+        $set: expect.objectContaining({
+          status: CRON_RUN_STATUS.FAILED,
+          error: 'Notify down'
+        })
+      }
+    )
+    expect(lock.free).toHaveBeenCalled()
+  })
+
+  test('should still run the job when the run cannot be recorded', async () => {
+    runs.insertOne.mockRejectedValue(new Error('write failed'))
+    const run = vi.fn().mockResolvedValue('done')
+
+    const outcome = await runExclusive(options(), run)
+
+    expect(outcome).toEqual({ ran: true, result: 'done' })
+    expect(runs.updateOne).not.toHaveBeenCalled()
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining('cron_run.record_failed')
+    )
+  })
+})
+
+describe('timeCronRun', () => {
+  test('should time completed and failed runs', async () => {
+    await expect(timeCronRun('test-job', async () => 'done')).resolves.toBe(
+      'done'
+    )
+    await expect(
+      timeCronRun('test-job', async () => {
+        throw new Error('DB down')
+      })
+    ).rejects.toThrow('DB down')
+
+    expect(metricsTimer).toHaveBeenCalledWith(
+      'CronRunDuration',
+      expect.any(Number),
+      { job: 'test-job', status: CRON_RUN_STATUS.COMPLETED }
+    )
+    expect(metricsTimer).toHaveBeenCalledWith(
+      'CronRunDuration',
+      expect.any(Number),
+      { job: 'test-job', status: CRON_RUN_STATUS.FAILED }
+    )
+  })
+})
@@ -0,0 +1,37 @@
+// Leading characters a spreadsheet would treat as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+const NEEDS_QUOTING = /[",\r\n]/
+
+/**
+ * Format one value for a CSV cell: dates as ISO strings, quoted when needed,
+ * and prefixed with ' when a spreadsheet would run it as a formula
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+  let text = value instanceof Date ? value.toISOString() : String(value)
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+  return NEEDS_QUOTING.test(text) ? `"${text.replaceAll('"', '""')}"` : text
+}
+
+/**
+ * @param {string[]} columns - Header row, and the key read from each row
+ * @param {object[]} rows
+ * @returns {string} - CSV with CRLF line endings
+ */
+function toCsv(columns, rows) {
+  const lines = [
+    columns.join(','),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCsvValue(row[column])).join(',')
+    )
+  ]
+  return `${lines.join('\r\n')}\r\n`
+}
+
+export { escapeCsvValue, toCsv }
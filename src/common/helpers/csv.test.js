@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest'
+import { escapeCsvValue, toCsv } from './csv.js'
+
+describe('csv', () => {
+  it('should quote values containing commas, quotes or line breaks', () => {
+    expect(escapeCsvValue('plain')).toBe('plain')
+    expect(escapeCsvValue('a,b')).toBe('"a,b"')
+    expect(escapeCsvValue('say "stop"')).toBe('"say ""stop"""')
+    expect(escapeCsvValue('line\nbreak')).toBe('"line\nbreak"')
+  })
+
+  it('should write dates as ISO strings and blanks for missing values', () => {
+    expect(escapeCsvValue(new Date('2025-01-01T10:00:00Z'))).toBe(
+      '2025-01-01T10:00:00.000Z'
+    )
+    expect(escapeCsvValue(null)).toBe('')
+    expect(escapeCsvValue(undefined)).toBe('')
+  })
+
+  it('should neutralise values a spreadsheet would run as a formula', () => {
+    expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"')
+    expect(escapeCsvValue('+44')).toBe("'+44")
+  })
+
+  it('should build a header row and one line per row', () => {
+    const csv = toCsv(
+      ['messageId', 'status'],
+      [
+        { messageId: 'm1', status: 'unsubscribed', extra: 'ignored' },
+        { messageId: 'm2' }
+      ]
+    )
+
+    expect(csv).toBe('messageId,status\r\nm1,unsubscribed\r\nm2,\r\n')
+  })
+})
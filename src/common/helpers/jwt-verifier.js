@@ -0,0 +1,138 @@
+import { createPublicKey, verify } from 'node:crypto'
+
+// Signing algorithms accepted from the issuer, mapped to their digest
+const SUPPORTED_ALGORITHMS = {
+  RS256: 'sha256',
+  RS384: 'sha384',
+  RS512: 'sha512'
+}
+const CLOCK_TOLERANCE_SECONDS = 30
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000
+// Unknown key ids trigger a refetch (the issuer may have rotated keys), but
+// no more often than this so forged tokens cannot hammer the JWKS endpoint
+const JWKS_MIN_REFRESH_MS = 60 * 1000
+const JWKS_TIMEOUT_MS = 5000
+
+class JwtVerificationError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'JwtVerificationError'
+  }
+}
+
+// A header or claims set must be a JSON object; null, arrays and scalars
+// parse but are not tokens
+function decodeSegment(segment) {
+  let decoded
+  try {
+    decoded = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'))
+  } catch {
+    throw new JwtVerificationError('Malformed token')
+  }
+  if (!decoded || typeof decoded !== 'object' || Array.isArray(decoded)) {
+    throw new JwtVerificationError('Malformed token')
+  }
+  return decoded
+}
+
+/**
+ * Verifies RS-signed JWTs against the public keys published by a single
+ * issuer. Keys are fetched from the issuer's JWKS endpoint and cached.
+ * @param {object} options
+ * @param {string} options.issuer - Expected `iss` claim
+ * @param {string} options.audience - Expected `aud` claim
+ * @param {string} options.jwksUri - Issuer's JWKS endpoint
+ * @param {Function} [options.fetchImpl] - fetch implementation (for tests)
+ * @returns {object} - { verify(token) => claims }
+ */
+function createJwtVerifier({ issuer, audience, jwksUri, fetchImpl = fetch }) {
+  if (!audience) {
+    throw new Error('A JWT audience is required')
+  }
+  let keys = new Map()
+  let fetchedAt = 0
+
+  async function refreshKeys() {
+    const response = await fetchImpl(jwksUri, {
+      signal: AbortSignal.timeout(JWKS_TIMEOUT_MS)
+    })
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS: HTTP ${response.status}`)
+    }
+    const { keys: jwks = [] } = await response.json()
+    keys = new Map(
+      jwks
+        .filter((jwk) => jwk.kty === 'RSA' && jwk.kid)
+        .map((jwk) => [jwk.kid, createPublicKey({ key: jwk, format: 'jwk' })])
+    )
+    fetchedAt = Date.now()
+  }
+
+  async function getKey(kid) {
+    const age = Date.now() - fetchedAt
+    if (
+      age > JWKS_CACHE_TTL_MS ||
+      (!keys.has(kid) && age > JWKS_MIN_REFRESH_MS)
+    ) {
+      await refreshKeys()
+    }
+    const key = keys.get(kid)
+    if (!key) {
+      throw new JwtVerificationError('Unknown signing key')
+    }
+    return key
+  }
+
+  async function verifyToken(token) {
+    const segments = String(token).split('.')
+    if (segments.length !== 3) {
+      throw new JwtVerificationError('Malformed token')
+    }
+    const [encodedHeader, encodedPayload, signature] = segments
+    const header = decodeSegment(encodedHeader)
+    const claims = decodeSegment(encodedPayload)
+
+    const digest = SUPPORTED_ALGORITHMS[header.alg]
+    if (!digest) {
+      throw new JwtVerificationError(`Unsupported algorithm ${header.alg}`)
+    }
+
+    const key = await getKey(header.kid)
+    const valid = verify(
+      digest,
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      key,
+      Buffer.from(signature, 'base64url')
+    )
+    if (!valid) {
+      throw new JwtVerificationError('Invalid signature')
+    }
+
+    const now = Math.floor(Date.now() / 1000)
+    if (claims.iss !== issuer) {
+      throw new JwtVerificationError('Unexpected issuer')
+    }
+    const audiences = [].concat(claims.aud ?? [])
+    if (!audiences.includes(audience)) {
+      throw new JwtVerificationError('Unexpected audience')
+    }
+    if (
+      typeof claims.exp !== 'number' ||
+      claims.exp + CLOCK_TOLERANCE_SECONDS < now
+    ) {
+      throw new JwtVerificationError('Token expired')
+    }
+    if (
+      typeof claims.nbf === 'number' &&
+      claims.nbf - CLOCK_TOLERANCE_SECONDS > now
+    ) {
+      throw new JwtVerificationError('Token not yet valid')
+    }
+
+    return claims
+  }
+
+  return { verify: verifyToken }
+}
+
+export { JwtVerificationError, createJwtVerifier }
@@ -0,0 +1,158 @@
+import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest'
+import { generateKeyPairSync, sign } from 'node:crypto'
+import { createJwtVerifier, JwtVerificationError } from './jwt-verifier.js'
+
+const ISSUER = 'https://issuer.example.com'
+const JWKS_URI = `${ISSUER}/.well-known/jwks.json`
+
+let privateKey
+let jwk
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url')
+}
+
+function makeToken(claims, header = {}) {
+  const encodedHeader = encode({ alg: 'RS256', kid: 'key-1', ...header })
+  const encodedPayload = encode(claims)
+  const signature = sign(
+    'sha256',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    privateKey
+  ).toString('base64url')
+  return `${encodedHeader}.${encodedPayload}.${signature}`
+}
+
+function validClaims(overrides = {}) {
+  return {
+    iss: ISSUER,
+    aud: 'aqie-notify',
+    client_id: 'alerts',
+    exp: Math.floor(Date.now() / 1000) + 300,
+    ...overrides
+  }
+}
+
+describe('createJwtVerifier', () => {
+  let fetchImpl
+  let verifier
+
+  beforeAll(() => {
+    const pair = generateKeyPairSync('rsa', { modulusLength: 2048 })
+    privateKey = pair.privateKey
+    jwk = { ...pair.publicKey.export({ format: 'jwk' }), kid: 'key-1' }
+  })
+
+  beforeEach(() => {
+    fetchImpl = vi.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ keys: [jwk] })
+    })
+    verifier = createJwtVerifier({
+      issuer: ISSUER,
+      audience: 'aqie-notify',
+      jwksUri: JWKS_URI,
+      fetchImpl
+    })
+  })
+
+  it('should return the claims of a valid token', async () => {
+    const claims = await verifier.verify(makeToken(validClaims()))
+
+    expect(claims.client_id).toBe('alerts')
+    expect(fetchImpl).toHaveBeenCalledWith(JWKS_URI, expect.any(Object))
+  })
+
+  it('should cache the issuer keys between tokens', async () => {
+    await verifier.verify(makeToken(validClaims()))
+    await verifier.verify(makeToken(validClaims()))
+
+    expect(fetchImpl).toHaveBeenCalledTimes(1)
+  })
+
+  it('should reject a token signed by another key', async () => {
+    const other = generateKeyPairSync('rsa', { modulusLength: 2048 })
+    const token = makeToken(validClaims())
+    const [header, payload] = token.split('.')
+    const forged = sign(
+      'sha256',
+      Buffer.from(`${header}.${payload}`),
+      other.privateKey
+    ).toString('base64url')
+
+    await expect(
+      verifier.verify(`${header}.${payload}.${forged}`)
+    ).rejects.toThrow('Invalid signature')
+  })
+
+  it('should reject an unsupported algorithm', async () => {
+    await expect(
+      verifier.verify(makeToken(validClaims(), { alg: 'none' }))
+    ).rejects.toBeInstanceOf(JwtVerificationError)
+  })
+
+  it('should reject an unknown key id', async () => {
+    await expect(
+      verifier.verify(makeToken(validClaims(), { kid: 'rotated' }))
+    ).rejects.toThrow('Unknown signing key')
+  })
+
+  it('should refuse to verify without an audience', () => {
+    expect(() =>
+      createJwtVerifier({ issuer: ISSUER, jwksUri: JWKS_URI, fetchImpl })
+    ).toThrow('A JWT audience is required')
+  })
+
+  it('should reject a token with no audience', async () => {
+    await expect(
+      verifier.verify(makeToken(validClaims({ aud: undefined })))
+    ).rejects.toThrow('Unexpected audience')
+  })
+
+  it('should reject the wrong issuer or audience', async () => {
+    await expect(
+      verifier.verify(makeToken(validClaims({ iss: 'https://other' })))
+    ).rejects.toThrow('Unexpected issuer')
+    await expect(
+      verifier.verify(makeToken(validClaims({ aud: ['someone-else'] })))
+    ).rejects.toThrow('Unexpected audience')
+  })
+
+  it('should reject an expired token', async () => {
+    const exp = Math.floor(Date.now() / 1000) - 120
+
+    await expect(
+      verifier.verify(makeToken(validClaims({ exp })))
+    ).rejects.toThrow('Token expired')
+  })
+
+  it('should reject a malformed token', async () => {
+    await expect(verifier.verify('not-a-jwt')).rejects.toThrow(
+      'Malformed token'
+    )
+  })
+
+  it('should reject a header or claims set that is not an object', async () => {
+    const [, payload, signature] = makeToken(validClaims()).split('.')
+    for (const header of [null, 42, ['RS256']]) {
+      await expect(
+        verifier.verify(`${encode(header)}.${payload}.${signature}`)
+      ).rejects.toThrow('Malformed token')
+    }
+    // Signed, so only the shape check can catch it
+    await expect(verifier.verify(makeToken(null))).rejects.toBeInstanceOf(
+      JwtVerificationError
+    )
+  })
+
+  it('should surface JWKS fetch failures as plain errors', async () => {
+    fetchImpl.mockResolvedValue({ ok: false, status: 503 })
+
+    const error = await verifier
+      .verify(makeToken(validClaims()))
+      .catch((e) => e)
+
+    expect(error).not.toBeInstanceOf(JwtVerificationError)
+    expect(error.message).toBe('Failed to fetch JWKS: HTTP 503')
+  })
+})
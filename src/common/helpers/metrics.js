@@ -6,23 +6,66 @@ import {
 import { config } from '../../config.js'
 import { createLogger } from './logging/logger.js'
 
-const metricsCounter = async (metricName, value = 1) => {
+// Metric names emitted by the service
+const METRIC = {
+  OTP_GENERATED: 'OtpGenerated',
+  OTP_SENT: 'OtpSent',
+  OTP_VALIDATED: 'OtpValidated',
+  OTP_FAILED: 'OtpFailed',
+  EMAIL_LINK_GENERATED: 'EmailLinkGenerated',
+  EMAIL_LINK_VALIDATED: 'EmailLinkValidated',
+  NOTIFICATION_SENT: 'NotificationSent',
+  NOTIFICATION_FAILED: 'NotificationFailed',
+  NOTIFICATION_SEND_DURATION: 'NotificationSendDuration',
+  SMS_REPLY: 'SmsReply',
+  CRON_RUN_DURATION: 'CronRunDuration'
+}
+
+/**
+ * Every metric carries the environment; empty dimensions are left out and
+ * the rest sent as strings
+ */
+function buildDimensions(dimensions) {
+  const entries = Object.entries({
+    environment: config.get('cdpEnvironment'),
+    ...dimensions
+  }).filter(([, value]) => value !== undefined && value !== null)
+  return Object.fromEntries(
+    entries.map(([name, value]) => [name, String(value)])
+  )
+}
+
+async function putMetric(metricName, value, unit, dimensions) {
   if (!config.get('isMetricsEnabled')) {
     return
   }
 
   try {
     const metricsLogger = createMetricsLogger()
-    metricsLogger.putMetric(
-      metricName,
-      value,
-      Unit.Count,
-      StorageResolution.Standard
-    )
+    metricsLogger.setDimensions(buildDimensions(dimensions))
+    metricsLogger.putMetric(metricName, value, unit, StorageResolution.Standard)
     await metricsLogger.flush()
   } catch (error) {
     createLogger().error(error, error.message)
   }
 }
 
-export { metricsCounter }
+/**
+ * Count an outcome. Never throws, so callers need not await it.
+ * @param {string} metricName - One of METRIC
+ * @param {number} [value] - Defaults to 1
+ * @param {object} [dimensions] - e.g. { templateAlias, channel }
+ */
+const metricsCounter = async (metricName, value = 1, dimensions = {}) =>
+  putMetric(metricName, value, Unit.Count, dimensions)
+
+/**
+ * Record how long something took. Never throws, so callers need not await it.
+ * @param {string} metricName - One of METRIC
+ * @param {number} durationMs - Elapsed milliseconds
+ * @param {object} [dimensions] - e.g. { job, status }
+ */
+const metricsTimer = async (metricName, durationMs, dimensions = {}) =>
+  putMetric(metricName, durationMs, Unit.Milliseconds, dimensions)
+
+export { METRIC, metricsCounter, metricsTimer }
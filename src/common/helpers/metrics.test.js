@@ -1,9 +1,10 @@
 import { StorageResolution, Unit } from 'aws-embedded-metrics'
 
 import { config } from '../../config.js'
-import { metricsCounter } from './metrics.js'
+import { metricsCounter, metricsTimer } from './metrics.js'
 
 const mockPutMetric = vi.fn()
+const mockSetDimensions = vi.fn()
 const mockFlush = vi.fn()
 const mockLoggerError = vi.fn()
 
@@ -14,6 +15,7 @@ vi.mock('aws-embedded-metrics', async (importOriginal) => {
     ...awsEmbeddedMetrics,
     createMetricsLogger: () => ({
       putMetric: mockPutMetric,
+      setDimensions: mockSetDimensions,
       flush: mockFlush
     })
   }
@@ -73,6 +75,34 @@ describe('#metrics', () => {
       await metricsCounter(mockMetricsName, mockValue)
       expect(mockFlush).toHaveBeenCalled()
     })
+
+    test('Should dimension by environment and the given dimensions', async () => {
+      await metricsCounter(mockMetricsName, mockValue, {
+        templateAlias: 'daqi-alert-sms',
+        attempts: 2,
+        errorCategory: undefined
+      })
+
+      expect(mockSetDimensions).toHaveBeenCalledWith({
+        environment: config.get('cdpEnvironment'),
+        templateAlias: 'daqi-alert-sms',
+        attempts: '2'
+      })
+    })
+
+    test('Should send timings in milliseconds', async () => {
+      await metricsTimer(mockMetricsName, mockValue, { job: 'mock-job' })
+
+      expect(mockPutMetric).toHaveBeenCalledWith(
+        mockMetricsName,
+        mockValue,
+        Unit.Milliseconds,
+        StorageResolution.Standard
+      )
+      expect(mockSetDimensions).toHaveBeenCalledWith(
+        expect.objectContaining({ job: 'mock-job' })
+      )
+    })
   })
 
   describe('When metrics throws', () => {
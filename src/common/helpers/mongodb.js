@@ -1,6 +1,9 @@
 import { MongoClient } from 'mongodb'
 import { LockManager } from 'mongo-locks'
 
+const CRON_RUN_RETENTION_DAYS = 30
+const OUTBOX_RETENTION_DAYS = 7
+
 export const mongoDb = {
   plugin: {
     name: 'mongodb',
@@ -16,7 +19,7 @@ export const mongoDb = {
       const db = client.db(databaseName)
       const locker = new LockManager(db.collection('mongo-locks'))
 
-      await createIndexes(db)
+      await createIndexes(db, server.logger)
 
       server.logger.info(`MongoDb connected to ${databaseName}`)
 
@@ -38,7 +41,7 @@ export const mongoDb = {
   }
 }
 
-async function createIndexes(db) {
+async function createIndexes(db, logger) {
   await db.collection('mongo-locks').createIndex({ id: 1 })
 
   // Example of how to create a mongodb index. Remove as required
@@ -48,4 +51,120 @@ async function createIndexes(db) {
     .collection('user-notification-details')
     .createIndex({ notificationId: 1 })
   await db.collection('user-notification-details').createIndex({ alertId: 1 })
+  // Status reconciliation looks up pending notifications by last check
+  await db
+    .collection('user-notification-details')
+    .createIndex({ notifyStatus: 1, lastCheckedAt: 1, createdAt: 1 })
+
+  await db
+    .collection('idempotency-keys')
+    .createIndex({ scope: 1, clientId: 1, key: 1 }, { unique: true })
+  await db
+    .collection('idempotency-keys')
+    .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+  await db
+    .collection('notification-batches')
+    .createIndex({ batchId: 1 }, { unique: true })
+  await db
+    .collection('notification-batch-recipients')
+    .createIndex({ batchId: 1, index: 1 }, { unique: true })
+  await db
+    .collection('notification-batch-recipients')
+    .createIndex({ batchId: 1, status: 1, index: 1 })
+  // The outbox worker resumes queued and processing batches
+  await db.collection('notification-batches').createIndex({ status: 1 })
+  // One counter per second shared by every batch send, dropped after a minute
+  await db
+    .collection('notification-batch-pacing')
+    .createIndex({ windowStart: 1 }, { unique: true })
+  await db
+    .collection('notification-batch-pacing')
+    .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+  await db
+    .collection('notification-outbox')
+    .createIndex({ outboxId: 1 }, { unique: true })
+  // The worker claims pending requests that are due and sends whose lease ran out
+  await db
+    .collection('notification-outbox')
+    .createIndex({ status: 1, nextAttemptAt: 1 })
+  await db
+    .collection('notification-outbox')
+    .createIndex({ status: 1, leaseExpiresAt: 1 })
+  // Settled batch recipients not yet copied to their batch
+  await db
+    .collection('notification-outbox')
+    .createIndex({ batchId: 1, status: 1 }, { sparse: true })
+  // Settled requests are only kept for troubleshooting
+  await db
+    .collection('notification-outbox')
+    .createIndex(
+      { finishedAt: 1 },
+      { expireAfterSeconds: OUTBOX_RETENTION_DAYS * 24 * 60 * 60 }
+    )
+
+  await db
+    .collection('notification-templates')
+    .createIndex({ templateId: 1 }, { unique: true })
+
+  await db
+    .collection('suppressions')
+    .createIndex({ contact: 1 }, { unique: true })
+
+  await db
+    .collection('send-rate-limits')
+    .createIndex({ contact: 1 }, { unique: true })
+  // Quotas only look back 24 hours, so idle recipients can be dropped
+  await db
+    .collection('send-rate-limits')
+    .createIndex({ updatedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 })
+
+  await db
+    .collection('notify-services')
+    .createIndex({ serviceId: 1 }, { unique: true })
+  await db.collection('notify-services').createIndex({ clientIds: 1 })
+  // One counter per service per minute, dropped once the minute is over
+  await db
+    .collection('notify-service-usage')
+    .createIndex({ serviceId: 1, windowStart: 1 }, { unique: true })
+  await db
+    .collection('notify-service-usage')
+    .createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+  // API keys are looked up by their SHA-256 digest
+  await db
+    .collection('api-clients')
+    .createIndex({ keyHash: 1 }, { unique: true })
+
+  await db.collection('cron_runs').createIndex({ job: 1, startedAt: -1 })
+  await db
+    .collection('cron_runs')
+    .createIndex(
+      { startedAt: 1 },
+      { expireAfterSeconds: CRON_RUN_RETENTION_DAYS * 24 * 60 * 60 }
+    )
+
+  // Retries look up pending replies that are due, and expired claims
+  await db
+    .collection('sms_replies')
+    .createIndex({ status: 1, nextAttemptAt: 1 })
+  await db
+    .collection('sms_replies')
+    .createIndex({ status: 1, claimExpiresAt: 1 })
+  // Admin search and export by received date
+  await db.collection('sms_replies').createIndex({ receivedAt: 1 })
+
+  // Replies recorded twice by instances that polled concurrently (before the
+  // cron was locked) block this index; keep running and log so they can be
+  // removed, rather than failing startup
+  try {
+    await db
+      .collection('sms_replies')
+      .createIndex({ messageId: 1 }, { unique: true })
+  } catch (error) {
+    logger.warn(
+      `mongodb.index.sms_replies_message_id_failed ${JSON.stringify({ error: error.message })}`
+    )
+  }
 }
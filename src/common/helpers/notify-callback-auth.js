@@ -0,0 +1,38 @@
+import Boom from '@hapi/boom'
+import { config } from '../../config.js'
+import { createLogger } from './logging/logger.js'
+import { safeEqual } from './secret-hash.js'
+
+const logger = createLogger()
+const BEARER_PREFIX = 'Bearer '
+
+/**
+ * Route-level onPreAuth extension for GOV.UK Notify callbacks.
+ * Notify sends the bearer token configured against the callback URL in the
+ * Authorization header; anything else is rejected before payload validation.
+ */
+function verifyNotifyCallbackToken(request, h) {
+  const expected = config.get('notify.callbackBearerToken')
+  if (!expected) {
+    logger.warn(
+      `notify_callback.auth.not_configured ${JSON.stringify({ path: request.path })}`
+    )
+    throw Boom.unauthorized('Callback authentication is not configured')
+  }
+
+  const header = request.headers.authorization || ''
+  const token = header.startsWith(BEARER_PREFIX)
+    ? header.slice(BEARER_PREFIX.length)
+    : null
+
+  if (!token || !safeEqual(token, expected)) {
+    logger.warn(
+      `notify_callback.auth.rejected ${JSON.stringify({ path: request.path, hasToken: Boolean(token), ip: request.info.remoteAddress })}`
+    )
+    throw Boom.unauthorized('Invalid callback token')
+  }
+
+  return h.continue
+}
+
+export { verifyNotifyCallbackToken }
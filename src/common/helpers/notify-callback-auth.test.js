@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { verifyNotifyCallbackToken } from './notify-callback-auth.js'
+import { config } from '../../config.js'
+
+vi.mock('../../config.js', () => ({
+  config: {
+    get: vi.fn()
+  }
+}))
+
+vi.mock('./logging/logger.js', () => ({
+  createLogger: () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}))
+
+function makeRequest(authorization) {
+  return {
+    path: '/notify/callbacks/delivery-status',
+    headers: authorization ? { authorization } : {},
+    info: { remoteAddress: '127.0.0.1' }
+  }
+}
+
+describe('verifyNotifyCallbackToken', () => {
+  const h = { continue: Symbol('continue') }
+
+  beforeEach(() => {
+    config.get.mockImplementation((key) =>
+      key === 'notify.callbackBearerToken' ? 'callback-secret' : undefined
+    )
+  })
+
+  it('should continue when the bearer token matches', () => {
+    expect(
+      verifyNotifyCallbackToken(makeRequest('Bearer callback-secret'), h)
+    ).toBe(h.continue)
+  })
+
+  it('should reject a wrong token with 401', () => {
+    expect(() =>
+      verifyNotifyCallbackToken(makeRequest('Bearer wrong'), h)
+    ).toThrow(
+      expect.objectContaining({
+        output: expect.objectContaining({ statusCode: 401 })
+      })
+    )
+  })
+
+  it('should reject a missing or non-bearer header', () => {
+    expect(() => verifyNotifyCallbackToken(makeRequest(), h)).toThrow(
+      'Invalid callback token'
+    )
+    expect(() =>
+      verifyNotifyCallbackToken(makeRequest('Basic callback-secret'), h)
+    ).toThrow('Invalid callback token')
+  })
+
+  it('should reject every callback when no token is configured', () => {
+    config.get.mockReturnValue(null)
+
+    expect(() =>
+      verifyNotifyCallbackToken(makeRequest('Bearer anything'), h)
+    ).toThrow('Callback authentication is not configured')
+  })
+})
@@ -0,0 +1,21 @@
+import { ObjectId } from 'mongodb'
+
+/**
+ * Opaque pagination cursor wrapping the last returned _id
+ * @param {ObjectId} id
+ * @returns {string}
+ */
+function encodeCursor(id) {
+  return Buffer.from(id.toHexString()).toString('base64url')
+}
+
+/**
+ * @param {string} cursor - Value previously returned by encodeCursor
+ * @returns {ObjectId|null} - null when the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  const hex = Buffer.from(cursor, 'base64url').toString()
+  return ObjectId.isValid(hex) && hex.length === 24 ? new ObjectId(hex) : null
+}
+
+export { encodeCursor, decodeCursor }
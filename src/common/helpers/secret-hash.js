@@ -0,0 +1,45 @@
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto'
+import { config } from '../../config.js'
+
+/**
+ * Keyed hashing for verification secrets (OTPs and email link tokens) so the
+ * raw values are never persisted.
+ */
+const SECRET_ALGORITHM = 'hmac-sha256'
+
+/**
+ * Hash a secret with the configured HMAC key
+ */
+function hashSecret(secret) {
+  return createHmac('sha256', config.get('secretHashKey'))
+    .update(String(secret))
+    .digest('hex')
+}
+
+/**
+ * Constant-time string comparison. Both sides are digested first so inputs
+ * of different lengths do not short-circuit.
+ */
+function safeEqual(a, b) {
+  const digestA = createHash('sha256').update(String(a)).digest()
+  const digestB = createHash('sha256').update(String(b)).digest()
+  return timingSafeEqual(digestA, digestB)
+}
+
+/**
+ * Check a candidate secret against a stored document. Documents written
+ * before hashing was introduced have no `secretAlgorithm` and hold the raw
+ * secret; they are still accepted until they expire.
+ */
+function secretMatches(candidate, document) {
+  if (!document?.secret || candidate === undefined || candidate === null) {
+    return false
+  }
+  const expected =
+    document.secretAlgorithm === SECRET_ALGORITHM
+      ? hashSecret(candidate)
+      : String(candidate)
+  return safeEqual(expected, document.secret)
+}
+
+export { SECRET_ALGORITHM, hashSecret, safeEqual, secretMatches }
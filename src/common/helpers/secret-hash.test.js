@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  SECRET_ALGORITHM,
+  hashSecret,
+  safeEqual,
+  secretMatches
+} from './secret-hash.js'
+
+vi.mock('../../config.js', () => ({
+  config: {
+    get: vi.fn(() => 'test-hmac-key')
+  }
+}))
+
+describe('secret-hash', () => {
+  describe('hashSecret', () => {
+    it('should produce a stable hex HMAC that differs from the input', () => {
+      const hash = hashSecret('12345')
+
+      expect(hash).toMatch(/^[0-9a-f]{64}$/)
+      expect(hash).toBe(hashSecret('12345'))
+      expect(hash).not.toBe(hashSecret('12346'))
+    })
+  })
+
+  describe('safeEqual', () => {
+    it('should compare strings of any length', () => {
+      expect(safeEqual('abc', 'abc')).toBe(true)
+      expect(safeEqual('abc', 'abcd')).toBe(false)
+      expect(safeEqual('', 'a')).toBe(false)
+    })
+  })
+
+  describe('secretMatches', () => {
+    it('should match a hashed document against the raw secret', () => {
+      const document = {
+        secret: hashSecret('12345'),
+        secretAlgorithm: SECRET_ALGORITHM
+      }
+
+      expect(secretMatches('12345', document)).toBe(true)
+      expect(secretMatches('54321', document)).toBe(false)
+      expect(secretMatches(document.secret, document)).toBe(false)
+    })
+
+    it('should still match legacy plaintext documents', () => {
+      const document = { secret: '12345' }
+
+      expect(secretMatches('12345', document)).toBe(true)
+      expect(secretMatches('54321', document)).toBe(false)
+    })
+
+    it('should never match a missing secret', () => {
+      expect(secretMatches('12345', { secret: null })).toBe(false)
+      expect(secretMatches(undefined, { secret: '12345' })).toBe(false)
+      expect(secretMatches('12345', null)).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,41 @@
+import Boom from '@hapi/boom'
+import { buildTooManyRequestsResponse } from './too-many-requests.js'
+import { NOTIFY_SERVICE_ERROR } from '../../subscribe/services/notify-service-registry.service.js'
+
+/**
+ * Build the 400 for a send the template registry refused
+ * @param {object} check - Failed validateSend() result
+ * @returns {object} - Boom error carrying errorCode, and the mismatched
+ *   personalisation keys when there are any
+ */
+function buildTemplateRejectedResponse(check) {
+  const error = Boom.badRequest(check.message)
+  error.output.payload.errorCode = check.errorCode
+  if (check.missingKeys) {
+    error.output.payload.missingKeys = check.missingKeys
+    error.output.payload.extraKeys = check.extraKeys
+  }
+  return error
+}
+
+/**
+ * Build the response for a send its Notify service refused: 429 with
+ * Retry-After once the service's budget is spent, 403 when the caller may
+ * not use the service, otherwise 400
+ * @param {object} h - Hapi response toolkit
+ * @param {object} check - Failed selectService() or checkSend() result
+ * @returns {object} - Hapi response or Boom error carrying errorCode
+ */
+function buildServiceRejectedResponse(h, check) {
+  if (check.errorCode === NOTIFY_SERVICE_ERROR.RATE_LIMITED) {
+    return buildTooManyRequestsResponse(h, check)
+  }
+  const error =
+    check.errorCode === NOTIFY_SERVICE_ERROR.SERVICE_FORBIDDEN
+      ? Boom.forbidden(check.message)
+      : Boom.badRequest(check.message)
+  error.output.payload.errorCode = check.errorCode
+  return error
+}
+
+export { buildServiceRejectedResponse, buildTemplateRejectedResponse }
@@ -0,0 +1,31 @@
+const HTTP_STATUS_TOO_MANY_REQUESTS = 429
+
+/**
+ * Build a 429 response with a Retry-After header and a machine-readable body
+ * @param {object} h - Hapi response toolkit
+ * @param {object} details
+ * @param {string} details.message - Human readable message
+ * @param {string} details.errorCode - Machine readable error code
+ * @param {number} details.retryAfterSeconds - Seconds until the caller may retry
+ * @param {object} [details.extra] - Additional fields for the response body
+ * @returns {object} - Hapi response
+ */
+function buildTooManyRequestsResponse(
+  h,
+  { message, errorCode, retryAfterSeconds, extra = {} }
+) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterSeconds))
+  return h
+    .response({
+      statusCode: HTTP_STATUS_TOO_MANY_REQUESTS,
+      error: 'Too Many Requests',
+      message,
+      errorCode,
+      retryAfterSeconds: retryAfter,
+      ...extra
+    })
+    .header('Retry-After', String(retryAfter))
+    .code(HTTP_STATUS_TOO_MANY_REQUESTS)
+}
+
+export { buildTooManyRequestsResponse }
@@ -2,8 +2,10 @@ import convict from 'convict'
 import convictFormatWithValidator from 'convict-format-with-validator'
 
 import { convictValidateMongoUri } from './common/helpers/convict/validate-mongo-uri.js'
+import { convictValidateNotifyServices } from './common/helpers/convict/validate-notify-services.js'
 
 convict.addFormat(convictValidateMongoUri)
+convict.addFormat(convictValidateNotifyServices)
 convict.addFormats(convictFormatWithValidator)
 
 const isProduction = process.env.NODE_ENV === 'production'
@@ -135,6 +137,140 @@ const config = convict({
     default: true,
     env: 'USE_MOCK'
   },
+  secretHashKey: {
+    doc: 'HMAC key used to hash OTPs and email verification tokens before they are stored',
+    format: String,
+    sensitive: true,
+    default: 'local-development-secret-hash-key',
+    env: 'SECRET_HASH_KEY'
+  },
+  auth: {
+    enabled: {
+      doc: 'Require an API key or bearer token on every route except health checks and Notify callbacks. May only be disabled for local development',
+      format: Boolean,
+      default: true,
+      env: 'AUTH_ENABLED'
+    },
+    apiKeys: {
+      doc: 'Comma separated API clients as clientId:sha256HexOfKey:space separated scopes. Clients can also be stored in the api-clients collection',
+      format: Array,
+      sensitive: true,
+      default: [],
+      env: 'AUTH_API_KEYS'
+    },
+    jwt: {
+      issuer: {
+        doc: 'Issuer (iss claim) of accepted JWT bearer tokens. Bearer tokens are not accepted while unset',
+        format: String,
+        nullable: true,
+        default: null,
+        env: 'AUTH_JWT_ISSUER'
+      },
+      audience: {
+        doc: 'Audience (aud claim) JWT bearer tokens must carry. Required once AUTH_JWT_ISSUER is set',
+        format: String,
+        nullable: true,
+        default: null,
+        env: 'AUTH_JWT_AUDIENCE'
+      },
+      scopePrefix: {
+        doc: "Prefix the issuer puts on this service's scopes, e.g. 'aqie-notify/' for 'aqie-notify/notify:send'. Only this prefix is stripped, so scopes granted for another resource server never match",
+        format: String,
+        nullable: true,
+        default: null,
+        env: 'AUTH_JWT_SCOPE_PREFIX'
+      },
+      jwksUri: {
+        doc: "URL of the issuer's JSON Web Key Set used to verify token signatures",
+        format: String,
+        nullable: true,
+        default: null,
+        env: 'AUTH_JWT_JWKS_URI'
+      }
+    }
+  },
+  otp: {
+    maxAttempts: {
+      doc: 'Number of failed OTP validation attempts allowed before the secret is invalidated and the contact is locked out',
+      format: 'nat',
+      default: 5,
+      env: 'OTP_MAX_ATTEMPTS'
+    },
+    lockoutMinutes: {
+      doc: 'Cooldown window (minutes) during which a locked-out contact can neither validate nor request a new OTP',
+      format: 'nat',
+      default: 15,
+      env: 'OTP_LOCKOUT_MINUTES'
+    }
+  },
+  sendRateLimit: {
+    enabled: {
+      doc: 'Throttle OTP SMS and verification emails per recipient',
+      format: Boolean,
+      default: true,
+      env: 'SEND_RATE_LIMIT_ENABLED'
+    },
+    minIntervalSeconds: {
+      doc: 'Minimum gap (seconds) between two sends to the same recipient',
+      format: 'nat',
+      default: 60,
+      env: 'SEND_RATE_LIMIT_MIN_INTERVAL_SECONDS'
+    },
+    maxPerHour: {
+      doc: 'Maximum sends to the same recipient in any rolling hour',
+      format: 'nat',
+      default: 5,
+      env: 'SEND_RATE_LIMIT_MAX_PER_HOUR'
+    },
+    maxPerDay: {
+      doc: 'Maximum sends to the same recipient in any rolling 24 hours',
+      format: 'nat',
+      default: 10,
+      env: 'SEND_RATE_LIMIT_MAX_PER_DAY'
+    }
+  },
+  idempotency: {
+    ttlHours: {
+      doc: 'How long Idempotency-Key responses are kept for replay',
+      format: 'nat',
+      default: 24,
+      env: 'IDEMPOTENCY_TTL_HOURS'
+    },
+    leaseSeconds: {
+      doc: 'Seconds a request may hold an Idempotency-Key before a retry with the same key takes it over. Must exceed the slowest send, including Notify retries',
+      format: 'nat',
+      default: 120,
+      env: 'IDEMPOTENCY_LEASE_SECONDS'
+    }
+  },
+  circuitBreaker: {
+    failureThreshold: {
+      doc: 'Consecutive failures of a downstream dependency (Notify, alert backend) before its circuit opens',
+      format: 'nat',
+      default: 5,
+      env: 'CIRCUIT_BREAKER_FAILURE_THRESHOLD'
+    },
+    resetTimeoutSeconds: {
+      doc: 'Seconds an open circuit fails fast before letting a trial call through',
+      format: 'nat',
+      default: 30,
+      env: 'CIRCUIT_BREAKER_RESET_TIMEOUT_SECONDS'
+    }
+  },
+  health: {
+    timeoutMs: {
+      doc: 'Timeout for each dependency checked by /health/ready',
+      format: 'nat',
+      default: 2000,
+      env: 'HEALTH_CHECK_TIMEOUT_MS'
+    },
+    notifyCacheSeconds: {
+      doc: 'How long /health/ready reuses a successful Notify check, so readiness probes do not spend API quota',
+      format: 'nat',
+      default: 300,
+      env: 'HEALTH_NOTIFY_CACHE_SECONDS'
+    }
+  },
   notify: {
     apiKey: {
       doc: 'GOV.UK Notify API Key',
@@ -143,6 +279,19 @@ const config = convict({
         'team-7536f7da-f08e-46ed-8693-dada56a5eb7b-0aad529b-f8ac-4395-886f-c283cb2b3ab2',
       env: 'NOTIFY_API_KEY'
     },
+    services: {
+      doc: 'Further GOV.UK Notify services as a JSON array of { serviceId, apiKey or apiKeyEnv, clientIds, templateIds, inboundNumber, replyTemplates, alertBackend, sendsPerMinute }. Services can also be stored in the notify-services collection. notify.apiKey is the default service',
+      format: 'notify-services',
+      sensitive: true,
+      default: [],
+      env: 'NOTIFY_SERVICES'
+    },
+    provider: {
+      doc: "Where messages go: 'notify' (GOV.UK Notify) or 'fake' (recorded in an outbox, inspectable at /dev/outbox). 'fake' is not permitted in prod or ext-test",
+      format: ['notify', 'fake'],
+      default: 'notify',
+      env: 'NOTIFY_PROVIDER'
+    },
     templateId: {
       doc: 'GOV.UK Notify SMS Template ID for OTP',
       format: String,
@@ -162,23 +311,81 @@ const config = convict({
       env: 'NOTIFY_EMAIL_VERIFY_LINK_TEMPLATE_ID'
     },
     timeoutMs: {
-      doc: 'Timeout (ms) for sending Notify SMS before failing',
+      doc: 'Timeout (ms) for each GOV.UK Notify API call before failing. 0 disables the timeout',
       format: 'nat',
       default: 15000,
       env: 'NOTIFY_TIMEOUT_MS'
     },
+    retry: {
+      maxAttempts: {
+        doc: 'Maximum attempts (including the first) for Notify calls that fail with a server error or rate limit',
+        format: 'nat',
+        default: 3,
+        env: 'NOTIFY_RETRY_MAX_ATTEMPTS'
+      },
+      baseDelayMs: {
+        doc: 'Base delay (ms) for exponential backoff between Notify retries',
+        format: 'nat',
+        default: 200,
+        env: 'NOTIFY_RETRY_BASE_DELAY_MS'
+      },
+      maxDelayMs: {
+        doc: 'Upper bound (ms) on the backoff delay between Notify retries',
+        format: 'nat',
+        default: 2000,
+        env: 'NOTIFY_RETRY_MAX_DELAY_MS'
+      }
+    },
     smsReplyPollIntervalMinutes: {
       doc: 'Interval in minutes to poll GOV.UK Notify for SMS replies',
       format: 'nat',
       default: 1,
       env: 'NOTIFY_SMS_REPLY_POLL_INTERVAL_MINUTES'
     },
+    smsReplyPollMaxPages: {
+      doc: 'Maximum pages of received texts (up to 250 each) fetched from GOV.UK Notify per poll while looking for the last processed message',
+      format: 'nat',
+      default: 10,
+      env: 'NOTIFY_SMS_REPLY_POLL_MAX_PAGES'
+    },
+    smsReplyMode: {
+      doc: 'How received texts reach the service: poll (cron polls Notify), push (Notify calls /notify/callbacks/received-text) or both (push, with polling as a safety net)',
+      format: ['poll', 'push', 'both'],
+      default: 'poll',
+      env: 'NOTIFY_SMS_REPLY_MODE'
+    },
+    smsReplyRetry: {
+      maxAttempts: {
+        doc: 'Attempts at processing an inbound SMS reply before it is dead-lettered',
+        format: 'nat',
+        default: 5,
+        env: 'NOTIFY_SMS_REPLY_MAX_ATTEMPTS'
+      },
+      baseDelayMinutes: {
+        doc: 'Delay in minutes before the first retry of a failed SMS reply; doubles with each further attempt',
+        format: 'nat',
+        default: 1,
+        env: 'NOTIFY_SMS_REPLY_RETRY_BASE_DELAY_MINUTES'
+      },
+      maxDelayMinutes: {
+        doc: 'Upper bound in minutes on the delay between SMS reply retries',
+        format: 'nat',
+        default: 60,
+        env: 'NOTIFY_SMS_REPLY_RETRY_MAX_DELAY_MINUTES'
+      }
+    },
     alertBackend: {
       url: {
         doc: 'Alert Backend Service URL',
         format: String,
         default: 'http://localhost:3001',
         env: 'ALERT_BACKEND_URL'
+      },
+      timeoutMs: {
+        doc: 'Timeout in milliseconds for each Alert Backend call',
+        format: 'nat',
+        default: 5000,
+        env: 'ALERT_BACKEND_TIMEOUT_MS'
       }
     },
     smsReplyPollEnabled: {
@@ -198,6 +405,157 @@ const config = convict({
       format: String,
       default: '6cd8b976-cd8b-4249-951a-edf4b5dbdc53',
       env: 'NOTIFY_SMS_UNSUBSCRIBE_CONFIRMATION_TEMPLATE_ID'
+    },
+    resubscribeConfirmationTemplateId: {
+      doc: 'GOV.UK Notify SMS Template ID sent after a START/SUBSCRIBE reply. No reply is sent while unset',
+      format: String,
+      nullable: true,
+      default: null,
+      env: 'NOTIFY_SMS_RESUBSCRIBE_CONFIRMATION_TEMPLATE_ID'
+    },
+    helpTemplateId: {
+      doc: 'GOV.UK Notify SMS Template ID sent in reply to HELP/INFO. No reply is sent while unset',
+      format: String,
+      nullable: true,
+      default: null,
+      env: 'NOTIFY_SMS_HELP_TEMPLATE_ID'
+    },
+    welsh: {
+      templateId: {
+        doc: 'Welsh GOV.UK Notify SMS Template ID for OTP. The English template is used while unset',
+        format: String,
+        nullable: true,
+        default: null,
+        env: 'NOTIFY_CY_SMS_VERIFY_OTP_TEMPLATE_ID'
+      },
+      emailTemplateId: {
+        doc: 'Welsh GOV.UK Notify Email Template ID for verification link. The English template is used while unset',
+        format: String,
+        nullable: true,
+        default: null,
+        env: 'NOTIFY_CY_EMAIL_VERIFY_LINK_TEMPLATE_ID'
+      },
+      unsubscribeConfirmationTemplateId: {
+        doc: 'Welsh GOV.UK Notify SMS Template ID for unsubscribe confirmation. The English template is used while unset',
+        format: String,
+        nullable: true,
+        default: null,
+        env: 'NOTIFY_CY_SMS_UNSUBSCRIBE_CONFIRMATION_TEMPLATE_ID'
+      },
+      resubscribeConfirmationTemplateId: {
+        doc: 'Welsh GOV.UK Notify SMS Template ID sent after a DECHRAU/TANYSGRIFIO reply. The English template is used while unset',
+        format: String,
+        nullable: true,
+        default: null,
+        env: 'NOTIFY_CY_SMS_RESUBSCRIBE_CONFIRMATION_TEMPLATE_ID'
+      },
+      helpTemplateId: {
+        doc: 'Welsh GOV.UK Notify SMS Template ID sent in reply to CYMORTH. The English template is used while unset',
+        format: String,
+        nullable: true,
+        default: null,
+        env: 'NOTIFY_CY_SMS_HELP_TEMPLATE_ID'
+      },
+      templateMap: {
+        doc: 'Welsh equivalents of caller-supplied /send-notification templates, as comma-separated englishId:welshId pairs',
+        format: Array,
+        default: [],
+        env: 'NOTIFY_CY_TEMPLATE_MAP'
+      }
+    },
+    batch: {
+      sendsPerSecond: {
+        doc: 'Maximum Notify sends per second for /send-notification/batch, shared by every batch and instance (Notify allows 3000 per minute per API key)',
+        format: 'nat',
+        default: 20,
+        env: 'NOTIFY_BATCH_SENDS_PER_SECOND'
+      }
+    },
+    statusReconciliation: {
+      enabled: {
+        doc: 'Enable the cron that polls Notify for notifications still submitted/sending (fallback for missed delivery callbacks)',
+        format: Boolean,
+        default: true,
+        env: 'NOTIFY_STATUS_RECONCILIATION_ENABLED'
+      },
+      intervalMinutes: {
+        doc: 'How often the status reconciliation cron runs',
+        format: 'nat',
+        default: 10,
+        env: 'NOTIFY_STATUS_RECONCILIATION_INTERVAL_MINUTES'
+      },
+      staleAfterMinutes: {
+        doc: 'Minutes a notification may stay submitted/sending (or since it was last checked) before it is reconciled',
+        format: 'nat',
+        default: 30,
+        env: 'NOTIFY_STATUS_RECONCILIATION_STALE_AFTER_MINUTES'
+      },
+      batchSize: {
+        doc: 'Maximum notifications checked against Notify per run',
+        format: 'nat',
+        default: 50,
+        env: 'NOTIFY_STATUS_RECONCILIATION_BATCH_SIZE'
+      }
+    },
+    templateRegistry: {
+      enabled: {
+        doc: 'Check /send-notification requests against the notification-templates collection (known template, matching channel, exact personalisation keys) before calling Notify. Off by default: only enable it once every template in use is registered through /admin/templates',
+        format: Boolean,
+        default: false,
+        env: 'NOTIFY_TEMPLATE_REGISTRY_ENABLED'
+      }
+    },
+    outbox: {
+      mode: {
+        doc: "How /send-notification responds: 'sync' sends before answering 201, 'accepted' answers 202 once the request is in the outbox. A 'Prefer: respond-async' header selects accepted for a single request",
+        format: ['sync', 'accepted'],
+        default: 'sync',
+        env: 'NOTIFY_OUTBOX_MODE'
+      },
+      workerIntervalSeconds: {
+        doc: 'How often the outbox worker looks for requests that are due, retrying or left unsent by a crash',
+        format: 'nat',
+        default: 10,
+        env: 'NOTIFY_OUTBOX_WORKER_INTERVAL_SECONDS'
+      },
+      batchSize: {
+        doc: 'Maximum outbox requests the worker sends per run',
+        format: 'nat',
+        default: 50,
+        env: 'NOTIFY_OUTBOX_BATCH_SIZE'
+      },
+      leaseSeconds: {
+        doc: 'Seconds a send may take before the worker assumes its instance died and takes it over. Must exceed the worst-case Notify call including retries',
+        format: 'nat',
+        default: 120,
+        env: 'NOTIFY_OUTBOX_LEASE_SECONDS'
+      },
+      maxAttempts: {
+        doc: 'Attempts at an accepted (202) request before it is marked failed',
+        format: 'nat',
+        default: 5,
+        env: 'NOTIFY_OUTBOX_MAX_ATTEMPTS'
+      },
+      retryBaseDelaySeconds: {
+        doc: 'Delay in seconds before the first retry of an accepted request; doubles with each further attempt',
+        format: 'nat',
+        default: 30,
+        env: 'NOTIFY_OUTBOX_RETRY_BASE_DELAY_SECONDS'
+      },
+      retryMaxDelaySeconds: {
+        doc: 'Upper bound in seconds on the delay between outbox retries',
+        format: 'nat',
+        default: 900,
+        env: 'NOTIFY_OUTBOX_RETRY_MAX_DELAY_SECONDS'
+      }
+    },
+    callbackBearerToken: {
+      doc: 'Bearer token GOV.UK Notify sends with delivery receipts and received text callbacks. Callbacks are rejected while unset',
+      format: String,
+      sensitive: true,
+      nullable: true,
+      default: null,
+      env: 'NOTIFY_CALLBACK_BEARER_TOKEN'
     }
   }
 })
@@ -215,4 +573,40 @@ if (
   )
 }
 
+if (
+  config.get('notify.provider') === 'fake' &&
+  RESTRICTED_USE_MOCK_ENVIRONMENTS.includes(config.get('cdpEnvironment'))
+) {
+  throw new Error(
+    `notify.provider=fake is not permitted in environment '${config.get('cdpEnvironment')}'. ` +
+      `Set NOTIFY_PROVIDER=notify (or unset it) before starting the service.`
+  )
+}
+
+if (
+  !config.get('auth.enabled') &&
+  RESTRICTED_USE_MOCK_ENVIRONMENTS.includes(config.get('cdpEnvironment'))
+) {
+  throw new Error(
+    `auth.enabled=false is not permitted in environment '${config.get('cdpEnvironment')}'. ` +
+      `Set AUTH_ENABLED=true (or unset it) before starting the service.`
+  )
+}
+
+if (config.get('auth.jwt.issuer') && !config.get('auth.jwt.audience')) {
+  throw new Error(
+    `AUTH_JWT_AUDIENCE must be set when AUTH_JWT_ISSUER is set, ` +
+      `otherwise tokens the issuer minted for other services would be accepted.`
+  )
+}
+
+if (
+  config.get('cdpEnvironment') === 'prod' &&
+  config.get('secretHashKey') === config.default('secretHashKey')
+) {
+  throw new Error(
+    `SECRET_HASH_KEY must be set in environment '${config.get('cdpEnvironment')}'.`
+  )
+}
+
 export { config }
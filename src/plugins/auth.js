@@ -0,0 +1,171 @@
+import Boom from '@hapi/boom'
+
+import { config } from '../config.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+import {
+  SCOPES,
+  AUTH_METHOD,
+  API_KEY_HEADER,
+  parseApiKeyEntries,
+  findApiKeyClient,
+  credentialsFromClaims
+} from '../common/helpers/api-auth.js'
+import {
+  createJwtVerifier,
+  JwtVerificationError
+} from '../common/helpers/jwt-verifier.js'
+
+const logger = createLogger()
+
+const AUTH_SCHEME = 'api-client'
+const AUTH_STRATEGY = 'api-client'
+const BEARER_PREFIX = 'Bearer '
+
+// Caller used for every request while auth.enabled is false (local only)
+const ANONYMOUS_CREDENTIALS = {
+  clientId: 'anonymous',
+  scope: Object.values(SCOPES),
+  authMethod: AUTH_METHOD.NONE
+}
+
+function getRequestId(request) {
+  return request.headers['x-cdp-request-id'] || request.info.id
+}
+
+function reject(request, reason, message) {
+  logger.warn(
+    `auth.rejected ${JSON.stringify({ requestId: getRequestId(request), reason, method: request.method, path: request.path, ip: request.info.remoteAddress })}`
+  )
+  return Boom.unauthorized(message)
+}
+
+async function authenticateApiKey(request, configuredClients, apiKey) {
+  const client = await findApiKeyClient(request.db, configuredClients, apiKey)
+  if (!client) {
+    throw reject(request, 'unknown_api_key', 'Invalid API key')
+  }
+  return {
+    clientId: client.clientId,
+    scope: client.scopes,
+    authMethod: AUTH_METHOD.API_KEY
+  }
+}
+
+async function authenticateJwt(request, jwtVerifier, scopePrefix, token) {
+  let claims
+  try {
+    claims = await jwtVerifier.verify(token)
+  } catch (error) {
+    if (error instanceof JwtVerificationError) {
+      throw reject(request, 'invalid_token', error.message)
+    }
+    logger.error(
+      `auth.jwks.failed ${JSON.stringify({ requestId: getRequestId(request), error: error.message })}`
+    )
+    throw Boom.serverUnavailable('Token verification is unavailable')
+  }
+
+  const { clientId, scopes } = credentialsFromClaims(claims, scopePrefix)
+  if (!clientId) {
+    throw reject(request, 'missing_client_id', 'Token has no client identity')
+  }
+  return { clientId, scope: scopes, authMethod: AUTH_METHOD.JWT }
+}
+
+/**
+ * Scheme accepting either an `x-api-key` header or, when an issuer is
+ * configured, an `Authorization: Bearer <jwt>` header. Credentials carry the
+ * caller's scopes so routes can restrict access with `auth: { scope }`.
+ */
+function apiClientScheme(
+  _server,
+  { configuredClients, jwtVerifier, jwtScopePrefix }
+) {
+  return {
+    authenticate: async (request, h) => {
+      const apiKey = request.headers[API_KEY_HEADER]
+      if (apiKey) {
+        const credentials = await authenticateApiKey(
+          request,
+          configuredClients,
+          apiKey
+        )
+        return h.authenticated({ credentials })
+      }
+
+      const authorization = request.headers.authorization || ''
+      if (jwtVerifier && authorization.startsWith(BEARER_PREFIX)) {
+        const credentials = await authenticateJwt(
+          request,
+          jwtVerifier,
+          jwtScopePrefix,
+          authorization.slice(BEARER_PREFIX.length)
+        )
+        return h.authenticated({ credentials })
+      }
+
+      throw reject(
+        request,
+        'missing_credentials',
+        'Missing API key or bearer token'
+      )
+    }
+  }
+}
+
+function anonymousScheme() {
+  return {
+    authenticate: (_request, h) =>
+      h.authenticated({ credentials: ANONYMOUS_CREDENTIALS })
+  }
+}
+
+function createJwtVerifierFromConfig() {
+  const { issuer, audience, jwksUri } = config.get('auth.jwt')
+  if (!issuer || !jwksUri) {
+    return null
+  }
+  return createJwtVerifier({ issuer, audience, jwksUri })
+}
+
+// Sets the default strategy for every route; health checks and Notify
+// callbacks opt out with `auth: false`. Must be registered after mongoDb
+// (API keys may be stored in the api-clients collection) and before router.
+const auth = {
+  plugin: {
+    name: 'auth',
+    dependencies: ['mongodb'],
+    register: (server, _options) => {
+      if (config.get('auth.enabled')) {
+        const configuredClients = parseApiKeyEntries(config.get('auth.apiKeys'))
+        const jwtVerifier = createJwtVerifierFromConfig()
+        server.auth.scheme(AUTH_SCHEME, apiClientScheme)
+        server.auth.strategy(AUTH_STRATEGY, AUTH_SCHEME, {
+          configuredClients,
+          jwtVerifier,
+          jwtScopePrefix: config.get('auth.jwt').scopePrefix
+        })
+        logger.info(
+          `auth.registered ${JSON.stringify({ configuredClients: configuredClients.length, jwt: Boolean(jwtVerifier) })}`
+        )
+      } else {
+        server.auth.scheme(AUTH_SCHEME, anonymousScheme)
+        server.auth.strategy(AUTH_STRATEGY, AUTH_SCHEME)
+        logger.warn('auth.disabled')
+      }
+      server.auth.default(AUTH_STRATEGY)
+
+      server.ext('onPostAuth', (request, h) => {
+        if (request.auth.isAuthenticated) {
+          const { clientId, authMethod } = request.auth.credentials
+          logger.info(
+            `auth.authenticated ${JSON.stringify({ requestId: getRequestId(request), clientId, authMethod, method: request.method, path: request.path })}`
+          )
+        }
+        return h.continue
+      })
+    }
+  }
+}
+
+export { auth, AUTH_STRATEGY }
@@ -0,0 +1,28 @@
+import { devOutbox } from '../routes/dev-outbox.js'
+import {
+  getFakeNotifyProvider,
+  isFakeProviderEnabled
+} from '../subscribe/services/notification-provider.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+
+const logger = createLogger()
+
+// While notify.provider is 'fake', moves the fake outbox into MongoDB (so
+// every instance sees the same messages) and adds the /dev routes. Must be
+// registered after mongoDb and auth.
+const fakeNotify = {
+  plugin: {
+    name: 'fake-notify',
+    dependencies: ['mongodb', 'auth'],
+    register: (server, _options) => {
+      if (!isFakeProviderEnabled()) {
+        return
+      }
+      getFakeNotifyProvider().useDatabase(server.db)
+      server.route(devOutbox)
+      logger.warn('fake_notify.enabled')
+    }
+  }
+}
+
+export { fakeNotify }
@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import Hapi from '@hapi/hapi'
+import { fakeNotify } from './fake-notify.js'
+import { config } from '../config.js'
+import { getFakeNotifyProvider } from '../subscribe/services/notification-provider.js'
+
+vi.mock('../config.js', () => ({
+  config: { get: vi.fn() }
+}))
+vi.mock('../common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ info: vi.fn(), warn: vi.fn(), error: vi.fn() })
+}))
+
+async function createTestServer() {
+  const server = Hapi.server()
+  await server.register([
+    {
+      plugin: {
+        name: 'mongodb',
+        register: (srv) => srv.decorate('server', 'db', { name: 'db' })
+      }
+    },
+    {
+      plugin: {
+        name: 'auth',
+        register: (srv) => {
+          srv.auth.scheme('test', () => ({
+            authenticate: (_request, h) =>
+              h.authenticated({
+                credentials: { clientId: 'test', scope: ['admin'] }
+              })
+          }))
+          srv.auth.strategy('test', 'test')
+          srv.auth.default('test')
+        }
+      }
+    }
+  ])
+  await server.register(fakeNotify)
+  await server.initialize()
+  return server
+}
+
+describe('fakeNotify plugin', () => {
+  let server
+
+  afterEach(async () => {
+    await server?.stop()
+  })
+
+  it('should not add /dev routes for the real provider', async () => {
+    config.get.mockImplementation((key) =>
+      key === 'notify.provider' ? 'notify' : undefined
+    )
+    server = await createTestServer()
+
+    const res = await server.inject({ url: '/dev/outbox' })
+
+    expect(res.statusCode).toBe(404)
+  })
+
+  describe('with the fake provider', () => {
+    let provider
+
+    beforeEach(async () => {
+      config.get.mockImplementation((key) =>
+        key === 'notify.provider' ? 'fake' : undefined
+      )
+      provider = getFakeNotifyProvider()
+      vi.spyOn(provider, 'useDatabase').mockImplementation(() => {})
+      await provider.reset()
+      server = await createTestServer()
+    })
+
+    it('should attach the database to the fake', () => {
+      expect(provider.useDatabase).toHaveBeenCalledWith({ name: 'db' })
+    })
+
+    it('should list the outbox', async () => {
+      await provider.sendSms('tmpl', '07700900111', { personalisation: {} })
+
+      const res = await server.inject({ url: '/dev/outbox?type=sms' })
+
+      expect(res.statusCode).toBe(200)
+      expect(res.result.messages).toHaveLength(1)
+      expect(res.result.messages[0].phone_number).toBe('07700900111')
+    })
+
+    it('should simulate a delivery status', async () => {
+      const { data } = await provider.sendSms('tmpl', '07700900111', {})
+
+      const res = await server.inject({
+        method: 'POST',
+        url: `/dev/outbox/${data.id}/status`,
+        payload: { status: 'temporary-failure' }
+      })
+      const missing = await server.inject({
+        method: 'POST',
+        url: '/dev/outbox/unknown/status',
+        payload: { status: 'delivered' }
+      })
+
+      expect(res.statusCode).toBe(200)
+      expect((await provider.getNotificationById(data.id)).data.status).toBe(
+        'temporary-failure'
+      )
+      expect(missing.statusCode).toBe(404)
+    })
+
+    it('should queue a failure for the next send', async () => {
+      const res = await server.inject({
+        method: 'POST',
+        url: '/dev/outbox/failures',
+        payload: { statusCode: 400, errorType: 'BadRequestError' }
+      })
+
+      expect(res.statusCode).toBe(202)
+      await expect(provider.sendSms('tmpl', '07700900111', {})).rejects.toThrow(
+        'Request failed with status code 400'
+      )
+    })
+
+    it('should inject a received text and clear everything', async () => {
+      const res = await server.inject({
+        method: 'POST',
+        url: '/dev/received-texts',
+        payload: { phoneNumber: '447700900111', content: 'STOP' }
+      })
+      const cleared = await server.inject({
+        method: 'DELETE',
+        url: '/dev/outbox'
+      })
+
+      expect(res.statusCode).toBe(201)
+      expect(res.result).toMatchObject({
+        user_number: '447700900111',
+        content: 'STOP'
+      })
+      expect(cleared.statusCode).toBe(204)
+      expect(
+        (await provider.getReceivedTexts()).data.received_text_messages
+      ).toEqual([])
+    })
+  })
+})
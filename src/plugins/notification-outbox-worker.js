@@ -0,0 +1,61 @@
+import { createNotificationOutboxService } from '../subscribe/services/notification-outbox.service.js'
+import { createNotificationBatchService } from '../subscribe/services/notification-batch.service.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+import { timeCronRun } from '../common/helpers/cron-run.js'
+import { config } from '../config.js'
+
+const logger = createLogger()
+const JOB = 'notification-outbox-worker'
+
+// Runs on every instance: each request is claimed atomically, so no lock is
+// needed and a backlog is shared out
+const notificationOutboxWorker = {
+  plugin: {
+    name: 'notification-outbox-worker',
+    register: async (server, _options) => {
+      const intervalSeconds = config.get('notify.outbox.workerIntervalSeconds')
+      const intervalMs = intervalSeconds * 1000
+      let running = false
+
+      const workerJob = setInterval(async () => {
+        // A run working through a backlog must not overlap the next tick
+        if (running) {
+          return
+        }
+        running = true
+        try {
+          await timeCronRun(JOB, async () => {
+            await createNotificationOutboxService(
+              server.db,
+              logger
+            ).processDue()
+            // Batches are resumed here, so one left behind by a crash or
+            // redeploy carries on
+            await createNotificationBatchService(
+              server.db,
+              logger
+            ).resumeBatches()
+          })
+        } catch (error) {
+          logger.error(
+            `notification_outbox_worker.failure ${JSON.stringify({ error: error.message })}`
+          )
+        } finally {
+          running = false
+        }
+      }, intervalMs)
+
+      // Cleanup on server stop
+      server.events.on('stop', () => {
+        clearInterval(workerJob)
+        logger.info('notification_outbox_worker.stopped')
+      })
+
+      logger.info(
+        `notification_outbox_worker.registered ${JSON.stringify({ intervalSeconds })}`
+      )
+    }
+  }
+}
+
+export { notificationOutboxWorker }
@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { notificationOutboxWorker } from './notification-outbox-worker.js'
+import { createNotificationOutboxService } from '../subscribe/services/notification-outbox.service.js'
+import { createNotificationBatchService } from '../subscribe/services/notification-batch.service.js'
+import { config } from '../config.js'
+
+vi.mock('../config.js', () => ({
+  config: {
+    get: vi.fn()
+  }
+}))
+vi.mock('../subscribe/services/notification-outbox.service.js', () => ({
+  createNotificationOutboxService: vi.fn()
+}))
+vi.mock('../subscribe/services/notification-batch.service.js', () => ({
+  createNotificationBatchService: vi.fn()
+}))
+vi.mock('../common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    error: vi.fn()
+  })
+}))
+
+describe('notificationOutboxWorker plugin', () => {
+  let server
+  let processDue
+  let resumeBatches
+  let intervalCallback
+  let setIntervalSpy
+
+  beforeEach(() => {
+    config.get.mockImplementation((key) =>
+      key === 'notify.outbox.workerIntervalSeconds' ? 10 : undefined
+    )
+    server = { db: { name: 'db' }, events: { on: vi.fn() } }
+    processDue = vi.fn().mockResolvedValue({})
+    createNotificationOutboxService.mockReturnValue({ processDue })
+    resumeBatches = vi.fn().mockResolvedValue({})
+    createNotificationBatchService.mockReturnValue({ resumeBatches })
+    setIntervalSpy = vi
+      .spyOn(global, 'setInterval')
+      .mockImplementation((fn) => {
+        intervalCallback = fn
+        return 4242
+      })
+  })
+
+  afterEach(() => {
+    vi.clearAllMocks()
+    setIntervalSpy.mockRestore()
+  })
+
+  it('should schedule the worker at the configured interval', async () => {
+    await notificationOutboxWorker.plugin.register(server, {})
+
+    expect(setIntervalSpy).toHaveBeenCalledWith(expect.any(Function), 10000)
+  })
+
+  it('should process due requests on each tick', async () => {
+    await notificationOutboxWorker.plugin.register(server, {})
+
+    await intervalCallback()
+
+    expect(createNotificationOutboxService).toHaveBeenCalledWith(
+      server.db,
+      expect.anything()
+    )
+    expect(processDue).toHaveBeenCalledTimes(1)
+  })
+
+  it('should resume batches after sending', async () => {
+    await notificationOutboxWorker.plugin.register(server, {})
+
+    await intervalCallback()
+
+    expect(createNotificationBatchService).toHaveBeenCalledWith(
+      server.db,
+      expect.anything()
+    )
+    expect(resumeBatches).toHaveBeenCalledTimes(1)
+  })
+
+  it('should not overlap a run still in progress', async () => {
+    let finish
+    processDue.mockImplementationOnce(
+      () => new Promise((resolve) => (finish = resolve))
+    )
+    await notificationOutboxWorker.plugin.register(server, {})
+
+    const first = intervalCallback()
+    await intervalCallback()
+    finish({})
+    await first
+
+    expect(processDue).toHaveBeenCalledTimes(1)
+  })
+
+  it('should keep running after a failed run', async () => {
+    processDue.mockRejectedValueOnce(new Error('DB down'))
+    await notificationOutboxWorker.plugin.register(server, {})
+
+    await expect(intervalCallback()).resolves.toBeUndefined()
+    await intervalCallback()
+
+    expect(processDue).toHaveBeenCalledTimes(2)
+  })
+
+  it('should clear the interval when the server stops', async () => {
+    const clearIntervalSpy = vi.spyOn(global, 'clearInterval')
+    await notificationOutboxWorker.plugin.register(server, {})
+
+    const [event, onStop] = server.events.on.mock.calls[0]
+    onStop()
+
+    expect(event).toBe('stop')
+    expect(clearIntervalSpy).toHaveBeenCalledWith(4242)
+    clearIntervalSpy.mockRestore()
+  })
+})
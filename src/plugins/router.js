@@ -1,4 +1,8 @@
-import { health } from '../routes/health.js'
+import {
+  health,
+  circuitBreakerHealth,
+  readinessHealth
+} from '../routes/health.js'
 import { example } from '../routes/example.js'
 import { generateOtpRoute } from '../subscribe/routes/generate-otp.route.js'
 import { validateOtpRoute } from '../subscribe/routes/validate-otp.route.js'
@@ -6,6 +10,34 @@ import { sendNotificationRoute } from '../subscribe/routes/send-notification.rou
 import generateLinkRoute from '../subscribe/routes/generate-link.route.js'
 import { validateLinkRoute } from '../subscribe/routes/validate-link.route.js'
 import { processSmsRepliesRoute } from '../subscribe/routes/process-sms-replies.route.js'
+import {
+  sendNotificationBatchRoute,
+  getNotificationBatchRoute,
+  listBatchRecipientsRoute
+} from '../subscribe/routes/send-notification-batch.route.js'
+import { listNotificationsRoute } from '../subscribe/routes/list-notifications.route.js'
+import { getNotificationRoute } from '../subscribe/routes/get-notification.route.js'
+import { getNotificationRequestRoute } from '../subscribe/routes/get-notification-request.route.js'
+import { deliverySummaryRoute } from '../subscribe/routes/delivery-summary.route.js'
+import { deliveryStatusCallbackRoute } from '../subscribe/routes/delivery-status-callback.route.js'
+import { receivedTextCallbackRoute } from '../subscribe/routes/received-text-callback.route.js'
+import {
+  addSuppressionRoute,
+  listSuppressionsRoute,
+  getSuppressionRoute,
+  removeSuppressionRoute
+} from '../subscribe/routes/suppressions.route.js'
+import {
+  listSmsRepliesRoute,
+  getSmsReplyRoute,
+  listDeadLettersRoute,
+  replayDeadLetterRoute
+} from '../subscribe/routes/sms-reply-admin.route.js'
+import {
+  registerTemplateRoute,
+  listTemplatesRoute,
+  removeTemplateRoute
+} from '../subscribe/routes/template-registry.route.js'
 
 const router = {
   plugin: {
@@ -17,14 +49,42 @@ const router = {
         generateLinkRoute,
         validateLinkRoute
       ]
-      const notificationRoutes = [sendNotificationRoute]
+      const notificationRoutes = [
+        sendNotificationRoute,
+        sendNotificationBatchRoute,
+        getNotificationBatchRoute,
+        listBatchRecipientsRoute,
+        listNotificationsRoute,
+        getNotificationRoute,
+        getNotificationRequestRoute,
+        deliverySummaryRoute
+      ]
       const smsReplyRoutes = [processSmsRepliesRoute]
+      const callbackRoutes = [
+        deliveryStatusCallbackRoute,
+        receivedTextCallbackRoute
+      ]
+      const adminRoutes = [
+        addSuppressionRoute,
+        listSuppressionsRoute,
+        getSuppressionRoute,
+        removeSuppressionRoute,
+        listSmsRepliesRoute,
+        getSmsReplyRoute,
+        listDeadLettersRoute,
+        replayDeadLetterRoute,
+        registerTemplateRoute,
+        listTemplatesRoute,
+        removeTemplateRoute
+      ]
       server.route(
-        [health]
+        [health, circuitBreakerHealth, readinessHealth]
           .concat(example)
           .concat(subscribeRoutes)
           .concat(notificationRoutes)
           .concat(smsReplyRoutes)
+          .concat(callbackRoutes)
+          .concat(adminRoutes)
       )
     }
   }
@@ -1,5 +1,10 @@
-import { createSmsReplyService } from '../subscribe/services/sms-reply.service.js'
+import {
+  SMS_REPLY_MODE,
+  SMS_REPLY_POLL_JOB,
+  createSmsReplyService
+} from '../subscribe/services/sms-reply.service.js'
 import { createLogger } from '../common/helpers/logging/logger.js'
+import { runExclusive } from '../common/helpers/cron-run.js'
 import { config } from '../config.js'
 
 const logger = createLogger()
@@ -13,18 +18,48 @@ const smsReplyCron = {
         logger.info('sms_reply_cron.disabled')
         return
       }
+      // When texts are pushed there is nothing to poll, but failed replies
+      // still need retrying
+      const pollNotify =
+        config.get('notify.smsReplyMode') !== SMS_REPLY_MODE.PUSH
       const intervalMinutes = config.get('notify.smsReplyPollIntervalMinutes')
       const intervalMs = intervalMinutes * 60 * 1000
+      let running = false
 
       const pollJob = setInterval(async () => {
+        // A slow run (e.g. paging through a backlog) must not overlap the next tick
+        if (running) {
+          logger.warn('sms_reply_cron.skipped_overlap')
+          return
+        }
+        running = true
         try {
-          logger.info('sms_reply_cron.start')
-          const smsReplyService = createSmsReplyService(server.db, logger)
-          await smsReplyService.pollAndProcessReplies()
+          // Only one instance polls per tick
+          const outcome = await runExclusive(
+            {
+              db: server.db,
+              locker: server.locker,
+              job: SMS_REPLY_POLL_JOB,
+              trigger: 'schedule',
+              logger
+            },
+            () => {
+              logger.info('sms_reply_cron.start')
+              const smsReplyService = createSmsReplyService(server.db, logger)
+              return pollNotify
+                ? smsReplyService.pollAndProcessReplies()
+                : smsReplyService.processPendingReplies()
+            }
+          )
+          if (!outcome.ran) {
+            logger.info('sms_reply_cron.skipped_locked')
+          }
         } catch (error) {
           logger.error(
             `sms_reply_cron.failure ${JSON.stringify({ error: error.message })}`
           )
+        } finally {
+          running = false
         }
       }, intervalMs)
 
@@ -35,7 +70,7 @@ const smsReplyCron = {
       })
 
       logger.info(
-        `sms_reply_cron.registered ${JSON.stringify({ intervalMinutes })}`
+        `sms_reply_cron.registered ${JSON.stringify({ intervalMinutes, pollNotify })}`
       )
     }
   }
@@ -8,15 +8,23 @@ vi.mock('../config.js', () => ({
   }
 }))
 vi.mock('../subscribe/services/sms-reply.service.js', () => ({
+  SMS_REPLY_POLL_JOB: 'sms-reply-poll',
+  SMS_REPLY_MODE: { POLL: 'poll', PUSH: 'push', BOTH: 'both' },
   createSmsReplyService: vi.fn(() => ({
     pollAndProcessReplies: vi.fn().mockResolvedValue(undefined)
   }))
 }))
+const { mockLogger } = vi.hoisted(() => ({
+  mockLogger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+}))
 vi.mock('../common/helpers/logging/logger.js', () => ({
-  createLogger: () => ({
-    info: vi.fn(),
-    error: vi.fn()
-  })
+  createLogger: () => mockLogger
+}))
+vi.mock('../common/helpers/cron-run.js', () => ({
+  runExclusive: vi.fn(async (_options, run) => ({
+    ran: true,
+    result: await run()
+  }))
 }))
 
 describe('smsReplyCron plugin', () => {
@@ -122,6 +130,115 @@ describe('smsReplyCron plugin', () => {
     setIntervalSpy.mockRestore()
   })
 
+  describe('overlap protection', () => {
+    let intervalCallback
+    let setIntervalSpy
+
+    beforeEach(async () => {
+      config.get.mockImplementation((key) => {
+        if (key === 'notify.smsReplyPollEnabled') return true
+        if (key === 'notify.smsReplyPollIntervalMinutes') return 1
+        return undefined
+      })
+      setIntervalSpy = vi
+        .spyOn(global, 'setInterval')
+        .mockImplementation((fn) => {
+          intervalCallback = fn
+          return 99999
+        })
+      server.locker = { lock: vi.fn() }
+      await smsReplyCron.plugin.register(server, {})
+    })
+
+    afterEach(() => {
+      setIntervalSpy.mockRestore()
+    })
+
+    it('should run under the sms-reply-poll lock', async () => {
+      const { runExclusive } = await import('../common/helpers/cron-run.js')
+
+      await intervalCallback()
+
+      expect(runExclusive).toHaveBeenCalledWith(
+        {
+          db: server.db,
+          locker: server.locker,
+          job: 'sms-reply-poll',
+          trigger: 'schedule',
+          logger: mockLogger
+        },
+        expect.any(Function)
+      )
+    })
+
+    it('should skip the tick when another instance holds the lock', async () => {
+      const { runExclusive } = await import('../common/helpers/cron-run.js')
+      runExclusive.mockResolvedValueOnce({ ran: false })
+
+      await intervalCallback()
+
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        'sms_reply_cron.skipped_locked'
+      )
+    })
+
+    it('should skip a tick while the previous run is still going', async () => {
+      const { runExclusive } = await import('../common/helpers/cron-run.js')
+      let finishRun
+      runExclusive.mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            finishRun = () => resolve({ ran: true })
+          })
+      )
+
+      const firstTick = intervalCallback()
+      await intervalCallback()
+
+      expect(runExclusive).toHaveBeenCalledTimes(1)
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'sms_reply_cron.skipped_overlap'
+      )
+
+      finishRun()
+      await firstTick
+      await intervalCallback()
+      expect(runExclusive).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  it('should only retry pending replies when texts are pushed', async () => {
+    const { createSmsReplyService } = await import(
+      '../subscribe/services/sms-reply.service.js'
+    )
+    const mockPollAndProcessReplies = vi.fn()
+    const mockProcessPendingReplies = vi.fn().mockResolvedValue({})
+    createSmsReplyService.mockReturnValue({
+      pollAndProcessReplies: mockPollAndProcessReplies,
+      processPendingReplies: mockProcessPendingReplies
+    })
+    config.get.mockImplementation((key) => {
+      if (key === 'notify.smsReplyPollEnabled') return true
+      if (key === 'notify.smsReplyPollIntervalMinutes') return 1
+      if (key === 'notify.smsReplyMode') return 'push'
+      return undefined
+    })
+    let intervalCallback
+    const setIntervalSpy = vi
+      .spyOn(global, 'setInterval')
+      .mockImplementation((fn) => {
+        intervalCallback = fn
+        return 99999
+      })
+
+    await smsReplyCron.plugin.register(server, {})
+    await intervalCallback()
+
+    expect(mockProcessPendingReplies).toHaveBeenCalledTimes(1)
+    expect(mockPollAndProcessReplies).not.toHaveBeenCalled()
+    setIntervalSpy.mockRestore()
+  })
+
   it('should clear interval on server stop', async () => {
     config.get.mockImplementation((key) => {
       if (key === 'notify.smsReplyPollEnabled') return true
@@ -0,0 +1,67 @@
+import { createStatusReconciliationService } from '../subscribe/services/status-reconciliation.service.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+import { acquireLock } from '../common/helpers/mongo-lock.js'
+import { timeCronRun } from '../common/helpers/cron-run.js'
+import { config } from '../config.js'
+
+const logger = createLogger()
+const LOCK_RESOURCE = 'notification-status-reconciliation'
+
+const statusReconciliationCron = {
+  plugin: {
+    name: 'status-reconciliation-cron',
+    register: async (server, _options) => {
+      const enabled = config.get('notify.statusReconciliation.enabled')
+      if (!enabled) {
+        logger.info('status_reconciliation_cron.disabled')
+        return
+      }
+      const intervalMinutes = config.get(
+        'notify.statusReconciliation.intervalMinutes'
+      )
+      const intervalMs = intervalMinutes * 60 * 1000
+
+      const reconcileJob = setInterval(async () => {
+        let lock = null
+        try {
+          // Only one instance reconciles per tick
+          lock = await acquireLock(server.locker, LOCK_RESOURCE)
+          if (!lock) {
+            logger.info('status_reconciliation_cron.skipped_locked')
+            return
+          }
+          logger.info('status_reconciliation_cron.start')
+          const reconciliationService = createStatusReconciliationService(
+            server.db,
+            logger
+          )
+          await timeCronRun(LOCK_RESOURCE, () =>
+            reconciliationService.reconcileStaleStatuses()
+          )
+        } catch (error) {
+          logger.error(
+            `status_reconciliation_cron.failure ${JSON.stringify({ error: error.message })}`
+          )
+        } finally {
+          await lock?.free().catch((error) => {
+            logger.error(
+              `status_reconciliation_cron.unlock_failed ${JSON.stringify({ error: error.message })}`
+            )
+          })
+        }
+      }, intervalMs)
+
+      // Cleanup on server stop
+      server.events.on('stop', () => {
+        clearInterval(reconcileJob)
+        logger.info('status_reconciliation_cron.stopped')
+      })
+
+      logger.info(
+        `status_reconciliation_cron.registered ${JSON.stringify({ intervalMinutes })}`
+      )
+    }
+  }
+}
+
+export { statusReconciliationCron }
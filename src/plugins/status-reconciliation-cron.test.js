@@ -0,0 +1,122 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { statusReconciliationCron } from './status-reconciliation-cron.js'
+import { createStatusReconciliationService } from '../subscribe/services/status-reconciliation.service.js'
+import { config } from '../config.js'
+
+vi.mock('../config.js', () => ({
+  config: {
+    get: vi.fn()
+  }
+}))
+vi.mock('../subscribe/services/status-reconciliation.service.js', () => ({
+  createStatusReconciliationService: vi.fn()
+}))
+vi.mock('../common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({
+    info: vi.fn(),
+    error: vi.fn()
+  })
+}))
+
+function enableCron(enabled = true) {
+  config.get.mockImplementation((key) => {
+    if (key === 'notify.statusReconciliation.enabled') return enabled
+    if (key === 'notify.statusReconciliation.intervalMinutes') return 10
+    return undefined
+  })
+}
+
+describe('statusReconciliationCron plugin', () => {
+  let server
+  let lock
+  let reconcileStaleStatuses
+  let intervalCallback
+  let setIntervalSpy
+
+  beforeEach(() => {
+    lock = { free: vi.fn().mockResolvedValue(undefined) }
+    server = {
+      db: {},
+      locker: { lock: vi.fn().mockResolvedValue(lock) },
+      events: { on: vi.fn() }
+    }
+    reconcileStaleStatuses = vi.fn().mockResolvedValue({})
+    createStatusReconciliationService.mockReturnValue({
+      reconcileStaleStatuses
+    })
+    setIntervalSpy = vi
+      .spyOn(global, 'setInterval')
+      .mockImplementation((fn) => {
+        intervalCallback = fn
+        return 4242
+      })
+  })
+
+  afterEach(() => {
+    vi.clearAllMocks()
+    setIntervalSpy.mockRestore()
+  })
+
+  it('should not start if disabled in config', async () => {
+    enableCron(false)
+
+    await statusReconciliationCron.plugin.register(server, {})
+
+    expect(setIntervalSpy).not.toHaveBeenCalled()
+    expect(server.events.on).not.toHaveBeenCalled()
+  })
+
+  it('should schedule the job at the configured interval', async () => {
+    enableCron()
+
+    await statusReconciliationCron.plugin.register(server, {})
+
+    expect(setIntervalSpy).toHaveBeenCalledWith(expect.any(Function), 600000)
+  })
+
+  it('should reconcile under the mongo lock and release it', async () => {
+    enableCron()
+    await statusReconciliationCron.plugin.register(server, {})
+
+    await intervalCallback()
+
+    expect(server.locker.lock).toHaveBeenCalledWith(
+      'notification-status-reconciliation'
+    )
+    expect(reconcileStaleStatuses).toHaveBeenCalledTimes(1)
+    expect(lock.free).toHaveBeenCalledTimes(1)
+  })
+
+  it('should skip the run when another instance holds the lock', async () => {
+    enableCron()
+    server.locker.lock.mockResolvedValue(null)
+    await statusReconciliationCron.plugin.register(server, {})
+
+    await intervalCallback()
+
+    expect(reconcileStaleStatuses).not.toHaveBeenCalled()
+  })
+
+  it('should release the lock when the run fails', async () => {
+    enableCron()
+    reconcileStaleStatuses.mockRejectedValue(new Error('boom'))
+    await statusReconciliationCron.plugin.register(server, {})
+
+    await expect(intervalCallback()).resolves.toBeUndefined()
+    expect(lock.free).toHaveBeenCalledTimes(1)
+  })
+
+  it('should clear the interval on server stop', async () => {
+    enableCron()
+    const clearIntervalSpy = vi.spyOn(global, 'clearInterval')
+    await statusReconciliationCron.plugin.register(server, {})
+
+    const stopHandler = server.events.on.mock.calls.find(
+      ([event]) => event === 'stop'
+    )[1]
+    stopHandler()
+
+    expect(clearIntervalSpy).toHaveBeenCalledWith(4242)
+    clearIntervalSpy.mockRestore()
+  })
+})
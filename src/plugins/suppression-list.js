@@ -0,0 +1,22 @@
+import { notifyService } from '../subscribe/services/notify-service.js'
+import { createSuppressionService } from '../subscribe/services/suppression.service.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+
+const logger = createLogger()
+
+// Points the shared NotifyService at the suppressions collection so every
+// outbound send is checked. Must be registered after mongoDb.
+const suppressionList = {
+  plugin: {
+    name: 'suppression-list',
+    dependencies: ['mongodb'],
+    register: (server, _options) => {
+      notifyService.setSuppressionService(
+        createSuppressionService(server.db, logger)
+      )
+      logger.info('suppression_list.registered')
+    }
+  }
+}
+
+export { suppressionList }
@@ -0,0 +1,30 @@
+import { describe, it, expect, vi } from 'vitest'
+import { suppressionList } from './suppression-list.js'
+import { notifyService } from '../subscribe/services/notify-service.js'
+import { createSuppressionService } from '../subscribe/services/suppression.service.js'
+
+vi.mock('../subscribe/services/notify-service.js', () => ({
+  notifyService: { setSuppressionService: vi.fn() }
+}))
+vi.mock('../subscribe/services/suppression.service.js', () => ({
+  createSuppressionService: vi.fn(() => ({ findSuppression: vi.fn() }))
+}))
+vi.mock('../common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ info: vi.fn(), error: vi.fn() })
+}))
+
+describe('suppressionList plugin', () => {
+  it('should attach a suppression service backed by the server db', () => {
+    const server = { db: { name: 'db' } }
+
+    suppressionList.plugin.register(server, {})
+
+    expect(createSuppressionService).toHaveBeenCalledWith(
+      server.db,
+      expect.any(Object)
+    )
+    expect(notifyService.setSuppressionService).toHaveBeenCalledWith(
+      createSuppressionService.mock.results[0].value
+    )
+  })
+})
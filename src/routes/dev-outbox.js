@@ -0,0 +1,109 @@
+import Boom from '@hapi/boom'
+import Joi from 'joi'
+
+import { SCOPES } from '../common/helpers/api-auth.js'
+import { getFakeNotifyProvider } from '../subscribe/services/notification-provider.js'
+
+// Only registered while notify.provider is 'fake' (never in prod or ext-test)
+const devAuth = { scope: [SCOPES.ADMIN] }
+
+const devOutbox = [
+  {
+    method: 'GET',
+    path: '/dev/outbox',
+    options: {
+      auth: devAuth,
+      validate: {
+        query: Joi.object({
+          type: Joi.string().valid('sms', 'email').optional(),
+          limit: Joi.number().integer().min(1).max(1000).default(50)
+        })
+      }
+    },
+    handler: async (request, h) => {
+      const messages = await getFakeNotifyProvider().listOutbox(request.query)
+      return h.response({ messages })
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/dev/outbox',
+    options: { auth: devAuth },
+    handler: async (_request, h) => {
+      await getFakeNotifyProvider().reset()
+      return h.response().code(204)
+    }
+  },
+  {
+    method: 'POST',
+    path: '/dev/outbox/{notificationId}/status',
+    options: {
+      auth: devAuth,
+      validate: {
+        params: Joi.object({ notificationId: Joi.string().required() }),
+        payload: Joi.object({
+          status: Joi.string()
+            .valid(
+              'created',
+              'sending',
+              'delivered',
+              'permanent-failure',
+              'temporary-failure',
+              'technical-failure'
+            )
+            .required()
+        })
+      }
+    },
+    handler: async (request, h) => {
+      const { notificationId } = request.params
+      const updated = await getFakeNotifyProvider().simulateStatus(
+        notificationId,
+        request.payload.status
+      )
+      if (!updated) {
+        return Boom.notFound('Message not found in the outbox')
+      }
+      return h.response({ notificationId, status: request.payload.status })
+    }
+  },
+  {
+    method: 'POST',
+    path: '/dev/outbox/failures',
+    options: {
+      auth: devAuth,
+      validate: {
+        payload: Joi.object({
+          statusCode: Joi.number().integer().min(400).max(599).default(500),
+          errorType: Joi.string().default('Exception'),
+          message: Joi.string().optional()
+        })
+      }
+    },
+    handler: (request, h) => {
+      getFakeNotifyProvider().failNextSend(request.payload)
+      return h.response({ queued: true }).code(202)
+    }
+  },
+  {
+    method: 'POST',
+    path: '/dev/received-texts',
+    options: {
+      auth: devAuth,
+      validate: {
+        payload: Joi.object({
+          phoneNumber: Joi.string().required(),
+          content: Joi.string().required()
+        })
+      }
+    },
+    handler: async (request, h) => {
+      const text = await getFakeNotifyProvider().injectReceivedText(
+        request.payload
+      )
+      return h.response(text).code(201)
+    }
+  }
+]
+
+export { devOutbox }
@@ -1,7 +1,46 @@
+import { getCircuitBreakerStatuses } from '../common/helpers/circuit-breaker.js'
+import { createLogger } from '../common/helpers/logging/logger.js'
+import {
+  READINESS_STATUS,
+  createReadinessService
+} from '../subscribe/services/readiness.service.js'
+
+const logger = createLogger()
+const HTTP_STATUS_OK = 200
+const HTTP_STATUS_SERVICE_UNAVAILABLE = 503
+
+// Liveness: the process is up. Dependencies are checked by /health/ready.
 const health = {
   method: 'GET',
   path: '/health',
+  options: { auth: false },
   handler: (_request, h) => h.response({ message: 'success' })
 }
 
-export { health }
+// Current state of the breakers guarding Notify and the alert backend
+const circuitBreakerHealth = {
+  method: 'GET',
+  path: '/health/circuit-breakers',
+  options: { auth: false },
+  handler: (_request, h) =>
+    h.response({ circuits: getCircuitBreakerStatuses() })
+}
+
+// Readiness: 503 while MongoDB or Notify is unusable
+const readinessHealth = {
+  method: 'GET',
+  path: '/health/ready',
+  options: { auth: false },
+  handler: async (request, h) => {
+    const readiness = await createReadinessService(request.db, logger).check()
+    if (readiness.status !== READINESS_STATUS.DOWN) {
+      return h.response(readiness).code(HTTP_STATUS_OK)
+    }
+    logger.warn(
+      `readiness.not_ready ${JSON.stringify({ checks: readiness.checks })}`
+    )
+    return h.response(readiness).code(HTTP_STATUS_SERVICE_UNAVAILABLE)
+  }
+}
+
+export { health, circuitBreakerHealth, readinessHealth }
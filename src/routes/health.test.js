@@ -1,5 +1,15 @@
 import { describe, it, expect, vi } from 'vitest'
-import { health } from './health.js'
+import { health, circuitBreakerHealth, readinessHealth } from './health.js'
+
+const mockCheck = vi.fn()
+
+vi.mock(
+  '../subscribe/services/readiness.service.js',
+  async (importOriginal) => ({
+    ...(await importOriginal()),
+    createReadinessService: vi.fn(() => ({ check: mockCheck }))
+  })
+)
 
 // Helper functions to reduce nesting
 function createMockResponse(returnValue) {
@@ -52,4 +62,53 @@ describe('Health Route', () => {
       expect(result).toEqual({ message: 'success' })
     })
   })
+
+  describe('Circuit breaker health', () => {
+    it('should report every known circuit', () => {
+      const mockH = createMockResponse()
+
+      const result = circuitBreakerHealth.handler(createMockRequest(), mockH)
+
+      expect(circuitBreakerHealth.path).toBe('/health/circuit-breakers')
+      expect(Object.keys(result.circuits)).toEqual(
+        expect.arrayContaining(['notify', 'alert-backend'])
+      )
+      expect(result.circuits.notify).toEqual(
+        expect.objectContaining({ state: 'closed' })
+      )
+    })
+  })
+  describe('Readiness', () => {
+    it('should return the breakdown with 200 while ready or degraded', async () => {
+      const readiness = {
+        status: 'degraded',
+        checks: { alertBackend: { status: 'down', critical: false } }
+      }
+      mockCheck.mockResolvedValue(readiness)
+      const mockH = createMockResponseWithCode()
+
+      const result = await readinessHealth.handler({ db: {} }, mockH)
+
+      expect(readinessHealth.path).toBe('/health/ready')
+      expect(readinessHealth.options.auth).toBe(false)
+      expect(result).toEqual(readiness)
+      expect(mockH.response.mock.results[0].value.code).toHaveBeenCalledWith(
+        200
+      )
+    })
+
+    it('should return 503 when a critical dependency is down', async () => {
+      mockCheck.mockResolvedValue({
+        status: 'down',
+        checks: { mongo: { status: 'down', critical: true } }
+      })
+      const mockH = createMockResponseWithCode()
+
+      await readinessHealth.handler({ db: {} }, mockH)
+
+      expect(mockH.response.mock.results[0].value.code).toHaveBeenCalledWith(
+        503
+      )
+    })
+  })
 })
@@ -3,8 +3,13 @@ import Hapi from '@hapi/hapi'
 import { secureContext } from '@defra/hapi-secure-context'
 
 import { config } from './config.js'
+import { auth } from './plugins/auth.js'
+import { fakeNotify } from './plugins/fake-notify.js'
+import { notificationOutboxWorker } from './plugins/notification-outbox-worker.js'
 import { router } from './plugins/router.js'
 import { smsReplyCron } from './plugins/sms-reply-cron.js'
+import { statusReconciliationCron } from './plugins/status-reconciliation-cron.js'
+import { suppressionList } from './plugins/suppression-list.js'
 import { requestLogger } from './common/helpers/logging/request-logger.js'
 import { mongoDb } from './common/helpers/mongodb.js'
 import { failAction } from './common/helpers/fail-action.js'
@@ -46,7 +51,11 @@ async function createServer() {
   // secureContext  - loads CA certificates from environment config
   // pulse          - provides shutdown handlers
   // mongoDb        - sets up mongo connection pool and attaches to `server` and `request` objects
+  // suppressionList - checks every outbound send against the suppressions collection
+  // auth           - API key / JWT authentication and per-route scopes
   // router         - routes used in the app
+  // fakeNotify     - outbox and /dev routes while NOTIFY_PROVIDER=fake
+  // notificationOutboxWorker - sends queued, retried and abandoned /send-notification requests
   await server.register([
     requestLogger,
     requestTracing,
@@ -56,8 +65,13 @@ async function createServer() {
       plugin: mongoDb,
       options: config.get('mongo')
     },
+    suppressionList,
+    auth,
     router,
-    smsReplyCron
+    fakeNotify,
+    smsReplyCron,
+    statusReconciliationCron,
+    notificationOutboxWorker
   ])
 
   return server
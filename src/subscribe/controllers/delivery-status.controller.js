@@ -0,0 +1,88 @@
+import Boom from '@hapi/boom'
+import { generateOperationId } from '../../common/helpers/masking-utils.js'
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { createUserNotificationDetailService } from '../services/user-notification-detail.service.js'
+import {
+  SUPPRESSION_REASON,
+  createSuppressionService
+} from '../services/suppression.service.js'
+
+const logger = createLogger()
+const HTTP_STATUS_OK = 200
+
+// GOV.UK Notify delivery receipt callback
+export async function deliveryStatusCallbackHandler(request, h) {
+  const requestId =
+    request.headers['x-cdp-request-id'] ||
+    request.info.id ||
+    generateOperationId('req')
+  const {
+    id: notificationId,
+    to,
+    status,
+    sent_at: sentAt,
+    completed_at: completedAt,
+    notification_type: notificationType
+  } = request.payload
+
+  logger.info(
+    `notify_callback.delivery_status.received ${JSON.stringify({ requestId, notificationId, status, notificationType })}`
+  )
+
+  try {
+    const userNotificationDetailService = createUserNotificationDetailService(
+      request.db,
+      logger
+    )
+    const { matched } =
+      await userNotificationDetailService.updateDeliveryStatus({
+        notificationId,
+        status,
+        sentAt,
+        completedAt
+      })
+
+    if (status === 'permanent-failure') {
+      await suppressPermanentFailure(request.db, {
+        requestId,
+        notificationId,
+        to,
+        notificationType
+      })
+    }
+
+    // Receipts for notifications we don't track (e.g. OTPs) are acknowledged
+    // so Notify does not keep retrying them
+    return h.response({ received: true, matched }).code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `notify_callback.delivery_status.failed ${JSON.stringify({ requestId, notificationId, status, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to record delivery status')
+  }
+}
+
+// A permanent failure means the number or address does not exist; stop
+// sending to it. The receipt itself is already stored, so a failure here is
+// logged rather than making Notify retry the callback.
+async function suppressPermanentFailure(
+  db,
+  { requestId, notificationId, to, notificationType }
+) {
+  const channel = notificationType || (to?.includes('@') ? 'email' : 'sms')
+  if (!to || !['sms', 'email'].includes(channel)) {
+    return
+  }
+  try {
+    await createSuppressionService(db, logger).suppress({
+      contact: to,
+      channel,
+      reason: SUPPRESSION_REASON.PERMANENT_FAILURE,
+      notificationId
+    })
+  } catch (err) {
+    logger.error(
+      `notify_callback.delivery_status.suppress_failed ${JSON.stringify({ requestId, notificationId, errorName: err.name })}`
+    )
+  }
+}
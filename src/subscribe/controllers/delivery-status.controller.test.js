@@ -0,0 +1,154 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const mockUpdateDeliveryStatus = vi.fn()
+const mockSuppress = vi.fn()
+const mockLogger = {
+  info: vi.fn(),
+  error: vi.fn(),
+  warn: vi.fn(),
+  debug: vi.fn()
+}
+
+vi.mock('../../common/helpers/logging/logger.js', () => ({
+  createLogger: vi.fn(() => mockLogger)
+}))
+
+vi.mock('../services/user-notification-detail.service.js', () => ({
+  createUserNotificationDetailService: vi.fn(() => ({
+    updateDeliveryStatus: mockUpdateDeliveryStatus
+  }))
+}))
+
+vi.mock('../services/suppression.service.js', () => ({
+  SUPPRESSION_REASON: { PERMANENT_FAILURE: 'permanent_failure' },
+  createSuppressionService: vi.fn(() => ({ suppress: mockSuppress }))
+}))
+
+const { deliveryStatusCallbackHandler } = await import(
+  './delivery-status.controller.js'
+)
+
+function makeRequest(payload = {}) {
+  return {
+    db: {},
+    headers: { 'x-cdp-request-id': 'req-123' },
+    info: { id: 'info-1' },
+    payload: {
+      id: 'notif-123',
+      reference: null,
+      to: '+447123456789',
+      status: 'delivered',
+      sent_at: new Date('2025-01-01T10:00:00Z'),
+      completed_at: new Date('2025-01-01T10:00:05Z'),
+      notification_type: 'sms',
+      ...payload
+    }
+  }
+}
+
+function makeH() {
+  const response = { code: vi.fn().mockReturnThis() }
+  return { response: vi.fn(() => response), _response: response }
+}
+
+describe('deliveryStatusCallbackHandler', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should update the stored notification and return 200', async () => {
+    mockUpdateDeliveryStatus.mockResolvedValue({ matched: true })
+    const h = makeH()
+
+    await deliveryStatusCallbackHandler(makeRequest(), h)
+
+    expect(mockUpdateDeliveryStatus).toHaveBeenCalledWith({
+      notificationId: 'notif-123',
+      status: 'delivered',
+      sentAt: new Date('2025-01-01T10:00:00Z'),
+      completedAt: new Date('2025-01-01T10:00:05Z')
+    })
+    expect(h.response).toHaveBeenCalledWith({ received: true, matched: true })
+    expect(h._response.code).toHaveBeenCalledWith(200)
+    expect(mockSuppress).not.toHaveBeenCalled()
+  })
+
+  it('should suppress the recipient on a permanent failure', async () => {
+    mockUpdateDeliveryStatus.mockResolvedValue({ matched: true })
+
+    await deliveryStatusCallbackHandler(
+      makeRequest({ status: 'permanent-failure' }),
+      makeH()
+    )
+
+    expect(mockSuppress).toHaveBeenCalledWith({
+      contact: '+447123456789',
+      channel: 'sms',
+      reason: 'permanent_failure',
+      notificationId: 'notif-123'
+    })
+  })
+
+  it('should still acknowledge the receipt when suppression fails', async () => {
+    mockUpdateDeliveryStatus.mockResolvedValue({ matched: true })
+    mockSuppress.mockRejectedValueOnce(new Error('DB down'))
+    const h = makeH()
+
+    await deliveryStatusCallbackHandler(
+      makeRequest({ status: 'permanent-failure' }),
+      h
+    )
+
+    expect(h._response.code).toHaveBeenCalledWith(200)
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      expect.stringContaining('notify_callback.delivery_status.suppress_failed')
+    )
+  })
+
+  it('should not suppress letters', async () => {
+    mockUpdateDeliveryStatus.mockResolvedValue({ matched: true })
+
+    await deliveryStatusCallbackHandler(
+      makeRequest({
+        status: 'permanent-failure',
+        notification_type: 'letter',
+        to: '1 Street, Town'
+      }),
+      makeH()
+    )
+
+    expect(mockSuppress).not.toHaveBeenCalled()
+  })
+
+  it('should acknowledge receipts for untracked notifications', async () => {
+    mockUpdateDeliveryStatus.mockResolvedValue({ matched: false })
+    const h = makeH()
+
+    await deliveryStatusCallbackHandler(makeRequest(), h)
+
+    expect(h.response).toHaveBeenCalledWith({ received: true, matched: false })
+    expect(h._response.code).toHaveBeenCalledWith(200)
+  })
+
+  it('should not log the recipient', async () => {
+    mockUpdateDeliveryStatus.mockResolvedValue({ matched: true })
+
+    await deliveryStatusCallbackHandler(makeRequest(), makeH())
+
+    const logLine = mockLogger.info.mock.calls[0][0]
+    expect(logLine).toContain('notify_callback.delivery_status.received')
+    expect(logLine).not.toContain('+447123456789')
+  })
+
+  it('should return 500 so Notify retries when the update fails', async () => {
+    mockUpdateDeliveryStatus.mockRejectedValue(new Error('DB down'))
+
+    const result = await deliveryStatusCallbackHandler(makeRequest(), makeH())
+
+    expect(result.isBoom).toBe(true)
+    expect(result.output.statusCode).toBe(500)
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      expect.stringContaining('notify_callback.delivery_status.failed')
+    )
+  })
+})
@@ -1,10 +1,18 @@
 import Boom from '@hapi/boom'
 import { createNotificationService } from '../services/notify-service.js'
 import { createEmailVerificationService } from '../services/email-verification.service.js'
+import { createSendRateLimitService } from '../services/send-rate-limit.service.js'
 import { config } from '../../config.js'
 import { randomUUID } from 'node:crypto'
 import { maskEmail, maskUuid } from '../../common/helpers/masking-utils.js'
 import { createLogger } from '../../common/helpers/logging/logger.js'
+import { buildTooManyRequestsResponse } from '../../common/helpers/too-many-requests.js'
+import { METRIC, metricsCounter } from '../../common/helpers/metrics.js'
+import { withIdempotency } from '../services/idempotency.service.js'
+import {
+  findTemplateAlias,
+  resolveTemplateId
+} from '../services/template-language.js'
 
 const logger = createLogger()
 const HTTP_STATUS_CREATED = 201
@@ -21,6 +29,16 @@ function buildLinkResponse(uuid) {
 }
 
 async function generateLinkHandler(request, h) {
+  return withIdempotency(
+    request,
+    h,
+    'generate-link',
+    (reference) => generateLink(request, h, reference),
+    logger
+  )
+}
+
+async function generateLink(request, h, reference) {
   const requestId =
     request.headers['x-cdp-request-id'] ||
     request.info.id ||
@@ -31,34 +49,62 @@ async function generateLinkHandler(request, h) {
   )
 
   try {
-    const { emailAddress, alertType, location, lat, long } = request.payload
+    const { emailAddress, alertType, location, lat, long, language } =
+      request.payload
 
     const emailVerificationService = await createEmailVerificationService(
       request.db,
       logger
     )
+
+    const sendRateLimitService = createSendRateLimitService(request.db, logger)
+    const rateLimit = await sendRateLimitService.checkAndRecord(
+      emailVerificationService.normalizeEmail(emailAddress),
+      'email'
+    )
+    if (!rateLimit.allowed) {
+      logger.warn(
+        `email.generate_link.rate_limited ${JSON.stringify({ requestId, emailAddress: maskEmail(emailAddress), reason: rateLimit.reason, retryAfterSeconds: rateLimit.retryAfterSeconds })}`
+      )
+      return buildTooManyRequestsResponse(h, {
+        message: 'Too many verification link requests',
+        errorCode: 'rate_limited',
+        retryAfterSeconds: rateLimit.retryAfterSeconds,
+        extra: { reason: rateLimit.reason }
+      })
+    }
+
     const result = await emailVerificationService.storeVerificationDetails(
       emailAddress,
       alertType,
       location,
       lat,
-      long
+      long,
+      undefined,
+      language
     )
+    const templateId = resolveTemplateId('notify.emailTemplateId', language)
+    metricsCounter(METRIC.EMAIL_LINK_GENERATED, 1, {
+      templateAlias: findTemplateAlias(templateId)
+    })
 
     try {
       const notificationService = createNotificationService()
       const { notificationId } = await notificationService.sendEmail(
         emailAddress,
-        config.get('notify.emailTemplateId'),
+        templateId,
         {
           verification_link: result.verificationLink,
           location,
           alert_type: alertType
-        }
+        },
+        requestId,
+        reference,
+        { transactional: true }
       )
 
       logger.info(
-        `email.generate_link.success ${JSON.stringify({ requestId, emailAddress: maskEmail(emailAddress), uuid: maskUuid(result.uuid), notificationId })}`
+        `email.generate_link.success ${JSON.stringify({ requestId, emailAddress: maskEmail(emailAddress), uuid: maskUuid(result.uuid), notificationId, language })}`
       )
 
       return h
@@ -2,6 +2,7 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest'
 import { generateLinkHandler } from './email-verification.controller.js'
 import { config } from '../../config.js'
+import { metricsCounter } from '../../common/helpers/metrics.js'
 
 // ------------------------------------------------------------
 // MOCKS — Declared BEFORE SUT import to avoid hoisting errors
@@ -15,6 +16,7 @@ vi.mock('crypto', () => ({
 // EXPORTABLE mock handles so tests can reference them
 export const mockStoreVerificationDetails = vi.fn()
 export const mockSendEmail = vi.fn()
+export const mockCheckAndRecord = vi.fn()
 
 // Mock logger
 const { mockLogger } = vi.hoisted(() => ({
@@ -32,6 +34,7 @@ const { mockConfigGet } = vi.hoisted(() => ({
   mockConfigGet(useMockValue = false) {
     const values = {
       'notify.emailTemplateId': 'tmpl-123',
+      'notify.welsh.emailTemplateId': 'tmpl-cy',
       useMock: useMockValue
     }
     return (key) => values[key] ?? null
@@ -45,10 +48,23 @@ vi.mock('../../common/helpers/logging/logger.js', () => ({
 // Mock email-verification service
 vi.mock('../services/email-verification.service.js', () => ({
   createEmailVerificationService: vi.fn(() => ({
-    storeVerificationDetails: mockStoreVerificationDetails
+    storeVerificationDetails: mockStoreVerificationDetails,
+    normalizeEmail: (emailAddress) => emailAddress.toLowerCase()
   }))
 }))
 
+// Mock send rate limiter
+vi.mock('../services/send-rate-limit.service.js', () => ({
+  createSendRateLimitService: vi.fn(() => ({
+    checkAndRecord: mockCheckAndRecord
+  }))
+}))
+
+vi.mock('../../common/helpers/metrics.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  metricsCounter: vi.fn()
+}))
+
 // Mock notification service
 vi.mock('../services/notify-service.js', () => ({
   createNotificationService: vi.fn(() => ({
@@ -109,6 +125,51 @@ const SOURCE_MSG = 'Link has been sent to email'
 describe('generateLinkHandler', () => {
   beforeEach(() => {
     vi.clearAllMocks()
+    mockCheckAndRecord.mockResolvedValue({ allowed: true })
+  })
+
+  // ---------------------------------------
+  // RATE LIMITED: 429 + Retry-After, nothing stored or sent
+  // ---------------------------------------
+  it('rate limited → returns 429 with Retry-After and skips store/send', async () => {
+    const request = makeBaseRequest({
+      payload: { emailAddress: 'User@Example.com' }
+    })
+    const header = vi.fn()
+    const h = {
+      response: (payload) => {
+        const res = {
+          header: (...args) => {
+            header(...args)
+            return res
+          },
+          code: (status) => ({ statusCode: status, source: payload })
+        }
+        return res
+      }
+    }
+
+    mockCheckAndRecord.mockResolvedValueOnce({
+      allowed: false,
+      reason: 'min_interval',
+      retryAfterSeconds: 42
+    })
+
+    const res = await generateLinkHandler(request, h)
+
+    expect(mockCheckAndRecord).toHaveBeenCalledWith('user@example.com', 'email')
+    expect(res.statusCode).toBe(429)
+    expect(res.source).toEqual({
+      statusCode: 429,
+      error: 'Too Many Requests',
+      message: 'Too many verification link requests',
+      errorCode: 'rate_limited',
+      retryAfterSeconds: 42,
+      reason: 'min_interval'
+    })
+    expect(header).toHaveBeenCalledWith('Retry-After', '42')
+    expect(mockStoreVerificationDetails).not.toHaveBeenCalled()
+    expect(mockSendEmail).not.toHaveBeenCalled()
   })
 
   // ---------------------------------------
@@ -140,6 +201,8 @@ describe('generateLinkHandler', () => {
 
     // Service call
     expect(mockStoreVerificationDetails).toHaveBeenCalled()
+    // Verification emails bypass the suppression list
+    expect(mockSendEmail.mock.calls[0][5]).toEqual({ transactional: true })
 
     // Logs
     const logs = mockLogger.info.mock.calls.map((c) => c[0])
@@ -153,6 +216,39 @@ describe('generateLinkHandler', () => {
     )
     expect(successLog).toContain('"requestId":"RID-123"')
     expect(successLog).toContain('"notificationId":"notif-001"')
+
+    // Metrics
+    expect(metricsCounter).toHaveBeenCalledWith('EmailLinkGenerated', 1, {
+      templateAlias: 'email-verification'
+    })
+  })
+
+  // ---------------------------------------
+  // WELSH: language stored and Welsh template sent
+  // ---------------------------------------
+  it('language cy → stores the language and sends the Welsh template', async () => {
+    const request = makeBaseRequest({ payload: { language: 'cy' } })
+
+    mockStoreVerificationDetails.mockResolvedValueOnce({
+      uuid: '12345678-abcdef99',
+      success: true,
+      verificationLink: 'https://verify/link/abc'
+    })
+    mockSendEmail.mockResolvedValueOnce({ notificationId: 'notif-cy' })
+
+    const res = await generateLinkHandler(request, makeH())
+
+    expect(res.statusCode).toBe(STATUS_CODE_201)
+    expect(mockStoreVerificationDetails).toHaveBeenCalledWith(
+      'user1234567@example.com',
+      'daily',
+      'London',
+      51.501,
+      -0.141,
+      undefined,
+      'cy'
+    )
+    expect(mockSendEmail.mock.calls[0][1]).toBe('tmpl-cy')
   })
 
   // ---------------------------------------
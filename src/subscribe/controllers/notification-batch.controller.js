@@ -0,0 +1,209 @@
+import Boom from '@hapi/boom'
+import { config } from '../../config.js'
+import {
+  generateOperationId,
+  maskTemplateId
+} from '../../common/helpers/masking-utils.js'
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import {
+  buildServiceRejectedResponse,
+  buildTemplateRejectedResponse
+} from '../../common/helpers/send-rejected.js'
+import { createNotificationBatchService } from '../services/notification-batch.service.js'
+import { createNotifyServiceRegistry } from '../services/notify-service-registry.service.js'
+import { createTemplateRegistryService } from '../services/template-registry.service.js'
+import { translateTemplateId } from '../services/template-language.js'
+
+const logger = createLogger()
+const HTTP_STATUS_OK = 200
+const HTTP_STATUS_ACCEPTED = 202
+
+function getRequestId(request) {
+  return (
+    request.headers['x-cdp-request-id'] ||
+    request.info.id ||
+    generateOperationId('req')
+  )
+}
+
+/**
+ * Template id, language and channel each recipient is sent with
+ * @param {object} payload - Validated batch request
+ * @returns {object[]} - Recipients with templateId, language and channel
+ */
+function resolveRecipients({ templateId, language, recipients }) {
+  return recipients.map((recipient) => {
+    const recipientLanguage = recipient.language ?? language
+    const translation = translateTemplateId(templateId, recipientLanguage)
+    return {
+      ...recipient,
+      templateId: translation.templateId,
+      translated: translation.translated,
+      language: recipientLanguage,
+      channel: recipient.phoneNumber ? 'sms' : 'email'
+    }
+  })
+}
+
+/**
+ * Check every recipient against the template registry, as /send-notification
+ * does for one. Recipients sharing a template, channel, language and
+ * personalisation keys are checked once.
+ * @returns {Promise<object>} - { valid: true } with templateAlias set on each
+ *   recipient, or the first rejection with its recipientIndex
+ */
+async function validateRecipients(db, personalisation, recipients) {
+  const templateRegistry = createTemplateRegistryService(db, logger)
+  const checks = new Map()
+  for (const [index, recipient] of recipients.entries()) {
+    const merged = { ...personalisation, ...recipient.personalisation }
+    const key = [
+      recipient.templateId,
+      recipient.channel,
+      recipient.language,
+      recipient.translated,
+      ...Object.keys(merged).sort()
+    ].join('|')
+    if (!checks.has(key)) {
+      checks.set(
+        key,
+        await templateRegistry.validateSend({
+          templateId: recipient.templateId,
+          channel: recipient.channel,
+          personalisation: merged,
+          language: recipient.language,
+          translated: recipient.translated
+        })
+      )
+    }
+    const check = checks.get(key)
+    if (!check.valid) {
+      return { ...check, recipientIndex: index }
+    }
+    recipient.templateAlias = check.template.alias
+  }
+  return { valid: true }
+}
+
+export async function sendNotificationBatchHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { alertId, serviceId, personalisation } = request.payload
+
+  logger.info(
+    `notification_batch.requested ${JSON.stringify({ requestId, alertId, recipients: request.payload.recipients.length })}`
+  )
+
+  try {
+    const registry = createNotifyServiceRegistry(request.db, logger)
+    const selected = await registry.selectService({
+      serviceId,
+      credentials: request.auth.credentials
+    })
+    if (!selected.allowed) {
+      return buildServiceRejectedResponse(h, selected)
+    }
+    const { service } = selected
+
+    const recipients = resolveRecipients(request.payload)
+    if (config.get('notify.templateRegistry.enabled')) {
+      const check = await validateRecipients(
+        request.db,
+        personalisation,
+        recipients
+      )
+      if (!check.valid) {
+        logger.warn(
+          `notification_batch.template_rejected ${JSON.stringify({ requestId, alertId, recipientIndex: check.recipientIndex, errorCode: check.errorCode })}`
+        )
+        const error = buildTemplateRejectedResponse(check)
+        error.output.payload.recipientIndex = check.recipientIndex
+        return error
+      }
+    }
+
+    // Allow-list only: each send counts against the service's budget when
+    // the outbox makes it
+    for (const templateId of new Set(recipients.map((r) => r.templateId))) {
+      const serviceCheck = registry.checkTemplate(service, templateId)
+      if (!serviceCheck.allowed) {
+        logger.warn(
+          `notification_batch.service_rejected ${JSON.stringify({ requestId, alertId, serviceId: service.serviceId, templateId: maskTemplateId(templateId), errorCode: serviceCheck.errorCode })}`
+        )
+        return buildServiceRejectedResponse(h, serviceCheck)
+      }
+    }
+
+    const batchService = createNotificationBatchService(request.db, logger)
+    const batch = await batchService.createBatch({
+      ...request.payload,
+      serviceId: service.serviceId,
+      recipients
+    })
+
+    // The outbox worker sends the recipients; progress is read via GET. A
+    // batch not enqueued here is picked up by the worker's resume step.
+    try {
+      await batchService.enqueueBatch(batch.batchId)
+    } catch (err) {
+      logger.error(
+        `notification_batch.enqueue.failed ${JSON.stringify({ requestId, batchId: batch.batchId, error: err.message, errorName: err.name })}`
+      )
+    }
+
+    return h.response(batch).code(HTTP_STATUS_ACCEPTED)
+  } catch (err) {
+    logger.error(
+      `notification_batch.create.failed ${JSON.stringify({ requestId, alertId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to create notification batch')
+  }
+}
+
+export async function getNotificationBatchHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { batchId } = request.params
+
+  try {
+    const batchService = createNotificationBatchService(request.db, logger)
+    const batch = await batchService.getBatch(batchId)
+
+    if (!batch) {
+      return Boom.notFound('Batch not found')
+    }
+
+    return h.response(batch).code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `notification_batch.get.failed ${JSON.stringify({ requestId, batchId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to get notification batch')
+  }
+}
+
+export async function listBatchRecipientsHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { batchId } = request.params
+  const { status, limit, cursor } = request.query
+
+  try {
+    const batchService = createNotificationBatchService(request.db, logger)
+    const batch = await batchService.getBatch(batchId)
+
+    if (!batch) {
+      return Boom.notFound('Batch not found')
+    }
+
+    const result = await batchService.listRecipients({
+      batchId,
+      status,
+      limit,
+      cursor
+    })
+    return h.response(result).code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `notification_batch.list_recipients.failed ${JSON.stringify({ requestId, batchId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to list batch recipients')
+  }
+}
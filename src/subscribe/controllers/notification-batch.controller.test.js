@@ -0,0 +1,394 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { config } from '../../config.js'
+
+const mockSelectService = vi.fn()
+const mockCheckTemplate = vi.fn()
+const mockValidateSend = vi.fn()
+const mockCreateBatch = vi.fn()
+const mockEnqueueBatch = vi.fn()
+const mockGetBatch = vi.fn()
+const mockListRecipients = vi.fn()
+const mockLogger = {
+  info: vi.fn(),
+  error: vi.fn(),
+  warn: vi.fn(),
+  debug: vi.fn()
+}
+
+vi.mock('../../common/helpers/logging/logger.js', () => ({
+  createLogger: vi.fn(() => mockLogger)
+}))
+
+vi.mock('../services/notification-batch.service.js', () => ({
+  createNotificationBatchService: vi.fn(() => ({
+    createBatch: mockCreateBatch,
+    enqueueBatch: mockEnqueueBatch,
+    getBatch: mockGetBatch,
+    listRecipients: mockListRecipients
+  }))
+}))
+
+vi.mock('../services/notify-service-registry.service.js', () => ({
+  NOTIFY_SERVICE_ERROR: {
+    SERVICE_FORBIDDEN: 'service_forbidden',
+    TEMPLATE_NOT_ALLOWED: 'template_not_allowed',
+    RATE_LIMITED: 'service_rate_limited'
+  },
+  createNotifyServiceRegistry: vi.fn(() => ({
+    selectService: mockSelectService,
+    checkTemplate: mockCheckTemplate
+  }))
+}))
+
+vi.mock('../services/template-registry.service.js', () => ({
+  createTemplateRegistryService: vi.fn(() => ({
+    validateSend: mockValidateSend
+  }))
+}))
+
+const {
+  sendNotificationBatchHandler,
+  getNotificationBatchHandler,
+  listBatchRecipientsHandler
+} = await import('./notification-batch.controller.js')
+
+function makeRequest({ payload, params = {}, query = {} } = {}) {
+  return {
+    db: {},
+    auth: { credentials: { clientId: 'alerts', scope: ['notify:send'] } },
+    headers: { 'x-cdp-request-id': 'req-123' },
+    info: { id: 'info-1' },
+    payload,
+    params,
+    query
+  }
+}
+
+function makeH() {
+  const response = { code: vi.fn().mockReturnThis() }
+  return { response: vi.fn(() => response), _response: response }
+}
+
+const payload = {
+  alertId: 'alert-1',
+  templateId: 'tpl-1',
+  personalisation: {},
+  language: 'en',
+  recipients: [{ phoneNumber: '+447700900111', personalisation: {} }]
+}
+
+describe('notification batch handlers', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockSelectService.mockResolvedValue({
+      allowed: true,
+      service: { serviceId: 'default' }
+    })
+    mockCheckTemplate.mockReturnValue({ allowed: true })
+    mockValidateSend.mockResolvedValue({
+      valid: true,
+      template: { alias: 'flood-alert' }
+    })
+  })
+
+  describe('sendNotificationBatchHandler', () => {
+    it('should return 202 with the batch id once it is in the outbox', async () => {
+      const batch = { batchId: 'b1', status: 'queued', total: 1 }
+      mockCreateBatch.mockResolvedValue(batch)
+      mockEnqueueBatch.mockResolvedValue(1)
+      const h = makeH()
+
+      await sendNotificationBatchHandler(makeRequest({ payload }), h)
+
+      expect(mockCreateBatch).toHaveBeenCalledWith({
+        ...payload,
+        serviceId: 'default',
+        recipients: [
+          {
+            phoneNumber: '+447700900111',
+            personalisation: {},
+            templateId: 'tpl-1',
+            translated: false,
+            language: 'en',
+            channel: 'sms'
+          }
+        ]
+      })
+      expect(mockEnqueueBatch).toHaveBeenCalledWith('b1')
+      expect(h.response).toHaveBeenCalledWith(batch)
+      expect(h._response.code).toHaveBeenCalledWith(202)
+    })
+
+    it('should still accept a stored batch the outbox could not take yet', async () => {
+      mockCreateBatch.mockResolvedValue({ batchId: 'b1' })
+      mockEnqueueBatch.mockRejectedValue(new Error('DB down'))
+      const h = makeH()
+
+      await sendNotificationBatchHandler(makeRequest({ payload }), h)
+
+      expect(h._response.code).toHaveBeenCalledWith(202)
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.stringContaining('notification_batch.enqueue.failed')
+      )
+    })
+
+    it('should return 500 when the batch cannot be stored', async () => {
+      mockCreateBatch.mockRejectedValue(new Error('DB down'))
+
+      const result = await sendNotificationBatchHandler(
+        makeRequest({ payload }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(500)
+      expect(mockEnqueueBatch).not.toHaveBeenCalled()
+    })
+
+    describe('Notify service', () => {
+      it('should send through the service the caller selects', async () => {
+        mockCreateBatch.mockResolvedValue({ batchId: 'b1' })
+        mockSelectService.mockResolvedValue({
+          allowed: true,
+          service: { serviceId: 'alerts' }
+        })
+        const request = makeRequest({
+          payload: { ...payload, serviceId: 'alerts' }
+        })
+
+        await sendNotificationBatchHandler(request, makeH())
+
+        expect(mockSelectService).toHaveBeenCalledWith({
+          serviceId: 'alerts',
+          credentials: request.auth.credentials
+        })
+        expect(mockCheckTemplate).toHaveBeenCalledWith(
+          { serviceId: 'alerts' },
+          'tpl-1'
+        )
+        expect(mockCreateBatch).toHaveBeenCalledWith(
+          expect.objectContaining({ serviceId: 'alerts' })
+        )
+      })
+
+      it('should return 403 for a service the caller may not use', async () => {
+        mockSelectService.mockResolvedValue({
+          allowed: false,
+          errorCode: 'service_forbidden',
+          message: 'Client may not send through Notify service: alerts'
+        })
+
+        const result = await sendNotificationBatchHandler(
+          makeRequest({ payload: { ...payload, serviceId: 'alerts' } }),
+          makeH()
+        )
+
+        expect(result.output.statusCode).toBe(403)
+        expect(result.output.payload.errorCode).toBe('service_forbidden')
+        expect(mockCreateBatch).not.toHaveBeenCalled()
+      })
+
+      it('should return 400 for a template the service does not allow', async () => {
+        mockCheckTemplate.mockReturnValue({
+          allowed: false,
+          errorCode: 'template_not_allowed',
+          message: 'Template is not allowed for Notify service: default'
+        })
+
+        const result = await sendNotificationBatchHandler(
+          makeRequest({ payload }),
+          makeH()
+        )
+
+        expect(result.output.statusCode).toBe(400)
+        expect(result.output.payload.errorCode).toBe('template_not_allowed')
+        expect(mockCreateBatch).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('Language', () => {
+      beforeEach(() => {
+        config.set('notify.welsh.templateMap', ['tpl-1:tpl-1-cy'])
+      })
+
+      afterEach(() => {
+        config.set('notify.welsh.templateMap', [])
+      })
+
+      it('should send each recipient the template for its language', async () => {
+        mockCreateBatch.mockResolvedValue({ batchId: 'b1' })
+
+        await sendNotificationBatchHandler(
+          makeRequest({
+            payload: {
+              ...payload,
+              recipients: [
+                { phoneNumber: '+447700900111', personalisation: {} },
+                {
+                  phoneNumber: '+447700900222',
+                  personalisation: {},
+                  language: 'cy'
+                }
+              ]
+            }
+          }),
+          makeH()
+        )
+
+        const { recipients } = mockCreateBatch.mock.calls[0][0]
+        expect(recipients.map((r) => [r.templateId, r.language])).toEqual([
+          ['tpl-1', 'en'],
+          ['tpl-1-cy', 'cy']
+        ])
+        expect(mockCheckTemplate).toHaveBeenCalledWith(
+          { serviceId: 'default' },
+          'tpl-1-cy'
+        )
+      })
+    })
+
+    describe('Template registry', () => {
+      beforeEach(() => {
+        config.set('notify.templateRegistry.enabled', true)
+      })
+
+      afterEach(() => {
+        config.set('notify.templateRegistry.enabled', false)
+      })
+
+      it('should check recipients sharing a template and keys once', async () => {
+        mockCreateBatch.mockResolvedValue({ batchId: 'b1' })
+
+        await sendNotificationBatchHandler(
+          makeRequest({
+            payload: {
+              ...payload,
+              personalisation: { area: 'Thames' },
+              recipients: [
+                { phoneNumber: '+447700900111', personalisation: {} },
+                { phoneNumber: '+447700900222', personalisation: {} }
+              ]
+            }
+          }),
+          makeH()
+        )
+
+        expect(mockValidateSend).toHaveBeenCalledTimes(1)
+        expect(mockValidateSend).toHaveBeenCalledWith({
+          templateId: 'tpl-1',
+          channel: 'sms',
+          personalisation: { area: 'Thames' },
+          language: 'en',
+          translated: false
+        })
+        const { recipients } = mockCreateBatch.mock.calls[0][0]
+        expect(recipients.map((r) => r.templateAlias)).toEqual([
+          'flood-alert',
+          'flood-alert'
+        ])
+      })
+
+      it('should return 400 naming the first recipient the template rejects', async () => {
+        mockValidateSend
+          .mockResolvedValueOnce({
+            valid: true,
+            template: { alias: 'flood-alert' }
+          })
+          .mockResolvedValueOnce({
+            valid: false,
+            errorCode: 'channel_mismatch',
+            message: 'Template is for sms but the recipient is an email address'
+          })
+
+        const result = await sendNotificationBatchHandler(
+          makeRequest({
+            payload: {
+              ...payload,
+              recipients: [
+                { phoneNumber: '+447700900111', personalisation: {} },
+                { emailAddress: 'a@example.com', personalisation: {} }
+              ]
+            }
+          }),
+          makeH()
+        )
+
+        expect(result.output.statusCode).toBe(400)
+        expect(result.output.payload.errorCode).toBe('channel_mismatch')
+        expect(result.output.payload.recipientIndex).toBe(1)
+        expect(mockCreateBatch).not.toHaveBeenCalled()
+      })
+    })
+  })
+
+  describe('getNotificationBatchHandler', () => {
+    it('should return the batch', async () => {
+      mockGetBatch.mockResolvedValue({ batchId: 'b1', submitted: 3 })
+      const h = makeH()
+
+      await getNotificationBatchHandler(
+        makeRequest({ params: { batchId: 'b1' } }),
+        h
+      )
+
+      expect(h.response).toHaveBeenCalledWith({ batchId: 'b1', submitted: 3 })
+    })
+
+    it('should return 404 for an unknown batch', async () => {
+      mockGetBatch.mockResolvedValue(null)
+
+      const result = await getNotificationBatchHandler(
+        makeRequest({ params: { batchId: 'b1' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(404)
+    })
+  })
+
+  describe('listBatchRecipientsHandler', () => {
+    it('should return per-recipient results', async () => {
+      const page = { recipients: [], nextCursor: null }
+      mockGetBatch.mockResolvedValue({ batchId: 'b1' })
+      mockListRecipients.mockResolvedValue(page)
+      const h = makeH()
+
+      await listBatchRecipientsHandler(
+        makeRequest({
+          params: { batchId: 'b1' },
+          query: { status: 'failed', limit: 50 }
+        }),
+        h
+      )
+
+      expect(mockListRecipients).toHaveBeenCalledWith({
+        batchId: 'b1',
+        status: 'failed',
+        limit: 50,
+        cursor: undefined
+      })
+      expect(h.response).toHaveBeenCalledWith(page)
+    })
+
+    it('should return 404 for an unknown batch', async () => {
+      mockGetBatch.mockResolvedValue(null)
+
+      const result = await listBatchRecipientsHandler(
+        makeRequest({ params: { batchId: 'b1' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(404)
+    })
+
+    it('should return 500 when the query fails', async () => {
+      mockGetBatch.mockRejectedValue(new Error('DB down'))
+
+      const result = await listBatchRecipientsHandler(
+        makeRequest({ params: { batchId: 'b1' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(500)
+    })
+  })
+})
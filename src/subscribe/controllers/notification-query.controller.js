@@ -0,0 +1,120 @@
+import Boom from '@hapi/boom'
+import { generateOperationId } from '../../common/helpers/masking-utils.js'
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { createUserNotificationDetailService } from '../services/user-notification-detail.service.js'
+import { createNotificationOutboxService } from '../services/notification-outbox.service.js'
+
+const logger = createLogger()
+const HTTP_STATUS_OK = 200
+
+function getRequestId(request) {
+  return (
+    request.headers['x-cdp-request-id'] ||
+    request.info.id ||
+    generateOperationId('req')
+  )
+}
+
+export async function listNotificationsHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { alertId, status, limit, cursor } = request.query
+
+  try {
+    const userNotificationDetailService = createUserNotificationDetailService(
+      request.db,
+      logger
+    )
+    const result = await userNotificationDetailService.listByAlertId({
+      alertId,
+      statuses: status,
+      limit,
+      cursor
+    })
+
+    if (result.error) {
+      return Boom.badRequest(result.error)
+    }
+
+    logger.info(
+      `notification.list.success ${JSON.stringify({ requestId, alertId, status, count: result.notifications.length, hasMore: Boolean(result.nextCursor) })}`
+    )
+
+    return h.response(result).code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `notification.list.failed ${JSON.stringify({ requestId, alertId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to list notifications')
+  }
+}
+
+export async function getNotificationHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { notificationId } = request.params
+
+  try {
+    const userNotificationDetailService = createUserNotificationDetailService(
+      request.db,
+      logger
+    )
+    const notification =
+      await userNotificationDetailService.getByNotificationId(notificationId)
+
+    if (!notification) {
+      return Boom.notFound('Notification not found')
+    }
+
+    return h.response(notification).code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `notification.get.failed ${JSON.stringify({ requestId, notificationId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to get notification')
+  }
+}
+
+export async function getNotificationRequestHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { outboxId } = request.params
+
+  try {
+    const outboxService = createNotificationOutboxService(request.db, logger)
+    const notificationRequest = await outboxService.getRequest(outboxId)
+
+    if (!notificationRequest) {
+      return Boom.notFound('Notification request not found')
+    }
+
+    return h.response(notificationRequest).code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `notification.request.get.failed ${JSON.stringify({ requestId, outboxId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to get notification request')
+  }
+}
+
+export async function deliverySummaryHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { alertId } = request.params
+
+  try {
+    const userNotificationDetailService = createUserNotificationDetailService(
+      request.db,
+      logger
+    )
+    const summary =
+      await userNotificationDetailService.getDeliverySummary(alertId)
+
+    logger.info(
+      `notification.delivery_summary.success ${JSON.stringify({ requestId, alertId, total: summary.total })}`
+    )
+
+    return h.response(summary).code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `notification.delivery_summary.failed ${JSON.stringify({ requestId, alertId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to build delivery summary')
+  }
+}
@@ -0,0 +1,211 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const mockListByAlertId = vi.fn()
+const mockGetByNotificationId = vi.fn()
+const mockGetDeliverySummary = vi.fn()
+const mockGetRequest = vi.fn()
+const mockLogger = {
+  info: vi.fn(),
+  error: vi.fn(),
+  warn: vi.fn(),
+  debug: vi.fn()
+}
+
+vi.mock('../../common/helpers/logging/logger.js', () => ({
+  createLogger: vi.fn(() => mockLogger)
+}))
+
+vi.mock('../services/user-notification-detail.service.js', () => ({
+  createUserNotificationDetailService: vi.fn(() => ({
+    listByAlertId: mockListByAlertId,
+    getByNotificationId: mockGetByNotificationId,
+    getDeliverySummary: mockGetDeliverySummary
+  }))
+}))
+
+vi.mock('../services/notification-outbox.service.js', () => ({
+  createNotificationOutboxService: vi.fn(() => ({
+    getRequest: mockGetRequest
+  }))
+}))
+
+const {
+  listNotificationsHandler,
+  getNotificationHandler,
+  getNotificationRequestHandler,
+  deliverySummaryHandler
+} = await import('./notification-query.controller.js')
+
+function makeRequest({ query = {}, params = {} } = {}) {
+  return {
+    db: {},
+    headers: { 'x-cdp-request-id': 'req-123' },
+    info: { id: 'info-1' },
+    query,
+    params
+  }
+}
+
+function makeH() {
+  const response = { code: vi.fn().mockReturnThis() }
+  return { response: vi.fn(() => response), _response: response }
+}
+
+describe('notification query handlers', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('listNotificationsHandler', () => {
+    it('should return a page of notifications', async () => {
+      const page = {
+        notifications: [{ notificationId: 'n1' }],
+        nextCursor: 'abc'
+      }
+      mockListByAlertId.mockResolvedValue(page)
+      const h = makeH()
+
+      await listNotificationsHandler(
+        makeRequest({
+          query: { alertId: 'alert-1', status: ['delivered'], limit: 20 }
+        }),
+        h
+      )
+
+      expect(mockListByAlertId).toHaveBeenCalledWith({
+        alertId: 'alert-1',
+        statuses: ['delivered'],
+        limit: 20,
+        cursor: undefined
+      })
+      expect(h.response).toHaveBeenCalledWith(page)
+      expect(h._response.code).toHaveBeenCalledWith(200)
+    })
+
+    it('should return 400 for an invalid cursor', async () => {
+      mockListByAlertId.mockResolvedValue({ error: 'Invalid cursor' })
+
+      const result = await listNotificationsHandler(
+        makeRequest({ query: { alertId: 'alert-1', cursor: 'bad' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(400)
+    })
+
+    it('should return 500 when the query fails', async () => {
+      mockListByAlertId.mockRejectedValue(new Error('DB down'))
+
+      const result = await listNotificationsHandler(
+        makeRequest({ query: { alertId: 'alert-1' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(500)
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.stringContaining('notification.list.failed')
+      )
+    })
+  })
+
+  describe('getNotificationHandler', () => {
+    it('should return the notification', async () => {
+      mockGetByNotificationId.mockResolvedValue({ notificationId: 'n1' })
+      const h = makeH()
+
+      await getNotificationHandler(
+        makeRequest({ params: { notificationId: 'n1' } }),
+        h
+      )
+
+      expect(h.response).toHaveBeenCalledWith({ notificationId: 'n1' })
+    })
+
+    it('should return 404 for an unknown notification', async () => {
+      mockGetByNotificationId.mockResolvedValue(null)
+
+      const result = await getNotificationHandler(
+        makeRequest({ params: { notificationId: 'missing' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(404)
+    })
+
+    it('should return 500 when the lookup fails', async () => {
+      mockGetByNotificationId.mockRejectedValue(new Error('DB down'))
+
+      const result = await getNotificationHandler(
+        makeRequest({ params: { notificationId: 'n1' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(500)
+    })
+  })
+
+  describe('getNotificationRequestHandler', () => {
+    it('should return the outbox request', async () => {
+      const notificationRequest = { outboxId: 'o1', status: 'pending' }
+      mockGetRequest.mockResolvedValue(notificationRequest)
+      const h = makeH()
+
+      await getNotificationRequestHandler(
+        makeRequest({ params: { outboxId: 'o1' } }),
+        h
+      )
+
+      expect(mockGetRequest).toHaveBeenCalledWith('o1')
+      expect(h.response).toHaveBeenCalledWith(notificationRequest)
+    })
+
+    it('should return 404 for an unknown request', async () => {
+      mockGetRequest.mockResolvedValue(null)
+
+      const result = await getNotificationRequestHandler(
+        makeRequest({ params: { outboxId: 'missing' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(404)
+    })
+
+    it('should return 500 when the lookup fails', async () => {
+      mockGetRequest.mockRejectedValue(new Error('DB down'))
+
+      const result = await getNotificationRequestHandler(
+        makeRequest({ params: { outboxId: 'o1' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(500)
+    })
+  })
+
+  describe('deliverySummaryHandler', () => {
+    it('should return the summary', async () => {
+      const summary = { alertId: 'alert-1', total: 0, byStatus: {} }
+      mockGetDeliverySummary.mockResolvedValue(summary)
+      const h = makeH()
+
+      await deliverySummaryHandler(
+        makeRequest({ params: { alertId: 'alert-1' } }),
+        h
+      )
+
+      expect(mockGetDeliverySummary).toHaveBeenCalledWith('alert-1')
+      expect(h.response).toHaveBeenCalledWith(summary)
+    })
+
+    it('should return 500 when the aggregation fails', async () => {
+      mockGetDeliverySummary.mockRejectedValue(new Error('DB down'))
+
+      const result = await deliverySummaryHandler(
+        makeRequest({ params: { alertId: 'alert-1' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(500)
+    })
+  })
+})
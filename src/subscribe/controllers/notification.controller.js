@@ -1,5 +1,5 @@
-import { createNotificationService } from '../services/notify-service.js'
 import Boom from '@hapi/boom'
+import { config } from '../../config.js'
 import {
   maskTemplateId,
   generateOperationId,
@@ -7,51 +7,157 @@ import {
   maskEmail
 } from '../../common/helpers/masking-utils.js'
 import { createLogger } from '../../common/helpers/logging/logger.js'
-import { createUserNotificationDetailService } from '../services/user-notification-detail.service.js'
+import { isCircuitOpenError } from '../../common/helpers/circuit-breaker.js'
+import {
+  buildServiceRejectedResponse,
+  buildTemplateRejectedResponse
+} from '../../common/helpers/send-rejected.js'
+import {
+  OUTBOX_MODE,
+  createNotificationOutboxService
+} from '../services/notification-outbox.service.js'
+import { withIdempotency } from '../services/idempotency.service.js'
+import { createTemplateRegistryService } from '../services/template-registry.service.js'
+import { createNotifyServiceRegistry } from '../services/notify-service-registry.service.js'
+import {
+  DEFAULT_LANGUAGE,
+  translateTemplateId
+} from '../services/template-language.js'
 
 const logger = createLogger()
 const HTTP_STATUS_CREATED = 201
+const HTTP_STATUS_ACCEPTED = 202
+// RFC 7240: lets a caller ask for a 202 whatever notify.outbox.mode says
+const PREFER_RESPOND_ASYNC = /(^|[\s,;])respond-async($|[\s,;])/i
+
+function resolveOutboxMode(request) {
+  return PREFER_RESPOND_ASYNC.test(request.headers.prefer || '')
+    ? OUTBOX_MODE.ACCEPTED
+    : config.get('notify.outbox.mode')
+}
 
 export async function sendNotificationHandler(request, h) {
+  return withIdempotency(
+    request,
+    h,
+    'send-notification',
+    (reference) => sendNotification(request, h, reference),
+    logger
+  )
+}
+
+async function sendNotification(request, h, reference) {
   const requestId =
     request.headers['x-cdp-request-id'] ||
     request.info.id ||
     generateOperationId('req')
-  const { phoneNumber, emailAddress, templateId, personalisation, alertId } =
-    request.payload
+  const {
+    phoneNumber,
+    emailAddress,
+    personalisation,
+    alertId,
+    serviceId,
+    language = DEFAULT_LANGUAGE
+  } = request.payload
+  const { templateId, translated } = translateTemplateId(
+    request.payload.templateId,
+    language
+  )
 
   logger.info(
-    `notification.send.requested ${JSON.stringify({ requestId, contactType: maskPhoneNumber(phoneNumber) ? 'sms' : 'email' + maskEmail(emailAddress), templateId: maskTemplateId(templateId) })}`
+    `notification.send.requested ${JSON.stringify({ requestId, contactType: maskPhoneNumber(phoneNumber) ? 'sms' : 'email' + maskEmail(emailAddress), templateId: maskTemplateId(templateId), language, translated })}`
   )
 
+  const channel = phoneNumber ? 'sms' : 'email'
+
   try {
-    const notificationService = createNotificationService()
-    const response = await notificationService.send(
+    const registry = createNotifyServiceRegistry(request.db, logger)
+    const selected = await registry.selectService({
+      serviceId,
+      credentials: request.auth.credentials
+    })
+    if (!selected.allowed) {
+      return buildServiceRejectedResponse(h, selected)
+    }
+    const { service } = selected
+
+    // Caught here rather than as a Notify 400 after the caller has waited
+    let templateAlias
+    if (config.get('notify.templateRegistry.enabled')) {
+      const check = await createTemplateRegistryService(
+        request.db,
+        logger
+      ).validateSend({
+        templateId,
+        channel,
+        personalisation,
+        language,
+        translated
+      })
+      if (!check.valid) {
+        logger.warn(
+          `notification.send.template_rejected ${JSON.stringify({ requestId, templateId: maskTemplateId(templateId), channel, errorCode: check.errorCode, missingKeys: check.missingKeys, extraKeys: check.extraKeys })}`
+        )
+        return buildTemplateRejectedResponse(check)
+      }
+      templateAlias = check.template.alias
+    }
+
+    // Counted against the service's budget only once the send is valid
+    const serviceCheck = await registry.checkSend(service, templateId)
+    if (!serviceCheck.allowed) {
+      logger.warn(
+        `notification.send.service_rejected ${JSON.stringify({ requestId, serviceId: service.serviceId, errorCode: serviceCheck.errorCode })}`
+      )
+      return buildServiceRejectedResponse(h, serviceCheck)
+    }
+
+    // Written before Notify is called so a crash mid-send is not lost
+    const mode = resolveOutboxMode(request)
+    const outboxService = createNotificationOutboxService(request.db, logger)
+    const entry = await outboxService.enqueue({
+      mode,
+      reference,
+      channel,
       phoneNumber,
       emailAddress,
       templateId,
       personalisation,
-      requestId
-    )
+      alertId,
+      language,
+      requestId,
+      serviceId: service.serviceId,
+      templateAlias
+    })
 
-    const userNotificationDetailService = createUserNotificationDetailService(
-      request.db,
-      logger
-    )
-    const persistResult =
-      await userNotificationDetailService.storeNotificationDetail({
-        notificationId: response.notificationId,
-        alertId,
-        notifyStatus: 'submitted'
+    if (mode === OUTBOX_MODE.ACCEPTED) {
+      // The worker picks the request up if this attempt is lost
+      outboxService.dispatch(entry.outboxId).catch((error) => {
+        logger.error(
+          `notification.send.dispatch_failed ${JSON.stringify({ requestId, outboxId: entry.outboxId, error: error.message })}`
+        )
       })
+      logger.info(
+        `notification.send.accepted ${JSON.stringify({ requestId, outboxId: entry.outboxId, contactType: channel, alertId, serviceId: service.serviceId })}`
+      )
+      return h
+        .response({ outboxId: entry.outboxId, status: entry.status })
+        .code(HTTP_STATUS_ACCEPTED)
+        .header('location', `/send-notification/requests/${entry.outboxId}`)
+    }
+
+    const result = await outboxService.deliver(entry)
+    if (result.error) {
+      throw result.error
+    }
 
     logger.info(
-      `notification.send.success ${JSON.stringify({ requestId, notificationId: response.notificationId, contactType: phoneNumber ? 'sms' : 'email', alertId, insertedId: persistResult?.insertedId })}`
+      `notification.send.success ${JSON.stringify({ requestId, notificationId: result.notificationId, contactType: channel, alertId, outboxId: entry.outboxId, serviceId: service.serviceId })}`
     )
 
     return h
       .response({
-        notificationId: response.notificationId,
+        notificationId: result.notificationId,
         status: 'submitted'
       })
       .code(HTTP_STATUS_CREATED)
@@ -59,6 +165,14 @@ export async function sendNotificationHandler(request, h) {
     logger.error(
       `notification.send.failed ${JSON.stringify({ requestId, contactType: phoneNumber ? 'sms' : 'email', templateId: maskTemplateId(templateId), errorName: err.name })}`
     )
+    if (isCircuitOpenError(err)) {
+      return Boom.serverUnavailable('Notification service unavailable')
+    }
+    if (err.category === 'suppressed') {
+      const suppressed = Boom.badData('Recipient is on the suppression list')
+      suppressed.output.payload.errorCode = 'suppressed'
+      return suppressed
+    }
     return Boom.failedDependency('Failed to send notification')
   }
 }
@@ -1,4 +1,5 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { config } from '../../config.js'
 
 // ─── Mocks (MUST be at top level - vi.mock is hoisted) ────────────────────────
 
@@ -8,6 +9,19 @@ const mockStoreNotificationDetail = vi.fn()
 const mockCreateUserNotificationDetailService = vi.fn(() => ({
   storeNotificationDetail: mockStoreNotificationDetail
 }))
+const mockValidateSend = vi.fn()
+const mockCreateTemplateRegistryService = vi.fn(() => ({
+  validateSend: mockValidateSend
+}))
+const mockSelectService = vi.fn()
+const mockCheckSend = vi.fn()
+const mockGetNotificationService = vi.fn()
+const mockCreateNotifyServiceRegistry = vi.fn(() => ({
+  selectService: mockSelectService,
+  checkSend: mockCheckSend,
+  getNotificationService: mockGetNotificationService
+}))
+const DEFAULT_SERVICE = { serviceId: 'default', clientIds: [] }
 const mockMaskTemplateId = vi.fn((id) =>
   id ? `***${String(id).slice(-4)}` : 'null'
 )
@@ -17,6 +31,13 @@ const mockMaskPhoneNumber = vi.fn((phone) =>
 )
 const mockMaskEmail = vi.fn((email) => (email ? `us***@example.com` : null))
 
+// notification-outbox collection
+const mockOutbox = {
+  insertOne: vi.fn(),
+  updateOne: vi.fn(),
+  findOneAndUpdate: vi.fn()
+}
+
 const mockLogger = {
   info: vi.fn(),
   error: vi.fn(),
@@ -36,6 +57,21 @@ vi.mock('../services/user-notification-detail.service.js', () => ({
   createUserNotificationDetailService: mockCreateUserNotificationDetailService
 }))
 
+vi.mock('../services/template-registry.service.js', () => ({
+  createTemplateRegistryService: mockCreateTemplateRegistryService
+}))
+
+vi.mock('../services/notify-service-registry.service.js', () => ({
+  DEFAULT_NOTIFY_SERVICE_ID: 'default',
+  NOTIFY_SERVICE_ERROR: {
+    UNKNOWN_SERVICE: 'unknown_service',
+    SERVICE_FORBIDDEN: 'service_forbidden',
+    TEMPLATE_NOT_ALLOWED: 'template_not_allowed',
+    RATE_LIMITED: 'service_rate_limited'
+  },
+  createNotifyServiceRegistry: mockCreateNotifyServiceRegistry
+}))
+
 vi.mock('../../common/helpers/masking-utils.js', () => ({
   maskTemplateId: mockMaskTemplateId,
   generateOperationId: mockGenerateOperationId,
@@ -56,12 +92,16 @@ function makeRequest({
   personalisation = { name: 'Test User' },
   alertId = 'alert-123',
   requestId = undefined,
-  infoId = undefined
+  infoId = undefined,
+  language = undefined,
+  prefer = undefined,
+  serviceId = undefined
 } = {}) {
   return {
     headers: {
       'x-cdp-request-id': requestId,
-      'user-agent': 'VitestAgent/1.0'
+      'user-agent': 'VitestAgent/1.0',
+      prefer
     },
     info: { id: infoId },
     payload: {
@@ -69,15 +109,19 @@ function makeRequest({
       emailAddress,
       templateId,
       personalisation,
-      alertId
+      alertId,
+      language,
+      serviceId
     },
-    db: { collection: vi.fn() }
+    auth: { credentials: { clientId: 'alerts', scope: ['notify:send'] } },
+    db: { collection: vi.fn(() => mockOutbox) }
   }
 }
 
 function makeH() {
   const response = {
-    code: vi.fn().mockReturnThis()
+    code: vi.fn().mockReturnThis(),
+    header: vi.fn().mockReturnThis()
   }
   return {
     response: vi.fn(() => response),
@@ -106,6 +150,26 @@ describe('sendNotificationHandler', () => {
       storeNotificationDetail: mockStoreNotificationDetail
     }))
     mockStoreNotificationDetail.mockResolvedValue({ success: true })
+    mockOutbox.insertOne.mockResolvedValue({})
+    mockOutbox.updateOne.mockResolvedValue({})
+    mockOutbox.findOneAndUpdate.mockResolvedValue(null)
+    mockCreateTemplateRegistryService.mockImplementation(() => ({
+      validateSend: mockValidateSend
+    }))
+    mockValidateSend.mockResolvedValue({ valid: true, template: {} })
+    mockCreateNotifyServiceRegistry.mockImplementation(() => ({
+      selectService: mockSelectService,
+      checkSend: mockCheckSend,
+      getNotificationService: mockGetNotificationService
+    }))
+    mockSelectService.mockResolvedValue({
+      allowed: true,
+      service: DEFAULT_SERVICE
+    })
+    mockCheckSend.mockResolvedValue({ allowed: true })
+    mockGetNotificationService.mockImplementation(async () =>
+      mockCreateNotificationService()
+    )
     mockMaskTemplateId.mockImplementation((id) =>
       id ? `***${String(id).slice(-4)}` : 'null'
     )
@@ -187,7 +251,9 @@ describe('sendNotificationHandler', () => {
         undefined,
         'template-uuid-1234',
         { name: 'Test User' },
-        'SMS-REQUEST-ID'
+        'SMS-REQUEST-ID',
+        expect.any(String),
+        { templateAlias: undefined }
       )
       expect(h.response).toHaveBeenCalledWith({
         notificationId: 'sms-notif-001',
@@ -259,7 +325,9 @@ describe('sendNotificationHandler', () => {
         'user@example.com',
         'template-uuid-1234',
         { name: 'Test User' },
-        'EMAIL-REQUEST-ID'
+        'EMAIL-REQUEST-ID',
+        expect.any(String),
+        { templateAlias: undefined }
       )
       expect(h.response).toHaveBeenCalledWith({
         notificationId: 'email-notif-001',
@@ -341,6 +409,33 @@ describe('sendNotificationHandler', () => {
       expect(res.output.statusCode).toBe(424)
     })
 
+    it('should return Boom 503 when the Notify circuit is open', async () => {
+      const request = makeRequest({ phoneNumber: '+447123456789' })
+      const h = makeH()
+      const err = new Error('Circuit is open')
+      err.category = 'circuit_open'
+      mockSend.mockRejectedValueOnce(err)
+
+      const res = await sendNotificationHandler(request, h)
+
+      expect(res.isBoom).toBe(true)
+      expect(res.output.statusCode).toBe(503)
+    })
+
+    it('should return Boom 422 when the recipient is suppressed', async () => {
+      const request = makeRequest({ phoneNumber: '+447123456789' })
+      const h = makeH()
+      const err = new Error('FailedToSendSMS')
+      err.category = 'suppressed'
+      mockSend.mockRejectedValueOnce(err)
+
+      const res = await sendNotificationHandler(request, h)
+
+      expect(res.isBoom).toBe(true)
+      expect(res.output.statusCode).toBe(422)
+      expect(res.output.payload.errorCode).toBe('suppressed')
+    })
+
     it('should log notification.send.failed with contactType sms and error details', async () => {
       const request = makeRequest({
         phoneNumber: '+447123456789',
@@ -515,10 +610,31 @@ describe('sendNotificationHandler', () => {
       expect(mockStoreNotificationDetail).toHaveBeenCalledWith({
         notificationId: 'sms-notif-store',
         alertId: 'alert-sms-001',
+        channel: 'sms',
+        language: 'en',
+        serviceId: 'default',
         notifyStatus: 'submitted'
       })
     })
 
+    it('should store the requested language with the notification detail', async () => {
+      const request = makeRequest({
+        phoneNumber: '+447123456789',
+        alertId: 'alert-sms-cy',
+        language: 'cy'
+      })
+      mockSend.mockResolvedValueOnce({ notificationId: 'sms-notif-cy' })
+
+      await sendNotificationHandler(request, makeH())
+
+      expect(mockStoreNotificationDetail).toHaveBeenCalledWith(
+        expect.objectContaining({
+          notificationId: 'sms-notif-cy',
+          language: 'cy'
+        })
+      )
+    })
+
     it('should store notification detail with email as userContact after successful email send', async () => {
       const request = makeRequest({
         emailAddress: 'user@example.com',
@@ -533,6 +649,9 @@ describe('sendNotificationHandler', () => {
       expect(mockStoreNotificationDetail).toHaveBeenCalledWith({
         notificationId: 'email-notif-store',
         alertId: 'alert-email-001',
+        channel: 'email',
+        language: 'en',
+        serviceId: 'default',
         notifyStatus: 'submitted'
       })
     })
@@ -551,8 +670,306 @@ describe('sendNotificationHandler', () => {
     })
   })
 
+  // ─── Outbox ────────────────────────────────────────────────────────────────
+
+  describe('Outbox', () => {
+    it('should write the request to the outbox before calling Notify', async () => {
+      const request = makeRequest({ phoneNumber: '+447123456789' })
+      mockSend.mockImplementationOnce(async () => {
+        expect(mockOutbox.insertOne).toHaveBeenCalledWith(
+          expect.objectContaining({ status: 'sending', mode: 'sync' })
+        )
+        return { notificationId: 'outbox-notif' }
+      })
+
+      await sendNotificationHandler(request, makeH())
+
+      expect(request.db.collection).toHaveBeenCalledWith('notification-outbox')
+      expect(mockSend).toHaveBeenCalledTimes(1)
+    })
+
+    it('should send with the outboxId as Notify reference when no Idempotency-Key is given', async () => {
+      mockSend.mockResolvedValueOnce({ notificationId: 'ref-notif' })
+
+      await sendNotificationHandler(
+        makeRequest({ phoneNumber: '+447123456789' }),
+        makeH()
+      )
+
+      const [entry] = mockOutbox.insertOne.mock.calls[0]
+      expect(mockSend.mock.calls[0][5]).toBe(entry.outboxId)
+    })
+
+    it('should still return 201 when the sent message cannot be recorded', async () => {
+      const h = makeH()
+      mockSend.mockResolvedValueOnce({ notificationId: 'unrecorded-notif' })
+      mockStoreNotificationDetail.mockRejectedValueOnce(new Error('DB down'))
+
+      await sendNotificationHandler(
+        makeRequest({ phoneNumber: '+447123456789' }),
+        h
+      )
+
+      expect(h._response.code).toHaveBeenCalledWith(201)
+      expect(flattenLogCalls(mockLogger.error)).toEqual([
+        expect.stringContaining('notification_outbox.record_failed')
+      ])
+    })
+
+    it('should return 424 without calling Notify when the outbox write fails', async () => {
+      mockOutbox.insertOne.mockRejectedValueOnce(new Error('DB down'))
+
+      const result = await sendNotificationHandler(
+        makeRequest({ phoneNumber: '+447123456789' }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(424)
+      expect(mockSend).not.toHaveBeenCalled()
+    })
+
+    it('should answer 202 with the outboxId for Prefer: respond-async', async () => {
+      const h = makeH()
+
+      await sendNotificationHandler(
+        makeRequest({
+          phoneNumber: '+447123456789',
+          prefer: 'respond-async, wait=5'
+        }),
+        h
+      )
+
+      const [entry] = mockOutbox.insertOne.mock.calls[0]
+      expect(entry).toMatchObject({ status: 'pending', mode: 'accepted' })
+      expect(h.response).toHaveBeenCalledWith({
+        outboxId: entry.outboxId,
+        status: 'pending'
+      })
+      expect(h._response.code).toHaveBeenCalledWith(202)
+      expect(h._response.header).toHaveBeenCalledWith(
+        'location',
+        `/send-notification/requests/${entry.outboxId}`
+      )
+      expect(mockOutbox.findOneAndUpdate).toHaveBeenCalledWith(
+        { outboxId: entry.outboxId, status: 'pending' },
+        expect.anything(),
+        expect.anything()
+      )
+    })
+  })
+
   // ─── Response Structure ────────────────────────────────────────────────────
 
+  describe('Template registry', () => {
+    beforeEach(() => {
+      config.set('notify.templateRegistry.enabled', true)
+    })
+
+    afterEach(() => {
+      config.set('notify.templateRegistry.enabled', false)
+    })
+
+    it('should check the template with the recipient channel and language before sending', async () => {
+      const request = makeRequest({ phoneNumber: '+447123456789' })
+      const h = makeH()
+      mockSend.mockResolvedValueOnce({ notificationId: 'notif-123' })
+
+      await sendNotificationHandler(request, h)
+
+      expect(mockCreateTemplateRegistryService).toHaveBeenCalledWith(
+        request.db,
+        mockLogger
+      )
+      expect(mockValidateSend).toHaveBeenCalledWith({
+        templateId: 'template-uuid-1234',
+        channel: 'sms',
+        personalisation: { name: 'Test User' },
+        language: 'en',
+        translated: false
+      })
+    })
+
+    it('should send with the registered alias for metrics', async () => {
+      const request = makeRequest({ phoneNumber: '+447123456789' })
+      const h = makeH()
+      mockValidateSend.mockResolvedValueOnce({
+        valid: true,
+        template: { alias: 'daqi-alert-sms' }
+      })
+      mockSend.mockResolvedValueOnce({ notificationId: 'notif-123' })
+
+      await sendNotificationHandler(request, h)
+
+      expect(mockSend).toHaveBeenCalledWith(
+        '+447123456789',
+        undefined,
+        'template-uuid-1234',
+        { name: 'Test User' },
+        expect.any(String),
+        expect.any(String),
+        { templateAlias: 'daqi-alert-sms' }
+      )
+    })
+
+    it('should return 400 without calling Notify for an unknown template', async () => {
+      const request = makeRequest({ emailAddress: 'user@example.com' })
+      const h = makeH()
+      mockValidateSend.mockResolvedValueOnce({
+        valid: false,
+        errorCode: 'unknown_template',
+        message: 'Template is not registered'
+      })
+
+      const res = await sendNotificationHandler(request, h)
+
+      expect(res.output.statusCode).toBe(400)
+      expect(res.output.payload.errorCode).toBe('unknown_template')
+      expect(res.output.payload.message).toBe('Template is not registered')
+      expect(mockSend).not.toHaveBeenCalled()
+    })
+
+    it('should list missing and extra personalisation keys', async () => {
+      const request = makeRequest({ emailAddress: 'user@example.com' })
+      const h = makeH()
+      mockValidateSend.mockResolvedValueOnce({
+        valid: false,
+        errorCode: 'invalid_personalisation',
+        message: 'Personalisation does not match the template',
+        missingKeys: ['area'],
+        extraKeys: ['name']
+      })
+
+      const res = await sendNotificationHandler(request, h)
+
+      expect(res.output.statusCode).toBe(400)
+      expect(res.output.payload).toMatchObject({
+        errorCode: 'invalid_personalisation',
+        missingKeys: ['area'],
+        extraKeys: ['name']
+      })
+      const warnLogs = flattenLogCalls(mockLogger.warn)
+      expect(
+        warnLogs.some((l) => l.includes('notification.send.template_rejected'))
+      ).toBe(true)
+    })
+
+    it('should return 424 when the registry cannot be read', async () => {
+      const request = makeRequest({ emailAddress: 'user@example.com' })
+      const h = makeH()
+      mockValidateSend.mockRejectedValueOnce(
+        new Error('Failed to look up template: timeout')
+      )
+
+      const res = await sendNotificationHandler(request, h)
+
+      expect(res.output.statusCode).toBe(424)
+      expect(mockSend).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Notify services', () => {
+    const FORECASTS = { serviceId: 'forecasts', clientIds: ['alerts'] }
+
+    it('should select the service from the caller and the requested serviceId', async () => {
+      const request = makeRequest({
+        phoneNumber: '+447123456789',
+        serviceId: 'forecasts'
+      })
+      const h = makeH()
+      mockSelectService.mockResolvedValueOnce({
+        allowed: true,
+        service: FORECASTS
+      })
+      mockSend.mockResolvedValueOnce({ notificationId: 'notif-forecast' })
+
+      await sendNotificationHandler(request, h)
+
+      expect(mockSelectService).toHaveBeenCalledWith({
+        serviceId: 'forecasts',
+        credentials: request.auth.credentials
+      })
+      expect(mockCheckSend).toHaveBeenCalledWith(
+        FORECASTS,
+        'template-uuid-1234'
+      )
+      expect(mockOutbox.insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({ serviceId: 'forecasts' })
+      )
+      expect(mockGetNotificationService).toHaveBeenCalledWith('forecasts')
+      expect(h._response.code).toHaveBeenCalledWith(201)
+    })
+
+    it('should return 400 for an unknown service and 403 for one the caller may not use', async () => {
+      mockSelectService.mockResolvedValueOnce({
+        allowed: false,
+        errorCode: 'unknown_service',
+        message: 'Unknown Notify service: nope'
+      })
+      mockSelectService.mockResolvedValueOnce({
+        allowed: false,
+        errorCode: 'service_forbidden',
+        message: 'Caller may not send through Notify service: forecasts'
+      })
+
+      const unknown = await sendNotificationHandler(
+        makeRequest({ phoneNumber: '+447123456789', serviceId: 'nope' }),
+        makeH()
+      )
+      const forbidden = await sendNotificationHandler(
+        makeRequest({ phoneNumber: '+447123456789', serviceId: 'forecasts' }),
+        makeH()
+      )
+
+      expect(unknown.output.statusCode).toBe(400)
+      expect(unknown.output.payload.errorCode).toBe('unknown_service')
+      expect(forbidden.output.statusCode).toBe(403)
+      expect(forbidden.output.payload.errorCode).toBe('service_forbidden')
+      expect(mockOutbox.insertOne).not.toHaveBeenCalled()
+    })
+
+    it('should return 400 for a template outside the allow-list', async () => {
+      mockCheckSend.mockResolvedValueOnce({
+        allowed: false,
+        errorCode: 'template_not_allowed',
+        message: 'Template is not allowed for Notify service: forecasts'
+      })
+
+      const res = await sendNotificationHandler(
+        makeRequest({ phoneNumber: '+447123456789' }),
+        makeH()
+      )
+
+      expect(res.output.statusCode).toBe(400)
+      expect(res.output.payload.errorCode).toBe('template_not_allowed')
+      expect(mockSend).not.toHaveBeenCalled()
+    })
+
+    it('should return 429 with Retry-After once the service budget is spent', async () => {
+      const h = makeH()
+      mockCheckSend.mockResolvedValueOnce({
+        allowed: false,
+        errorCode: 'service_rate_limited',
+        message: 'Notify service forecasts has used its 100 sends per minute',
+        retryAfterSeconds: 12
+      })
+
+      await sendNotificationHandler(
+        makeRequest({ phoneNumber: '+447123456789' }),
+        h
+      )
+
+      expect(h.response).toHaveBeenCalledWith(
+        expect.objectContaining({
+          errorCode: 'service_rate_limited',
+          retryAfterSeconds: 12
+        })
+      )
+      expect(h._response.header).toHaveBeenCalledWith('Retry-After', '12')
+      expect(h._response.code).toHaveBeenCalledWith(429)
+      expect(mockOutbox.insertOne).not.toHaveBeenCalled()
+    })
+  })
+
   describe('Response structure', () => {
     it('should return correct body and 201 status on success', async () => {
       const request = makeRequest({
@@ -5,12 +5,32 @@ import { config } from '../../config.js'
 import { randomUUID } from 'node:crypto'
 import { maskPhoneNumber } from '../../common/helpers/masking-utils.js'
 import { createLogger } from '../../common/helpers/logging/logger.js'
+import { buildTooManyRequestsResponse } from '../../common/helpers/too-many-requests.js'
+import { isCircuitOpenError } from '../../common/helpers/circuit-breaker.js'
+import { METRIC, metricsCounter } from '../../common/helpers/metrics.js'
+import { withIdempotency } from '../services/idempotency.service.js'
+import {
+  findTemplateAlias,
+  resolveTemplateId
+} from '../services/template-language.js'
 
 const logger = createLogger()
 
 // Define HTTP status codes as constants
 const HTTP_STATUS_CREATED = 201
 const HTTP_STATUS_OK = 200
+const HTTP_STATUS_BAD_REQUEST = 400
+
+// reason dimension of OtpFailed for failures without an errorCode
+const OTP_FAILURE_REASON = {
+  INVALID_REQUEST: 'invalid_request',
+  NOTIFICATION_FAILED: 'notification_failed',
+  ERROR: 'error'
+}
+
+function countOtpFailure(stage, reason, dimensions = {}) {
+  metricsCounter(METRIC.OTP_FAILED, 1, { stage, reason, ...dimensions })
+}
 
 // Helper function to generate request ID
 function generateRequestId(request) {
@@ -21,39 +41,97 @@ function generateRequestId(request) {
   )
 }
 
+// Builds machine-readable responses for attempt-limit and rate-limit failures
+// so the frontend can show remaining attempts or when to try again.
+function buildOtpLimitResponse(h, result) {
+  if (result.errorCode === 'rate_limited') {
+    return buildTooManyRequestsResponse(h, {
+      message: result.error,
+      errorCode: result.errorCode,
+      retryAfterSeconds: result.retryAfterSeconds,
+      extra: { reason: result.reason }
+    })
+  }
+
+  if (result.errorCode === 'otp_locked') {
+    const lockedUntil = new Date(result.lockedUntil)
+    return buildTooManyRequestsResponse(h, {
+      message: `${result.error}, locked until ${lockedUntil.toISOString()}`,
+      errorCode: result.errorCode,
+      retryAfterSeconds: (lockedUntil.getTime() - Date.now()) / 1000,
+      extra: { lockedUntil: lockedUntil.toISOString() }
+    })
+  }
+
+  return h
+    .response({
+      statusCode: HTTP_STATUS_BAD_REQUEST,
+      error: 'Bad Request',
+      message: `${result.error}, attempts remaining: ${result.attemptsRemaining}`,
+      errorCode: result.errorCode,
+      attemptsRemaining: result.attemptsRemaining
+    })
+    .code(HTTP_STATUS_BAD_REQUEST)
+}
+
 async function generateOtpHandler(request, h) {
+  return withIdempotency(
+    request,
+    h,
+    'generate-otp',
+    (reference) => generateOtp(request, h, reference),
+    logger
+  )
+}
+
+async function generateOtp(request, h, reference) {
   const requestId = generateRequestId(request)
   logger.info(
     `otp.generate.requested ${JSON.stringify({ requestId, phoneNumber: request.payload?.phoneNumber ? maskPhoneNumber(request.payload.phoneNumber) : 'undefined', userAgent: request.headers['user-agent'], ip: request.info.remoteAddress })}`
   )
 
   try {
-    const { phoneNumber } = request.payload
+    const { phoneNumber, language } = request.payload
+    const templateId = resolveTemplateId('notify.templateId', language)
+    const dimensions = { templateAlias: findTemplateAlias(templateId) }
 
     const otpService = createOtpService(request.db, logger)
-    const result = await otpService.generate(phoneNumber)
+    const result = await otpService.generate(phoneNumber, language)
 
     if (result.error) {
       logger.warn(
-        `otp.generate.validation_failed ${JSON.stringify({ requestId, phoneNumber: maskPhoneNumber(phoneNumber), error: result.error })}`
+        `otp.generate.validation_failed ${JSON.stringify({ requestId, phoneNumber: maskPhoneNumber(phoneNumber), error: result.error, errorCode: result.errorCode })}`
+      )
+      countOtpFailure(
+        'generate',
+        result.errorCode ?? OTP_FAILURE_REASON.INVALID_REQUEST,
+        dimensions
       )
+      if (result.errorCode) {
+        return buildOtpLimitResponse(h, result)
+      }
       return Boom.badRequest(result.error)
     }
 
     const { normalizedPhoneNumber, otp } = result
+    metricsCounter(METRIC.OTP_GENERATED, 1, dimensions)
 
     // Send notification via service
     try {
       const notificationService = createNotificationService()
       const { notificationId } = await notificationService.sendSms(
         normalizedPhoneNumber,
-        config.get('notify.templateId'),
-        { [config.get('notify.otpPersonalisationKey')]: otp }
+        templateId,
+        { [config.get('notify.otpPersonalisationKey')]: otp },
+        requestId,
+        reference,
+        { transactional: true }
       )
 
       logger.info(
-        `otp.generate.success ${JSON.stringify({ requestId, normalizedPhoneNumber: maskPhoneNumber(normalizedPhoneNumber), notificationId, status: 'submitted' })}`
+        `otp.generate.success ${JSON.stringify({ requestId, normalizedPhoneNumber: maskPhoneNumber(normalizedPhoneNumber), notificationId, language, status: 'submitted' })}`
       )
+      metricsCounter(METRIC.OTP_SENT, 1, dimensions)
 
       return h
         .response({ notificationId, status: 'submitted' })
@@ -62,6 +140,17 @@ async function generateOtpHandler(request, h) {
       logger.error(
         `otp.generate.notification_failed ${JSON.stringify({ requestId, normalizedPhoneNumber: maskPhoneNumber(normalizedPhoneNumber), errorName: error_.name })}`
       )
+      countOtpFailure(
+        'generate',
+        OTP_FAILURE_REASON.NOTIFICATION_FAILED,
+        dimensions
+      )
+      if (isCircuitOpenError(error_)) {
+        return Boom.serverUnavailable('Notification service unavailable', {
+          status: 'otp_generated_notification_failed',
+          errorType: error_.name
+        })
+      }
       return Boom.badGateway('Failed to send OTP notification', {
         status: 'otp_generated_notification_failed',
         error: error_.message,
@@ -73,6 +162,7 @@ async function generateOtpHandler(request, h) {
     logger.error(
       `otp.generate.unexpected_error ${JSON.stringify({ requestId, error: err.message, errorName: err.name })}`
     )
+    countOtpFailure('generate', OTP_FAILURE_REASON.ERROR)
     return Boom.internal('Failed to generate OTP')
   }
 }
@@ -91,14 +181,22 @@ async function validateOtpHandler(request, h) {
 
     if (result.error) {
       logger.warn(
-        `otp.validate.validation_failed ${JSON.stringify({ requestId, phoneNumber: maskPhoneNumber(phoneNumber), error: result.error })}`
+        `otp.validate.validation_failed ${JSON.stringify({ requestId, phoneNumber: maskPhoneNumber(phoneNumber), error: result.error, errorCode: result.errorCode, attemptsRemaining: result.attemptsRemaining })}`
+      )
+      countOtpFailure(
+        'validate',
+        result.errorCode ?? OTP_FAILURE_REASON.INVALID_REQUEST
       )
+      if (result.errorCode) {
+        return buildOtpLimitResponse(h, result)
+      }
       return Boom.badRequest(result.error)
     }
 
     logger.info(
       `otp.validate.success ${JSON.stringify({ requestId, normalizedPhoneNumber: maskPhoneNumber(result.normalizedPhoneNumber) })}`
     )
+    metricsCounter(METRIC.OTP_VALIDATED)
 
     return h
       .response({
@@ -109,6 +207,7 @@ async function validateOtpHandler(request, h) {
     logger.error(
       `otp.validate.unexpected_error ${JSON.stringify({ requestId, error: err.message, errorName: err.name })}`
     )
+    countOtpFailure('validate', OTP_FAILURE_REASON.ERROR)
     return Boom.internal('Failed to validate OTP')
   }
 }
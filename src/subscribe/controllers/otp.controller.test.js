@@ -1,5 +1,6 @@
 import { createOtpService } from '../services/otp.service.js'
 import { createNotificationService } from '../services/notify-service.js'
+import { metricsCounter } from '../../common/helpers/metrics.js'
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { generateOtpHandler, validateOtpHandler } from './otp.controller.js'
 
@@ -26,6 +27,11 @@ vi.mock('../../common/helpers/logging/logger.js', () => ({
   createLogger: vi.fn(() => mockLogger)
 }))
 
+vi.mock('../../common/helpers/metrics.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  metricsCounter: vi.fn()
+}))
+
 vi.mock('../services/otp.service.js', () => ({
   createOtpService: vi.fn(() => mockOtpService)
 }))
@@ -38,6 +44,7 @@ vi.mock('../../config.js', () => ({
   config: {
     get: vi.fn((key) => {
       if (key === 'notify.templateId') return 'template-123'
+      if (key === 'notify.welsh.templateId') return 'template-cy'
       if (key === 'notify.otpPersonalisationKey') return 'code'
       return null
     })
@@ -48,6 +55,7 @@ describe('OTP Controller', () => {
   // Mock Hapi.js response toolkit
   const mockH = {
     response: vi.fn().mockReturnThis(),
+    header: vi.fn().mockReturnThis(),
     code: vi.fn().mockReturnThis()
   }
 
@@ -93,12 +101,18 @@ describe('OTP Controller', () => {
         const result = await generateOtpHandler(mockRequest, mockH)
 
         expect(createOtpService).toHaveBeenCalledWith(mockDb, mockLogger)
-        expect(mockOtpService.generate).toHaveBeenCalledWith('07123456789')
+        expect(mockOtpService.generate).toHaveBeenCalledWith(
+          '07123456789',
+          undefined
+        )
         expect(createNotificationService).toHaveBeenCalled()
         expect(mockNotificationService.sendSms).toHaveBeenCalledWith(
           '+447123456789',
           'template-123',
-          { code: '12345' }
+          { code: '12345' },
+          'test-request-id',
+          null,
+          { transactional: true }
         )
         expect(mockH.response).toHaveBeenCalledWith({
           notificationId: 'notification-123',
@@ -111,6 +125,54 @@ describe('OTP Controller', () => {
         })
       })
 
+      it('should send the Welsh OTP template when language is cy', async () => {
+        mockOtpService.generate.mockResolvedValue({
+          normalizedPhoneNumber: '+447123456789',
+          otp: '12345'
+        })
+        mockNotificationService.sendSms.mockResolvedValue({
+          notificationId: 'notification-cy'
+        })
+        mockH.response.mockReturnValue(mockH)
+
+        await generateOtpHandler(
+          {
+            ...mockRequest,
+            payload: { phoneNumber: '07123456789', language: 'cy' }
+          },
+          mockH
+        )
+
+        expect(mockOtpService.generate).toHaveBeenCalledWith(
+          '07123456789',
+          'cy'
+        )
+        expect(mockNotificationService.sendSms).toHaveBeenCalledWith(
+          '+447123456789',
+          'template-cy',
+          { code: '12345' },
+          'test-request-id',
+          null,
+          { transactional: true }
+        )
+      })
+
+      it('should return 503 when the Notify circuit is open', async () => {
+        mockOtpService.generate.mockResolvedValue({
+          normalizedPhoneNumber: '+447123456789',
+          otp: '12345'
+        })
+        const err = new Error('Circuit is open')
+        err.category = 'circuit_open'
+        mockNotificationService.sendSms.mockRejectedValue(err)
+
+        const result = await generateOtpHandler(mockRequest, mockH)
+
+        expect(result.isBoom).toBe(true)
+        expect(result.output.statusCode).toBe(503)
+        expect(result.message).toBe('Notification service unavailable')
+      })
+
       it('should handle notification failure gracefully', async () => {
         mockOtpService.generate.mockResolvedValue({
           normalizedPhoneNumber: '+447123456789',
@@ -198,6 +260,56 @@ describe('OTP Controller', () => {
         expect(result.output.statusCode).toBe(400) // badRequest
       })
 
+      it('should return 429 with Retry-After when the contact is locked out', async () => {
+        const lockedUntil = new Date(Date.now() + 120 * 1000)
+        mockOtpService.generate.mockResolvedValue({
+          error: 'Too many failed attempts',
+          errorCode: 'otp_locked',
+          lockedUntil
+        })
+        mockH.response.mockReturnValue(mockH)
+        mockH.header.mockReturnValue(mockH)
+
+        await generateOtpHandler(mockRequest, mockH)
+
+        expect(mockNotificationService.sendSms).not.toHaveBeenCalled()
+        expect(mockH.response).toHaveBeenCalledWith({
+          statusCode: 429,
+          error: 'Too Many Requests',
+          message: `Too many failed attempts, locked until ${lockedUntil.toISOString()}`,
+          errorCode: 'otp_locked',
+          retryAfterSeconds: 120,
+          lockedUntil: lockedUntil.toISOString()
+        })
+        expect(mockH.header).toHaveBeenCalledWith('Retry-After', '120')
+        expect(mockH.code).toHaveBeenCalledWith(429)
+      })
+
+      it('should return 429 with Retry-After when the number is rate limited', async () => {
+        mockOtpService.generate.mockResolvedValue({
+          error: 'Too many OTP requests',
+          errorCode: 'rate_limited',
+          reason: 'hourly_limit',
+          retryAfterSeconds: 300
+        })
+        mockH.response.mockReturnValue(mockH)
+        mockH.header.mockReturnValue(mockH)
+
+        await generateOtpHandler(mockRequest, mockH)
+
+        expect(mockNotificationService.sendSms).not.toHaveBeenCalled()
+        expect(mockH.response).toHaveBeenCalledWith({
+          statusCode: 429,
+          error: 'Too Many Requests',
+          message: 'Too many OTP requests',
+          errorCode: 'rate_limited',
+          retryAfterSeconds: 300,
+          reason: 'hourly_limit'
+        })
+        expect(mockH.header).toHaveBeenCalledWith('Retry-After', '300')
+        expect(mockH.code).toHaveBeenCalledWith(429)
+      })
+
       it('should handle OTP generation exception', async () => {
         mockOtpService.generate.mockRejectedValue(new Error('Database error'))
 
@@ -291,6 +403,49 @@ describe('OTP Controller', () => {
         expect(result.output.statusCode).toBe(400) // badRequest
       })
 
+      it('should return attempts remaining on an incorrect OTP', async () => {
+        mockOtpService.validate.mockResolvedValue({
+          error: 'Invalid secret',
+          errorCode: 'invalid_otp',
+          attemptsRemaining: 3
+        })
+        mockH.response.mockReturnValue(mockH)
+
+        await validateOtpHandler(mockRequest, mockH)
+
+        expect(mockH.response).toHaveBeenCalledWith({
+          statusCode: 400,
+          error: 'Bad Request',
+          message: 'Invalid secret, attempts remaining: 3',
+          errorCode: 'invalid_otp',
+          attemptsRemaining: 3
+        })
+        expect(mockH.code).toHaveBeenCalledWith(400)
+      })
+
+      it('should return 429 with lockedUntil once the contact is locked out', async () => {
+        const lockedUntil = new Date(Date.now() + 900 * 1000)
+        mockOtpService.validate.mockResolvedValue({
+          error: 'Too many failed attempts',
+          errorCode: 'otp_locked',
+          lockedUntil
+        })
+        mockH.response.mockReturnValue(mockH)
+        mockH.header.mockReturnValue(mockH)
+
+        await validateOtpHandler(mockRequest, mockH)
+
+        expect(mockH.response).toHaveBeenCalledWith(
+          expect.objectContaining({
+            statusCode: 429,
+            errorCode: 'otp_locked',
+            lockedUntil: lockedUntil.toISOString()
+          })
+        )
+        expect(mockH.header).toHaveBeenCalledWith('Retry-After', '900')
+        expect(mockH.code).toHaveBeenCalledWith(429)
+      })
+
       it('should handle validation exception', async () => {
         mockOtpService.validate.mockRejectedValue(new Error('Database error'))
 
@@ -308,6 +463,78 @@ describe('OTP Controller', () => {
     })
   })
 
+  describe('Metrics', () => {
+    const request = {
+      payload: { phoneNumber: '07123456789', otp: '12345' },
+      headers: {},
+      info: { id: 'test-request-id' },
+      db: mockDb
+    }
+
+    it('should count OTPs generated and sent by template alias', async () => {
+      mockOtpService.generate.mockResolvedValue({
+        normalizedPhoneNumber: '+447123456789',
+        otp: '12345'
+      })
+      mockNotificationService.sendSms.mockResolvedValue({
+        notificationId: 'notification-123'
+      })
+      mockH.response.mockReturnValue(mockH)
+
+      await generateOtpHandler(request, mockH)
+
+      expect(metricsCounter).toHaveBeenCalledWith('OtpGenerated', 1, {
+        templateAlias: 'otp-sms'
+      })
+      expect(metricsCounter).toHaveBeenCalledWith('OtpSent', 1, {
+        templateAlias: 'otp-sms'
+      })
+    })
+
+    it('should count a failed send as a failure after generation', async () => {
+      mockOtpService.generate.mockResolvedValue({
+        normalizedPhoneNumber: '+447123456789',
+        otp: '12345'
+      })
+      mockNotificationService.sendSms.mockRejectedValue(
+        new Error('Notify down')
+      )
+
+      await generateOtpHandler(request, mockH)
+
+      expect(metricsCounter).toHaveBeenCalledWith('OtpFailed', 1, {
+        stage: 'generate',
+        reason: 'notification_failed',
+        templateAlias: 'otp-sms'
+      })
+      expect(metricsCounter).not.toHaveBeenCalledWith(
+        'OtpSent',
+        expect.anything(),
+        expect.anything()
+      )
+    })
+
+    it('should count validations and failures by reason', async () => {
+      mockOtpService.validate
+        .mockResolvedValueOnce({ normalizedPhoneNumber: '+447123456789' })
+        .mockResolvedValueOnce({
+          error: 'Invalid secret',
+          errorCode: 'invalid_otp',
+          attemptsRemaining: 3
+        })
+      mockH.response.mockReturnValue(mockH)
+
+      await validateOtpHandler(request, mockH)
+      await validateOtpHandler(request, mockH)
+
+      expect(metricsCounter).toHaveBeenCalledWith('OtpValidated')
+      expect(metricsCounter).toHaveBeenCalledWith('OtpFailed', 1, {
+        stage: 'validate',
+        reason: 'invalid_otp'
+      })
+    })
+  })
+
   describe('Handler Structure', () => {
     it('should export both handlers', () => {
       expect(generateOtpHandler).toBeDefined()
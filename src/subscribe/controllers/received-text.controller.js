@@ -0,0 +1,77 @@
+import Boom from '@hapi/boom'
+import { config } from '../../config.js'
+import {
+  generateOperationId,
+  maskPhoneNumber
+} from '../../common/helpers/masking-utils.js'
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import {
+  SMS_REPLY_MODE,
+  SMS_REPLY_SOURCE,
+  createSmsReplyService
+} from '../services/sms-reply.service.js'
+
+const logger = createLogger()
+const HTTP_STATUS_OK = 200
+
+// GOV.UK Notify received text callback; same pipeline as the poll
+export async function receivedTextCallbackHandler(request, h) {
+  const requestId =
+    request.headers['x-cdp-request-id'] ||
+    request.info.id ||
+    generateOperationId('req')
+  const {
+    id: messageId,
+    source_number: sourceNumber,
+    destination_number: destinationNumber,
+    message,
+    date_received: dateReceived
+  } = request.payload
+
+  if (config.get('notify.smsReplyMode') === SMS_REPLY_MODE.POLL) {
+    logger.warn(
+      `notify_callback.received_text.disabled ${JSON.stringify({ requestId, messageId })}`
+    )
+    return Boom.notFound('Received text callbacks are not enabled')
+  }
+
+  logger.info(
+    `notify_callback.received_text.received ${JSON.stringify({ requestId, messageId, phoneNumber: maskPhoneNumber(sourceNumber) })}`
+  )
+
+  try {
+    const smsReplyService = createSmsReplyService(request.db, logger)
+
+    // A failure is left pending for the retry cron rather than returned to
+    // Notify, so only a failure to record it is an error here
+    const processed = await smsReplyService.tryProcessMessage(
+      {
+        id: messageId,
+        user_number: sourceNumber,
+        notify_number: destinationNumber,
+        content: message,
+        created_at: dateReceived,
+        source: SMS_REPLY_SOURCE.PUSH
+      },
+      new Set()
+    )
+
+    // Notify retries callbacks, and with polling on the poll may have
+    // claimed the message first
+    if (processed === null) {
+      logger.info(
+        `notify_callback.received_text.duplicate ${JSON.stringify({ requestId, messageId })}`
+      )
+      return h
+        .response({ received: true, duplicate: true })
+        .code(HTTP_STATUS_OK)
+    }
+
+    return h.response({ received: true, processed }).code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `notify_callback.received_text.failed ${JSON.stringify({ requestId, messageId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to record received text')
+  }
+}
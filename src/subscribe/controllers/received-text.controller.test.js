@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const mockTryProcessMessage = vi.fn()
+const mockConfigGet = vi.fn()
+const mockLogger = {
+  info: vi.fn(),
+  error: vi.fn(),
+  warn: vi.fn(),
+  debug: vi.fn()
+}
+
+vi.mock('../../common/helpers/logging/logger.js', () => ({
+  createLogger: vi.fn(() => mockLogger)
+}))
+
+vi.mock('../../config.js', () => ({
+  config: { get: (key) => mockConfigGet(key) }
+}))
+
+vi.mock('../services/sms-reply.service.js', () => ({
+  SMS_REPLY_MODE: { POLL: 'poll', PUSH: 'push', BOTH: 'both' },
+  SMS_REPLY_SOURCE: { POLL: 'poll', PUSH: 'push' },
+  createSmsReplyService: vi.fn(() => ({
+    tryProcessMessage: mockTryProcessMessage
+  }))
+}))
+
+const { receivedTextCallbackHandler } = await import(
+  './received-text.controller.js'
+)
+
+const dateReceived = new Date('2025-01-01T10:00:00Z')
+
+function makeRequest() {
+  return {
+    db: {},
+    headers: { 'x-cdp-request-id': 'req-123' },
+    info: { id: 'info-1' },
+    payload: {
+      id: 'msg-1',
+      source_number: '447700900111',
+      destination_number: '07700900000',
+      message: 'STOP',
+      date_received: dateReceived
+    }
+  }
+}
+
+function makeH() {
+  const response = { code: vi.fn().mockReturnThis() }
+  return { response: vi.fn(() => response), _response: response }
+}
+
+describe('receivedTextCallbackHandler', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockConfigGet.mockReturnValue('push')
+  })
+
+  it('should process the text as a pushed received text', async () => {
+    mockTryProcessMessage.mockResolvedValue(true)
+    const h = makeH()
+
+    await receivedTextCallbackHandler(makeRequest(), h)
+
+    expect(mockTryProcessMessage).toHaveBeenCalledWith(
+      {
+        id: 'msg-1',
+        user_number: '447700900111',
+        notify_number: '07700900000',
+        content: 'STOP',
+        created_at: dateReceived,
+        source: 'push'
+      },
+      expect.any(Set)
+    )
+    expect(h.response).toHaveBeenCalledWith({ received: true, processed: true })
+    expect(h._response.code).toHaveBeenCalledWith(200)
+    const logCall = mockLogger.info.mock.calls.find((call) =>
+      call[0].includes('notify_callback.received_text.received')
+    )
+    expect(logCall[0]).toContain('****0111')
+  })
+
+  it('should acknowledge a text another run has already claimed', async () => {
+    mockTryProcessMessage.mockResolvedValue(null)
+    const h = makeH()
+
+    await receivedTextCallbackHandler(makeRequest(), h)
+
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      expect.stringContaining('notify_callback.received_text.duplicate')
+    )
+    expect(h.response).toHaveBeenCalledWith({
+      received: true,
+      duplicate: true
+    })
+  })
+
+  it('should acknowledge a text left pending for retry', async () => {
+    mockTryProcessMessage.mockResolvedValue(false)
+    const h = makeH()
+
+    await receivedTextCallbackHandler(makeRequest(), h)
+
+    expect(h.response).toHaveBeenCalledWith({
+      received: true,
+      processed: false
+    })
+    expect(h._response.code).toHaveBeenCalledWith(200)
+  })
+
+  it('should return 404 when only polling is enabled', async () => {
+    mockConfigGet.mockReturnValue('poll')
+
+    const result = await receivedTextCallbackHandler(makeRequest(), makeH())
+
+    expect(result.output.statusCode).toBe(404)
+    expect(mockTryProcessMessage).not.toHaveBeenCalled()
+  })
+
+  it('should return 500 when the text cannot be recorded', async () => {
+    mockTryProcessMessage.mockRejectedValue(new Error('db down'))
+
+    const result = await receivedTextCallbackHandler(makeRequest(), makeH())
+
+    expect(result.output.statusCode).toBe(500)
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      expect.stringContaining('notify_callback.received_text.failed')
+    )
+  })
+})
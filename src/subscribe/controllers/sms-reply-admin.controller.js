@@ -0,0 +1,158 @@
+import Boom from '@hapi/boom'
+import {
+  generateOperationId,
+  maskPhoneNumber
+} from '../../common/helpers/masking-utils.js'
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { toCsv } from '../../common/helpers/csv.js'
+import { createSmsReplyService } from '../services/sms-reply.service.js'
+
+const logger = createLogger()
+const HTTP_STATUS_OK = 200
+const HTTP_STATUS_ACCEPTED = 202
+
+// Message content is left out of exports; look a reply up for its text
+const CSV_COLUMNS = [
+  'messageId',
+  'phoneNumber',
+  'status',
+  'source',
+  'receivedAt',
+  'processedAt'
+]
+
+function getRequestId(request) {
+  return (
+    request.headers['x-cdp-request-id'] ||
+    request.info.id ||
+    generateOperationId('req')
+  )
+}
+
+function maskReply(reply) {
+  return { ...reply, phoneNumber: maskPhoneNumber(reply.phoneNumber) }
+}
+
+export async function listSmsRepliesHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { format, limit, cursor, ...filters } = request.query
+
+  try {
+    const smsReplyService = createSmsReplyService(request.db, logger)
+
+    if (format === 'csv') {
+      const { replies, truncated } =
+        await smsReplyService.exportReplies(filters)
+      logger.info(
+        `sms_reply.admin.exported ${JSON.stringify({ requestId, status: filters.status, rows: replies.length, truncated })}`
+      )
+      return h
+        .response(toCsv(CSV_COLUMNS, replies.map(maskReply)))
+        .type('text/csv')
+        .header('content-disposition', 'attachment; filename="sms-replies.csv"')
+        .header('x-export-truncated', String(truncated))
+        .code(HTTP_STATUS_OK)
+    }
+
+    const result = await smsReplyService.listReplies({
+      ...filters,
+      limit,
+      cursor
+    })
+
+    if (result.error) {
+      return Boom.badRequest(result.error)
+    }
+
+    return h
+      .response({
+        replies: result.replies.map(maskReply),
+        nextCursor: result.nextCursor
+      })
+      .code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `sms_reply.admin.list_failed ${JSON.stringify({ requestId, format, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to list SMS replies')
+  }
+}
+
+export async function getSmsReplyHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { messageId } = request.params
+
+  try {
+    const smsReplyService = createSmsReplyService(request.db, logger)
+    const reply = await smsReplyService.getReply(messageId)
+
+    if (!reply) {
+      return Boom.notFound('SMS reply not found')
+    }
+
+    return h.response(maskReply(reply)).code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `sms_reply.admin.get_failed ${JSON.stringify({ requestId, messageId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to get SMS reply')
+  }
+}
+
+export async function listDeadLettersHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { limit, cursor } = request.query
+
+  try {
+    const smsReplyService = createSmsReplyService(request.db, logger)
+    const result = await smsReplyService.listDeadLetters({ limit, cursor })
+
+    if (result.error) {
+      return Boom.badRequest(result.error)
+    }
+
+    return h
+      .response({
+        replies: result.replies.map(maskReply),
+        nextCursor: result.nextCursor
+      })
+      .code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `sms_reply.admin.list_dead_letters_failed ${JSON.stringify({ requestId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to list dead-lettered SMS replies')
+  }
+}
+
+export async function replayDeadLetterHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { messageId } = request.params
+
+  try {
+    const smsReplyService = createSmsReplyService(request.db, logger)
+    const result = await smsReplyService.replayDeadLetter(messageId)
+
+    if (!result.replayed) {
+      return Boom.notFound('SMS reply is not dead-lettered')
+    }
+
+    logger.info(
+      `sms_reply.admin.replay_requested ${JSON.stringify({ requestId, messageId })}`
+    )
+
+    // Picked up by the next poll, which holds the poll lock
+    return h
+      .response({
+        messageId,
+        status: 'pending',
+        nextAttemptAt: result.nextAttemptAt
+      })
+      .code(HTTP_STATUS_ACCEPTED)
+  } catch (err) {
+    logger.error(
+      `sms_reply.admin.replay_failed ${JSON.stringify({ requestId, messageId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to replay SMS reply')
+  }
+}
@@ -0,0 +1,291 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const mockListReplies = vi.fn()
+const mockExportReplies = vi.fn()
+const mockGetReply = vi.fn()
+const mockListDeadLetters = vi.fn()
+const mockReplayDeadLetter = vi.fn()
+const mockLogger = {
+  info: vi.fn(),
+  error: vi.fn(),
+  warn: vi.fn(),
+  debug: vi.fn()
+}
+
+vi.mock('../../common/helpers/logging/logger.js', () => ({
+  createLogger: vi.fn(() => mockLogger)
+}))
+
+vi.mock('../services/sms-reply.service.js', () => ({
+  createSmsReplyService: vi.fn(() => ({
+    listReplies: mockListReplies,
+    exportReplies: mockExportReplies,
+    getReply: mockGetReply,
+    listDeadLetters: mockListDeadLetters,
+    replayDeadLetter: mockReplayDeadLetter
+  }))
+}))
+
+const {
+  listSmsRepliesHandler,
+  getSmsReplyHandler,
+  listDeadLettersHandler,
+  replayDeadLetterHandler
+} = await import('./sms-reply-admin.controller.js')
+
+const MESSAGE_ID = '740e5834-3a29-46b4-9a6f-16142fde533a'
+
+function makeRequest({ query = {}, params = {} } = {}) {
+  return {
+    db: {},
+    headers: { 'x-cdp-request-id': 'req-123' },
+    info: { id: 'info-1' },
+    query,
+    params
+  }
+}
+
+function makeH() {
+  const response = {
+    code: vi.fn().mockReturnThis(),
+    type: vi.fn().mockReturnThis(),
+    header: vi.fn().mockReturnThis()
+  }
+  return { response: vi.fn(() => response), _response: response }
+}
+
+describe('sms reply admin handlers', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('listSmsRepliesHandler', () => {
+    const reply = {
+      messageId: MESSAGE_ID,
+      phoneNumber: '+447700900111',
+      content: 'STOP',
+      status: 'unsubscribed',
+      source: 'poll',
+      receivedAt: new Date('2025-01-01T10:00:00Z'),
+      processedAt: new Date('2025-01-01T10:01:00Z')
+    }
+
+    it('should pass filters through and mask phone numbers', async () => {
+      mockListReplies.mockResolvedValue({ replies: [reply], nextCursor: null })
+      const h = makeH()
+      const query = {
+        status: ['unsubscribed'],
+        phoneSuffix: '0111',
+        format: 'json',
+        limit: 20
+      }
+
+      await listSmsRepliesHandler(makeRequest({ query }), h)
+
+      expect(mockListReplies).toHaveBeenCalledWith({
+        status: ['unsubscribed'],
+        phoneSuffix: '0111',
+        limit: 20,
+        cursor: undefined
+      })
+      const body = h.response.mock.calls[0][0]
+      expect(body.replies[0].phoneNumber).toBe('****0111')
+      expect(body.replies[0].content).toBe('STOP')
+      expect(h._response.code).toHaveBeenCalledWith(200)
+    })
+
+    it('should return 400 for an invalid cursor', async () => {
+      mockListReplies.mockResolvedValue({ error: 'Invalid cursor' })
+
+      const result = await listSmsRepliesHandler(
+        makeRequest({ query: { format: 'json', limit: 20, cursor: 'bad' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(400)
+    })
+
+    it('should export a masked CSV without message content', async () => {
+      mockExportReplies.mockResolvedValue({
+        replies: [reply],
+        truncated: false
+      })
+      const h = makeH()
+      const from = new Date('2025-01-01T00:00:00Z')
+
+      await listSmsRepliesHandler(
+        makeRequest({
+          query: { status: ['unsubscribed'], from, format: 'csv', limit: 20 }
+        }),
+        h
+      )
+
+      expect(mockExportReplies).toHaveBeenCalledWith({
+        status: ['unsubscribed'],
+        from
+      })
+      expect(mockListReplies).not.toHaveBeenCalled()
+      const csv = h.response.mock.calls[0][0]
+      expect(csv).toBe(
+        'messageId,phoneNumber,status,source,receivedAt,processedAt\r\n' +
+          `${MESSAGE_ID},****0111,unsubscribed,poll,2025-01-01T10:00:00.000Z,2025-01-01T10:01:00.000Z\r\n`
+      )
+      expect(h._response.type).toHaveBeenCalledWith('text/csv')
+      expect(h._response.header).toHaveBeenCalledWith(
+        'content-disposition',
+        'attachment; filename="sms-replies.csv"'
+      )
+      expect(h._response.header).toHaveBeenCalledWith(
+        'x-export-truncated',
+        'false'
+      )
+    })
+
+    it('should return 500 when the search fails', async () => {
+      mockListReplies.mockRejectedValue(new Error('db down'))
+
+      const result = await listSmsRepliesHandler(
+        makeRequest({ query: { format: 'json', limit: 20 } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(500)
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.stringContaining('sms_reply.admin.list_failed')
+      )
+    })
+  })
+
+  describe('getSmsReplyHandler', () => {
+    it('should return the reply with a masked phone number', async () => {
+      mockGetReply.mockResolvedValue({
+        messageId: MESSAGE_ID,
+        phoneNumber: '+447700900111',
+        status: 'ignored'
+      })
+      const h = makeH()
+
+      await getSmsReplyHandler(
+        makeRequest({ params: { messageId: MESSAGE_ID } }),
+        h
+      )
+
+      expect(h.response).toHaveBeenCalledWith({
+        messageId: MESSAGE_ID,
+        phoneNumber: '****0111',
+        status: 'ignored'
+      })
+    })
+
+    it('should return 404 for an unknown message', async () => {
+      mockGetReply.mockResolvedValue(null)
+
+      const result = await getSmsReplyHandler(
+        makeRequest({ params: { messageId: MESSAGE_ID } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(404)
+    })
+  })
+
+  describe('listDeadLettersHandler', () => {
+    it('should return dead-lettered replies with masked phone numbers', async () => {
+      mockListDeadLetters.mockResolvedValue({
+        replies: [
+          {
+            messageId: MESSAGE_ID,
+            phoneNumber: '+447700900111',
+            attempts: 5,
+            lastError: 'Backend returned 503'
+          }
+        ],
+        nextCursor: 'abc'
+      })
+      const h = makeH()
+
+      await listDeadLettersHandler(makeRequest({ query: { limit: 20 } }), h)
+
+      expect(mockListDeadLetters).toHaveBeenCalledWith({
+        limit: 20,
+        cursor: undefined
+      })
+      const body = h.response.mock.calls[0][0]
+      expect(body.replies[0].phoneNumber).toBe('****0111')
+      expect(body.replies[0].attempts).toBe(5)
+      expect(body.nextCursor).toBe('abc')
+      expect(h._response.code).toHaveBeenCalledWith(200)
+    })
+
+    it('should return 400 for an invalid cursor', async () => {
+      mockListDeadLetters.mockResolvedValue({ error: 'Invalid cursor' })
+
+      const result = await listDeadLettersHandler(
+        makeRequest({ query: { limit: 20, cursor: 'bad' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(400)
+    })
+
+    it('should return 500 when listing fails', async () => {
+      mockListDeadLetters.mockRejectedValue(new Error('db down'))
+
+      const result = await listDeadLettersHandler(
+        makeRequest({ query: { limit: 20 } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(500)
+    })
+  })
+
+  describe('replayDeadLetterHandler', () => {
+    it('should requeue the reply and return 202', async () => {
+      const nextAttemptAt = new Date('2024-01-01T10:00:00Z')
+      mockReplayDeadLetter.mockResolvedValue({ replayed: true, nextAttemptAt })
+      const h = makeH()
+
+      await replayDeadLetterHandler(
+        makeRequest({ params: { messageId: MESSAGE_ID } }),
+        h
+      )
+
+      expect(mockReplayDeadLetter).toHaveBeenCalledWith(MESSAGE_ID)
+      expect(h.response).toHaveBeenCalledWith({
+        messageId: MESSAGE_ID,
+        status: 'pending',
+        nextAttemptAt
+      })
+      expect(h._response.code).toHaveBeenCalledWith(202)
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        expect.stringContaining('sms_reply.admin.replay_requested')
+      )
+    })
+
+    it('should return 404 when the reply is not dead-lettered', async () => {
+      mockReplayDeadLetter.mockResolvedValue({ replayed: false })
+
+      const result = await replayDeadLetterHandler(
+        makeRequest({ params: { messageId: MESSAGE_ID } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(404)
+    })
+
+    it('should return 500 when the replay fails', async () => {
+      mockReplayDeadLetter.mockRejectedValue(new Error('db down'))
+
+      const result = await replayDeadLetterHandler(
+        makeRequest({ params: { messageId: MESSAGE_ID } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(500)
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.stringContaining('sms_reply.admin.replay_failed')
+      )
+    })
+  })
+})
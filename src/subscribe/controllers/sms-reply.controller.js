@@ -1,7 +1,12 @@
 import Boom from '@hapi/boom'
 import { randomUUID } from 'node:crypto'
-import { createSmsReplyService } from '../services/sms-reply.service.js'
+import {
+  SMS_REPLY_POLL_JOB,
+  createSmsReplyService
+} from '../services/sms-reply.service.js'
 import { createLogger } from '../../common/helpers/logging/logger.js'
+import { isCircuitOpenError } from '../../common/helpers/circuit-breaker.js'
+import { runExclusive } from '../../common/helpers/cron-run.js'
 
 const logger = createLogger()
 const HTTP_STATUS_OK = 200
@@ -18,24 +23,45 @@ async function processSmsRepliesHandler(request, h) {
   )
 
   try {
-    const smsReplyService = createSmsReplyService(request.db, logger)
-    const result = await smsReplyService.pollAndProcessReplies()
+    // Shares the cron's lock so a manual run never overlaps a scheduled one
+    const outcome = await runExclusive(
+      {
+        db: request.db,
+        locker: request.locker,
+        job: SMS_REPLY_POLL_JOB,
+        trigger: 'manual',
+        logger
+      },
+      () => createSmsReplyService(request.db, logger).pollAndProcessReplies()
+    )
+    if (!outcome.ran) {
+      logger.warn(
+        `process_sms_replies.already_running ${JSON.stringify({ requestId })}`
+      )
+      return Boom.conflict('SMS reply processing is already running')
+    }
+    const { result } = outcome
 
     logger.info(
-      `process_sms_replies.success ${JSON.stringify({ requestId, total: result.total, processed: result.processed })}`
+      `process_sms_replies.success ${JSON.stringify({ requestId, total: result.total, processed: result.processed, retried: result.retried, failed: result.failed })}`
     )
 
     return h
       .response({
         success: true,
         total: result.total,
-        processed: result.processed
+        processed: result.processed,
+        retried: result.retried,
+        failed: result.failed
       })
       .code(HTTP_STATUS_OK)
   } catch (err) {
     logger.error(
       `process_sms_replies.failure ${JSON.stringify({ requestId, errorName: err.name })}`
     )
+    if (isCircuitOpenError(err)) {
+      return Boom.serverUnavailable('Downstream service unavailable')
+    }
     return Boom.internal('Failed to process SMS replies')
   }
 }
@@ -6,7 +6,8 @@ import { processSmsRepliesHandler } from './sms-reply.controller.js'
 const { mockLogger } = vi.hoisted(() => ({
   mockLogger: {
     error: vi.fn(),
-    info: vi.fn()
+    info: vi.fn(),
+    warn: vi.fn()
   }
 }))
 
@@ -16,9 +17,17 @@ vi.mock('../../common/helpers/logging/logger.js', () => ({
 
 // Mock the service factory
 vi.mock('../services/sms-reply.service.js', () => ({
+  SMS_REPLY_POLL_JOB: 'sms-reply-poll',
   createSmsReplyService: vi.fn()
 }))
 
+vi.mock('../../common/helpers/cron-run.js', () => ({
+  runExclusive: vi.fn(async (_options, run) => ({
+    ran: true,
+    result: await run()
+  }))
+}))
+
 describe('processSmsRepliesHandler', () => {
   let request
   let h
@@ -64,7 +73,9 @@ describe('processSmsRepliesHandler', () => {
   it('returns 200 with success=true and processed results', async () => {
     pollAndProcessRepliesMock.mockResolvedValue({
       total: 5,
-      processed: 3
+      processed: 3,
+      retried: 1,
+      failed: 2
     })
 
     const result = await processSmsRepliesHandler(request, h)
@@ -76,7 +87,9 @@ describe('processSmsRepliesHandler', () => {
     expect(h.response).toHaveBeenCalledWith({
       success: true,
       total: 5,
-      processed: 3
+      processed: 3,
+      retried: 1,
+      failed: 2
     })
 
     // Should return a 200
@@ -86,6 +99,35 @@ describe('processSmsRepliesHandler', () => {
     expect(result).toBeTruthy()
   })
 
+  it('runs under the same lock as the cron', async () => {
+    const { runExclusive } = await import('../../common/helpers/cron-run.js')
+    pollAndProcessRepliesMock.mockResolvedValue({ total: 0, processed: 0 })
+    request.locker = { lock: vi.fn() }
+
+    await processSmsRepliesHandler(request, h)
+
+    expect(runExclusive).toHaveBeenCalledWith(
+      expect.objectContaining({
+        db: request.db,
+        locker: request.locker,
+        job: 'sms-reply-poll',
+        trigger: 'manual'
+      }),
+      expect.any(Function)
+    )
+  })
+
+  it('returns 409 when a poll is already running', async () => {
+    const { runExclusive } = await import('../../common/helpers/cron-run.js')
+    runExclusive.mockResolvedValueOnce({ ran: false })
+
+    const result = await processSmsRepliesHandler(request, h)
+
+    expect(result.isBoom).toBe(true)
+    expect(result.output.statusCode).toBe(409)
+    expect(pollAndProcessRepliesMock).not.toHaveBeenCalled()
+  })
+
   // ────────────────────────────────────────────────
   // ERROR CASE
   // ────────────────────────────────────────────────
@@ -131,4 +173,15 @@ describe('processSmsRepliesHandler', () => {
     expect(result.output.statusCode).toBe(500)
     expect(result.message).toBe('Failed to process SMS replies')
   })
+
+  it('returns Boom.serverUnavailable when a circuit is open', async () => {
+    const err = new Error("Circuit 'alert-backend' is open")
+    err.name = 'CircuitOpenError'
+    pollAndProcessRepliesMock.mockRejectedValue(err)
+
+    const result = await processSmsRepliesHandler(request, h)
+
+    expect(result.isBoom).toBe(true)
+    expect(result.output.statusCode).toBe(503)
+  })
 })
@@ -0,0 +1,131 @@
+import Boom from '@hapi/boom'
+import {
+  generateOperationId,
+  maskContact
+} from '../../common/helpers/masking-utils.js'
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import {
+  SUPPRESSION_REASON,
+  createSuppressionService
+} from '../services/suppression.service.js'
+
+const logger = createLogger()
+const HTTP_STATUS_OK = 200
+const HTTP_STATUS_CREATED = 201
+
+function getRequestId(request) {
+  return (
+    request.headers['x-cdp-request-id'] ||
+    request.info.id ||
+    generateOperationId('req')
+  )
+}
+
+export async function addSuppressionHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { contact, note } = request.payload
+
+  try {
+    const suppressionService = createSuppressionService(request.db, logger)
+    const result = await suppressionService.suppress({
+      contact,
+      channel: contact.includes('@') ? 'email' : 'sms',
+      reason: SUPPRESSION_REASON.MANUAL,
+      note
+    })
+
+    logger.info(
+      `suppression.admin.added ${JSON.stringify({ requestId, contact: maskContact(result.contact), created: result.created })}`
+    )
+
+    return h
+      .response({ ...result, reason: SUPPRESSION_REASON.MANUAL })
+      .code(result.created ? HTTP_STATUS_CREATED : HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `suppression.admin.add_failed ${JSON.stringify({ requestId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to add suppression')
+  }
+}
+
+export async function listSuppressionsHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { reason, channel, limit, cursor } = request.query
+
+  try {
+    const suppressionService = createSuppressionService(request.db, logger)
+    const result = await suppressionService.listSuppressions({
+      reason,
+      channel,
+      limit,
+      cursor
+    })
+
+    if (result.error) {
+      return Boom.badRequest(result.error)
+    }
+
+    // Listing is for review; callers look up or remove by the full contact
+    return h
+      .response({
+        suppressions: result.suppressions.map((suppression) => ({
+          ...suppression,
+          contact: maskContact(suppression.contact)
+        })),
+        nextCursor: result.nextCursor
+      })
+      .code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `suppression.admin.list_failed ${JSON.stringify({ requestId, reason, channel, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to list suppressions')
+  }
+}
+
+export async function getSuppressionHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { contact } = request.params
+
+  try {
+    const suppressionService = createSuppressionService(request.db, logger)
+    const suppression = await suppressionService.findSuppression(contact)
+
+    if (!suppression) {
+      return Boom.notFound('Contact is not suppressed')
+    }
+
+    return h.response(suppression).code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `suppression.admin.get_failed ${JSON.stringify({ requestId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to get suppression')
+  }
+}
+
+export async function removeSuppressionHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { contact } = request.params
+
+  try {
+    const suppressionService = createSuppressionService(request.db, logger)
+    const result = await suppressionService.removeSuppression(contact)
+
+    if (!result.removed) {
+      return Boom.notFound('Contact is not suppressed')
+    }
+
+    logger.info(
+      `suppression.admin.removed ${JSON.stringify({ requestId, contact: maskContact(result.contact) })}`
+    )
+
+    return h.response(result).code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `suppression.admin.remove_failed ${JSON.stringify({ requestId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to remove suppression')
+  }
+}
@@ -0,0 +1,205 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const mockSuppress = vi.fn()
+const mockFindSuppression = vi.fn()
+const mockRemoveSuppression = vi.fn()
+const mockListSuppressions = vi.fn()
+const mockLogger = {
+  info: vi.fn(),
+  error: vi.fn(),
+  warn: vi.fn(),
+  debug: vi.fn()
+}
+
+vi.mock('../../common/helpers/logging/logger.js', () => ({
+  createLogger: vi.fn(() => mockLogger)
+}))
+
+vi.mock('../services/suppression.service.js', () => ({
+  SUPPRESSION_REASON: { MANUAL: 'manual' },
+  createSuppressionService: vi.fn(() => ({
+    suppress: mockSuppress,
+    findSuppression: mockFindSuppression,
+    removeSuppression: mockRemoveSuppression,
+    listSuppressions: mockListSuppressions
+  }))
+}))
+
+const {
+  addSuppressionHandler,
+  listSuppressionsHandler,
+  getSuppressionHandler,
+  removeSuppressionHandler
+} = await import('./suppression.controller.js')
+
+function makeRequest({ payload = {}, query = {}, params = {} } = {}) {
+  return {
+    db: {},
+    headers: { 'x-cdp-request-id': 'req-123' },
+    info: { id: 'info-1' },
+    payload,
+    query,
+    params
+  }
+}
+
+function makeH() {
+  const response = { code: vi.fn().mockReturnThis() }
+  return { response: vi.fn(() => response), _response: response }
+}
+
+describe('suppression admin handlers', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('addSuppressionHandler', () => {
+    it('should add a manual SMS suppression and return 201', async () => {
+      mockSuppress.mockResolvedValue({
+        contact: '+447700900111',
+        created: true
+      })
+      const h = makeH()
+
+      await addSuppressionHandler(
+        makeRequest({ payload: { contact: '07700900111', note: 'complaint' } }),
+        h
+      )
+
+      expect(mockSuppress).toHaveBeenCalledWith({
+        contact: '07700900111',
+        channel: 'sms',
+        reason: 'manual',
+        note: 'complaint'
+      })
+      expect(h.response).toHaveBeenCalledWith({
+        contact: '+447700900111',
+        created: true,
+        reason: 'manual'
+      })
+      expect(h._response.code).toHaveBeenCalledWith(201)
+    })
+
+    it('should return 200 when the contact was already suppressed', async () => {
+      mockSuppress.mockResolvedValue({
+        contact: 'user@example.com',
+        created: false
+      })
+      const h = makeH()
+
+      await addSuppressionHandler(
+        makeRequest({ payload: { contact: 'user@example.com' } }),
+        h
+      )
+
+      expect(mockSuppress.mock.calls[0][0].channel).toBe('email')
+      expect(h._response.code).toHaveBeenCalledWith(200)
+    })
+
+    it('should return 500 on database failure', async () => {
+      mockSuppress.mockRejectedValue(new Error('DB down'))
+
+      const result = await addSuppressionHandler(
+        makeRequest({ payload: { contact: 'user@example.com' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(500)
+    })
+  })
+
+  describe('listSuppressionsHandler', () => {
+    it('should return masked contacts', async () => {
+      mockListSuppressions.mockResolvedValue({
+        suppressions: [{ contact: '+447700900111', reason: 'stop' }],
+        nextCursor: null
+      })
+      const h = makeH()
+
+      await listSuppressionsHandler(
+        makeRequest({ query: { reason: 'stop', limit: 20 } }),
+        h
+      )
+
+      expect(mockListSuppressions).toHaveBeenCalledWith({
+        reason: 'stop',
+        channel: undefined,
+        limit: 20,
+        cursor: undefined
+      })
+      expect(h.response).toHaveBeenCalledWith({
+        suppressions: [{ contact: '***111', reason: 'stop' }],
+        nextCursor: null
+      })
+    })
+
+    it('should return 400 for a bad cursor', async () => {
+      mockListSuppressions.mockResolvedValue({ error: 'Invalid cursor' })
+
+      const result = await listSuppressionsHandler(
+        makeRequest({ query: { limit: 20, cursor: 'x' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(400)
+    })
+  })
+
+  describe('getSuppressionHandler', () => {
+    it('should return the suppression', async () => {
+      const suppression = { contact: '+447700900111', reason: 'stop' }
+      mockFindSuppression.mockResolvedValue(suppression)
+      const h = makeH()
+
+      await getSuppressionHandler(
+        makeRequest({ params: { contact: '+447700900111' } }),
+        h
+      )
+
+      expect(h.response).toHaveBeenCalledWith(suppression)
+      expect(h._response.code).toHaveBeenCalledWith(200)
+    })
+
+    it('should return 404 when the contact is not suppressed', async () => {
+      mockFindSuppression.mockResolvedValue(null)
+
+      const result = await getSuppressionHandler(
+        makeRequest({ params: { contact: '+447700900111' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(404)
+    })
+  })
+
+  describe('removeSuppressionHandler', () => {
+    it('should remove the suppression', async () => {
+      mockRemoveSuppression.mockResolvedValue({
+        contact: '+447700900111',
+        removed: true
+      })
+      const h = makeH()
+
+      await removeSuppressionHandler(
+        makeRequest({ params: { contact: '+447700900111' } }),
+        h
+      )
+
+      expect(h._response.code).toHaveBeenCalledWith(200)
+    })
+
+    it('should return 404 when nothing was removed', async () => {
+      mockRemoveSuppression.mockResolvedValue({
+        contact: '+447700900111',
+        removed: false
+      })
+
+      const result = await removeSuppressionHandler(
+        makeRequest({ params: { contact: '+447700900111' } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(404)
+    })
+  })
+})
@@ -0,0 +1,85 @@
+import Boom from '@hapi/boom'
+import {
+  generateOperationId,
+  maskTemplateId
+} from '../../common/helpers/masking-utils.js'
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { createTemplateRegistryService } from '../services/template-registry.service.js'
+
+const logger = createLogger()
+const HTTP_STATUS_OK = 200
+const HTTP_STATUS_CREATED = 201
+
+function getRequestId(request) {
+  return (
+    request.headers['x-cdp-request-id'] ||
+    request.info.id ||
+    generateOperationId('req')
+  )
+}
+
+export async function registerTemplateHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { templateId } = request.params
+
+  try {
+    const templateRegistry = createTemplateRegistryService(request.db, logger)
+    const result = await templateRegistry.registerTemplate({
+      templateId,
+      ...request.payload
+    })
+
+    logger.info(
+      `template_registry.admin.registered ${JSON.stringify({ requestId, templateId: maskTemplateId(templateId), alias: request.payload.alias, created: result.created })}`
+    )
+
+    return h
+      .response(result)
+      .code(result.created ? HTTP_STATUS_CREATED : HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `template_registry.admin.register_failed ${JSON.stringify({ requestId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to register template')
+  }
+}
+
+export async function listTemplatesHandler(request, h) {
+  const requestId = getRequestId(request)
+
+  try {
+    const templateRegistry = createTemplateRegistryService(request.db, logger)
+    const templates = await templateRegistry.listTemplates()
+    return h.response({ templates }).code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `template_registry.admin.list_failed ${JSON.stringify({ requestId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to list templates')
+  }
+}
+
+export async function removeTemplateHandler(request, h) {
+  const requestId = getRequestId(request)
+  const { templateId } = request.params
+
+  try {
+    const templateRegistry = createTemplateRegistryService(request.db, logger)
+    const result = await templateRegistry.removeTemplate(templateId)
+
+    if (!result.removed) {
+      return Boom.notFound('Template is not registered')
+    }
+
+    logger.info(
+      `template_registry.admin.removed ${JSON.stringify({ requestId, templateId: maskTemplateId(templateId) })}`
+    )
+
+    return h.response(result).code(HTTP_STATUS_OK)
+  } catch (err) {
+    logger.error(
+      `template_registry.admin.remove_failed ${JSON.stringify({ requestId, errorName: err.name })}`
+    )
+    return Boom.internal('Failed to remove template')
+  }
+}
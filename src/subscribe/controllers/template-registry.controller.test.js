@@ -0,0 +1,168 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const mockRegisterTemplate = vi.fn()
+const mockListTemplates = vi.fn()
+const mockRemoveTemplate = vi.fn()
+const mockLogger = {
+  info: vi.fn(),
+  error: vi.fn(),
+  warn: vi.fn(),
+  debug: vi.fn()
+}
+
+vi.mock('../../common/helpers/logging/logger.js', () => ({
+  createLogger: vi.fn(() => mockLogger)
+}))
+
+vi.mock('../services/template-registry.service.js', () => ({
+  createTemplateRegistryService: vi.fn(() => ({
+    registerTemplate: mockRegisterTemplate,
+    listTemplates: mockListTemplates,
+    removeTemplate: mockRemoveTemplate
+  }))
+}))
+
+const { registerTemplateHandler, listTemplatesHandler, removeTemplateHandler } =
+  await import('./template-registry.controller.js')
+
+const TEMPLATE_ID = '11111111-2222-3333-4444-555555555555'
+const DETAILS = {
+  alias: 'alert-sms',
+  channel: 'sms',
+  language: 'en',
+  requiredKeys: ['region'],
+  optionalKeys: []
+}
+
+function makeRequest({ payload = {}, params = {} } = {}) {
+  return {
+    db: {},
+    headers: { 'x-cdp-request-id': 'req-123' },
+    info: { id: 'info-1' },
+    payload,
+    params
+  }
+}
+
+function makeH() {
+  const response = { code: vi.fn().mockReturnThis() }
+  return { response: vi.fn(() => response), _response: response }
+}
+
+describe('template registry admin handlers', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('registerTemplateHandler', () => {
+    it('should register a new template and return 201', async () => {
+      const result = {
+        template: { templateId: TEMPLATE_ID, ...DETAILS },
+        created: true
+      }
+      mockRegisterTemplate.mockResolvedValue(result)
+      const h = makeH()
+
+      await registerTemplateHandler(
+        makeRequest({ payload: DETAILS, params: { templateId: TEMPLATE_ID } }),
+        h
+      )
+
+      expect(mockRegisterTemplate).toHaveBeenCalledWith({
+        templateId: TEMPLATE_ID,
+        ...DETAILS
+      })
+      expect(h.response).toHaveBeenCalledWith(result)
+      expect(h._response.code).toHaveBeenCalledWith(201)
+    })
+
+    it('should return 200 when replacing a registered template', async () => {
+      mockRegisterTemplate.mockResolvedValue({
+        template: { templateId: TEMPLATE_ID, ...DETAILS },
+        created: false
+      })
+      const h = makeH()
+
+      await registerTemplateHandler(
+        makeRequest({ payload: DETAILS, params: { templateId: TEMPLATE_ID } }),
+        h
+      )
+
+      expect(h._response.code).toHaveBeenCalledWith(200)
+    })
+
+    it('should return a 500 when the registry fails', async () => {
+      mockRegisterTemplate.mockRejectedValue(new Error('db down'))
+
+      const result = await registerTemplateHandler(
+        makeRequest({ payload: DETAILS, params: { templateId: TEMPLATE_ID } }),
+        makeH()
+      )
+
+      expect(result.isBoom).toBe(true)
+      expect(result.output.statusCode).toBe(500)
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.stringContaining('template_registry.admin.register_failed')
+      )
+    })
+  })
+
+  describe('listTemplatesHandler', () => {
+    it('should return the registered templates', async () => {
+      const templates = [{ templateId: TEMPLATE_ID, ...DETAILS }]
+      mockListTemplates.mockResolvedValue(templates)
+      const h = makeH()
+
+      await listTemplatesHandler(makeRequest(), h)
+
+      expect(h.response).toHaveBeenCalledWith({ templates })
+      expect(h._response.code).toHaveBeenCalledWith(200)
+    })
+
+    it('should return a 500 when the registry fails', async () => {
+      mockListTemplates.mockRejectedValue(new Error('db down'))
+
+      const result = await listTemplatesHandler(makeRequest(), makeH())
+
+      expect(result.output.statusCode).toBe(500)
+    })
+  })
+
+  describe('removeTemplateHandler', () => {
+    it('should remove a registered template', async () => {
+      mockRemoveTemplate.mockResolvedValue({ removed: true })
+      const h = makeH()
+
+      await removeTemplateHandler(
+        makeRequest({ params: { templateId: TEMPLATE_ID } }),
+        h
+      )
+
+      expect(mockRemoveTemplate).toHaveBeenCalledWith(TEMPLATE_ID)
+      expect(h.response).toHaveBeenCalledWith({ removed: true })
+      expect(h._response.code).toHaveBeenCalledWith(200)
+    })
+
+    it('should return 404 when the template is not registered', async () => {
+      mockRemoveTemplate.mockResolvedValue({ removed: false })
+
+      const result = await removeTemplateHandler(
+        makeRequest({ params: { templateId: TEMPLATE_ID } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(404)
+    })
+
+    it('should return a 500 when the registry fails', async () => {
+      mockRemoveTemplate.mockRejectedValue(new Error('db down'))
+
+      const result = await removeTemplateHandler(
+        makeRequest({ params: { templateId: TEMPLATE_ID } }),
+        makeH()
+      )
+
+      expect(result.output.statusCode).toBe(500)
+    })
+  })
+})
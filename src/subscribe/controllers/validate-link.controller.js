@@ -3,6 +3,12 @@ import { randomUUID } from 'node:crypto'
 import { createEmailVerificationService } from '../services/email-verification.service.js'
 import { maskEmail, maskUuid } from '../../common/helpers/masking-utils.js'
 import { createLogger } from '../../common/helpers/logging/logger.js'
+import { METRIC, metricsCounter } from '../../common/helpers/metrics.js'
+import {
+  DEFAULT_LANGUAGE,
+  findTemplateAlias,
+  resolveTemplateId
+} from '../services/template-language.js'
 
 const logger = createLogger()
 const HTTP_STATUS_OK = 200
@@ -43,7 +49,8 @@ async function validateLinkHandler(request, h) {
             alertType: result.data.alertType,
             location: result.data.location,
             lat: result.data.lat,
-            long: result.data.long
+            long: result.data.long,
+            language: result.data.language || DEFAULT_LANGUAGE
           })
           .code(HTTP_STATUS_VALIDATION_FAILURE)
       }
@@ -53,6 +60,12 @@ async function validateLinkHandler(request, h) {
     logger.info(
       `validate_link.success ${JSON.stringify({ requestId, uuid: maskUuid(uuid), emailAddress: result.data?.emailAddress ? maskEmail(result.data.emailAddress) : undefined })}`
     )
+    // Dimensioned by the template the link was sent with
+    metricsCounter(METRIC.EMAIL_LINK_VALIDATED, 1, {
+      templateAlias: findTemplateAlias(
+        resolveTemplateId('notify.emailTemplateId', result.data?.language)
+      )
+    })
 
     return h
       .response({
@@ -61,7 +74,8 @@ async function validateLinkHandler(request, h) {
         alertType: result.data.alertType,
         location: result.data.location,
         lat: result.data.lat,
-        long: result.data.long
+        long: result.data.long,
+        language: result.data.language || DEFAULT_LANGUAGE
       })
       .code(HTTP_STATUS_OK)
   } catch (err) {
@@ -1,6 +1,7 @@
 import { createEmailVerificationService } from '../services/email-verification.service.js'
 import { describe, it, expect, vi, beforeEach } from 'vitest'
 import { validateLinkHandler } from './validate-link.controller.js'
+import { metricsCounter } from '../../common/helpers/metrics.js'
 
 const mockEmailVerificationService = {
   validateLink: vi.fn()
@@ -19,6 +20,23 @@ vi.mock('../../common/helpers/logging/logger.js', () => ({
   createLogger: vi.fn(() => mockLogger)
 }))
 
+vi.mock('../../common/helpers/metrics.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  metricsCounter: vi.fn()
+}))
+
+vi.mock('../../config.js', () => ({
+  config: {
+    get: vi.fn(
+      (key) =>
+        ({
+          'notify.emailTemplateId': 'tmpl-link',
+          'notify.welsh.emailTemplateId': 'tmpl-link-cy'
+        })[key] ?? null
+    )
+  }
+}))
+
 vi.mock('../services/email-verification.service.js', () => ({
   createEmailVerificationService: vi.fn(() => mockEmailVerificationService)
 }))
@@ -86,7 +104,8 @@ describe('Validate Link Controller', () => {
           alertType: 'email',
           location: 'staines',
           lat: 0.789,
-          long: -0.876
+          long: -0.876,
+          language: 'en'
         })
         expect(mockH.code).toHaveBeenCalledWith(200)
         expect(result).toEqual({
@@ -96,6 +115,23 @@ describe('Validate Link Controller', () => {
       })
     })
 
+    it('should return the language stored with the verification', async () => {
+      mockEmailVerificationService.validateLink.mockResolvedValue({
+        valid: true,
+        data: { emailAddress: 'user@example.com', language: 'cy' }
+      })
+      mockH.response.mockReturnValue(mockH)
+
+      await validateLinkHandler(mockRequest, mockH)
+
+      expect(mockH.response).toHaveBeenCalledWith(
+        expect.objectContaining({ language: 'cy' })
+      )
+      expect(metricsCounter).toHaveBeenCalledWith('EmailLinkValidated', 1, {
+        templateAlias: 'email-verification-cy'
+      })
+    })
+
     describe('Error scenarios with user data', () => {
       it('should return error with user data when link is expired', async () => {
         const userData = {
@@ -134,7 +170,8 @@ describe('Validate Link Controller', () => {
           alertType: 'email',
           location: 'staines',
           lat: 0.789,
-          long: -0.876
+          long: -0.876,
+          language: 'en'
         })
         expect(mockH.code).toHaveBeenCalledWith(400)
       })
@@ -176,7 +213,8 @@ describe('Validate Link Controller', () => {
           alertType: 'email',
           location: 'staines',
           lat: 0.789,
-          long: -0.876
+          long: -0.876,
+          language: 'en'
         })
         expect(mockH.code).toHaveBeenCalledWith(400)
       })
@@ -0,0 +1,21 @@
+import { deliveryStatusCallbackHandler } from '../controllers/delivery-status.controller.js'
+import { deliveryStatusCallbackSchema } from '../validators/callback.schema.js'
+import { verifyNotifyCallbackToken } from '../../common/helpers/notify-callback-auth.js'
+
+const deliveryStatusCallbackRoute = {
+  method: 'POST',
+  path: '/notify/callbacks/delivery-status',
+  options: {
+    // Notify presents its own bearer token, checked by the onPreAuth step
+    auth: false,
+    ext: {
+      onPreAuth: { method: verifyNotifyCallbackToken }
+    },
+    validate: {
+      payload: deliveryStatusCallbackSchema
+    }
+  },
+  handler: deliveryStatusCallbackHandler
+}
+
+export { deliveryStatusCallbackRoute }
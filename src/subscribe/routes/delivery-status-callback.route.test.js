@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import { deliveryStatusCallbackHandler } from '../controllers/delivery-status.controller.js'
+import { verifyNotifyCallbackToken } from '../../common/helpers/notify-callback-auth.js'
+import { deliveryStatusCallbackRoute } from './delivery-status-callback.route.js'
+
+describe('deliveryStatusCallbackRoute', () => {
+  const schema = deliveryStatusCallbackRoute.options.validate.payload
+
+  it('should export a valid Hapi route definition', () => {
+    expect(deliveryStatusCallbackRoute.method).toBe('POST')
+    expect(deliveryStatusCallbackRoute.path).toBe(
+      '/notify/callbacks/delivery-status'
+    )
+    expect(deliveryStatusCallbackRoute.handler).toBe(
+      deliveryStatusCallbackHandler
+    )
+    expect(deliveryStatusCallbackRoute.options.ext.onPreAuth.method).toBe(
+      verifyNotifyCallbackToken
+    )
+    expect(deliveryStatusCallbackRoute.options.auth).toBe(false)
+  })
+
+  it('should accept a Notify delivery receipt', () => {
+    const { error, value } = schema.validate({
+      id: '740e5834-3a29-46b4-9a6f-16142fde533a',
+      reference: null,
+      to: '07700900111',
+      status: 'permanent-failure',
+      created_at: '2025-01-01T10:00:00.000000Z',
+      completed_at: '2025-01-01T10:00:05.000000Z',
+      sent_at: '2025-01-01T10:00:01.000000Z',
+      notification_type: 'sms',
+      template_id: 'f33517ff-2a88-4f6e-b855-c550268ce08a',
+      template_version: 1
+    })
+
+    expect(error).toBeUndefined()
+    expect(value.completed_at).toBeInstanceOf(Date)
+  })
+
+  it('should reject an unknown status', () => {
+    const { error } = schema.validate({ id: 'n1', status: 'sending' })
+
+    expect(error).toBeDefined()
+  })
+
+  it('should require the notification id', () => {
+    const { error } = schema.validate({ status: 'delivered' })
+
+    expect(error).toBeDefined()
+  })
+})
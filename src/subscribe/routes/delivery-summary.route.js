@@ -0,0 +1,17 @@
+import { deliverySummaryHandler } from '../controllers/notification-query.controller.js'
+import { alertIdParamsSchema } from '../validators/notification-query.schema.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
+
+const deliverySummaryRoute = {
+  method: 'GET',
+  path: '/alerts/{alertId}/delivery-summary',
+  options: {
+    auth: { scope: [SCOPES.NOTIFY_SEND] },
+    validate: {
+      params: alertIdParamsSchema
+    }
+  },
+  handler: deliverySummaryHandler
+}
+
+export { deliverySummaryRoute }
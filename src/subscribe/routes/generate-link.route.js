@@ -1,11 +1,15 @@
 import { generateLinkHandler } from '../controllers/email-verification.controller.js'
 import { generateLinkSchema } from '../validators/link.schema.js'
+import { idempotencyHeadersSchema } from '../validators/idempotency.schema.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
 
 export default {
   method: 'POST',
   path: '/subscribe/generate-link',
   options: {
+    auth: { scope: [SCOPES.SUBSCRIBE_VERIFY] },
     validate: {
+      headers: idempotencyHeadersSchema,
       payload: generateLinkSchema
     }
   },
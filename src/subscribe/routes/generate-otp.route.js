@@ -1,11 +1,15 @@
 import { generateOtpHandler } from '../controllers/otp.controller.js'
 import { generateOtpSchema } from '../validators/otp.schema.js'
+import { idempotencyHeadersSchema } from '../validators/idempotency.schema.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
 
 const generateOtpRoute = {
   method: 'POST',
   path: '/subscribe/generate-otp',
   options: {
+    auth: { scope: [SCOPES.SUBSCRIBE_VERIFY] },
     validate: {
+      headers: idempotencyHeadersSchema,
       payload: generateOtpSchema
     }
   },
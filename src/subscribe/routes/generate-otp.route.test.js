@@ -27,6 +27,10 @@ describe('Generate OTP Route', () => {
       expect(generateOtpRoute.options.validate.payload).toBeDefined()
       expect(generateOtpRoute.options.validate.payload).toBe(generateOtpSchema)
     })
+
+    it('should require the subscribe:verify scope', () => {
+      expect(generateOtpRoute.options.auth.scope).toEqual(['subscribe:verify'])
+    })
   })
 
   describe('Route Structure', () => {
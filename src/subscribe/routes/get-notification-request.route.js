@@ -0,0 +1,17 @@
+import { getNotificationRequestHandler } from '../controllers/notification-query.controller.js'
+import { outboxIdParamsSchema } from '../validators/notification-query.schema.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
+
+const getNotificationRequestRoute = {
+  method: 'GET',
+  path: '/send-notification/requests/{outboxId}',
+  options: {
+    auth: { scope: [SCOPES.NOTIFY_SEND] },
+    validate: {
+      params: outboxIdParamsSchema
+    }
+  },
+  handler: getNotificationRequestHandler
+}
+
+export { getNotificationRequestRoute }
@@ -0,0 +1,17 @@
+import { getNotificationHandler } from '../controllers/notification-query.controller.js'
+import { notificationIdParamsSchema } from '../validators/notification-query.schema.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
+
+const getNotificationRoute = {
+  method: 'GET',
+  path: '/notifications/{notificationId}',
+  options: {
+    auth: { scope: [SCOPES.NOTIFY_SEND] },
+    validate: {
+      params: notificationIdParamsSchema
+    }
+  },
+  handler: getNotificationHandler
+}
+
+export { getNotificationRoute }
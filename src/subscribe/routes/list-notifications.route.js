@@ -0,0 +1,17 @@
+import { listNotificationsHandler } from '../controllers/notification-query.controller.js'
+import { listNotificationsQuerySchema } from '../validators/notification-query.schema.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
+
+const listNotificationsRoute = {
+  method: 'GET',
+  path: '/notifications',
+  options: {
+    auth: { scope: [SCOPES.NOTIFY_SEND] },
+    validate: {
+      query: listNotificationsQuerySchema
+    }
+  },
+  handler: listNotificationsHandler
+}
+
+export { listNotificationsRoute }
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest'
+import { listNotificationsHandler } from '../controllers/notification-query.controller.js'
+import { listNotificationsRoute } from './list-notifications.route.js'
+
+describe('listNotificationsRoute', () => {
+  const schema = listNotificationsRoute.options.validate.query
+
+  it('should export a valid Hapi route definition', () => {
+    expect(listNotificationsRoute.method).toBe('GET')
+    expect(listNotificationsRoute.path).toBe('/notifications')
+    expect(listNotificationsRoute.handler).toBe(listNotificationsHandler)
+  })
+
+  it('should require alertId and default the limit', () => {
+    expect(schema.validate({}).error).toBeDefined()
+    expect(schema.validate({ alertId: 'a1' }).value).toEqual({
+      alertId: 'a1',
+      limit: 20
+    })
+  })
+
+  it('should accept one or many status filters', () => {
+    expect(
+      schema.validate({ alertId: 'a1', status: 'delivered' }).value.status
+    ).toEqual(['delivered'])
+    expect(
+      schema.validate({
+        alertId: 'a1',
+        status: ['delivered', 'permanent-failure']
+      }).error
+    ).toBeUndefined()
+  })
+
+  it('should reject unknown statuses and out-of-range limits', () => {
+    expect(
+      schema.validate({ alertId: 'a1', status: 'lost' }).error
+    ).toBeDefined()
+    expect(schema.validate({ alertId: 'a1', limit: 101 }).error).toBeDefined()
+  })
+})
@@ -1,8 +1,12 @@
 import { processSmsRepliesHandler } from '../controllers/sms-reply.controller.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
 
 const processSmsRepliesRoute = {
   method: 'GET',
   path: '/process-sms-replies',
+  options: {
+    auth: { scope: [SCOPES.ADMIN] }
+  },
   handler: processSmsRepliesHandler
 }
 
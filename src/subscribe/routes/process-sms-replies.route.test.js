@@ -20,4 +20,8 @@ describe('processSmsRepliesRoute', () => {
     // Handler should be the same function reference
     expect(processSmsRepliesRoute.handler).toBe(processSmsRepliesHandler)
   })
+
+  it('should require the admin scope', () => {
+    expect(processSmsRepliesRoute.options.auth.scope).toEqual(['admin'])
+  })
 })
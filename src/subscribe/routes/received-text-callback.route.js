@@ -0,0 +1,21 @@
+import { receivedTextCallbackHandler } from '../controllers/received-text.controller.js'
+import { receivedTextCallbackSchema } from '../validators/callback.schema.js'
+import { verifyNotifyCallbackToken } from '../../common/helpers/notify-callback-auth.js'
+
+const receivedTextCallbackRoute = {
+  method: 'POST',
+  path: '/notify/callbacks/received-text',
+  options: {
+    // Notify presents its own bearer token, checked by the onPreAuth step
+    auth: false,
+    ext: {
+      onPreAuth: { method: verifyNotifyCallbackToken }
+    },
+    validate: {
+      payload: receivedTextCallbackSchema
+    }
+  },
+  handler: receivedTextCallbackHandler
+}
+
+export { receivedTextCallbackRoute }
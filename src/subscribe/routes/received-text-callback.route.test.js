@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest'
+import { receivedTextCallbackHandler } from '../controllers/received-text.controller.js'
+import { verifyNotifyCallbackToken } from '../../common/helpers/notify-callback-auth.js'
+import { receivedTextCallbackRoute } from './received-text-callback.route.js'
+
+describe('receivedTextCallbackRoute', () => {
+  const schema = receivedTextCallbackRoute.options.validate.payload
+
+  it('should export a valid Hapi route definition', () => {
+    expect(receivedTextCallbackRoute.method).toBe('POST')
+    expect(receivedTextCallbackRoute.path).toBe(
+      '/notify/callbacks/received-text'
+    )
+    expect(receivedTextCallbackRoute.handler).toBe(receivedTextCallbackHandler)
+    expect(receivedTextCallbackRoute.options.ext.onPreAuth.method).toBe(
+      verifyNotifyCallbackToken
+    )
+  })
+
+  it('should accept a Notify received text', () => {
+    const { error, value } = schema.validate({
+      id: 'b51f138b-f37b-4b2b-9b4a-3c0b6e2f7b9a',
+      source_number: '447700900111',
+      destination_number: '07700900000',
+      message: 'STOP',
+      date_received: '2025-01-01T10:00:00.000000Z'
+    })
+
+    expect(error).toBeUndefined()
+    expect(value.date_received).toBeInstanceOf(Date)
+  })
+
+  it('should require the sender and message', () => {
+    expect(
+      schema.validate({ id: 'm1', date_received: '2025-01-01T10:00:00Z' }).error
+    ).toBeDefined()
+  })
+})
@@ -0,0 +1,54 @@
+import {
+  sendNotificationBatchHandler,
+  getNotificationBatchHandler,
+  listBatchRecipientsHandler
+} from '../controllers/notification-batch.controller.js'
+import {
+  sendNotificationBatchSchema,
+  batchIdParamsSchema,
+  batchRecipientsQuerySchema
+} from '../validators/notification.schema.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
+
+const sendNotificationBatchRoute = {
+  method: 'POST',
+  path: '/send-notification/batch',
+  options: {
+    auth: { scope: [SCOPES.NOTIFY_SEND] },
+    validate: {
+      payload: sendNotificationBatchSchema
+    }
+  },
+  handler: sendNotificationBatchHandler
+}
+
+const getNotificationBatchRoute = {
+  method: 'GET',
+  path: '/send-notification/batch/{batchId}',
+  options: {
+    auth: { scope: [SCOPES.NOTIFY_SEND] },
+    validate: {
+      params: batchIdParamsSchema
+    }
+  },
+  handler: getNotificationBatchHandler
+}
+
+const listBatchRecipientsRoute = {
+  method: 'GET',
+  path: '/send-notification/batch/{batchId}/recipients',
+  options: {
+    auth: { scope: [SCOPES.NOTIFY_SEND] },
+    validate: {
+      params: batchIdParamsSchema,
+      query: batchRecipientsQuerySchema
+    }
+  },
+  handler: listBatchRecipientsHandler
+}
+
+export {
+  sendNotificationBatchRoute,
+  getNotificationBatchRoute,
+  listBatchRecipientsRoute
+}
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import { sendNotificationBatchHandler } from '../controllers/notification-batch.controller.js'
+import { MAX_BATCH_RECIPIENTS } from '../validators/notification.schema.js'
+import {
+  sendNotificationBatchRoute,
+  getNotificationBatchRoute,
+  listBatchRecipientsRoute
+} from './send-notification-batch.route.js'
+
+describe('sendNotificationBatchRoute', () => {
+  const schema = sendNotificationBatchRoute.options.validate.payload
+  const valid = {
+    alertId: 'alert-1',
+    templateId: 'tpl-1',
+    recipients: [
+      { phoneNumber: '+447700900111', personalisation: { name: 'A' } },
+      { emailAddress: 'b@example.com' }
+    ]
+  }
+
+  it('should export valid Hapi route definitions', () => {
+    expect(sendNotificationBatchRoute.method).toBe('POST')
+    expect(sendNotificationBatchRoute.path).toBe('/send-notification/batch')
+    expect(sendNotificationBatchRoute.handler).toBe(
+      sendNotificationBatchHandler
+    )
+    expect(getNotificationBatchRoute.path).toBe(
+      '/send-notification/batch/{batchId}'
+    )
+    expect(listBatchRecipientsRoute.path).toBe(
+      '/send-notification/batch/{batchId}/recipients'
+    )
+  })
+
+  it('should accept a valid batch and default personalisation', () => {
+    const { error, value } = schema.validate(valid)
+
+    expect(error).toBeUndefined()
+    expect(value.personalisation).toEqual({})
+    expect(value.recipients[1].personalisation).toEqual({})
+  })
+
+  it('should reject a recipient with both or neither contact', () => {
+    expect(
+      schema.validate({
+        ...valid,
+        recipients: [
+          { phoneNumber: '+447700900111', emailAddress: 'b@example.com' }
+        ]
+      }).error
+    ).toBeDefined()
+    expect(
+      schema.validate({ ...valid, recipients: [{ personalisation: {} }] }).error
+    ).toBeDefined()
+  })
+
+  it('should reject empty and oversized batches', () => {
+    expect(schema.validate({ ...valid, recipients: [] }).error).toBeDefined()
+    const tooMany = Array.from({ length: MAX_BATCH_RECIPIENTS + 1 }, () => ({
+      phoneNumber: '+447700900111'
+    }))
+    expect(
+      schema.validate({ ...valid, recipients: tooMany }).error
+    ).toBeDefined()
+  })
+})
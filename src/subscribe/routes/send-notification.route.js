@@ -1,11 +1,15 @@
 import { sendNotificationHandler } from '../controllers/notification.controller.js'
 import { sendNotificationSchema } from '../validators/notification.schema.js'
+import { idempotencyHeadersSchema } from '../validators/idempotency.schema.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
 
 const sendNotificationRoute = {
   method: 'POST',
   path: '/send-notification',
   options: {
+    auth: { scope: [SCOPES.NOTIFY_SEND] },
     validate: {
+      headers: idempotencyHeadersSchema,
       payload: sendNotificationSchema
     }
   },
@@ -0,0 +1,67 @@
+import {
+  listSmsRepliesHandler,
+  getSmsReplyHandler,
+  listDeadLettersHandler,
+  replayDeadLetterHandler
+} from '../controllers/sms-reply-admin.controller.js'
+import {
+  listSmsRepliesQuerySchema,
+  listDeadLettersQuerySchema,
+  messageIdParamsSchema
+} from '../validators/sms-reply.schema.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
+
+const listSmsRepliesRoute = {
+  method: 'GET',
+  path: '/admin/sms-replies',
+  options: {
+    auth: { scope: [SCOPES.ADMIN] },
+    validate: {
+      query: listSmsRepliesQuerySchema
+    }
+  },
+  handler: listSmsRepliesHandler
+}
+
+const getSmsReplyRoute = {
+  method: 'GET',
+  path: '/admin/sms-replies/{messageId}',
+  options: {
+    auth: { scope: [SCOPES.ADMIN] },
+    validate: {
+      params: messageIdParamsSchema
+    }
+  },
+  handler: getSmsReplyHandler
+}
+
+const listDeadLettersRoute = {
+  method: 'GET',
+  path: '/admin/sms-replies/dead-letters',
+  options: {
+    auth: { scope: [SCOPES.ADMIN] },
+    validate: {
+      query: listDeadLettersQuerySchema
+    }
+  },
+  handler: listDeadLettersHandler
+}
+
+const replayDeadLetterRoute = {
+  method: 'POST',
+  path: '/admin/sms-replies/dead-letters/{messageId}/replay',
+  options: {
+    auth: { scope: [SCOPES.ADMIN] },
+    validate: {
+      params: messageIdParamsSchema
+    }
+  },
+  handler: replayDeadLetterHandler
+}
+
+export {
+  listSmsRepliesRoute,
+  getSmsReplyRoute,
+  listDeadLettersRoute,
+  replayDeadLetterRoute
+}
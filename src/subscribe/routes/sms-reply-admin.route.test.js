@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import {
+  listSmsRepliesRoute,
+  getSmsReplyRoute,
+  listDeadLettersRoute,
+  replayDeadLetterRoute
+} from './sms-reply-admin.route.js'
+
+describe('sms reply admin routes', () => {
+  it('should export valid Hapi route definitions', () => {
+    expect(listSmsRepliesRoute.method).toBe('GET')
+    expect(listSmsRepliesRoute.path).toBe('/admin/sms-replies')
+    expect(getSmsReplyRoute.path).toBe('/admin/sms-replies/{messageId}')
+    expect(listDeadLettersRoute.method).toBe('GET')
+    expect(listDeadLettersRoute.path).toBe('/admin/sms-replies/dead-letters')
+    expect(replayDeadLetterRoute.method).toBe('POST')
+    expect(replayDeadLetterRoute.path).toBe(
+      '/admin/sms-replies/dead-letters/{messageId}/replay'
+    )
+  })
+
+  it('should validate search filters', () => {
+    const schema = listSmsRepliesRoute.options.validate.query
+
+    const { error, value } = schema.validate({
+      status: 'unsubscribed',
+      from: '2025-01-01',
+      to: '2025-02-01',
+      phoneSuffix: '0111'
+    })
+    expect(error).toBeUndefined()
+    expect(value.status).toEqual(['unsubscribed'])
+    expect(value.format).toBe('json')
+    expect(schema.validate({ status: 'unknown' }).error).toBeDefined()
+    expect(schema.validate({ phoneSuffix: '+4477' }).error).toBeDefined()
+    expect(
+      schema.validate({ from: '2025-02-01', to: '2025-01-01' }).error
+    ).toBeDefined()
+    expect(schema.validate({ format: 'xml' }).error).toBeDefined()
+  })
+
+  it('should default the page size and cap it', () => {
+    const schema = listDeadLettersRoute.options.validate.query
+
+    const { error, value } = schema.validate({})
+    expect(error).toBeUndefined()
+    expect(value.limit).toBe(20)
+    expect(schema.validate({ limit: 101 }).error).toBeDefined()
+  })
+
+  it('should require a Notify message id to replay', () => {
+    const schema = replayDeadLetterRoute.options.validate.params
+
+    expect(
+      schema.validate({ messageId: '740e5834-3a29-46b4-9a6f-16142fde533a' })
+        .error
+    ).toBeUndefined()
+    expect(schema.validate({ messageId: 'not-an-id' }).error).toBeDefined()
+  })
+})
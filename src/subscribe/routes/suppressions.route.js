@@ -0,0 +1,67 @@
+import {
+  addSuppressionHandler,
+  listSuppressionsHandler,
+  getSuppressionHandler,
+  removeSuppressionHandler
+} from '../controllers/suppression.controller.js'
+import {
+  addSuppressionSchema,
+  contactParamsSchema,
+  listSuppressionsQuerySchema
+} from '../validators/suppression.schema.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
+
+const addSuppressionRoute = {
+  method: 'POST',
+  path: '/admin/suppressions',
+  options: {
+    auth: { scope: [SCOPES.ADMIN] },
+    validate: {
+      payload: addSuppressionSchema
+    }
+  },
+  handler: addSuppressionHandler
+}
+
+const listSuppressionsRoute = {
+  method: 'GET',
+  path: '/admin/suppressions',
+  options: {
+    auth: { scope: [SCOPES.ADMIN] },
+    validate: {
+      query: listSuppressionsQuerySchema
+    }
+  },
+  handler: listSuppressionsHandler
+}
+
+const getSuppressionRoute = {
+  method: 'GET',
+  path: '/admin/suppressions/{contact}',
+  options: {
+    auth: { scope: [SCOPES.ADMIN] },
+    validate: {
+      params: contactParamsSchema
+    }
+  },
+  handler: getSuppressionHandler
+}
+
+const removeSuppressionRoute = {
+  method: 'DELETE',
+  path: '/admin/suppressions/{contact}',
+  options: {
+    auth: { scope: [SCOPES.ADMIN] },
+    validate: {
+      params: contactParamsSchema
+    }
+  },
+  handler: removeSuppressionHandler
+}
+
+export {
+  addSuppressionRoute,
+  listSuppressionsRoute,
+  getSuppressionRoute,
+  removeSuppressionRoute
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest'
+import {
+  addSuppressionRoute,
+  listSuppressionsRoute,
+  getSuppressionRoute,
+  removeSuppressionRoute
+} from './suppressions.route.js'
+
+describe('suppression admin routes', () => {
+  it('should export valid Hapi route definitions', () => {
+    expect(addSuppressionRoute.method).toBe('POST')
+    expect(addSuppressionRoute.path).toBe('/admin/suppressions')
+    expect(listSuppressionsRoute.method).toBe('GET')
+    expect(getSuppressionRoute.path).toBe('/admin/suppressions/{contact}')
+    expect(removeSuppressionRoute.method).toBe('DELETE')
+  })
+
+  it('should require the admin scope on every route', () => {
+    for (const route of [
+      addSuppressionRoute,
+      listSuppressionsRoute,
+      getSuppressionRoute,
+      removeSuppressionRoute
+    ]) {
+      expect(route.options.auth.scope).toEqual(['admin'])
+    }
+  })
+
+  it('should accept a phone number or email address', () => {
+    const schema = addSuppressionRoute.options.validate.payload
+
+    expect(schema.validate({ contact: '07700 900111' }).error).toBeUndefined()
+    expect(
+      schema.validate({ contact: 'user@example.com', note: 'complaint' }).error
+    ).toBeUndefined()
+    expect(schema.validate({ contact: 'not a contact' }).error).toBeDefined()
+    expect(schema.validate({}).error).toBeDefined()
+  })
+
+  it('should validate list filters and default the page size', () => {
+    const schema = listSuppressionsRoute.options.validate.query
+
+    const { error, value } = schema.validate({ reason: 'stop' })
+    expect(error).toBeUndefined()
+    expect(value.limit).toBe(20)
+    expect(schema.validate({ reason: 'unknown' }).error).toBeDefined()
+    expect(schema.validate({ limit: 101 }).error).toBeDefined()
+  })
+})
@@ -0,0 +1,46 @@
+import {
+  registerTemplateHandler,
+  listTemplatesHandler,
+  removeTemplateHandler
+} from '../controllers/template-registry.controller.js'
+import {
+  registerTemplateSchema,
+  templateIdParamsSchema
+} from '../validators/template-registry.schema.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
+
+const registerTemplateRoute = {
+  method: 'PUT',
+  path: '/admin/templates/{templateId}',
+  options: {
+    auth: { scope: [SCOPES.ADMIN] },
+    validate: {
+      params: templateIdParamsSchema,
+      payload: registerTemplateSchema
+    }
+  },
+  handler: registerTemplateHandler
+}
+
+const listTemplatesRoute = {
+  method: 'GET',
+  path: '/admin/templates',
+  options: {
+    auth: { scope: [SCOPES.ADMIN] }
+  },
+  handler: listTemplatesHandler
+}
+
+const removeTemplateRoute = {
+  method: 'DELETE',
+  path: '/admin/templates/{templateId}',
+  options: {
+    auth: { scope: [SCOPES.ADMIN] },
+    validate: {
+      params: templateIdParamsSchema
+    }
+  },
+  handler: removeTemplateHandler
+}
+
+export { registerTemplateRoute, listTemplatesRoute, removeTemplateRoute }
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest'
+import {
+  registerTemplateRoute,
+  listTemplatesRoute,
+  removeTemplateRoute
+} from './template-registry.route.js'
+
+describe('template registry admin routes', () => {
+  it('should export valid Hapi route definitions', () => {
+    expect(registerTemplateRoute.method).toBe('PUT')
+    expect(registerTemplateRoute.path).toBe('/admin/templates/{templateId}')
+    expect(listTemplatesRoute.method).toBe('GET')
+    expect(listTemplatesRoute.path).toBe('/admin/templates')
+    expect(removeTemplateRoute.method).toBe('DELETE')
+  })
+
+  it('should require the admin scope on every route', () => {
+    for (const route of [
+      registerTemplateRoute,
+      listTemplatesRoute,
+      removeTemplateRoute
+    ]) {
+      expect(route.options.auth.scope).toEqual(['admin'])
+    }
+  })
+
+  it('should default the language and personalisation keys', () => {
+    const schema = registerTemplateRoute.options.validate.payload
+
+    const { error, value } = schema.validate({
+      alias: 'alert-sms',
+      channel: 'sms'
+    })
+    expect(error).toBeUndefined()
+    expect(value).toEqual({
+      alias: 'alert-sms',
+      channel: 'sms',
+      language: 'en',
+      requiredKeys: [],
+      optionalKeys: []
+    })
+  })
+
+  it('should reject an unknown channel or language', () => {
+    const schema = registerTemplateRoute.options.validate.payload
+
+    expect(
+      schema.validate({ alias: 'alert', channel: 'letter' }).error
+    ).toBeDefined()
+    expect(
+      schema.validate({ alias: 'alert', channel: 'sms', language: 'fr' }).error
+    ).toBeDefined()
+    expect(schema.validate({ channel: 'sms' }).error).toBeDefined()
+    expect(
+      schema.validate({
+        alias: 'alert',
+        channel: 'email',
+        language: 'cy',
+        requiredKeys: ['region', 'region']
+      }).error
+    ).toBeDefined()
+  })
+})
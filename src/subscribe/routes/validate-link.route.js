@@ -1,10 +1,12 @@
 import { validateLinkHandler } from '../controllers/validate-link.controller.js'
 import Joi from 'joi'
+import { SCOPES } from '../../common/helpers/api-auth.js'
 
 const validateLinkRoute = {
   method: 'GET',
   path: '/subscribe/validate-link/{uuid}',
   options: {
+    auth: { scope: [SCOPES.SUBSCRIBE_VERIFY] },
     validate: {
       params: Joi.object({
         uuid: Joi.string().uuid().required()
@@ -1,10 +1,12 @@
 import { validateOtpHandler } from '../controllers/otp.controller.js'
 import { validateOtpSchema } from '../validators/otp.schema.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
 
 const validateOtpRoute = {
   method: 'POST',
   path: '/subscribe/validate-otp',
   options: {
+    auth: { scope: [SCOPES.SUBSCRIBE_VERIFY] },
     validate: {
       payload: validateOtpSchema
     }
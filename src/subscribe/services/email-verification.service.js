@@ -3,6 +3,12 @@ import { v4 as uuidv4 } from 'uuid'
 import { config } from '../../config.js'
 import { randomUUID } from 'node:crypto'
 import { maskEmail } from '../../common/helpers/masking-utils.js'
+import {
+  SECRET_ALGORITHM,
+  hashSecret,
+  secretMatches
+} from '../../common/helpers/secret-hash.js'
+import { DEFAULT_LANGUAGE } from './template-language.js'
 
 // 15 minutes in production, 3 hours when useMock=true so automation scripts
 // have a longer window to click the verification link.
@@ -43,7 +49,8 @@ class EmailVerificationService {
   }
 
   /**
-   * Store email verification details with UUID
+   * Store email verification details with UUID. The language is kept in
+   * verificationData so it is returned to the frontend on validation.
    */
   async storeVerificationDetails(
     emailAddress,
@@ -51,7 +58,8 @@ class EmailVerificationService {
     location,
     lat,
     long,
-    expiryMinutes
+    expiryMinutes,
+    language = DEFAULT_LANGUAGE
   ) {
     const operationId = `store_email_${randomUUID()}`
     const uuid = uuidv4()
@@ -66,7 +74,8 @@ class EmailVerificationService {
     try {
       const document = {
         contact: cleanEmail,
-        secret: uuid,
+        secret: hashSecret(uuid),
+        secretAlgorithm: SECRET_ALGORITHM,
         expiryTime,
         validated: false,
         createdAt: new Date(),
@@ -77,7 +86,8 @@ class EmailVerificationService {
           alertType,
           location,
           lat,
-          long
+          long,
+          language
         }
       }
 
@@ -104,15 +114,21 @@ class EmailVerificationService {
   }
 
   /**
-   * Get verification details by UUID
+   * Get verification details by UUID. Tokens are stored hashed; documents
+   * written before hashing was introduced still hold the raw UUID and are
+   * matched until they expire.
    */
   async getVerificationByUuid(uuid) {
     const operationId = `get_email_${randomUUID()}`
 
     try {
-      const result = await this.collection.findOne({
-        secret: uuid
+      const record = await this.collection.findOne({
+        $or: [
+          { secret: hashSecret(uuid), secretAlgorithm: SECRET_ALGORITHM },
+          { secret: uuid, secretAlgorithm: { $exists: false } }
+        ]
       })
+      const result = secretMatches(uuid, record) ? record : null
 
       this.logger.info(`email_verification.get.completed`)
 
@@ -158,7 +174,7 @@ class EmailVerificationService {
 
       // Mark as validated
       await this.collection.updateOne(
-        { secret: uuid },
+        { secret: verification.secret },
         {
           $set: {
             validated: true,
@@ -182,14 +182,16 @@ describe('Email Verification Service', () => {
         { contact: 'user@example.com' },
         expect.objectContaining({
           contact: 'user@example.com',
-          secret: '123e4567-e89b-12d3-a456-426614174000',
+          secret: expect.stringMatching(/^[0-9a-f]{64}$/),
+          secretAlgorithm: 'hmac-sha256',
           validated: false,
           verificationData: {
             emailAddress: 'user@example.com',
             alertType: 'email',
             location: 'staines',
             lat: 0.789,
-            long: -0.876
+            long: -0.876,
+            language: 'en'
           }
         }),
         { upsert: true }
@@ -270,10 +272,46 @@ describe('Email Verification Service', () => {
 
       expect(result).toEqual(mockRecord)
       expect(mockCollection.findOne).toHaveBeenCalledWith({
-        secret: '123e4567-e89b-12d3-a456-426614174000'
+        $or: [
+          {
+            secret: expect.stringMatching(/^[0-9a-f]{64}$/),
+            secretAlgorithm: 'hmac-sha256'
+          },
+          {
+            secret: '123e4567-e89b-12d3-a456-426614174000',
+            secretAlgorithm: { $exists: false }
+          }
+        ]
       })
     }, 10000)
 
+    it('should return a hashed verification record by uuid', async () => {
+      setupLoggerMock(mockLogger)
+
+      const { EmailVerificationService } = await import(
+        './email-verification.service.js'
+      )
+      const { hashSecret } = await import('../../common/helpers/secret-hash.js')
+
+      const mockCollection = createMockCollection()
+      const mockRecord = {
+        secret: hashSecret('123e4567-e89b-12d3-a456-426614174000'),
+        secretAlgorithm: 'hmac-sha256',
+        contact: 'user@example.com'
+      }
+      mockCollection.findOne.mockResolvedValue(mockRecord)
+      const mockDb = createMockDb(mockCollection)
+
+      const service = new EmailVerificationService(mockDb, mockLogger)
+
+      await expect(
+        service.getVerificationByUuid('123e4567-e89b-12d3-a456-426614174000')
+      ).resolves.toEqual(mockRecord)
+      await expect(
+        service.getVerificationByUuid(mockRecord.secret)
+      ).resolves.toBeNull()
+    }, 10000)
+
     it('should throw and log error when findOne fails', async () => {
       setupLoggerMock(mockLogger)
 
@@ -0,0 +1,307 @@
+import { randomUUID } from 'node:crypto'
+
+// Status given to every fake send until simulateStatus changes it
+const DEFAULT_STATUS = 'delivered'
+// Notify lists notifications and received texts 250 at a time
+const PAGE_SIZE = 250
+// Oldest in-memory messages are dropped beyond this
+const MEMORY_OUTBOX_LIMIT = 1000
+const OUTBOX_COLLECTION = 'fake-notify-outbox'
+const RECEIVED_TEXTS_COLLECTION = 'fake-notify-received-texts'
+const FAKE_NOTIFY_NUMBER = '07700900000'
+
+/**
+ * Build an error shaped like a notifications-node-client (axios) failure, so
+ * NotifyService categorises, retries and trips the breaker as it would for
+ * the real API
+ */
+function notifyApiError(statusCode, errorType, message) {
+  const error = new Error(`Request failed with status code ${statusCode}`)
+  error.response = {
+    status: statusCode,
+    data: {
+      status_code: statusCode,
+      errors: [{ error: errorType, message }]
+    }
+  }
+  return error
+}
+
+function withoutId({ _id, ...rest }) {
+  return rest
+}
+
+/**
+ * Outbox and inbox held in process memory (per instance)
+ */
+class MemoryStore {
+  constructor() {
+    this.messages = []
+    this.receivedTexts = []
+  }
+
+  async addMessage(message) {
+    this.messages.unshift(message)
+    this.messages.length = Math.min(this.messages.length, MEMORY_OUTBOX_LIMIT)
+  }
+
+  async findMessage(id) {
+    return this.messages.find((message) => message.id === id) || null
+  }
+
+  async setStatus(id, fields) {
+    const message = await this.findMessage(id)
+    if (message) {
+      Object.assign(message, fields)
+    }
+    return Boolean(message)
+  }
+
+  async listMessages({ type, reference, limit }) {
+    return this.messages
+      .filter((message) => !type || message.type === type)
+      .filter((message) => !reference || message.reference === reference)
+      .slice(0, limit)
+  }
+
+  async addReceivedText(text) {
+    this.receivedTexts.unshift(text)
+  }
+
+  async listReceivedTexts(olderThan, limit) {
+    const start = olderThan
+      ? this.receivedTexts.findIndex((text) => text.id === olderThan) + 1
+      : 0
+    return start === 0 && olderThan
+      ? []
+      : this.receivedTexts.slice(start, start + limit)
+  }
+
+  async clear() {
+    this.messages = []
+    this.receivedTexts = []
+  }
+}
+
+/**
+ * Outbox and inbox shared by every instance through MongoDB
+ */
+class MongoStore {
+  constructor(db) {
+    this.outbox = db.collection(OUTBOX_COLLECTION)
+    this.inbox = db.collection(RECEIVED_TEXTS_COLLECTION)
+  }
+
+  async addMessage(message) {
+    await this.outbox.insertOne({ ...message })
+  }
+
+  async findMessage(id) {
+    return this.outbox.findOne({ id }, { projection: { _id: 0 } })
+  }
+
+  async setStatus(id, fields) {
+    const result = await this.outbox.updateOne({ id }, { $set: fields })
+    return result.matchedCount > 0
+  }
+
+  async listMessages({ type, reference, limit }) {
+    const filter = {}
+    if (type) {
+      filter.type = type
+    }
+    if (reference) {
+      filter.reference = reference
+    }
+    const documents = await this.outbox
+      .find(filter)
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .toArray()
+    return documents.map(withoutId)
+  }
+
+  async addReceivedText(text) {
+    await this.inbox.insertOne({ ...text })
+  }
+
+  async listReceivedTexts(olderThan, limit) {
+    const filter = {}
+    if (olderThan) {
+      const last = await this.inbox.findOne({ id: olderThan })
+      if (!last) {
+        return []
+      }
+      filter.created_at = { $lt: last.created_at }
+    }
+    const documents = await this.inbox
+      .find(filter)
+      .sort({ created_at: -1 })
+      .limit(limit)
+      .toArray()
+    return documents.map(withoutId)
+  }
+
+  async clear() {
+    await this.outbox.deleteMany({})
+    await this.inbox.deleteMany({})
+  }
+}
+
+/**
+ * Offline stand-in for GOV.UK Notify. Sends are recorded in an outbox
+ * instead of delivered, statuses and failures can be simulated, and inbound
+ * texts injected for the SMS reply poller. Held in memory until
+ * useDatabase() moves it to MongoDB.
+ */
+class FakeNotifyProvider {
+  constructor() {
+    this.name = 'fake'
+    this.store = new MemoryStore()
+    this.pendingFailures = []
+  }
+
+  /**
+   * Share the outbox between instances through MongoDB
+   * @param {object} db - MongoDB database instance
+   */
+  useDatabase(db) {
+    this.store = new MongoStore(db)
+  }
+
+  async record(type, templateId, recipient, options = {}) {
+    const failure = this.pendingFailures.shift()
+    if (failure) {
+      throw notifyApiError(
+        failure.statusCode,
+        failure.errorType,
+        failure.message
+      )
+    }
+
+    const id = randomUUID()
+    const message = {
+      id,
+      type,
+      ...(type === 'sms'
+        ? { phone_number: recipient }
+        : { email_address: recipient }),
+      template: { id: templateId, version: 1 },
+      personalisation: options.personalisation || {},
+      reference: options.reference || null,
+      status: DEFAULT_STATUS,
+      created_at: new Date().toISOString()
+    }
+    await this.store.addMessage(message)
+
+    return {
+      data: {
+        id,
+        reference: message.reference,
+        uri: `fake-notify://notifications/${id}`,
+        template: message.template
+      }
+    }
+  }
+
+  sendSms(templateId, phoneNumber, options) {
+    return this.record('sms', templateId, phoneNumber, options)
+  }
+
+  sendEmail(templateId, emailAddress, options) {
+    return this.record('email', templateId, emailAddress, options)
+  }
+
+  async getNotificationById(notificationId) {
+    const message = await this.store.findMessage(notificationId)
+    if (!message) {
+      throw notifyApiError(404, 'NoResultFound', 'No result found')
+    }
+    return { data: message }
+  }
+
+  async getNotifications(templateType, status, reference) {
+    const messages = await this.store.listMessages({
+      type: templateType,
+      reference,
+      limit: PAGE_SIZE
+    })
+    return {
+      data: {
+        notifications: messages.filter(
+          (message) => !status || message.status === status
+        ),
+        links: {}
+      }
+    }
+  }
+
+  async getReceivedTexts(olderThan) {
+    const page = await this.store.listReceivedTexts(olderThan, PAGE_SIZE + 1)
+    const hasMore = page.length > PAGE_SIZE
+    return {
+      data: {
+        received_text_messages: page.slice(0, PAGE_SIZE),
+        links: hasMore ? { next: 'fake-notify://received-text-messages' } : {}
+      }
+    }
+  }
+
+  /**
+   * @param {object} [filter]
+   * @param {string} [filter.type] - 'sms' or 'email'
+   * @param {number} [filter.limit] - Most recent first
+   * @returns {Promise<Array>} - Recorded messages
+   */
+  listOutbox({ type, limit = 50 } = {}) {
+    return this.store.listMessages({ type, limit })
+  }
+
+  /**
+   * Move a recorded message to another Notify status, e.g. 'permanent-failure'
+   * @returns {Promise<boolean>} - False when the message is unknown
+   */
+  simulateStatus(notificationId, status) {
+    const fields = { status }
+    if (status !== 'sending' && status !== 'created') {
+      fields.completed_at = new Date().toISOString()
+    }
+    return this.store.setStatus(notificationId, fields)
+  }
+
+  /**
+   * Make the next send fail as Notify would, e.g. { statusCode: 429,
+   * errorType: 'RateLimitError' }. Queued failures are per instance.
+   */
+  failNextSend({
+    statusCode = 500,
+    errorType = 'Exception',
+    message = 'Simulated failure'
+  } = {}) {
+    this.pendingFailures.push({ statusCode, errorType, message })
+  }
+
+  /**
+   * Add an inbound SMS for the reply poller to pick up
+   * @returns {Promise<object>} - The received text in Notify's shape
+   */
+  async injectReceivedText({ phoneNumber, content }) {
+    const text = {
+      id: randomUUID(),
+      user_number: phoneNumber,
+      notify_number: FAKE_NOTIFY_NUMBER,
+      content,
+      created_at: new Date().toISOString(),
+      service_id: 'fake-notify'
+    }
+    await this.store.addReceivedText(text)
+    return text
+  }
+
+  async reset() {
+    this.pendingFailures = []
+    await this.store.clear()
+  }
+}
+
+export { FakeNotifyProvider, notifyApiError }
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { FakeNotifyProvider } from './fake-notify-provider.js'
+
+describe('FakeNotifyProvider', () => {
+  let provider
+
+  beforeEach(() => {
+    provider = new FakeNotifyProvider()
+  })
+
+  it('should record sends in the outbox, newest first', async () => {
+    const sms = await provider.sendSms('tmpl-sms', '07700900111', {
+      personalisation: { code: '12345' },
+      reference: 'ref-1'
+    })
+    await provider.sendEmail('tmpl-email', 'user@example.com', {
+      personalisation: { link: 'https://example.com' }
+    })
+
+    expect(sms.data).toMatchObject({ reference: 'ref-1' })
+    const outbox = await provider.listOutbox()
+    expect(outbox.map((m) => m.type)).toEqual(['email', 'sms'])
+    expect(outbox[1]).toMatchObject({
+      id: sms.data.id,
+      phone_number: '07700900111',
+      template: { id: 'tmpl-sms', version: 1 },
+      personalisation: { code: '12345' },
+      status: 'delivered'
+    })
+    expect(await provider.listOutbox({ type: 'sms' })).toHaveLength(1)
+  })
+
+  it('should return recorded messages by id and simulate status changes', async () => {
+    const { data } = await provider.sendSms('tmpl', '07700900111', {})
+
+    expect(await provider.simulateStatus(data.id, 'permanent-failure')).toBe(
+      true
+    )
+    const { data: message } = await provider.getNotificationById(data.id)
+
+    expect(message.status).toBe('permanent-failure')
+    expect(message.completed_at).toBeDefined()
+    expect(await provider.simulateStatus('unknown', 'delivered')).toBe(false)
+  })
+
+  it('should fail lookups of unknown messages with a Notify 404', async () => {
+    const error = await provider.getNotificationById('missing').catch((e) => e)
+
+    expect(error.response.data).toEqual({
+      status_code: 404,
+      errors: [{ error: 'NoResultFound', message: 'No result found' }]
+    })
+  })
+
+  it('should fail the next send only, in Notify error shape', async () => {
+    provider.failNextSend({ statusCode: 429, errorType: 'RateLimitError' })
+
+    const error = await provider
+      .sendSms('tmpl', '07700900111', {})
+      .catch((e) => e)
+
+    expect(error.response.status).toBe(429)
+    expect(error.response.data.errors[0].error).toBe('RateLimitError')
+    await expect(
+      provider.sendSms('tmpl', '07700900111', {})
+    ).resolves.toBeDefined()
+    expect(await provider.listOutbox()).toHaveLength(1)
+  })
+
+  it('should find sent messages by reference', async () => {
+    const { data } = await provider.sendSms('tmpl', '07700900111', {
+      reference: 'outbox-1'
+    })
+    await provider.sendSms('tmpl', '07700900111', { reference: 'outbox-2' })
+
+    const found = await provider.getNotifications(
+      undefined,
+      undefined,
+      'outbox-1'
+    )
+
+    expect(found.data.notifications.map((m) => m.id)).toEqual([data.id])
+  })
+
+  it('should page injected received texts newest first', async () => {
+    const first = await provider.injectReceivedText({
+      phoneNumber: '447700900111',
+      content: 'STOP'
+    })
+    const second = await provider.injectReceivedText({
+      phoneNumber: '447700900222',
+      content: 'HELP'
+    })
+
+    const page = await provider.getReceivedTexts()
+    const older = await provider.getReceivedTexts(second.id)
+
+    expect(page.data.received_text_messages.map((t) => t.id)).toEqual([
+      second.id,
+      first.id
+    ])
+    expect(page.data.links.next).toBeUndefined()
+    expect(older.data.received_text_messages).toEqual([first])
+  })
+
+  it('should clear messages, texts and queued failures on reset', async () => {
+    await provider.sendSms('tmpl', '07700900111', {})
+    await provider.injectReceivedText({ phoneNumber: '1', content: 'x' })
+    provider.failNextSend()
+
+    await provider.reset()
+
+    expect(await provider.listOutbox()).toEqual([])
+    expect(
+      (await provider.getReceivedTexts()).data.received_text_messages
+    ).toEqual([])
+    await expect(
+      provider.sendSms('tmpl', '07700900111', {})
+    ).resolves.toBeDefined()
+  })
+
+  it('should keep the outbox in MongoDB once a database is attached', async () => {
+    const outbox = {
+      insertOne: vi.fn().mockResolvedValue({}),
+      findOne: vi.fn().mockResolvedValue(null)
+    }
+    const db = { collection: vi.fn(() => outbox) }
+    provider.useDatabase(db)
+
+    const { data } = await provider.sendEmail('tmpl', 'user@example.com', {})
+
+    expect(db.collection).toHaveBeenCalledWith('fake-notify-outbox')
+    expect(db.collection).toHaveBeenCalledWith('fake-notify-received-texts')
+    expect(outbox.insertOne).toHaveBeenCalledWith(
+      expect.objectContaining({ id: data.id, type: 'email' })
+    )
+  })
+})
@@ -0,0 +1,283 @@
+import Boom from '@hapi/boom'
+import { createHash, randomUUID } from 'node:crypto'
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { config } from '../../config.js'
+import { IDEMPOTENCY_KEY_HEADER } from '../validators/idempotency.schema.js'
+
+const DUPLICATE_KEY_ERROR = 11000
+const DEFAULT_TTL_HOURS = 24
+const DEFAULT_LEASE_SECONDS = 120
+const MS_PER_SECOND = 1000
+
+const IDEMPOTENCY_STATE = {
+  NEW: 'new',
+  REPLAY: 'replay',
+  MISMATCH: 'mismatch',
+  IN_PROGRESS: 'in_progress'
+}
+
+/**
+ * Stable JSON encoding so payloads with reordered keys hash the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort((a, b) => a.localeCompare(b))
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+function getLeaseMs() {
+  return (
+    (config.get('idempotency.leaseSeconds') || DEFAULT_LEASE_SECONDS) *
+    MS_PER_SECOND
+  )
+}
+
+function hashPayload(payload) {
+  return createHash('sha256')
+    .update(canonicalJson(payload ?? null))
+    .digest('hex')
+}
+
+/**
+ * Stores Idempotency-Key results so retried requests are not re-sent.
+ * Keys are scoped to the endpoint and the authenticated caller, so two
+ * callers choosing the same key never see each other's responses.
+ * Collection: idempotency-keys
+ * Document shape:
+ * {
+ *   scope: string,          // endpoint, e.g. 'send-notification'
+ *   clientId: string,       // authenticated caller
+ *   key: string,            // caller-supplied Idempotency-Key
+ *   requestHash: string,    // sha256 of the canonical payload
+ *   status: string,         // 'in_progress' | 'completed'
+ *   claimId: string,        // request currently holding an in_progress key
+ *   leaseExpiresAt: Date,   // while in_progress; past it a retry takes over
+ *   response: { statusCode: number, body: object },
+ *   createdAt: Date,
+ *   expiresAt: Date         // TTL index
+ * }
+ */
+class IdempotencyService {
+  /**
+   * Creates a new IdempotencyService instance
+   * @param {object} db - MongoDB database instance
+   * @param {object} logger - Logger instance
+   */
+  constructor(db, logger) {
+    this.db = db
+    this.logger = logger || createLogger()
+    this.collection = db.collection('idempotency-keys')
+  }
+
+  /**
+   * Claim a key, or report what a previous request with it did. An
+   * in_progress claim whose lease has run out (its request crashed or timed
+   * out) is taken over, so the caller's retry goes ahead.
+   * @param {object} id - { scope, clientId, key }
+   * @param {object} payload - Request payload
+   * @returns {Promise<object>} - { state, claimId? , response? }
+   */
+  async begin(id, payload) {
+    const { scope, clientId, key } = id
+    const requestHash = hashPayload(payload)
+    const now = new Date()
+    const ttlMs =
+      (config.get('idempotency.ttlHours') || DEFAULT_TTL_HOURS) *
+      60 *
+      60 *
+      MS_PER_SECOND
+    const claimId = randomUUID()
+    const leaseExpiresAt = new Date(now.getTime() + getLeaseMs())
+
+    try {
+      await this.collection.insertOne({
+        scope,
+        clientId,
+        key,
+        requestHash,
+        status: IDEMPOTENCY_STATE.IN_PROGRESS,
+        claimId,
+        leaseExpiresAt,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + ttlMs)
+      })
+      return { state: IDEMPOTENCY_STATE.NEW, claimId }
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        this.logger.error(
+          `idempotency.begin.error ${JSON.stringify({ scope, error: error.message })}`
+        )
+        throw new Error(`Failed to claim idempotency key: ${error.message}`)
+      }
+    }
+
+    const existing = await this.collection.findOne({ scope, clientId, key })
+    if (!existing) {
+      // Expired between the insert and the read; treat as a fresh request
+      return this.begin(id, payload)
+    }
+    if (existing.requestHash !== requestHash) {
+      return { state: IDEMPOTENCY_STATE.MISMATCH }
+    }
+    if (existing.status === 'completed') {
+      return { state: IDEMPOTENCY_STATE.REPLAY, response: existing.response }
+    }
+
+    const takenOver = await this.collection.findOneAndUpdate(
+      {
+        scope,
+        clientId,
+        key,
+        status: IDEMPOTENCY_STATE.IN_PROGRESS,
+        leaseExpiresAt: { $lte: now }
+      },
+      { $set: { claimId, leaseExpiresAt } }
+    )
+    if (takenOver) {
+      this.logger.warn(
+        `idempotency.lease_taken_over ${JSON.stringify({ scope, clientId })}`
+      )
+      return { state: IDEMPOTENCY_STATE.NEW, claimId }
+    }
+    return { state: IDEMPOTENCY_STATE.IN_PROGRESS }
+  }
+
+  /**
+   * Store the response to replay for later requests with the same key.
+   * The request has already succeeded, so a storage failure is only logged.
+   * @param {object} id - { scope, clientId, key }
+   * @param {string} claimId - From begin()
+   */
+  async complete(id, claimId, statusCode, body) {
+    const { scope } = id
+    try {
+      await this.collection.updateOne(
+        { ...id, claimId },
+        {
+          $set: {
+            status: 'completed',
+            response: { statusCode, body },
+            completedAt: new Date()
+          },
+          $unset: { claimId: '', leaseExpiresAt: '' }
+        }
+      )
+    } catch (error) {
+      this.logger.error(
+        `idempotency.complete.error ${JSON.stringify({ scope, error: error.message })}`
+      )
+    }
+  }
+
+  /**
+   * Forget a key whose request failed so the caller can retry with it.
+   * Does nothing if a retry has since taken the key over.
+   * @param {object} id - { scope, clientId, key }
+   * @param {string} claimId - From begin()
+   */
+  async release(id, claimId) {
+    const { scope } = id
+    try {
+      await this.collection.deleteOne({ ...id, claimId })
+    } catch (error) {
+      this.logger.error(
+        `idempotency.release.error ${JSON.stringify({ scope, error: error.message })}`
+      )
+    }
+  }
+}
+
+/**
+ * Factory function to create IdempotencyService instance
+ * @param {object} db - MongoDB database instance
+ * @param {object} logger - Logger instance
+ * @returns {IdempotencyService}
+ */
+function createIdempotencyService(db, logger) {
+  return new IdempotencyService(db, logger)
+}
+
+/**
+ * Run a handler under the request's Idempotency-Key, if it has one, scoped
+ * to the endpoint and the authenticated caller.
+ * Successful (2xx) responses are stored and replayed for repeats of the same
+ * payload; failures release the key so the caller can retry.
+ * @param {object} request - Hapi request
+ * @param {object} h - Hapi response toolkit
+ * @param {string} scope - Endpoint name the key is scoped to
+ * @param {Function} handler - Called with the key (or null) to use as Notify reference
+ * @param {object} logger - Logger instance
+ */
+async function withIdempotency(request, h, scope, handler, logger) {
+  const key = request.headers[IDEMPOTENCY_KEY_HEADER]
+  if (!key) {
+    return handler(null)
+  }
+
+  const id = {
+    scope,
+    clientId: request.auth?.credentials?.clientId ?? null,
+    key
+  }
+  const idempotencyService = createIdempotencyService(request.db, logger)
+  const started = await idempotencyService.begin(id, request.payload)
+
+  if (started.state === IDEMPOTENCY_STATE.MISMATCH) {
+    logger.warn(`idempotency.mismatch ${JSON.stringify({ scope })}`)
+    return Boom.badData(
+      'Idempotency-Key has already been used with a different payload'
+    )
+  }
+  if (started.state === IDEMPOTENCY_STATE.IN_PROGRESS) {
+    return Boom.conflict(
+      'A request with this Idempotency-Key is still being processed'
+    )
+  }
+  if (started.state === IDEMPOTENCY_STATE.REPLAY) {
+    logger.info(
+      `idempotency.replayed ${JSON.stringify({ scope, statusCode: started.response.statusCode })}`
+    )
+    return h
+      .response(started.response.body)
+      .code(started.response.statusCode)
+      .header('Idempotent-Replayed', 'true')
+  }
+
+  let response
+  try {
+    response = await handler(key)
+  } catch (error) {
+    await idempotencyService.release(id, started.claimId)
+    throw error
+  }
+
+  const statusCode = response?.isBoom
+    ? response.output.statusCode
+    : response?.statusCode
+  if (statusCode >= 200 && statusCode < 300) {
+    await idempotencyService.complete(
+      id,
+      started.claimId,
+      statusCode,
+      response.source
+    )
+  } else {
+    await idempotencyService.release(id, started.claimId)
+  }
+  return response
+}
+
+export {
+  IDEMPOTENCY_STATE,
+  IdempotencyService,
+  createIdempotencyService,
+  hashPayload,
+  withIdempotency
+}
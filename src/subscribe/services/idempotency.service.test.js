@@ -0,0 +1,332 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import {
+  IDEMPOTENCY_STATE,
+  IdempotencyService,
+  createIdempotencyService,
+  hashPayload,
+  withIdempotency
+} from './idempotency.service.js'
+
+vi.mock('../../config.js', () => ({
+  config: {
+    get: vi.fn(
+      (key) =>
+        ({ 'idempotency.ttlHours': 24, 'idempotency.leaseSeconds': 120 })[key]
+    )
+  }
+}))
+
+const ID = { scope: 'send-notification', clientId: 'client-a', key: 'key-1' }
+
+function createMockLogger() {
+  return { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() }
+}
+
+function duplicateKeyError() {
+  const error = new Error('E11000 duplicate key error')
+  error.code = 11000
+  return error
+}
+
+function createMockCollection() {
+  return {
+    insertOne: vi.fn().mockResolvedValue({}),
+    findOne: vi.fn(),
+    findOneAndUpdate: vi.fn().mockResolvedValue(null),
+    updateOne: vi.fn().mockResolvedValue({}),
+    deleteOne: vi.fn().mockResolvedValue({})
+  }
+}
+
+describe('hashPayload', () => {
+  it('should ignore key order', () => {
+    expect(hashPayload({ a: 1, b: { c: 2, d: 3 } })).toBe(
+      hashPayload({ b: { d: 3, c: 2 }, a: 1 })
+    )
+  })
+
+  it('should differ for different payloads', () => {
+    expect(hashPayload({ a: 1 })).not.toBe(hashPayload({ a: 2 }))
+  })
+})
+
+describe('IdempotencyService', () => {
+  let collection
+  let service
+
+  beforeEach(() => {
+    collection = createMockCollection()
+    service = new IdempotencyService(
+      { collection: vi.fn(() => collection) },
+      createMockLogger()
+    )
+  })
+
+  it('should create an instance via the factory', () => {
+    const db = { collection: vi.fn(() => collection) }
+
+    expect(createIdempotencyService(db)).toBeInstanceOf(IdempotencyService)
+    expect(db.collection).toHaveBeenCalledWith('idempotency-keys')
+  })
+
+  it('should claim a new key for the caller with a TTL and a lease', async () => {
+    const result = await service.begin(ID, { a: 1 })
+
+    expect(result).toEqual({
+      state: IDEMPOTENCY_STATE.NEW,
+      claimId: expect.any(String)
+    })
+    const [document] = collection.insertOne.mock.calls[0]
+    expect(document).toEqual(
+      expect.objectContaining({
+        scope: 'send-notification',
+        clientId: 'client-a',
+        key: 'key-1',
+        requestHash: hashPayload({ a: 1 }),
+        status: 'in_progress',
+        claimId: result.claimId
+      })
+    )
+    expect(document.expiresAt - document.createdAt).toBe(24 * 60 * 60 * 1000)
+    expect(document.leaseExpiresAt - document.createdAt).toBe(120 * 1000)
+  })
+
+  it('should look up an existing key for the same caller only', async () => {
+    collection.insertOne.mockRejectedValue(duplicateKeyError())
+    collection.findOne.mockResolvedValue({
+      requestHash: hashPayload({ a: 1 }),
+      status: 'completed',
+      response: { statusCode: 201, body: {} }
+    })
+
+    await service.begin(ID, { a: 1 })
+
+    expect(collection.findOne).toHaveBeenCalledWith(ID)
+  })
+
+  it('should replay a completed request with the same payload', async () => {
+    collection.insertOne.mockRejectedValue(duplicateKeyError())
+    collection.findOne.mockResolvedValue({
+      requestHash: hashPayload({ a: 1 }),
+      status: 'completed',
+      response: { statusCode: 201, body: { notificationId: 'n1' } }
+    })
+
+    const result = await service.begin(ID, { a: 1 })
+
+    expect(result).toEqual({
+      state: IDEMPOTENCY_STATE.REPLAY,
+      response: { statusCode: 201, body: { notificationId: 'n1' } }
+    })
+  })
+
+  it('should report a mismatch for a different payload', async () => {
+    collection.insertOne.mockRejectedValue(duplicateKeyError())
+    collection.findOne.mockResolvedValue({
+      requestHash: hashPayload({ a: 1 }),
+      status: 'completed'
+    })
+
+    const result = await service.begin(ID, { a: 2 })
+
+    expect(result).toEqual({ state: IDEMPOTENCY_STATE.MISMATCH })
+  })
+
+  it('should report a request still in progress within its lease', async () => {
+    collection.insertOne.mockRejectedValue(duplicateKeyError())
+    collection.findOne.mockResolvedValue({
+      requestHash: hashPayload({ a: 1 }),
+      status: 'in_progress'
+    })
+
+    const result = await service.begin(ID, { a: 1 })
+
+    expect(result).toEqual({ state: IDEMPOTENCY_STATE.IN_PROGRESS })
+    expect(collection.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        ...ID,
+        status: 'in_progress',
+        leaseExpiresAt: { $lte: expect.any(Date) }
+      },
+      {
+        $set: { claimId: expect.any(String), leaseExpiresAt: expect.any(Date) }
+      }
+    )
+  })
+
+  it('should take over an in-progress key whose lease has expired', async () => {
+    collection.insertOne.mockRejectedValue(duplicateKeyError())
+    collection.findOne.mockResolvedValue({
+      requestHash: hashPayload({ a: 1 }),
+      status: 'in_progress'
+    })
+    collection.findOneAndUpdate.mockResolvedValue({ ...ID })
+
+    const result = await service.begin(ID, { a: 1 })
+
+    const [, update] = collection.findOneAndUpdate.mock.calls[0]
+    expect(result).toEqual({
+      state: IDEMPOTENCY_STATE.NEW,
+      claimId: update.$set.claimId
+    })
+  })
+
+  it('should not take over an expired claim for a different payload', async () => {
+    collection.insertOne.mockRejectedValue(duplicateKeyError())
+    collection.findOne.mockResolvedValue({
+      requestHash: hashPayload({ a: 1 }),
+      status: 'in_progress'
+    })
+
+    const result = await service.begin(ID, { a: 2 })
+
+    expect(result).toEqual({ state: IDEMPOTENCY_STATE.MISMATCH })
+    expect(collection.findOneAndUpdate).not.toHaveBeenCalled()
+  })
+
+  it('should only complete or release the claim it holds', async () => {
+    await service.complete(ID, 'claim-1', 201, { notificationId: 'n1' })
+    await service.release(ID, 'claim-1')
+
+    expect(collection.updateOne.mock.calls[0][0]).toEqual({
+      ...ID,
+      claimId: 'claim-1'
+    })
+    expect(collection.deleteOne).toHaveBeenCalledWith({
+      ...ID,
+      claimId: 'claim-1'
+    })
+  })
+
+  it('should wrap other database errors', async () => {
+    collection.insertOne.mockRejectedValue(new Error('DB down'))
+
+    await expect(service.begin(ID, {})).rejects.toThrow(
+      'Failed to claim idempotency key: DB down'
+    )
+  })
+})
+
+describe('withIdempotency', () => {
+  let collection
+  let request
+  let h
+  let logger
+
+  function makeResponse(statusCode, source) {
+    return { statusCode, source }
+  }
+
+  beforeEach(() => {
+    collection = createMockCollection()
+    logger = createMockLogger()
+    request = {
+      db: { collection: vi.fn(() => collection) },
+      headers: { 'idempotency-key': 'key-1' },
+      payload: { a: 1 },
+      auth: { credentials: { clientId: 'client-a' } }
+    }
+    const replay = {
+      code: vi.fn().mockReturnThis(),
+      header: vi.fn().mockReturnThis()
+    }
+    h = { response: vi.fn(() => replay), _replay: replay }
+  })
+
+  it('should call the handler without a reference when no key is sent', async () => {
+    request.headers = {}
+    const handler = vi.fn().mockResolvedValue(makeResponse(201, {}))
+
+    await withIdempotency(request, h, 'scope', handler, logger)
+
+    expect(handler).toHaveBeenCalledWith(null)
+    expect(collection.insertOne).not.toHaveBeenCalled()
+  })
+
+  it('should pass the key as reference and store a successful response', async () => {
+    const response = makeResponse(201, { notificationId: 'n1' })
+    const handler = vi.fn().mockResolvedValue(response)
+
+    const result = await withIdempotency(request, h, 'scope', handler, logger)
+
+    expect(result).toBe(response)
+    expect(handler).toHaveBeenCalledWith('key-1')
+    const { claimId } = collection.insertOne.mock.calls[0][0]
+    expect(collection.updateOne).toHaveBeenCalledWith(
+      { scope: 'scope', clientId: 'client-a', key: 'key-1', claimId },
+      {
+        $set: expect.objectContaining({
+          status: 'completed',
+          response: { statusCode: 201, body: { notificationId: 'n1' } }
+        }),
+        $unset: { claimId: '', leaseExpiresAt: '' }
+      }
+    )
+  })
+
+  it('should release the key when the handler fails', async () => {
+    const handler = vi
+      .fn()
+      .mockResolvedValue({ isBoom: true, output: { statusCode: 502 } })
+
+    await withIdempotency(request, h, 'scope', handler, logger)
+
+    expect(collection.deleteOne).toHaveBeenCalledWith({
+      scope: 'scope',
+      clientId: 'client-a',
+      key: 'key-1',
+      claimId: collection.insertOne.mock.calls[0][0].claimId
+    })
+    expect(collection.updateOne).not.toHaveBeenCalled()
+  })
+
+  it('should release the key when the handler throws', async () => {
+    const handler = vi.fn().mockRejectedValue(new Error('boom'))
+
+    await expect(
+      withIdempotency(request, h, 'scope', handler, logger)
+    ).rejects.toThrow('boom')
+    expect(collection.deleteOne).toHaveBeenCalled()
+  })
+
+  it('should replay the stored response without calling the handler', async () => {
+    collection.insertOne.mockRejectedValue(duplicateKeyError())
+    collection.findOne.mockResolvedValue({
+      requestHash: hashPayload({ a: 1 }),
+      status: 'completed',
+      response: { statusCode: 201, body: { notificationId: 'n1' } }
+    })
+    const handler = vi.fn()
+
+    await withIdempotency(request, h, 'scope', handler, logger)
+
+    expect(handler).not.toHaveBeenCalled()
+    expect(h.response).toHaveBeenCalledWith({ notificationId: 'n1' })
+    expect(h._replay.code).toHaveBeenCalledWith(201)
+    expect(h._replay.header).toHaveBeenCalledWith('Idempotent-Replayed', 'true')
+  })
+
+  it('should return 422 for a reused key with a different payload', async () => {
+    collection.insertOne.mockRejectedValue(duplicateKeyError())
+    collection.findOne.mockResolvedValue({
+      requestHash: hashPayload({ a: 2 }),
+      status: 'completed'
+    })
+
+    const result = await withIdempotency(request, h, 'scope', vi.fn(), logger)
+
+    expect(result.output.statusCode).toBe(422)
+  })
+
+  it('should return 409 while the original request is in progress', async () => {
+    collection.insertOne.mockRejectedValue(duplicateKeyError())
+    collection.findOne.mockResolvedValue({
+      requestHash: hashPayload({ a: 1 }),
+      status: 'in_progress'
+    })
+
+    const result = await withIdempotency(request, h, 'scope', vi.fn(), logger)
+
+    expect(result.output.statusCode).toBe(409)
+  })
+})
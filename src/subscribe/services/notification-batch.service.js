@@ -0,0 +1,382 @@
+import { randomUUID } from 'node:crypto'
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { maskContact } from '../../common/helpers/masking-utils.js'
+import { config } from '../../config.js'
+import {
+  OUTBOX_STATUS,
+  createNotificationOutboxService
+} from './notification-outbox.service.js'
+
+const BATCH_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed'
+}
+
+const RECIPIENT_STATUS = {
+  PENDING: 'pending',
+  SUBMITTED: 'submitted',
+  FAILED: 'failed'
+}
+
+// Contact details and personalisation are dropped once a recipient settles,
+// as the outbox does for its copy; the masked contact is kept for results
+const SEND_FIELDS = { phoneNumber: '', emailAddress: '', personalisation: '' }
+const RECIPIENT_PROJECTION = {
+  _id: 0,
+  phoneNumber: 0,
+  emailAddress: 0,
+  personalisation: 0
+}
+
+const DEFAULT_RESUME_LIMIT = 50
+// A batch still queued after this long was interrupted before its
+// recipients reached the outbox
+const QUEUED_GRACE_MS = 60 * 1000
+
+/**
+ * Fan-out of one alert to many recipients. Each recipient is sent as an
+ * accepted request through the notification outbox, so sends are retried,
+ * survive restarts and share the worker's pacing; resumeBatches() copies
+ * their results back.
+ * Collections:
+ *   notification-batches           - one document per batch with running counts
+ *   notification-batch-recipients  - one document per recipient with its result
+ * Batch status: queued (stored) -> processing (in the outbox) -> completed
+ */
+class NotificationBatchService {
+  /**
+   * Creates a new NotificationBatchService instance
+   * @param {object} db - MongoDB database instance
+   * @param {object} logger - Logger instance
+   */
+  constructor(db, logger) {
+    this.db = db
+    this.logger = logger || createLogger()
+    this.batches = db.collection('notification-batches')
+    this.recipients = db.collection('notification-batch-recipients')
+    this.outbox = createNotificationOutboxService(db, this.logger)
+  }
+
+  /**
+   * Store a validated batch and its recipients
+   * @param {object} batch - alertId, templateId, personalisation, serviceId,
+   *   language, recipients (each with its resolved templateId, language and
+   *   templateAlias)
+   * @returns {Promise<object>} - { batchId, status, total }
+   */
+  async createBatch({
+    alertId,
+    templateId,
+    personalisation,
+    serviceId,
+    language,
+    recipients
+  }) {
+    const batchId = randomUUID()
+    const now = new Date()
+
+    try {
+      // Recipients first, so a stored batch always has all of them
+      await this.recipients.insertMany(
+        recipients.map((recipient, index) => ({
+          batchId,
+          index,
+          channel: recipient.phoneNumber ? 'sms' : 'email',
+          phoneNumber: recipient.phoneNumber,
+          emailAddress: recipient.emailAddress,
+          contact: maskContact(recipient.phoneNumber || recipient.emailAddress),
+          personalisation: recipient.personalisation,
+          templateId: recipient.templateId,
+          language: recipient.language,
+          ...(recipient.templateAlias && {
+            templateAlias: recipient.templateAlias
+          }),
+          status: RECIPIENT_STATUS.PENDING,
+          createdAt: now
+        })),
+        { ordered: false }
+      )
+      await this.batches.insertOne({
+        batchId,
+        alertId,
+        templateId,
+        personalisation,
+        serviceId,
+        language,
+        status: BATCH_STATUS.QUEUED,
+        total: recipients.length,
+        submitted: 0,
+        failed: 0,
+        createdAt: now,
+        updatedAt: now
+      })
+
+      this.logger.info(
+        `notification_batch.created ${JSON.stringify({ batchId, alertId, total: recipients.length })}`
+      )
+      return { batchId, status: BATCH_STATUS.QUEUED, total: recipients.length }
+    } catch (error) {
+      this.logger.error(
+        `notification_batch.create.error ${JSON.stringify({ batchId, alertId, error: error.message })}`
+      )
+      throw new Error(`Failed to create notification batch: ${error.message}`)
+    }
+  }
+
+  /**
+   * @param {string} batchId
+   * @returns {Promise<object|null>} - Batch summary without the shared personalisation
+   */
+  async getBatch(batchId) {
+    try {
+      return await this.batches.findOne(
+        { batchId },
+        { projection: { _id: 0, personalisation: 0 } }
+      )
+    } catch (error) {
+      this.logger.error(
+        `notification_batch.get.error ${JSON.stringify({ batchId, error: error.message })}`
+      )
+      throw new Error(`Failed to get notification batch: ${error.message}`)
+    }
+  }
+
+  /**
+   * Per-recipient results in submission order, with contacts masked
+   * @param {object} options
+   * @param {string} options.batchId
+   * @param {string} [options.status] - pending | submitted | failed
+   * @param {number} options.limit - Page size
+   * @param {number} [options.cursor] - Index of the last recipient already seen
+   * @returns {Promise<object>} - { recipients, nextCursor }
+   */
+  async listRecipients({ batchId, status, limit, cursor }) {
+    const filter = { batchId }
+    if (status) {
+      filter.status = status
+    }
+    if (cursor !== undefined) {
+      filter.index = { $gt: cursor }
+    }
+
+    try {
+      const documents = await this.recipients
+        .find(filter, { projection: RECIPIENT_PROJECTION })
+        .sort({ index: 1 })
+        .limit(limit + 1)
+        .toArray()
+
+      const hasMore = documents.length > limit
+      const page = documents.slice(0, limit)
+      return {
+        recipients: page,
+        nextCursor: hasMore ? page[page.length - 1].index : null
+      }
+    } catch (error) {
+      this.logger.error(
+        `notification_batch.list_recipients.error ${JSON.stringify({ batchId, error: error.message })}`
+      )
+      throw new Error(`Failed to list batch recipients: ${error.message}`)
+    }
+  }
+
+  /**
+   * Hand a queued batch's pending recipients to the outbox worker, then mark
+   * it processing. Safe to repeat: recipients already in the outbox are
+   * skipped.
+   * @param {string} batchId
+   * @returns {Promise<number>} - Recipients newly enqueued
+   */
+  async enqueueBatch(batchId) {
+    const batch = await this.batches.findOne({
+      batchId,
+      status: BATCH_STATUS.QUEUED
+    })
+    if (!batch) {
+      return 0
+    }
+
+    const { alertId, templateId, serviceId } = batch
+    const pending = await this.recipients
+      .find({ batchId, status: RECIPIENT_STATUS.PENDING })
+      .sort({ index: 1 })
+      .toArray()
+    const enqueued = pending.length
+      ? await this.outbox.enqueueBatch(
+          pending.map((recipient) => ({
+            batchId,
+            batchIndex: recipient.index,
+            reference: `${batchId}:${recipient.index}`,
+            channel: recipient.channel,
+            phoneNumber: recipient.phoneNumber,
+            emailAddress: recipient.emailAddress,
+            // Batches stored before recipients were resolved hold neither
+            templateId: recipient.templateId ?? templateId,
+            language: recipient.language ?? batch.language,
+            templateAlias: recipient.templateAlias,
+            personalisation: {
+              ...batch.personalisation,
+              ...recipient.personalisation
+            },
+            alertId,
+            requestId: batchId,
+            serviceId
+          }))
+        )
+      : 0
+
+    await this.batches.updateOne(
+      { batchId, status: BATCH_STATUS.QUEUED },
+      {
+        $set: {
+          status: BATCH_STATUS.PROCESSING,
+          startedAt: new Date(),
+          updatedAt: new Date()
+        }
+      }
+    )
+    this.logger.info(
+      `notification_batch.enqueued ${JSON.stringify({ batchId, alertId, enqueued })}`
+    )
+    return enqueued
+  }
+
+  /**
+   * Worker step: enqueue batches interrupted before reaching the outbox, copy
+   * settled outbox results to processing batches and complete those with
+   * every recipient settled
+   * @returns {Promise<object>} - { enqueued, recorded, completed }
+   */
+  async resumeBatches() {
+    const limit = config.get('notify.outbox.batchSize') || DEFAULT_RESUME_LIMIT
+    const counts = { enqueued: 0, recorded: 0, completed: 0 }
+
+    const queued = await this.batches
+      .find(
+        {
+          status: BATCH_STATUS.QUEUED,
+          createdAt: { $lte: new Date(Date.now() - QUEUED_GRACE_MS) }
+        },
+        { projection: { _id: 0, batchId: 1 } }
+      )
+      .limit(limit)
+      .toArray()
+    for (const { batchId } of queued) {
+      counts.enqueued += await this.enqueueBatch(batchId)
+    }
+
+    const processing = await this.batches
+      .find(
+        { status: BATCH_STATUS.PROCESSING },
+        { projection: { _id: 0, batchId: 1, alertId: 1 } }
+      )
+      .limit(limit)
+      .toArray()
+    for (const batch of processing) {
+      counts.recorded += await this.recordResults(batch.batchId, limit)
+      if (await this.completeBatch(batch)) {
+        counts.completed++
+      }
+    }
+
+    if (Object.values(counts).some(Boolean)) {
+      this.logger.info(`notification_batch.resumed ${JSON.stringify(counts)}`)
+    }
+    return counts
+  }
+
+  /**
+   * Copy settled outbox results to their recipients. A recipient only
+   * counts towards the batch the first time it settles, so a step repeated
+   * after a crash does not count it twice.
+   * @returns {Promise<number>} - Results copied
+   */
+  async recordResults(batchId, limit) {
+    const results = await this.outbox.findUnrecordedBatchResults(batchId, limit)
+
+    for (const result of results) {
+      const submitted = result.status === OUTBOX_STATUS.SUBMITTED
+      const status = submitted
+        ? RECIPIENT_STATUS.SUBMITTED
+        : RECIPIENT_STATUS.FAILED
+      const updated = await this.recipients.updateOne(
+        { batchId, index: result.batchIndex, status: RECIPIENT_STATUS.PENDING },
+        {
+          $set: submitted
+            ? {
+                status,
+                notificationId: result.notificationId,
+                attemptedAt: result.submittedAt
+              }
+            : {
+                status,
+                error: result.lastError,
+                attemptedAt: result.failedAt
+              },
+          $unset: SEND_FIELDS
+        }
+      )
+      if (updated.modifiedCount > 0) {
+        await this.batches.updateOne(
+          { batchId },
+          { $inc: { [status]: 1 }, $set: { updatedAt: new Date() } }
+        )
+        if (!submitted) {
+          this.logger.warn(
+            `notification_batch.recipient_failed ${JSON.stringify({ batchId, index: result.batchIndex, category: result.lastError?.category })}`
+          )
+        }
+      }
+      await this.outbox.markBatchRecorded(result.outboxId)
+    }
+    return results.length
+  }
+
+  /**
+   * @returns {Promise<boolean>} - true when every recipient has settled and
+   *   the batch was marked completed
+   */
+  async completeBatch({ batchId, alertId }) {
+    const completed = await this.batches.findOneAndUpdate(
+      {
+        batchId,
+        status: BATCH_STATUS.PROCESSING,
+        $expr: { $gte: [{ $add: ['$submitted', '$failed'] }, '$total'] }
+      },
+      {
+        $set: {
+          status: BATCH_STATUS.COMPLETED,
+          completedAt: new Date(),
+          updatedAt: new Date()
+        },
+        $unset: { personalisation: '' }
+      },
+      { returnDocument: 'after' }
+    )
+    if (!completed) {
+      return false
+    }
+    this.logger.info(
+      `notification_batch.completed ${JSON.stringify({ batchId, alertId, submitted: completed.submitted, failed: completed.failed })}`
+    )
+    return true
+  }
+}
+
+/**
+ * Factory function to create NotificationBatchService instance
+ * @param {object} db - MongoDB database instance
+ * @param {object} logger - Logger instance
+ * @returns {NotificationBatchService}
+ */
+function createNotificationBatchService(db, logger) {
+  return new NotificationBatchService(db, logger)
+}
+
+export {
+  BATCH_STATUS,
+  RECIPIENT_STATUS,
+  NotificationBatchService,
+  createNotificationBatchService
+}
@@ -0,0 +1,375 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import {
+  NotificationBatchService,
+  createNotificationBatchService
+} from './notification-batch.service.js'
+
+const mockEnqueueBatch = vi.fn()
+const mockFindUnrecordedBatchResults = vi.fn()
+const mockMarkBatchRecorded = vi.fn()
+
+vi.mock('./notification-outbox.service.js', () => ({
+  OUTBOX_STATUS: { SUBMITTED: 'submitted', FAILED: 'failed' },
+  createNotificationOutboxService: vi.fn(() => ({
+    enqueueBatch: mockEnqueueBatch,
+    findUnrecordedBatchResults: mockFindUnrecordedBatchResults,
+    markBatchRecorded: mockMarkBatchRecorded
+  }))
+}))
+
+vi.mock('../../config.js', () => ({
+  config: {
+    get: vi.fn((key) => (key === 'notify.outbox.batchSize' ? 10 : undefined))
+  }
+}))
+
+function createMockLogger() {
+  return { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() }
+}
+
+function cursorOf(documents) {
+  return {
+    sort: vi.fn().mockReturnThis(),
+    limit: vi.fn().mockReturnThis(),
+    toArray: vi.fn().mockResolvedValue(documents)
+  }
+}
+
+describe('NotificationBatchService', () => {
+  let batches
+  let recipients
+  let db
+  let logger
+  let service
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    batches = {
+      insertOne: vi.fn().mockResolvedValue({}),
+      findOne: vi.fn(),
+      findOneAndUpdate: vi.fn(),
+      updateOne: vi.fn().mockResolvedValue({}),
+      find: vi.fn(() => cursorOf([]))
+    }
+    recipients = {
+      insertMany: vi.fn().mockResolvedValue({}),
+      find: vi.fn(),
+      updateOne: vi.fn().mockResolvedValue({ modifiedCount: 1 })
+    }
+    db = {
+      collection: vi.fn((name) =>
+        name === 'notification-batches' ? batches : recipients
+      )
+    }
+    logger = createMockLogger()
+    service = new NotificationBatchService(db, logger)
+  })
+
+  it('should create an instance via the factory', () => {
+    expect(createNotificationBatchService(db, logger)).toBeInstanceOf(
+      NotificationBatchService
+    )
+  })
+
+  describe('createBatch', () => {
+    it('should store the batch and one document per recipient', async () => {
+      const result = await service.createBatch({
+        alertId: 'alert-1',
+        templateId: 'tpl-1',
+        personalisation: { area: 'Leeds' },
+        serviceId: 'alerts',
+        language: 'en',
+        recipients: [
+          {
+            phoneNumber: '+447700900111',
+            personalisation: { name: 'A' },
+            templateId: 'tpl-1',
+            language: 'en',
+            templateAlias: 'flood-alert'
+          },
+          {
+            emailAddress: 'b@example.com',
+            personalisation: {},
+            templateId: 'tpl-1-cy',
+            language: 'cy'
+          }
+        ]
+      })
+
+      expect(result).toEqual({
+        batchId: expect.any(String),
+        status: 'queued',
+        total: 2
+      })
+      expect(batches.insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({
+          batchId: result.batchId,
+          alertId: 'alert-1',
+          serviceId: 'alerts',
+          language: 'en',
+          status: 'queued',
+          total: 2,
+          submitted: 0,
+          failed: 0
+        })
+      )
+      const [documents] = recipients.insertMany.mock.calls[0]
+      expect(documents).toEqual([
+        expect.objectContaining({
+          index: 0,
+          channel: 'sms',
+          contact: '***111',
+          templateId: 'tpl-1',
+          language: 'en',
+          templateAlias: 'flood-alert',
+          status: 'pending'
+        }),
+        expect.objectContaining({
+          index: 1,
+          channel: 'email',
+          templateId: 'tpl-1-cy',
+          language: 'cy',
+          status: 'pending'
+        })
+      ])
+    })
+
+    it('should wrap database errors', async () => {
+      batches.insertOne.mockRejectedValue(new Error('DB down'))
+
+      await expect(
+        service.createBatch({
+          alertId: 'alert-1',
+          templateId: 'tpl-1',
+          personalisation: {},
+          recipients: [{ phoneNumber: '+447700900111' }]
+        })
+      ).rejects.toThrow('Failed to create notification batch: DB down')
+    })
+  })
+
+  describe('listRecipients', () => {
+    it('should page by index without contacts or personalisation', async () => {
+      const cursor = cursorOf([
+        { index: 3, contact: '***111', status: 'failed' },
+        { index: 4, contact: 'b***@example.com', status: 'failed' }
+      ])
+      recipients.find.mockReturnValue(cursor)
+
+      const result = await service.listRecipients({
+        batchId: 'b1',
+        status: 'failed',
+        limit: 1,
+        cursor: 2
+      })
+
+      expect(recipients.find).toHaveBeenCalledWith(
+        { batchId: 'b1', status: 'failed', index: { $gt: 2 } },
+        {
+          projection: {
+            _id: 0,
+            phoneNumber: 0,
+            emailAddress: 0,
+            personalisation: 0
+          }
+        }
+      )
+      expect(cursor.limit).toHaveBeenCalledWith(2)
+      expect(result).toEqual({
+        recipients: [{ index: 3, status: 'failed', contact: '***111' }],
+        nextCursor: 3
+      })
+    })
+  })
+
+  describe('enqueueBatch', () => {
+    const batch = {
+      batchId: 'b1',
+      alertId: 'alert-1',
+      templateId: 'tpl-1',
+      personalisation: { area: 'Leeds', name: 'default' },
+      status: 'queued'
+    }
+
+    it('should hand pending recipients to the outbox and mark the batch processing', async () => {
+      batches.findOne.mockResolvedValue(batch)
+      recipients.find.mockReturnValue(
+        cursorOf([
+          {
+            index: 0,
+            channel: 'sms',
+            phoneNumber: '+447700900111',
+            personalisation: { name: 'A' }
+          },
+          {
+            index: 1,
+            channel: 'email',
+            emailAddress: 'b@example.com',
+            personalisation: {}
+          }
+        ])
+      )
+      mockEnqueueBatch.mockResolvedValue(2)
+
+      const enqueued = await service.enqueueBatch('b1')
+
+      expect(enqueued).toBe(2)
+      expect(mockEnqueueBatch).toHaveBeenCalledWith([
+        expect.objectContaining({
+          batchId: 'b1',
+          batchIndex: 0,
+          reference: 'b1:0',
+          channel: 'sms',
+          phoneNumber: '+447700900111',
+          templateId: 'tpl-1',
+          personalisation: { area: 'Leeds', name: 'A' },
+          alertId: 'alert-1'
+        }),
+        expect.objectContaining({
+          batchIndex: 1,
+          emailAddress: 'b@example.com',
+          personalisation: { area: 'Leeds', name: 'default' }
+        })
+      ])
+      expect(batches.updateOne).toHaveBeenCalledWith(
+        { batchId: 'b1', status: 'queued' },
+        { $set: expect.objectContaining({ status: 'processing' }) }
+      )
+    })
+
+    it('should send each recipient its own template through the batch service', async () => {
+      batches.findOne.mockResolvedValue({
+        ...batch,
+        serviceId: 'alerts',
+        language: 'en'
+      })
+      recipients.find.mockReturnValue(
+        cursorOf([
+          {
+            index: 0,
+            channel: 'sms',
+            phoneNumber: '+447700900111',
+            personalisation: {},
+            templateId: 'tpl-1-cy',
+            language: 'cy',
+            templateAlias: 'flood-alert'
+          }
+        ])
+      )
+      mockEnqueueBatch.mockResolvedValue(1)
+
+      await service.enqueueBatch('b1')
+
+      expect(mockEnqueueBatch).toHaveBeenCalledWith([
+        expect.objectContaining({
+          templateId: 'tpl-1-cy',
+          language: 'cy',
+          templateAlias: 'flood-alert',
+          serviceId: 'alerts'
+        })
+      ])
+    })
+
+    it('should do nothing for a batch no longer queued', async () => {
+      batches.findOne.mockResolvedValue(null)
+
+      expect(await service.enqueueBatch('b1')).toBe(0)
+      expect(mockEnqueueBatch).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('resumeBatches', () => {
+    it('should enqueue batches interrupted before reaching the outbox', async () => {
+      batches.find
+        .mockReturnValueOnce(cursorOf([{ batchId: 'b1' }]))
+        .mockReturnValueOnce(cursorOf([]))
+      batches.findOne.mockResolvedValue({ batchId: 'b1', status: 'queued' })
+      recipients.find.mockReturnValue(cursorOf([{ index: 0, channel: 'sms' }]))
+      mockEnqueueBatch.mockResolvedValue(1)
+
+      const counts = await service.resumeBatches()
+
+      expect(batches.find).toHaveBeenNthCalledWith(
+        1,
+        { status: 'queued', createdAt: { $lte: expect.any(Date) } },
+        expect.any(Object)
+      )
+      expect(counts).toEqual({ enqueued: 1, recorded: 0, completed: 0 })
+    })
+
+    it('should copy settled results to recipients and complete the batch', async () => {
+      batches.find
+        .mockReturnValueOnce(cursorOf([]))
+        .mockReturnValueOnce(cursorOf([{ batchId: 'b1', alertId: 'alert-1' }]))
+      mockFindUnrecordedBatchResults.mockResolvedValue([
+        {
+          outboxId: 'b1:0',
+          batchIndex: 0,
+          status: 'submitted',
+          notificationId: 'n1'
+        },
+        {
+          outboxId: 'b1:1',
+          batchIndex: 1,
+          status: 'failed',
+          lastError: { category: 'bad_request', message: 'NotifySmsError' }
+        }
+      ])
+      batches.findOneAndUpdate.mockResolvedValue({ submitted: 1, failed: 1 })
+
+      const counts = await service.resumeBatches()
+
+      expect(counts).toEqual({ enqueued: 0, recorded: 2, completed: 1 })
+      expect(recipients.updateOne).toHaveBeenCalledWith(
+        { batchId: 'b1', index: 0, status: 'pending' },
+        {
+          $set: expect.objectContaining({
+            status: 'submitted',
+            notificationId: 'n1'
+          }),
+          $unset: { phoneNumber: '', emailAddress: '', personalisation: '' }
+        }
+      )
+      expect(recipients.updateOne).toHaveBeenCalledWith(
+        { batchId: 'b1', index: 1, status: 'pending' },
+        {
+          $set: expect.objectContaining({
+            status: 'failed',
+            error: { category: 'bad_request', message: 'NotifySmsError' }
+          }),
+          $unset: { phoneNumber: '', emailAddress: '', personalisation: '' }
+        }
+      )
+      expect(batches.updateOne).toHaveBeenCalledWith(
+        { batchId: 'b1' },
+        { $inc: { submitted: 1 }, $set: expect.any(Object) }
+      )
+      expect(mockMarkBatchRecorded).toHaveBeenCalledWith('b1:1')
+      expect(batches.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ batchId: 'b1', status: 'processing' }),
+        {
+          $set: expect.objectContaining({ status: 'completed' }),
+          $unset: { personalisation: '' }
+        },
+        { returnDocument: 'after' }
+      )
+    })
+
+    it('should not count a recipient twice when a result is copied again', async () => {
+      batches.find
+        .mockReturnValueOnce(cursorOf([]))
+        .mockReturnValueOnce(cursorOf([{ batchId: 'b1' }]))
+      mockFindUnrecordedBatchResults.mockResolvedValue([
+        { outboxId: 'b1:0', batchIndex: 0, status: 'submitted' }
+      ])
+      recipients.updateOne.mockResolvedValue({ modifiedCount: 0 })
+      batches.findOneAndUpdate.mockResolvedValue(null)
+
+      const counts = await service.resumeBatches()
+
+      expect(batches.updateOne).not.toHaveBeenCalled()
+      expect(mockMarkBatchRecorded).toHaveBeenCalledWith('b1:0')
+      expect(counts.completed).toBe(0)
+    })
+  })
+})
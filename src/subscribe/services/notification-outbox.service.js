@@ -0,0 +1,709 @@
+import { randomUUID } from 'node:crypto'
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { config } from '../../config.js'
+import {
+  DEFAULT_NOTIFY_SERVICE_ID,
+  NOTIFY_SERVICE_ERROR,
+  createNotifyServiceRegistry
+} from './notify-service-registry.service.js'
+import { createUserNotificationDetailService } from './user-notification-detail.service.js'
+
+const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SUBMITTED: 'submitted',
+  FAILED: 'failed'
+}
+
+// How /send-notification responds (notify.outbox.mode)
+const OUTBOX_MODE = {
+  SYNC: 'sync',
+  ACCEPTED: 'accepted'
+}
+
+// Failures that may clear up by themselves. Anything else (bad request,
+// suppressed contact, auth, daily limit) is final.
+const RETRY_CATEGORIES = new Set([
+  'server_error',
+  'rate_limit',
+  'timeout',
+  'circuit_open',
+  'unknown'
+])
+
+const DEFAULT_BATCH_SIZE = 50
+const DEFAULT_LEASE_SECONDS = 120
+const DEFAULT_MAX_ATTEMPTS = 5
+const DEFAULT_RETRY_BASE_DELAY_SECONDS = 30
+const DEFAULT_RETRY_MAX_DELAY_SECONDS = 900
+const DEFAULT_BATCH_SENDS_PER_SECOND = 20
+const MS_PER_SECOND = 1000
+const DUPLICATE_KEY_ERROR = 11000
+
+// Allows for Notify's clock differing from ours when matching a reference,
+// while ignoring older messages sent with a reused Idempotency-Key
+const CLOCK_SKEW_MS = 60 * 1000
+
+// Contact details and personalisation are dropped once a request is settled
+const SEND_FIELDS = { phoneNumber: '', emailAddress: '', personalisation: '' }
+
+const STATUS_PROJECTION = {
+  _id: 0,
+  outboxId: 1,
+  status: 1,
+  channel: 1,
+  serviceId: 1,
+  alertId: 1,
+  language: 1,
+  notificationId: 1,
+  attempts: 1,
+  lastError: 1,
+  nextAttemptAt: 1,
+  createdAt: 1,
+  submittedAt: 1,
+  failedAt: 1
+}
+
+function getLeaseMs() {
+  return (
+    (config.get('notify.outbox.leaseSeconds') || DEFAULT_LEASE_SECONDS) *
+    MS_PER_SECOND
+  )
+}
+
+/**
+ * Delay before the next attempt at a failed request: base * 2^(attempts - 1),
+ * capped at the configured maximum
+ * @param {number} attempts - Attempts so far (at least 1)
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelayMs(attempts) {
+  const baseSeconds =
+    config.get('notify.outbox.retryBaseDelaySeconds') ??
+    DEFAULT_RETRY_BASE_DELAY_SECONDS
+  const maxSeconds =
+    config.get('notify.outbox.retryMaxDelaySeconds') ??
+    DEFAULT_RETRY_MAX_DELAY_SECONDS
+  return Math.min(maxSeconds, baseSeconds * 2 ** (attempts - 1)) * MS_PER_SECOND
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Transactional outbox for /send-notification. A request is written before
+ * Notify is called and settled afterwards, so a crash mid-send leaves a
+ * record for the worker to finish. Delivery is at least once: when an earlier
+ * attempt may have reached Notify, the request's reference is looked up in
+ * Notify before it is sent again.
+ * Collection: notification-outbox
+ * {
+ *   outboxId: string,          // returned to 202 callers
+ *   reference: string,         // Notify reference: the Idempotency-Key, else outboxId
+ *   mode: 'sync' | 'accepted',
+ *   status: 'pending' | 'sending' | 'submitted' | 'failed',
+ *   channel, phoneNumber, emailAddress, templateId, personalisation,
+ *   alertId, language, requestId,
+ *   serviceId: string,         // Notify service sent through ('default' for notify.apiKey)
+ *   templateAlias?: string,    // template registry alias, for metrics
+ *   batchId?: string,          // batch recipient: outboxId is `${batchId}:${batchIndex}`
+ *   batchIndex?: number,
+ *   batchRecorded?: boolean,   // result copied to the batch recipient
+ *   attempts: number,
+ *   nextAttemptAt?: Date,      // when a pending request is due
+ *   leaseExpiresAt?: Date,     // while sending; past it the sender is presumed dead
+ *   notificationId?: string,
+ *   detailRecorded?: boolean,  // user-notification-details written
+ *   lastError?: { category, message },
+ *   createdAt, updatedAt, submittedAt?, failedAt?,
+ *   finishedAt?: Date          // settled; removed after 7 days
+ * }
+ */
+class NotificationOutboxService {
+  /**
+   * Creates a new NotificationOutboxService instance
+   * @param {object} db - MongoDB database instance
+   * @param {object} logger - Logger instance
+   */
+  constructor(db, logger) {
+    this.db = db
+    this.logger = logger || createLogger()
+    this.collection = db.collection('notification-outbox')
+    this.batchPacing = db.collection('notification-batch-pacing')
+  }
+
+  /**
+   * Build an outbox document. Sync requests are claimed for the caller
+   * straight away; accepted ones are left pending.
+   */
+  buildEntry(
+    {
+      outboxId = randomUUID(),
+      mode,
+      reference,
+      channel,
+      phoneNumber,
+      emailAddress,
+      templateId,
+      personalisation,
+      alertId,
+      language,
+      requestId,
+      serviceId = DEFAULT_NOTIFY_SERVICE_ID,
+      templateAlias,
+      batchId,
+      batchIndex
+    },
+    now
+  ) {
+    const claimed = mode === OUTBOX_MODE.SYNC
+    return {
+      outboxId,
+      reference: reference || outboxId,
+      mode,
+      status: claimed ? OUTBOX_STATUS.SENDING : OUTBOX_STATUS.PENDING,
+      channel,
+      phoneNumber,
+      emailAddress,
+      templateId,
+      personalisation,
+      alertId,
+      language,
+      requestId,
+      serviceId,
+      ...(templateAlias && { templateAlias }),
+      ...(batchId && { batchId, batchIndex }),
+      attempts: claimed ? 1 : 0,
+      ...(claimed
+        ? { leaseExpiresAt: new Date(now.getTime() + getLeaseMs()) }
+        : { nextAttemptAt: now }),
+      createdAt: now,
+      updatedAt: now
+    }
+  }
+
+  /**
+   * Write a send request to the outbox. In sync mode it is claimed for the
+   * caller straight away; in accepted mode it is left pending.
+   * @param {object} request
+   * @param {string} request.mode - 'sync' or 'accepted'
+   * @param {string} [request.reference] - Idempotency-Key; outboxId when absent
+   * @param {string} [request.serviceId] - Notify service to send through
+   * @param {string} [request.templateAlias] - Registry alias, for metrics
+   * @returns {Promise<object>} - The outbox document
+   */
+  async enqueue(request) {
+    const entry = this.buildEntry(request, new Date())
+    const { outboxId, requestId, mode, channel, alertId } = entry
+
+    try {
+      await this.collection.insertOne(entry)
+    } catch (error) {
+      this.logger.error(
+        `notification_outbox.enqueue.error ${JSON.stringify({ outboxId, requestId, error: error.message })}`
+      )
+      throw new Error(`Failed to enqueue notification: ${error.message}`)
+    }
+
+    this.logger.info(
+      `notification_outbox.enqueued ${JSON.stringify({ outboxId, requestId, mode, channel, alertId })}`
+    )
+    return entry
+  }
+
+  /**
+   * Write a batch's recipients as accepted requests for the worker. Each
+   * outboxId is derived from the batch and recipient, so writing the same
+   * recipients again (when resuming an interrupted batch) is harmless.
+   * @param {object[]} requests - As enqueue(), each with batchId and batchIndex
+   * @returns {Promise<number>} - Requests newly written
+   */
+  async enqueueBatch(requests) {
+    const now = new Date()
+    const entries = requests.map((request) =>
+      this.buildEntry(
+        {
+          ...request,
+          outboxId: `${request.batchId}:${request.batchIndex}`,
+          mode: OUTBOX_MODE.ACCEPTED
+        },
+        now
+      )
+    )
+
+    try {
+      const result = await this.collection.insertMany(entries, {
+        ordered: false
+      })
+      return result.insertedCount
+    } catch (error) {
+      const writeErrors = [].concat(error.writeErrors ?? error)
+      if (
+        writeErrors.every(
+          (writeError) => writeError.code === DUPLICATE_KEY_ERROR
+        )
+      ) {
+        return entries.length - writeErrors.length
+      }
+      this.logger.error(
+        `notification_outbox.enqueue.error ${JSON.stringify({ batchId: requests[0]?.batchId, error: error.message })}`
+      )
+      throw new Error(`Failed to enqueue notification batch: ${error.message}`)
+    }
+  }
+
+  /**
+   * Settled batch requests whose result has not yet been copied to the batch
+   * @param {string} batchId
+   * @param {number} limit
+   * @returns {Promise<object[]>}
+   */
+  async findUnrecordedBatchResults(batchId, limit) {
+    return this.collection
+      .find(
+        {
+          batchId,
+          status: { $in: [OUTBOX_STATUS.SUBMITTED, OUTBOX_STATUS.FAILED] },
+          batchRecorded: { $ne: true }
+        },
+        {
+          projection: {
+            _id: 0,
+            outboxId: 1,
+            batchIndex: 1,
+            status: 1,
+            notificationId: 1,
+            lastError: 1,
+            submittedAt: 1,
+            failedAt: 1
+          }
+        }
+      )
+      .limit(limit)
+      .toArray()
+  }
+
+  async markBatchRecorded(outboxId) {
+    await this.collection.updateOne(
+      { outboxId },
+      { $set: { batchRecorded: true } }
+    )
+  }
+
+  /**
+   * Hold a batch send until the shared per-second budget
+   * (notify.batch.sendsPerSecond) has room. The count is kept in MongoDB, so
+   * the budget holds across concurrent batches and instances.
+   */
+  async waitForBatchSendSlot() {
+    const sendsPerSecond =
+      config.get('notify.batch.sendsPerSecond') ||
+      DEFAULT_BATCH_SENDS_PER_SECOND
+
+    for (;;) {
+      const now = Date.now()
+      const windowStart = new Date(now - (now % MS_PER_SECOND))
+      const countSend = () =>
+        this.batchPacing.findOneAndUpdate(
+          { windowStart },
+          {
+            $inc: { sends: 1 },
+            $setOnInsert: {
+              expiresAt: new Date(windowStart.getTime() + 60 * MS_PER_SECOND)
+            }
+          },
+          { upsert: true, returnDocument: 'after' }
+        )
+      // Two instances opening the same window race on the unique index; the
+      // loser's retry updates the winner's document
+      const usage = await countSend().catch((error) =>
+        error.code === DUPLICATE_KEY_ERROR ? countSend() : Promise.reject(error)
+      )
+      if (usage.sends <= sendsPerSecond) {
+        return
+      }
+      await sleep(windowStart.getTime() + MS_PER_SECOND - now)
+    }
+  }
+
+  /**
+   * @param {string} outboxId
+   * @returns {Promise<object|null>} - Request status without contact details
+   */
+  async getRequest(outboxId) {
+    try {
+      return await this.collection.findOne(
+        { outboxId },
+        { projection: STATUS_PROJECTION }
+      )
+    } catch (error) {
+      this.logger.error(
+        `notification_outbox.get.error ${JSON.stringify({ outboxId, error: error.message })}`
+      )
+      throw new Error(`Failed to get notification request: ${error.message}`)
+    }
+  }
+
+  /**
+   * Take a pending or abandoned request for sending, so no other sender has it
+   * @param {object} filter - Which requests may be claimed
+   * @returns {Promise<object|null>} - The claimed document
+   */
+  async claim(filter) {
+    const now = new Date()
+    return this.collection.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          status: OUTBOX_STATUS.SENDING,
+          leaseExpiresAt: new Date(now.getTime() + getLeaseMs()),
+          updatedAt: now
+        },
+        $inc: { attempts: 1 },
+        $unset: { nextAttemptAt: '' }
+      },
+      { sort: { createdAt: 1 }, returnDocument: 'after' }
+    )
+  }
+
+  /**
+   * Send an accepted request now rather than on the worker's next run.
+   * Does nothing if the worker got there first.
+   * @param {string} outboxId
+   * @returns {Promise<object|null>} - As deliver(), or null when not claimed
+   */
+  async dispatch(outboxId) {
+    const entry = await this.claim({ outboxId, status: OUTBOX_STATUS.PENDING })
+    return entry ? this.deliver(entry) : null
+  }
+
+  /**
+   * Send a claimed request and settle it. Send failures are recorded and
+   * returned rather than thrown. Once Notify has accepted the message,
+   * database errors are logged and left for the worker, never reported as a
+   * failed send.
+   * @param {object} entry - Claimed outbox document
+   * @returns {Promise<object>} - { status, notificationId } or { status, error }
+   */
+  async deliver(entry) {
+    let notificationId
+    try {
+      const registry = createNotifyServiceRegistry(this.db, this.logger)
+      const notificationService = await registry.getNotificationService(
+        entry.serviceId
+      )
+      // A previous attempt may have reached Notify before its outcome was lost
+      if (entry.attempts > 1) {
+        notificationId = await this.findSent(entry, notificationService)
+      }
+      if (!notificationId) {
+        if (entry.batchId) {
+          const deferred = await this.checkBatchSend(entry, registry)
+          if (deferred) {
+            return deferred
+          }
+          await this.waitForBatchSendSlot()
+        }
+        const response = await notificationService.send(
+          entry.phoneNumber,
+          entry.emailAddress,
+          entry.templateId,
+          entry.personalisation,
+          entry.requestId,
+          entry.reference,
+          { templateAlias: entry.templateAlias }
+        )
+        notificationId = response.notificationId
+      }
+    } catch (error) {
+      const status = await this.recordFailure(entry, error)
+      return { status, error }
+    }
+
+    await this.recordSubmitted(entry, notificationId)
+    return { status: OUTBOX_STATUS.SUBMITTED, notificationId }
+  }
+
+  /**
+   * Batch recipients count towards their Notify service's budget as they
+   * are sent, not when the batch is accepted, so a large batch spreads over
+   * the service's per-minute limit instead of being refused outright
+   * @param {object} entry - Claimed batch entry
+   * @param {object} registry - Notify service registry
+   * @returns {Promise<object|null>} - deliver() result when the send must
+   *   wait for the next window, otherwise null
+   */
+  async checkBatchSend(entry, registry) {
+    const service = await registry.findService(entry.serviceId)
+    const check = await registry.checkSend(service, entry.templateId)
+    if (check.allowed) {
+      return null
+    }
+    if (check.errorCode !== NOTIFY_SERVICE_ERROR.RATE_LIMITED) {
+      const error = new Error(check.message)
+      error.category = check.errorCode
+      throw error
+    }
+    return this.defer(entry, check.retryAfterSeconds)
+  }
+
+  /**
+   * Put a claimed request back until a later time without counting the
+   * attempt
+   * @returns {Promise<object>} - { status }
+   */
+  async defer(entry, retryAfterSeconds) {
+    const { outboxId } = entry
+    const now = new Date()
+    const nextAttemptAt = new Date(
+      now.getTime() + retryAfterSeconds * MS_PER_SECOND
+    )
+    await this.collection.updateOne(
+      { outboxId },
+      {
+        $set: { status: OUTBOX_STATUS.PENDING, nextAttemptAt, updatedAt: now },
+        $inc: { attempts: -1 },
+        $unset: { leaseExpiresAt: '' }
+      }
+    )
+    this.logger.info(
+      `notification_outbox.deferred ${JSON.stringify({ outboxId, serviceId: entry.serviceId, nextAttemptAt })}`
+    )
+    return { status: OUTBOX_STATUS.PENDING }
+  }
+
+  /**
+   * Id of a message Notify already holds for this request
+   * @returns {Promise<string|null>}
+   */
+  async findSent(entry, notificationService) {
+    const notifications =
+      await notificationService.findNotificationsByReference(entry.reference)
+    const since = entry.createdAt.getTime() - CLOCK_SKEW_MS
+    const sent = notifications.find(
+      (notification) => new Date(notification.created_at).getTime() >= since
+    )
+    if (sent) {
+      this.logger.info(
+        `notification_outbox.deduplicated ${JSON.stringify({ outboxId: entry.outboxId, notificationId: sent.id, attempts: entry.attempts })}`
+      )
+    }
+    return sent?.id ?? null
+  }
+
+  async recordSubmitted(entry, notificationId) {
+    const { outboxId } = entry
+    const now = new Date()
+    try {
+      await this.collection.updateOne(
+        { outboxId },
+        {
+          $set: {
+            status: OUTBOX_STATUS.SUBMITTED,
+            notificationId,
+            detailRecorded: false,
+            submittedAt: now,
+            updatedAt: now
+          },
+          $unset: { ...SEND_FIELDS, leaseExpiresAt: '' }
+        }
+      )
+      this.logger.info(
+        `notification_outbox.submitted ${JSON.stringify({ outboxId, notificationId, attempts: entry.attempts })}`
+      )
+      await this.recordDetail({ ...entry, notificationId })
+    } catch (error) {
+      this.logger.error(
+        `notification_outbox.record_failed ${JSON.stringify({ outboxId, notificationId, error: error.message })}`
+      )
+    }
+  }
+
+  /**
+   * Write the user-notification-details record for a submitted request and
+   * mark the request finished
+   */
+  async recordDetail({
+    outboxId,
+    notificationId,
+    alertId,
+    channel,
+    language,
+    serviceId,
+    batchId
+  }) {
+    const userNotificationDetailService = createUserNotificationDetailService(
+      this.db,
+      this.logger
+    )
+    await userNotificationDetailService.storeNotificationDetail({
+      notificationId,
+      alertId,
+      channel,
+      language,
+      serviceId,
+      ...(batchId && { batchId }),
+      notifyStatus: 'submitted'
+    })
+    await this.collection.updateOne(
+      { outboxId },
+      { $set: { detailRecorded: true, finishedAt: new Date() } }
+    )
+  }
+
+  /**
+   * Schedule another attempt at an accepted request whose failure may clear
+   * up, otherwise mark it failed. Sync requests are not retried: their caller
+   * has been told the send failed.
+   * @returns {Promise<string>} - 'pending' or 'failed'
+   */
+  async recordFailure(entry, error) {
+    const { outboxId, mode, attempts } = entry
+    const now = new Date()
+    const category = error.category || 'unknown'
+    const lastError = { category, message: error.message }
+    const maxAttempts =
+      config.get('notify.outbox.maxAttempts') || DEFAULT_MAX_ATTEMPTS
+
+    if (
+      mode === OUTBOX_MODE.ACCEPTED &&
+      RETRY_CATEGORIES.has(category) &&
+      attempts < maxAttempts
+    ) {
+      const nextAttemptAt = new Date(now.getTime() + getRetryDelayMs(attempts))
+      await this.collection.updateOne(
+        { outboxId },
+        {
+          $set: {
+            status: OUTBOX_STATUS.PENDING,
+            lastError,
+            nextAttemptAt,
+            updatedAt: now
+          },
+          $unset: { leaseExpiresAt: '' }
+        }
+      )
+      this.logger.warn(
+        `notification_outbox.retry_scheduled ${JSON.stringify({ outboxId, attempts, maxAttempts, category, nextAttemptAt })}`
+      )
+      return OUTBOX_STATUS.PENDING
+    }
+
+    await this.collection.updateOne(
+      { outboxId },
+      {
+        $set: {
+          status: OUTBOX_STATUS.FAILED,
+          lastError,
+          failedAt: now,
+          finishedAt: now,
+          updatedAt: now
+        },
+        $unset: { ...SEND_FIELDS, leaseExpiresAt: '' }
+      }
+    )
+    this.logger.warn(
+      `notification_outbox.failed ${JSON.stringify({ outboxId, mode, attempts, category })}`
+    )
+    return OUTBOX_STATUS.FAILED
+  }
+
+  /**
+   * Worker run: send requests that are due, or whose sender died mid-send,
+   * then write any user-notification-details records left out
+   * @returns {Promise<object>} - Counts by outcome
+   */
+  async processDue() {
+    const batchSize =
+      config.get('notify.outbox.batchSize') || DEFAULT_BATCH_SIZE
+    const counts = { submitted: 0, pending: 0, failed: 0, recovered: 0 }
+
+    for (let sent = 0; sent < batchSize; sent++) {
+      const now = new Date()
+      const entry = await this.claim({
+        $or: [
+          { status: OUTBOX_STATUS.PENDING, nextAttemptAt: { $lte: now } },
+          { status: OUTBOX_STATUS.SENDING, leaseExpiresAt: { $lte: now } }
+        ]
+      })
+      if (!entry) {
+        break
+      }
+      const { status } = await this.deliver(entry)
+      counts[status]++
+    }
+    counts.recovered = await this.recordMissingDetails(batchSize)
+
+    if (Object.values(counts).some(Boolean)) {
+      this.logger.info(
+        `notification_outbox.processed ${JSON.stringify(counts)}`
+      )
+    }
+    return counts
+  }
+
+  /**
+   * Finish submitted requests whose user-notification-details write failed.
+   * Only requests older than the lease are taken, so a sender still settling
+   * its own request is left alone.
+   * @param {number} limit
+   * @returns {Promise<number>} - Requests finished
+   */
+  async recordMissingDetails(limit) {
+    const entries = await this.collection
+      .find({
+        status: OUTBOX_STATUS.SUBMITTED,
+        detailRecorded: false,
+        submittedAt: { $lte: new Date(Date.now() - getLeaseMs()) }
+      })
+      .limit(limit)
+      .toArray()
+    const userNotificationDetailService = createUserNotificationDetailService(
+      this.db,
+      this.logger
+    )
+
+    let recovered = 0
+    for (const entry of entries) {
+      try {
+        // The detail may have been written before the flag update failed
+        const existing =
+          await userNotificationDetailService.getByNotificationId(
+            entry.notificationId
+          )
+        if (existing) {
+          await this.collection.updateOne(
+            { outboxId: entry.outboxId },
+            { $set: { detailRecorded: true, finishedAt: new Date() } }
+          )
+        } else {
+          await this.recordDetail(entry)
+        }
+        recovered++
+      } catch (error) {
+        this.logger.error(
+          `notification_outbox.record_failed ${JSON.stringify({ outboxId: entry.outboxId, notificationId: entry.notificationId, error: error.message })}`
+        )
+      }
+    }
+    return recovered
+  }
+}
+
+/**
+ * Factory function to create NotificationOutboxService instance
+ * @param {object} db - MongoDB database instance
+ * @param {object} logger - Logger instance
+ * @returns {NotificationOutboxService}
+ */
+function createNotificationOutboxService(db, logger) {
+  return new NotificationOutboxService(db, logger)
+}
+
+export {
+  OUTBOX_MODE,
+  OUTBOX_STATUS,
+  NotificationOutboxService,
+  createNotificationOutboxService
+}
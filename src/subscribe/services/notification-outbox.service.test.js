@@ -0,0 +1,603 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  OUTBOX_MODE,
+  OUTBOX_STATUS,
+  NotificationOutboxService,
+  createNotificationOutboxService
+} from './notification-outbox.service.js'
+
+const mockSend = vi.fn()
+const mockFindNotificationsByReference = vi.fn()
+const mockStoreNotificationDetail = vi.fn()
+const mockGetByNotificationId = vi.fn()
+
+const mockGetNotificationService = vi.fn()
+const mockFindService = vi.fn()
+const mockCheckSend = vi.fn()
+
+vi.mock('./notify-service-registry.service.js', () => ({
+  DEFAULT_NOTIFY_SERVICE_ID: 'default',
+  NOTIFY_SERVICE_ERROR: {
+    TEMPLATE_NOT_ALLOWED: 'template_not_allowed',
+    RATE_LIMITED: 'service_rate_limited'
+  },
+  createNotifyServiceRegistry: vi.fn(() => ({
+    getNotificationService: mockGetNotificationService,
+    findService: mockFindService,
+    checkSend: mockCheckSend
+  }))
+}))
+
+vi.mock('./user-notification-detail.service.js', () => ({
+  createUserNotificationDetailService: vi.fn(() => ({
+    storeNotificationDetail: mockStoreNotificationDetail,
+    getByNotificationId: mockGetByNotificationId
+  }))
+}))
+
+vi.mock('../../config.js', () => ({
+  config: {
+    get: vi.fn(
+      (key) =>
+        ({
+          'notify.outbox.batchSize': 10,
+          'notify.outbox.leaseSeconds': 120,
+          'notify.outbox.maxAttempts': 3,
+          'notify.outbox.retryBaseDelaySeconds': 30,
+          'notify.outbox.retryMaxDelaySeconds': 900,
+          'notify.batch.sendsPerSecond': 2
+        })[key]
+    )
+  }
+}))
+
+function createMockLogger() {
+  return { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() }
+}
+
+function cursorOf(documents) {
+  return {
+    limit: vi.fn().mockReturnThis(),
+    toArray: vi.fn().mockResolvedValue(documents)
+  }
+}
+
+function outboxEntry(overrides = {}) {
+  return {
+    outboxId: 'outbox-1',
+    reference: 'outbox-1',
+    mode: OUTBOX_MODE.SYNC,
+    status: OUTBOX_STATUS.SENDING,
+    channel: 'sms',
+    phoneNumber: '+447700900111',
+    templateId: 'tmpl-1',
+    personalisation: { name: 'Test' },
+    alertId: 'alert-1',
+    language: 'en',
+    requestId: 'req-1',
+    serviceId: 'default',
+    attempts: 1,
+    createdAt: new Date(),
+    ...overrides
+  }
+}
+
+describe('NotificationOutboxService', () => {
+  let collection
+  let pacing
+  let logger
+  let service
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    collection = {
+      insertOne: vi.fn().mockResolvedValue({}),
+      findOne: vi.fn(),
+      findOneAndUpdate: vi.fn(),
+      updateOne: vi.fn().mockResolvedValue({}),
+      find: vi.fn(() => cursorOf([])),
+      insertMany: vi.fn()
+    }
+    pacing = { findOneAndUpdate: vi.fn().mockResolvedValue({ sends: 1 }) }
+    logger = createMockLogger()
+    service = new NotificationOutboxService(
+      {
+        collection: vi.fn((name) =>
+          name === 'notification-batch-pacing' ? pacing : collection
+        )
+      },
+      logger
+    )
+    mockGetNotificationService.mockResolvedValue({
+      send: mockSend,
+      findNotificationsByReference: mockFindNotificationsByReference
+    })
+    mockFindService.mockResolvedValue({ serviceId: 'default' })
+    mockCheckSend.mockResolvedValue({ allowed: true })
+    mockSend.mockResolvedValue({ notificationId: 'notify-1' })
+    mockFindNotificationsByReference.mockResolvedValue([])
+    mockStoreNotificationDetail.mockResolvedValue({ success: true })
+  })
+
+  it('should create an instance via the factory', () => {
+    expect(
+      createNotificationOutboxService({ collection: vi.fn() }, logger)
+    ).toBeInstanceOf(NotificationOutboxService)
+  })
+
+  describe('enqueue', () => {
+    const request = {
+      channel: 'sms',
+      phoneNumber: '+447700900111',
+      templateId: 'tmpl-1',
+      personalisation: {},
+      alertId: 'alert-1',
+      language: 'en',
+      requestId: 'req-1'
+    }
+
+    it('should claim a sync request for the caller', async () => {
+      const entry = await service.enqueue({
+        ...request,
+        mode: 'sync',
+        templateAlias: 'daqi-alert-sms'
+      })
+
+      expect(entry).toMatchObject({
+        status: OUTBOX_STATUS.SENDING,
+        attempts: 1,
+        reference: entry.outboxId,
+        serviceId: 'default',
+        templateAlias: 'daqi-alert-sms',
+        leaseExpiresAt: expect.any(Date)
+      })
+      expect(collection.insertOne).toHaveBeenCalledWith(entry)
+    })
+
+    it('should leave an accepted request pending under its Idempotency-Key', async () => {
+      const entry = await service.enqueue({
+        ...request,
+        mode: 'accepted',
+        reference: 'idem-key-1'
+      })
+
+      expect(entry).toMatchObject({
+        status: OUTBOX_STATUS.PENDING,
+        attempts: 0,
+        reference: 'idem-key-1',
+        nextAttemptAt: expect.any(Date)
+      })
+    })
+
+    it('should wrap database errors', async () => {
+      collection.insertOne.mockRejectedValue(new Error('DB down'))
+
+      await expect(
+        service.enqueue({ ...request, mode: 'sync' })
+      ).rejects.toThrow('Failed to enqueue notification: DB down')
+    })
+  })
+
+  describe('enqueueBatch', () => {
+    const recipient = {
+      batchId: 'b1',
+      batchIndex: 0,
+      reference: 'b1:0',
+      channel: 'sms',
+      phoneNumber: '+447700900111',
+      templateId: 'tmpl-1',
+      personalisation: {},
+      alertId: 'alert-1',
+      requestId: 'b1'
+    }
+
+    it('should write accepted requests keyed by batch and recipient', async () => {
+      collection.insertMany.mockResolvedValue({ insertedCount: 2 })
+
+      const enqueued = await service.enqueueBatch([
+        recipient,
+        { ...recipient, batchIndex: 1, reference: 'b1:1' }
+      ])
+
+      expect(enqueued).toBe(2)
+      const [entries, options] = collection.insertMany.mock.calls[0]
+      expect(entries[1]).toMatchObject({
+        outboxId: 'b1:1',
+        reference: 'b1:1',
+        mode: 'accepted',
+        status: OUTBOX_STATUS.PENDING,
+        batchId: 'b1',
+        batchIndex: 1
+      })
+      expect(options).toEqual({ ordered: false })
+    })
+
+    it('should skip recipients already in the outbox', async () => {
+      collection.insertMany.mockRejectedValue(
+        Object.assign(new Error('E11000'), {
+          writeErrors: [{ code: 11000 }]
+        })
+      )
+
+      expect(
+        await service.enqueueBatch([recipient, { ...recipient, batchIndex: 1 }])
+      ).toBe(1)
+    })
+
+    it('should wrap other database errors', async () => {
+      collection.insertMany.mockRejectedValue(new Error('DB down'))
+
+      await expect(service.enqueueBatch([recipient])).rejects.toThrow(
+        'Failed to enqueue notification batch: DB down'
+      )
+    })
+  })
+
+  describe('waitForBatchSendSlot', () => {
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should count batch sends in one-second windows shared through MongoDB', async () => {
+      vi.useFakeTimers({ now: new Date('2025-01-01T12:00:00.250Z') })
+
+      await service.waitForBatchSendSlot()
+
+      expect(pacing.findOneAndUpdate).toHaveBeenCalledWith(
+        { windowStart: new Date('2025-01-01T12:00:00Z') },
+        expect.objectContaining({ $inc: { sends: 1 } }),
+        { upsert: true, returnDocument: 'after' }
+      )
+    })
+
+    it('should wait for the next window once this one is used up', async () => {
+      vi.useFakeTimers({ now: new Date('2025-01-01T12:00:00.250Z') })
+      pacing.findOneAndUpdate
+        .mockResolvedValueOnce({ sends: 3 })
+        .mockResolvedValueOnce({ sends: 1 })
+
+      const waiting = service.waitForBatchSendSlot()
+      await vi.advanceTimersByTimeAsync(750)
+      await waiting
+
+      expect(pacing.findOneAndUpdate).toHaveBeenLastCalledWith(
+        { windowStart: new Date('2025-01-01T12:00:01Z') },
+        expect.anything(),
+        expect.anything()
+      )
+    })
+  })
+
+  describe('deliver', () => {
+    it('should pace batch sends and record the batch on the detail', async () => {
+      await service.deliver(
+        outboxEntry({ mode: 'accepted', batchId: 'b1', batchIndex: 0 })
+      )
+
+      expect(pacing.findOneAndUpdate).toHaveBeenCalledTimes(1)
+      expect(mockStoreNotificationDetail).toHaveBeenCalledWith(
+        expect.objectContaining({ batchId: 'b1' })
+      )
+    })
+
+    it('should count a batch send against its Notify service budget', async () => {
+      await service.deliver(
+        outboxEntry({ mode: 'accepted', batchId: 'b1', serviceId: 'alerts' })
+      )
+
+      expect(mockFindService).toHaveBeenCalledWith('alerts')
+      expect(mockCheckSend).toHaveBeenCalledWith(
+        { serviceId: 'default' },
+        'tmpl-1'
+      )
+      expect(mockSend).toHaveBeenCalled()
+    })
+
+    it('should defer a batch send without using an attempt once the service budget is spent', async () => {
+      mockCheckSend.mockResolvedValue({
+        allowed: false,
+        errorCode: 'service_rate_limited',
+        retryAfterSeconds: 20
+      })
+
+      const result = await service.deliver(
+        outboxEntry({ mode: 'accepted', batchId: 'b1' })
+      )
+
+      expect(result).toEqual({ status: 'pending' })
+      expect(mockSend).not.toHaveBeenCalled()
+      expect(pacing.findOneAndUpdate).not.toHaveBeenCalled()
+      const [filter, update] = collection.updateOne.mock.calls[0]
+      expect(filter).toEqual({ outboxId: 'outbox-1' })
+      expect(update.$set.status).toBe('pending')
+      expect(update.$set.nextAttemptAt - update.$set.updatedAt).toBe(20000)
+      expect(update.$inc).toEqual({ attempts: -1 })
+    })
+
+    it('should fail a batch send whose template the service no longer allows', async () => {
+      mockCheckSend.mockResolvedValue({
+        allowed: false,
+        errorCode: 'template_not_allowed',
+        message: 'Template is not allowed for Notify service: default'
+      })
+
+      const result = await service.deliver(
+        outboxEntry({ mode: 'accepted', batchId: 'b1' })
+      )
+
+      expect(result.status).toBe('failed')
+      expect(result.error.category).toBe('template_not_allowed')
+      expect(mockSend).not.toHaveBeenCalled()
+    })
+
+    it('should not count single sends again at delivery', async () => {
+      await service.deliver(outboxEntry())
+
+      expect(mockCheckSend).not.toHaveBeenCalled()
+    })
+
+    it('should send with the outbox reference and record the detail', async () => {
+      const result = await service.deliver(
+        outboxEntry({ templateAlias: 'daqi-alert-sms' })
+      )
+
+      expect(mockSend).toHaveBeenCalledWith(
+        '+447700900111',
+        undefined,
+        'tmpl-1',
+        { name: 'Test' },
+        'req-1',
+        'outbox-1',
+        { templateAlias: 'daqi-alert-sms' }
+      )
+      expect(result).toEqual({
+        status: 'submitted',
+        notificationId: 'notify-1'
+      })
+      expect(collection.updateOne).toHaveBeenCalledWith(
+        { outboxId: 'outbox-1' },
+        expect.objectContaining({
+          $set: expect.objectContaining({
+            status: 'submitted',
+            notificationId: 'notify-1'
+          }),
+          $unset: expect.objectContaining({
+            phoneNumber: '',
+            personalisation: ''
+          })
+        })
+      )
+      expect(mockStoreNotificationDetail).toHaveBeenCalledWith({
+        notificationId: 'notify-1',
+        alertId: 'alert-1',
+        channel: 'sms',
+        language: 'en',
+        serviceId: 'default',
+        notifyStatus: 'submitted'
+      })
+      expect(mockGetNotificationService).toHaveBeenCalledWith('default')
+      expect(collection.updateOne).toHaveBeenLastCalledWith(
+        { outboxId: 'outbox-1' },
+        { $set: { detailRecorded: true, finishedAt: expect.any(Date) } }
+      )
+      expect(mockFindNotificationsByReference).not.toHaveBeenCalled()
+      expect(pacing.findOneAndUpdate).not.toHaveBeenCalled()
+    })
+
+    it('should report a sent message even when recording it fails', async () => {
+      mockStoreNotificationDetail.mockRejectedValue(new Error('DB down'))
+
+      const result = await service.deliver(outboxEntry())
+
+      expect(result).toEqual({
+        status: 'submitted',
+        notificationId: 'notify-1'
+      })
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.stringContaining('notification_outbox.record_failed')
+      )
+    })
+
+    it('should not send again when Notify already has the reference', async () => {
+      const entry = outboxEntry({ attempts: 2 })
+      mockFindNotificationsByReference.mockResolvedValue([
+        { id: 'notify-earlier', created_at: new Date().toISOString() }
+      ])
+
+      const result = await service.deliver(entry)
+
+      expect(mockFindNotificationsByReference).toHaveBeenCalledWith('outbox-1')
+      expect(mockSend).not.toHaveBeenCalled()
+      expect(result.notificationId).toBe('notify-earlier')
+    })
+
+    it('should ignore messages sent with the reference before the request', async () => {
+      mockFindNotificationsByReference.mockResolvedValue([
+        { id: 'notify-old', created_at: '2020-01-01T00:00:00.000Z' }
+      ])
+
+      const result = await service.deliver(outboxEntry({ attempts: 2 }))
+
+      expect(mockSend).toHaveBeenCalled()
+      expect(result.notificationId).toBe('notify-1')
+    })
+
+    it('should fail a sync request without retrying', async () => {
+      const error = Object.assign(new Error('FailedToSendSMS'), {
+        category: 'server_error'
+      })
+      mockSend.mockRejectedValue(error)
+
+      const result = await service.deliver(outboxEntry())
+
+      expect(result).toEqual({ status: 'failed', error })
+      expect(collection.updateOne).toHaveBeenCalledWith(
+        { outboxId: 'outbox-1' },
+        expect.objectContaining({
+          $set: expect.objectContaining({
+            status: 'failed',
+            lastError: { category: 'server_error', message: 'FailedToSendSMS' }
+          })
+        })
+      )
+      expect(mockStoreNotificationDetail).not.toHaveBeenCalled()
+    })
+
+    it('should schedule a retry of an accepted request with backoff', async () => {
+      mockSend.mockRejectedValue(
+        Object.assign(new Error('FailedToSendSMS'), { category: 'rate_limit' })
+      )
+      const before = Date.now()
+
+      const result = await service.deliver(
+        outboxEntry({ mode: OUTBOX_MODE.ACCEPTED, attempts: 2 })
+      )
+
+      expect(result.status).toBe('pending')
+      const [, update] = collection.updateOne.mock.calls[0]
+      expect(update.$set.status).toBe('pending')
+      expect(update.$set.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(
+        before + 60000
+      )
+    })
+
+    it('should fail an accepted request on a final error or its last attempt', async () => {
+      mockSend.mockRejectedValueOnce(
+        Object.assign(new Error('FailedToSendSMS'), { category: 'bad_request' })
+      )
+      mockSend.mockRejectedValueOnce(
+        Object.assign(new Error('FailedToSendSMS'), {
+          category: 'server_error'
+        })
+      )
+
+      const badRequest = await service.deliver(
+        outboxEntry({ mode: OUTBOX_MODE.ACCEPTED })
+      )
+      const exhausted = await service.deliver(
+        outboxEntry({ mode: OUTBOX_MODE.ACCEPTED, attempts: 3 })
+      )
+
+      expect(badRequest.status).toBe('failed')
+      expect(exhausted.status).toBe('failed')
+    })
+
+    it('should fail a request whose Notify service is no longer registered', async () => {
+      mockGetNotificationService.mockRejectedValue(
+        Object.assign(new Error('Unknown Notify service: forecasts'), {
+          category: 'unknown_service'
+        })
+      )
+
+      const result = await service.deliver(
+        outboxEntry({ mode: OUTBOX_MODE.ACCEPTED, serviceId: 'forecasts' })
+      )
+
+      expect(result.status).toBe('failed')
+      expect(mockSend).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('dispatch', () => {
+    it('should send a pending request it manages to claim', async () => {
+      collection.findOneAndUpdate.mockResolvedValue(
+        outboxEntry({ mode: OUTBOX_MODE.ACCEPTED })
+      )
+
+      const result = await service.dispatch('outbox-1')
+
+      expect(collection.findOneAndUpdate).toHaveBeenCalledWith(
+        { outboxId: 'outbox-1', status: 'pending' },
+        expect.objectContaining({ $inc: { attempts: 1 } }),
+        expect.objectContaining({ returnDocument: 'after' })
+      )
+      expect(result.status).toBe('submitted')
+    })
+
+    it('should do nothing when the worker claimed it first', async () => {
+      collection.findOneAndUpdate.mockResolvedValue(null)
+
+      expect(await service.dispatch('outbox-1')).toBeNull()
+      expect(mockSend).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('processDue', () => {
+    it('should send due and abandoned requests until none are left', async () => {
+      collection.findOneAndUpdate
+        .mockResolvedValueOnce(outboxEntry({ outboxId: 'a' }))
+        .mockResolvedValueOnce(outboxEntry({ outboxId: 'b', attempts: 2 }))
+        .mockResolvedValueOnce(null)
+
+      const counts = await service.processDue()
+
+      const [filter] = collection.findOneAndUpdate.mock.calls[0]
+      expect(filter.$or).toEqual([
+        { status: 'pending', nextAttemptAt: { $lte: expect.any(Date) } },
+        { status: 'sending', leaseExpiresAt: { $lte: expect.any(Date) } }
+      ])
+      expect(counts).toEqual({
+        submitted: 2,
+        pending: 0,
+        failed: 0,
+        recovered: 0
+      })
+      expect(mockFindNotificationsByReference).toHaveBeenCalledTimes(1)
+    })
+
+    it('should stop at the batch size', async () => {
+      collection.findOneAndUpdate.mockImplementation(async () => outboxEntry())
+
+      const counts = await service.processDue()
+
+      expect(counts.submitted).toBe(10)
+    })
+
+    it('should write details left out by a failed settle, once', async () => {
+      collection.findOneAndUpdate.mockResolvedValue(null)
+      collection.find.mockReturnValue(
+        cursorOf([
+          outboxEntry({ outboxId: 'a', notificationId: 'n-a' }),
+          outboxEntry({ outboxId: 'b', notificationId: 'n-b' })
+        ])
+      )
+      mockGetByNotificationId
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ notificationId: 'n-b' })
+
+      const counts = await service.processDue()
+
+      expect(collection.find).toHaveBeenCalledWith({
+        status: 'submitted',
+        detailRecorded: false,
+        submittedAt: { $lte: expect.any(Date) }
+      })
+      expect(mockStoreNotificationDetail).toHaveBeenCalledTimes(1)
+      expect(mockStoreNotificationDetail).toHaveBeenCalledWith(
+        expect.objectContaining({ notificationId: 'n-a' })
+      )
+      expect(counts.recovered).toBe(2)
+    })
+  })
+
+  describe('getRequest', () => {
+    it('should return the request without contact details', async () => {
+      collection.findOne.mockResolvedValue({ outboxId: 'outbox-1' })
+
+      const result = await service.getRequest('outbox-1')
+
+      const [, options] = collection.findOne.mock.calls[0]
+      expect(options.projection).not.toHaveProperty('phoneNumber')
+      expect(options.projection).not.toHaveProperty('personalisation')
+      expect(result).toEqual({ outboxId: 'outbox-1' })
+    })
+
+    it('should wrap database errors', async () => {
+      collection.findOne.mockRejectedValue(new Error('DB down'))
+
+      await expect(service.getRequest('outbox-1')).rejects.toThrow(
+        'Failed to get notification request: DB down'
+      )
+    })
+  })
+})
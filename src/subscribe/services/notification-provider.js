@@ -0,0 +1,48 @@
+import { config } from '../../config.js'
+import { createNotifyProvider } from './notify-provider.js'
+import { FakeNotifyProvider } from './fake-notify-provider.js'
+
+/**
+ * Providers behind NotifyService and the SMS reply poller. Each implements
+ *   sendSms(templateId, phoneNumber, { personalisation, reference })
+ *   sendEmail(templateId, emailAddress, { personalisation, reference })
+ *   getNotificationById(notificationId)
+ *   getNotifications(templateType, status, reference, olderThanId)
+ *   getReceivedTexts(olderThan)
+ * resolving to `{ data }` in GOV.UK Notify's response shapes.
+ */
+const NOTIFICATION_PROVIDER = {
+  NOTIFY: 'notify',
+  FAKE: 'fake'
+}
+
+// One fake for the process, so sends and the reply poller share an outbox
+let fakeNotifyProvider = null
+
+function getFakeNotifyProvider() {
+  if (!fakeNotifyProvider) {
+    fakeNotifyProvider = new FakeNotifyProvider()
+  }
+  return fakeNotifyProvider
+}
+
+function isFakeProviderEnabled() {
+  return config.get('notify.provider') === NOTIFICATION_PROVIDER.FAKE
+}
+
+/**
+ * @param {string} [apiKey] - Notify API key (ignored by the fake)
+ * @returns {object} - The provider selected by notify.provider
+ */
+function createNotificationProvider(apiKey = config.get('notify.apiKey')) {
+  return isFakeProviderEnabled()
+    ? getFakeNotifyProvider()
+    : createNotifyProvider(apiKey)
+}
+
+export {
+  NOTIFICATION_PROVIDER,
+  createNotificationProvider,
+  getFakeNotifyProvider,
+  isFakeProviderEnabled
+}
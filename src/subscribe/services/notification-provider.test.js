@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { NotifyClient } from 'notifications-node-client'
+import { config } from '../../config.js'
+import {
+  createNotificationProvider,
+  getFakeNotifyProvider,
+  isFakeProviderEnabled
+} from './notification-provider.js'
+import { FakeNotifyProvider } from './fake-notify-provider.js'
+
+const mockClient = vi.hoisted(() => ({
+  sendSms: vi.fn().mockResolvedValue({ data: { id: 'notify-id' } }),
+  sendEmail: vi.fn(),
+  getNotificationById: vi.fn(),
+  getReceivedTexts: vi.fn()
+}))
+
+vi.mock('notifications-node-client', () => ({
+  NotifyClient: vi.fn(() => mockClient)
+}))
+vi.mock('../../config.js', () => ({
+  config: { get: vi.fn() }
+}))
+
+function mockProvider(provider) {
+  config.get.mockImplementation(
+    (key) =>
+      ({ 'notify.provider': provider, 'notify.apiKey': 'config-key' })[key]
+  )
+}
+
+describe('createNotificationProvider', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should wrap a NotifyClient for the given key by default', async () => {
+    mockProvider('notify')
+
+    const provider = createNotificationProvider('service-key')
+    const response = await provider.sendSms('tmpl', '07700900111', {
+      personalisation: {}
+    })
+
+    expect(provider.name).toBe('notify')
+    expect(NotifyClient).toHaveBeenCalledWith('service-key')
+    expect(mockClient.sendSms).toHaveBeenCalledWith('tmpl', '07700900111', {
+      personalisation: {}
+    })
+    expect(response).toEqual({ data: { id: 'notify-id' } })
+  })
+
+  it('should fall back to the configured API key', () => {
+    mockProvider('notify')
+
+    createNotificationProvider()
+
+    expect(NotifyClient).toHaveBeenCalledWith('config-key')
+  })
+
+  it('should share one fake when notify.provider is fake', () => {
+    mockProvider('fake')
+
+    const provider = createNotificationProvider('service-key')
+
+    expect(isFakeProviderEnabled()).toBe(true)
+    expect(provider).toBeInstanceOf(FakeNotifyProvider)
+    expect(createNotificationProvider()).toBe(provider)
+    expect(getFakeNotifyProvider()).toBe(provider)
+    expect(NotifyClient).not.toHaveBeenCalled()
+  })
+})
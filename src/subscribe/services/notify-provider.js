@@ -0,0 +1,27 @@
+import { NotifyClient } from 'notifications-node-client'
+
+/**
+ * GOV.UK Notify adapter for the notification provider interface. Responses
+ * and errors are the client's own (axios `{ data }` responses, errors with
+ * `response.data.errors`), which is what NotifyService expects from every
+ * provider.
+ * @param {string} apiKey - Notify API key
+ * @returns {object} - Notification provider
+ */
+function createNotifyProvider(apiKey) {
+  const client = new NotifyClient(apiKey)
+  return {
+    name: 'notify',
+    sendSms: (templateId, phoneNumber, options) =>
+      client.sendSms(templateId, phoneNumber, options),
+    sendEmail: (templateId, emailAddress, options) =>
+      client.sendEmail(templateId, emailAddress, options),
+    getNotificationById: (notificationId) =>
+      client.getNotificationById(notificationId),
+    getNotifications: (templateType, status, reference, olderThanId) =>
+      client.getNotifications(templateType, status, reference, olderThanId),
+    getReceivedTexts: (olderThan) => client.getReceivedTexts(olderThan)
+  }
+}
+
+export { createNotifyProvider }
@@ -0,0 +1,397 @@
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { maskTemplateId } from '../../common/helpers/masking-utils.js'
+import { SCOPES } from '../../common/helpers/api-auth.js'
+import { config } from '../../config.js'
+import { createNotificationService } from './notify-service.js'
+
+// The service notify.apiKey belongs to, used when no other is selected
+const DEFAULT_NOTIFY_SERVICE_ID = 'default'
+const NOTIFY_SERVICES_COLLECTION = 'notify-services'
+const MS_PER_MINUTE = 60 * 1000
+const MS_PER_SECOND = 1000
+const DUPLICATE_KEY_ERROR = 11000
+
+// errorCode returned when a send cannot go through the selected service
+const NOTIFY_SERVICE_ERROR = {
+  UNKNOWN_SERVICE: 'unknown_service',
+  SERVICE_FORBIDDEN: 'service_forbidden',
+  TEMPLATE_NOT_ALLOWED: 'template_not_allowed',
+  RATE_LIMITED: 'service_rate_limited'
+}
+
+// API keys are never read from MongoDB; documents name the variable holding it
+const PROJECTION = {
+  _id: 0,
+  serviceId: 1,
+  apiKeyEnv: 1,
+  clientIds: 1,
+  templateIds: 1,
+  inboundNumber: 1,
+  replyTemplates: 1,
+  alertBackend: 1,
+  sendsPerMinute: 1
+}
+
+/**
+ * Digits of a UK number in international form, so 07700900123,
+ * +447700900123 and 447700900123 compare equal
+ */
+function normaliseNumber(number) {
+  const digits = String(number || '').replace(/\D/g, '')
+  return digits.startsWith('0') ? `44${digits.slice(1)}` : digits
+}
+
+function toService(entry) {
+  return {
+    serviceId: entry.serviceId,
+    apiKey: entry.apiKey ?? process.env[entry.apiKeyEnv] ?? null,
+    clientIds: entry.clientIds || [],
+    templateIds: entry.templateIds ?? null,
+    inboundNumber: entry.inboundNumber ?? null,
+    replyTemplates: entry.replyTemplates ?? null,
+    alertBackend: entry.alertBackend ?? false,
+    sendsPerMinute: entry.sendsPerMinute ?? null
+  }
+}
+
+function getDefaultService() {
+  return toService({
+    serviceId: DEFAULT_NOTIFY_SERVICE_ID,
+    apiKey: config.get('notify.apiKey'),
+    alertBackend: true
+  })
+}
+
+function getConfiguredServices() {
+  return (config.get('notify.services') || []).filter(
+    (entry) => !entry.disabled
+  )
+}
+
+function rejected(errorCode, message, extra = {}) {
+  return { allowed: false, errorCode, message, ...extra }
+}
+
+/**
+ * GOV.UK Notify services callers send through, each with its own API key,
+ * template allow-list, inbound number and rate budget. Configured services
+ * (notify.services) take precedence over the notify-services collection;
+ * notify.apiKey is the 'default' service, which replies with the notify
+ * config templates and is the only one using the alert backend by default.
+ * Collection: notify-services
+ * Document shape:
+ * {
+ *   serviceId: string,         // e.g. 'forecasts'; sent as serviceId on /send-notification
+ *   apiKeyEnv: string,         // environment variable holding the Notify API key
+ *   clientIds: string[],       // authenticated callers routed here by default
+ *   templateIds?: string[],    // templates it may send; any while unset
+ *   inboundNumber?: string,    // replies to this number are recorded against it
+ *   replyTemplates?: object,   // keyword reply template ids; no replies while unset
+ *   alertBackend?: boolean,    // STOP/START also opt out/in at the alert backend
+ *   sendsPerMinute?: number,   // rate budget; unlimited while unset
+ *   disabled?: boolean
+ * }
+ * Collection: notify-service-usage
+ * { serviceId, windowStart: Date, sends: number, expiresAt: Date }
+ */
+class NotifyServiceRegistry {
+  /**
+   * Creates a new NotifyServiceRegistry instance
+   * @param {object} db - MongoDB database instance
+   * @param {object} logger - Logger instance
+   */
+  constructor(db, logger) {
+    this.db = db
+    this.logger = logger || createLogger()
+    this.collection = db.collection(NOTIFY_SERVICES_COLLECTION)
+    this.usage = db.collection('notify-service-usage')
+  }
+
+  /**
+   * Services without a key are logged and treated as unregistered
+   */
+  usable(service) {
+    if (service && !service.apiKey) {
+      this.logger.error(
+        `notify_service_registry.missing_api_key ${JSON.stringify({ serviceId: service.serviceId })}`
+      )
+      return null
+    }
+    return service
+  }
+
+  /**
+   * @param {string} serviceId
+   * @returns {Promise<object|null>} - The service, or null when unregistered
+   */
+  async findService(serviceId) {
+    if (serviceId === DEFAULT_NOTIFY_SERVICE_ID) {
+      return getDefaultService()
+    }
+    const configured = getConfiguredServices().find(
+      (entry) => entry.serviceId === serviceId
+    )
+    if (configured) {
+      return this.usable(toService(configured))
+    }
+
+    try {
+      const stored = await this.collection.findOne(
+        { serviceId, disabled: { $ne: true } },
+        { projection: PROJECTION }
+      )
+      return this.usable(stored && toService(stored))
+    } catch (error) {
+      this.logger.error(
+        `notify_service_registry.lookup.error ${JSON.stringify({ serviceId, error: error.message })}`
+      )
+      throw new Error(`Failed to look up Notify service: ${error.message}`)
+    }
+  }
+
+  /**
+   * Every usable service: the default, then configured, then stored ones
+   * @returns {Promise<object[]>}
+   */
+  async listServices() {
+    const services = new Map([[DEFAULT_NOTIFY_SERVICE_ID, getDefaultService()]])
+    let stored
+    try {
+      stored = await this.collection
+        .find({ disabled: { $ne: true } }, { projection: PROJECTION })
+        .toArray()
+    } catch (error) {
+      this.logger.error(
+        `notify_service_registry.list.error ${JSON.stringify({ error: error.message })}`
+      )
+      throw new Error(`Failed to list Notify services: ${error.message}`)
+    }
+    for (const entry of [...getConfiguredServices(), ...stored]) {
+      if (!services.has(entry.serviceId)) {
+        services.set(entry.serviceId, toService(entry))
+      }
+    }
+    return [...services.values()].filter((service) => this.usable(service))
+  }
+
+  /**
+   * @param {string} clientId - Authenticated caller
+   * @returns {Promise<object|null>} - The service the caller is registered to
+   */
+  async findServiceForClient(clientId) {
+    const configured = getConfiguredServices().find((entry) =>
+      (entry.clientIds || []).includes(clientId)
+    )
+    if (configured) {
+      return this.usable(toService(configured))
+    }
+
+    try {
+      const stored = await this.collection.findOne(
+        { clientIds: clientId, disabled: { $ne: true } },
+        { projection: PROJECTION }
+      )
+      return this.usable(stored && toService(stored))
+    } catch (error) {
+      this.logger.error(
+        `notify_service_registry.client_lookup.error ${JSON.stringify({ clientId, error: error.message })}`
+      )
+      throw new Error(`Failed to look up Notify service: ${error.message}`)
+    }
+  }
+
+  /**
+   * @param {string} number - Number a text was sent to (Notify's notify_number)
+   * @returns {Promise<string>} - Id of the service owning it; 'default' when none does
+   */
+  async findServiceIdByInboundNumber(number) {
+    const target = normaliseNumber(number)
+    if (!target) {
+      return DEFAULT_NOTIFY_SERVICE_ID
+    }
+    const configured = getConfiguredServices().find(
+      (entry) => normaliseNumber(entry.inboundNumber) === target
+    )
+    if (configured) {
+      return configured.serviceId
+    }
+
+    try {
+      const stored = await this.collection
+        .find(
+          { inboundNumber: { $exists: true }, disabled: { $ne: true } },
+          { projection: { _id: 0, serviceId: 1, inboundNumber: 1 } }
+        )
+        .toArray()
+      const match = stored.find(
+        (entry) => normaliseNumber(entry.inboundNumber) === target
+      )
+      return match?.serviceId ?? DEFAULT_NOTIFY_SERVICE_ID
+    } catch (error) {
+      this.logger.error(
+        `notify_service_registry.inbound_lookup.error ${JSON.stringify({ error: error.message })}`
+      )
+      throw new Error(`Failed to look up Notify service: ${error.message}`)
+    }
+  }
+
+  /**
+   * Pick the service for a send: the one named in the request, else the one
+   * the caller is registered to, else the default. Callers may only name
+   * services they are registered to (admins may name any); callers
+   * registered to a service may not fall back to the default.
+   * @param {object} options
+   * @param {string} [options.serviceId] - serviceId from the request
+   * @param {object} options.credentials - request.auth.credentials
+   * @returns {Promise<object>} - { allowed: true, service } or { allowed: false, errorCode, message }
+   */
+  async selectService({ serviceId, credentials = {} }) {
+    const { clientId, scope = [] } = credentials
+    const registered = clientId
+      ? await this.findServiceForClient(clientId)
+      : null
+
+    if (!serviceId) {
+      return { allowed: true, service: registered ?? getDefaultService() }
+    }
+
+    const service = await this.findService(serviceId)
+    if (!service) {
+      return rejected(
+        NOTIFY_SERVICE_ERROR.UNKNOWN_SERVICE,
+        `Unknown Notify service: ${serviceId}`
+      )
+    }
+
+    const permitted =
+      scope.includes(SCOPES.ADMIN) ||
+      service.clientIds.includes(clientId) ||
+      (service.serviceId === DEFAULT_NOTIFY_SERVICE_ID && !registered)
+    if (!permitted) {
+      this.logger.warn(
+        `notify_service_registry.forbidden ${JSON.stringify({ clientId, serviceId })}`
+      )
+      return rejected(
+        NOTIFY_SERVICE_ERROR.SERVICE_FORBIDDEN,
+        `Caller may not send through Notify service: ${serviceId}`
+      )
+    }
+    return { allowed: true, service }
+  }
+
+  /**
+   * Check a template against the service's allow-list without counting a
+   * send; batches check up front and spend the budget as recipients are sent
+   * @param {object} service - From selectService
+   * @param {string} templateId - Template that will be sent
+   * @returns {object} - { allowed: true } or { allowed: false, errorCode, message }
+   */
+  checkTemplate(service, templateId) {
+    if (service.templateIds && !service.templateIds.includes(templateId)) {
+      this.logger.warn(
+        `notify_service_registry.template_not_allowed ${JSON.stringify({ serviceId: service.serviceId, templateId: maskTemplateId(templateId) })}`
+      )
+      return rejected(
+        NOTIFY_SERVICE_ERROR.TEMPLATE_NOT_ALLOWED,
+        `Template is not allowed for Notify service: ${service.serviceId}`
+      )
+    }
+    return { allowed: true }
+  }
+
+  /**
+   * Check a send against the service's template allow-list and rate budget,
+   * counting it towards the budget when allowed
+   * @param {object} service - From selectService
+   * @param {string} templateId - Template that will be sent
+   * @returns {Promise<object>} - { allowed: true } or { allowed: false, errorCode, message, retryAfterSeconds? }
+   */
+  async checkSend(service, templateId) {
+    const templateCheck = this.checkTemplate(service, templateId)
+    if (!templateCheck.allowed) {
+      return templateCheck
+    }
+    if (!service.sendsPerMinute) {
+      return { allowed: true }
+    }
+    return this.recordSend(service)
+  }
+
+  /**
+   * Count a send in the service's current one-minute window
+   */
+  async recordSend({ serviceId, sendsPerMinute }) {
+    const now = Date.now()
+    const windowStart = new Date(now - (now % MS_PER_MINUTE))
+    const windowEnd = windowStart.getTime() + MS_PER_MINUTE
+
+    const countSend = () =>
+      this.usage.findOneAndUpdate(
+        { serviceId, windowStart },
+        {
+          $inc: { sends: 1 },
+          $setOnInsert: { expiresAt: new Date(windowEnd + MS_PER_MINUTE) }
+        },
+        { upsert: true, returnDocument: 'after' }
+      )
+
+    try {
+      // Two instances opening the same window race on the unique index; the
+      // loser's retry updates the winner's document
+      const usage = await countSend().catch((error) =>
+        error.code === DUPLICATE_KEY_ERROR ? countSend() : Promise.reject(error)
+      )
+      if (usage.sends <= sendsPerMinute) {
+        return { allowed: true }
+      }
+    } catch (error) {
+      this.logger.error(
+        `notify_service_registry.usage.error ${JSON.stringify({ serviceId, error: error.message })}`
+      )
+      throw new Error(`Failed to record Notify service usage: ${error.message}`)
+    }
+
+    const retryAfterSeconds = Math.ceil((windowEnd - now) / MS_PER_SECOND)
+    this.logger.warn(
+      `notify_service_registry.rate_limited ${JSON.stringify({ serviceId, sendsPerMinute, retryAfterSeconds })}`
+    )
+    return rejected(
+      NOTIFY_SERVICE_ERROR.RATE_LIMITED,
+      `Notify service ${serviceId} has used its ${sendsPerMinute} sends per minute`,
+      { retryAfterSeconds }
+    )
+  }
+
+  /**
+   * Notification service sending with a registered service's key
+   * @param {string} [serviceId] - 'default' when omitted
+   * @returns {Promise<object>} - As createNotificationService()
+   */
+  async getNotificationService(serviceId = DEFAULT_NOTIFY_SERVICE_ID) {
+    const service = await this.findService(serviceId)
+    if (!service) {
+      const error = new Error(`Unknown Notify service: ${serviceId}`)
+      error.category = NOTIFY_SERVICE_ERROR.UNKNOWN_SERVICE
+      throw error
+    }
+    return createNotificationService(service.apiKey)
+  }
+}
+
+/**
+ * Factory function to create NotifyServiceRegistry instance
+ * @param {object} db - MongoDB database instance
+ * @param {object} logger - Logger instance
+ * @returns {NotifyServiceRegistry} - NotifyServiceRegistry instance
+ */
+function createNotifyServiceRegistry(db, logger) {
+  return new NotifyServiceRegistry(db, logger)
+}
+
+export {
+  DEFAULT_NOTIFY_SERVICE_ID,
+  NOTIFY_SERVICES_COLLECTION,
+  NOTIFY_SERVICE_ERROR,
+  NotifyServiceRegistry,
+  createNotifyServiceRegistry
+}
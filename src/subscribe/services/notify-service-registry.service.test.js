@@ -0,0 +1,329 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  NOTIFY_SERVICE_ERROR,
+  NotifyServiceRegistry,
+  createNotifyServiceRegistry
+} from './notify-service-registry.service.js'
+import { createNotificationService } from './notify-service.js'
+import { config } from '../../config.js'
+
+vi.mock('./notify-service.js', () => ({
+  createNotificationService: vi.fn(() => ({ send: vi.fn() }))
+}))
+
+vi.mock('../../config.js', () => ({
+  config: { get: vi.fn() }
+}))
+
+const FORECASTS = {
+  serviceId: 'forecasts',
+  apiKey: 'forecasts-key',
+  clientIds: ['forecast-engine'],
+  templateIds: ['tmpl-forecast'],
+  inboundNumber: '07700900111',
+  sendsPerMinute: 2
+}
+
+function useServices(services) {
+  config.get.mockImplementation(
+    (key) =>
+      ({ 'notify.apiKey': 'default-key', 'notify.services': services })[key]
+  )
+}
+
+describe('NotifyServiceRegistry', () => {
+  let services
+  let usage
+  let logger
+  let registry
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    useServices([FORECASTS])
+    services = {
+      findOne: vi.fn().mockResolvedValue(null),
+      find: vi.fn(() => ({ toArray: vi.fn().mockResolvedValue([]) }))
+    }
+    usage = { findOneAndUpdate: vi.fn().mockResolvedValue({ sends: 1 }) }
+    logger = { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() }
+    const db = {
+      collection: vi.fn((name) =>
+        name === 'notify-service-usage' ? usage : services
+      )
+    }
+    registry = new NotifyServiceRegistry(db, logger)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    delete process.env.NOTIFY_API_KEY_RESEARCH
+  })
+
+  it('should create an instance via the factory', () => {
+    expect(
+      createNotifyServiceRegistry({ collection: vi.fn() }, logger)
+    ).toBeInstanceOf(NotifyServiceRegistry)
+  })
+
+  describe('findService', () => {
+    it('should treat notify.apiKey as the default service', async () => {
+      expect(await registry.findService('default')).toMatchObject({
+        serviceId: 'default',
+        apiKey: 'default-key',
+        templateIds: null,
+        alertBackend: true,
+        sendsPerMinute: null
+      })
+    })
+
+    it('should prefer configured services over stored ones', async () => {
+      expect(await registry.findService('forecasts')).toMatchObject({
+        apiKey: 'forecasts-key',
+        clientIds: ['forecast-engine']
+      })
+      expect(services.findOne).not.toHaveBeenCalled()
+    })
+
+    it('should read stored keys from the named environment variable', async () => {
+      process.env.NOTIFY_API_KEY_RESEARCH = 'research-key'
+      services.findOne.mockResolvedValue({
+        serviceId: 'research',
+        apiKeyEnv: 'NOTIFY_API_KEY_RESEARCH'
+      })
+
+      const service = await registry.findService('research')
+
+      expect(service.apiKey).toBe('research-key')
+      expect(service).toMatchObject({
+        replyTemplates: null,
+        alertBackend: false
+      })
+      expect(services.findOne).toHaveBeenCalledWith(
+        { serviceId: 'research', disabled: { $ne: true } },
+        expect.objectContaining({
+          projection: expect.not.objectContaining({ apiKey: 1 })
+        })
+      )
+    })
+
+    it('should ignore services whose key is missing', async () => {
+      services.findOne.mockResolvedValue({
+        serviceId: 'research',
+        apiKeyEnv: 'NOTIFY_API_KEY_RESEARCH'
+      })
+
+      expect(await registry.findService('research')).toBeNull()
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.stringContaining('notify_service_registry.missing_api_key')
+      )
+    })
+
+    it('should wrap database errors', async () => {
+      services.findOne.mockRejectedValue(new Error('DB down'))
+
+      await expect(registry.findService('research')).rejects.toThrow(
+        'Failed to look up Notify service: DB down'
+      )
+    })
+  })
+
+  describe('selectService', () => {
+    it('should route a registered caller to its service', async () => {
+      const result = await registry.selectService({
+        credentials: { clientId: 'forecast-engine', scope: ['notify:send'] }
+      })
+
+      expect(result.service.serviceId).toBe('forecasts')
+    })
+
+    it('should fall back to the default for other callers', async () => {
+      const result = await registry.selectService({
+        credentials: { clientId: 'alerts', scope: ['notify:send'] }
+      })
+
+      expect(result.service.serviceId).toBe('default')
+    })
+
+    it('should reject unknown services', async () => {
+      const result = await registry.selectService({
+        serviceId: 'unknown',
+        credentials: { clientId: 'alerts', scope: ['notify:send'] }
+      })
+
+      expect(result).toMatchObject({
+        allowed: false,
+        errorCode: NOTIFY_SERVICE_ERROR.UNKNOWN_SERVICE
+      })
+    })
+
+    it('should only let callers name their own service, or admins any', async () => {
+      const other = await registry.selectService({
+        serviceId: 'forecasts',
+        credentials: { clientId: 'alerts', scope: ['notify:send'] }
+      })
+      const escape = await registry.selectService({
+        serviceId: 'default',
+        credentials: { clientId: 'forecast-engine', scope: ['notify:send'] }
+      })
+      const admin = await registry.selectService({
+        serviceId: 'forecasts',
+        credentials: { clientId: 'ops', scope: ['admin'] }
+      })
+
+      expect(other.errorCode).toBe(NOTIFY_SERVICE_ERROR.SERVICE_FORBIDDEN)
+      expect(escape.errorCode).toBe(NOTIFY_SERVICE_ERROR.SERVICE_FORBIDDEN)
+      expect(admin).toMatchObject({ allowed: true })
+    })
+  })
+
+  describe('checkSend', () => {
+    it('should reject templates outside the allow-list', async () => {
+      const service = await registry.findService('forecasts')
+
+      const result = await registry.checkSend(service, 'tmpl-other')
+
+      expect(result.errorCode).toBe(NOTIFY_SERVICE_ERROR.TEMPLATE_NOT_ALLOWED)
+      expect(usage.findOneAndUpdate).not.toHaveBeenCalled()
+    })
+
+    it('should check the allow-list without counting a send', async () => {
+      const service = await registry.findService('forecasts')
+
+      expect(registry.checkTemplate(service, 'tmpl-forecast')).toEqual({
+        allowed: true
+      })
+      expect(registry.checkTemplate(service, 'tmpl-other').errorCode).toBe(
+        NOTIFY_SERVICE_ERROR.TEMPLATE_NOT_ALLOWED
+      )
+      expect(usage.findOneAndUpdate).not.toHaveBeenCalled()
+    })
+
+    it('should not count sends for services without a budget', async () => {
+      const service = await registry.findService('default')
+
+      expect(await registry.checkSend(service, 'any')).toEqual({
+        allowed: true
+      })
+      expect(usage.findOneAndUpdate).not.toHaveBeenCalled()
+    })
+
+    it('should count sends in one-minute windows and reject over budget', async () => {
+      vi.useFakeTimers()
+      vi.setSystemTime(new Date('2025-01-01T12:00:45Z'))
+      const service = await registry.findService('forecasts')
+      usage.findOneAndUpdate.mockResolvedValueOnce({ sends: 2 })
+      usage.findOneAndUpdate.mockResolvedValueOnce({ sends: 3 })
+
+      const within = await registry.checkSend(service, 'tmpl-forecast')
+      const over = await registry.checkSend(service, 'tmpl-forecast')
+
+      expect(within).toEqual({ allowed: true })
+      expect(over).toMatchObject({
+        allowed: false,
+        errorCode: NOTIFY_SERVICE_ERROR.RATE_LIMITED,
+        retryAfterSeconds: 15
+      })
+      expect(usage.findOneAndUpdate).toHaveBeenCalledWith(
+        {
+          serviceId: 'forecasts',
+          windowStart: new Date('2025-01-01T12:00:00Z')
+        },
+        expect.objectContaining({ $inc: { sends: 1 } }),
+        { upsert: true, returnDocument: 'after' }
+      )
+    })
+
+    it('should retry once when another instance opened the window first', async () => {
+      const service = await registry.findService('forecasts')
+      usage.findOneAndUpdate.mockRejectedValueOnce(
+        Object.assign(new Error('duplicate key'), { code: 11000 })
+      )
+
+      expect(await registry.checkSend(service, 'tmpl-forecast')).toEqual({
+        allowed: true
+      })
+      expect(usage.findOneAndUpdate).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('listServices', () => {
+    it('should list the default, configured and stored services once each', async () => {
+      process.env.NOTIFY_API_KEY_RESEARCH = 'research-key'
+      services.find.mockReturnValue({
+        toArray: vi.fn().mockResolvedValue([
+          { serviceId: 'forecasts', apiKeyEnv: 'NOTIFY_API_KEY_OTHER' },
+          { serviceId: 'research', apiKeyEnv: 'NOTIFY_API_KEY_RESEARCH' },
+          { serviceId: 'keyless', apiKeyEnv: 'NOTIFY_API_KEY_MISSING' }
+        ])
+      })
+
+      const listed = await registry.listServices()
+
+      expect(
+        listed.map(({ serviceId, apiKey }) => [serviceId, apiKey])
+      ).toEqual([
+        ['default', 'default-key'],
+        ['forecasts', 'forecasts-key'],
+        ['research', 'research-key']
+      ])
+      expect(services.find).toHaveBeenCalledWith(
+        { disabled: { $ne: true } },
+        expect.any(Object)
+      )
+    })
+
+    it('should wrap database errors', async () => {
+      services.find.mockReturnValue({
+        toArray: vi.fn().mockRejectedValue(new Error('DB down'))
+      })
+
+      await expect(registry.listServices()).rejects.toThrow(
+        'Failed to list Notify services: DB down'
+      )
+    })
+  })
+
+  describe('findServiceIdByInboundNumber', () => {
+    it('should match inbound numbers in any UK format', async () => {
+      expect(await registry.findServiceIdByInboundNumber('+447700900111')).toBe(
+        'forecasts'
+      )
+    })
+
+    it('should check stored services, then fall back to the default', async () => {
+      services.find.mockReturnValueOnce({
+        toArray: vi
+          .fn()
+          .mockResolvedValue([
+            { serviceId: 'research', inboundNumber: '447700900222' }
+          ])
+      })
+
+      expect(await registry.findServiceIdByInboundNumber('07700900222')).toBe(
+        'research'
+      )
+      expect(await registry.findServiceIdByInboundNumber('07700900333')).toBe(
+        'default'
+      )
+      expect(await registry.findServiceIdByInboundNumber(undefined)).toBe(
+        'default'
+      )
+    })
+  })
+
+  describe('getNotificationService', () => {
+    it("should send with the service's key", async () => {
+      await registry.getNotificationService('forecasts')
+
+      expect(createNotificationService).toHaveBeenCalledWith('forecasts-key')
+    })
+
+    it('should fail for services no longer registered', async () => {
+      await expect(
+        registry.getNotificationService('retired')
+      ).rejects.toMatchObject({
+        category: NOTIFY_SERVICE_ERROR.UNKNOWN_SERVICE
+      })
+    })
+  })
+})
@@ -1,8 +1,17 @@
 /* eslint-disable curly */
 
-import { NotifyClient } from 'notifications-node-client'
 import { config } from '../../config.js'
+import { createNotificationProvider } from './notification-provider.js'
+import {
+  CIRCUITS,
+  getCircuitBreaker
+} from '../../common/helpers/circuit-breaker.js'
 import { createLogger } from '../../common/helpers/logging/logger.js'
+import {
+  METRIC,
+  metricsCounter,
+  metricsTimer
+} from '../../common/helpers/metrics.js'
 import {
   maskMsisdn,
   maskEmail,
@@ -14,9 +23,17 @@ import {
   logError,
   logDebug
 } from '../../common/helpers/logging-context.js'
+import { findTemplateAlias } from './template-language.js'
 
 const logger = createLogger()
 
+const NOTIFY_TIMEOUT_CODE = 'NOTIFY_TIMEOUT'
+// Only transient failures are retried. Timeouts are not: the request may
+// already have reached Notify, so a retry could send the message twice.
+const RETRY_CATEGORIES = new Set(['server_error', 'rate_limit'])
+// templateAlias dimension for templates neither the caller nor config names
+const UNREGISTERED_TEMPLATE_ALIAS = 'unregistered'
+
 /**
  * Parse Notify client error safely (do not depend on message text)
  * @param {any} err
@@ -30,7 +47,7 @@ function parseNotifyError(err) {
   const primary = errors[0] || {}
   const errorType = primary.error || primary.code
 
-  const category = resolveCategory(statusCode, errorType)
+  const category = resolveErrorCategory(err, statusCode, errorType)
   const retriable = isRetriable(statusCode, errorType)
 
   return {
@@ -45,6 +62,22 @@ function parseNotifyError(err) {
   }
 }
 
+function resolveErrorCategory(err, statusCode, errorType) {
+  if (err?.name === 'CircuitOpenError') return 'circuit_open'
+  if (err?.name === 'SuppressedContactError') return 'suppressed'
+  if (err?.code === NOTIFY_TIMEOUT_CODE) return 'timeout'
+  return resolveCategory(statusCode, errorType)
+}
+
+/**
+ * Whether a failed call says Notify itself is unhealthy (as opposed to a
+ * problem with our request) and should count towards opening the circuit
+ */
+function isNotifyOutage(err) {
+  const { statusCode } = parseNotifyError(err)
+  return !statusCode || statusCode >= 500
+}
+
 function resolveCategory(statusCode, errorType) {
   if (statusCode === 401) return 'unauthorized'
   if (statusCode === 403) return 'forbidden'
@@ -64,20 +97,181 @@ function isRetriable(statusCode, errorType) {
   )
 }
 
+/**
+ * Reject if the promise does not settle within timeoutMs (0 disables)
+ */
+function withTimeout(promise, timeoutMs) {
+  if (!timeoutMs) {
+    return promise
+  }
+  let timer
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Notify call timed out after ${timeoutMs}ms`)
+      err.code = NOTIFY_TIMEOUT_CODE
+      reject(err)
+    }, timeoutMs)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function getBackoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1))
+  return Math.floor(Math.random() * ceiling)
+}
+
+/**
+ * Options for the Notify client; reference is only sent when provided
+ */
+function buildSendOptions(personalisation, reference) {
+  return reference ? { personalisation, reference } : { personalisation }
+}
+
+/**
+ * Count a send's outcome and time it, dimensioned by channel and template
+ * alias (options.templateAlias, else the alias of a configured template)
+ * @param {string} channel - 'sms' or 'email'
+ * @param {string} templateId - Template sent
+ * @param {object} options - Send options
+ * @param {number} startedAt - Date.now() when the send began
+ * @param {string} [errorCategory] - Set when the send failed
+ */
+function recordSendMetrics(
+  channel,
+  templateId,
+  options,
+  startedAt,
+  errorCategory
+) {
+  const templateAlias =
+    options?.templateAlias ??
+    findTemplateAlias(templateId) ??
+    UNREGISTERED_TEMPLATE_ALIAS
+  metricsTimer(METRIC.NOTIFICATION_SEND_DURATION, Date.now() - startedAt, {
+    channel,
+    templateAlias
+  })
+  if (errorCategory) {
+    metricsCounter(METRIC.NOTIFICATION_FAILED, 1, {
+      channel,
+      templateAlias,
+      errorCategory
+    })
+  } else {
+    metricsCounter(METRIC.NOTIFICATION_SENT, 1, { channel, templateAlias })
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
 /**
  * Service for sending SMS via GOV.UK Notify
  */
 class NotifyService {
-  constructor() {
-    this.apiKey = config.get('notify.apiKey')
-    this.client = new NotifyClient(this.apiKey)
+  /**
+   * @param {string} [apiKey] - Key of the Notify service to send through;
+   * notify.apiKey when omitted
+   */
+  constructor(apiKey = config.get('notify.apiKey')) {
+    this.apiKey = apiKey
+    this.client = createNotificationProvider(this.apiKey)
+    this.circuitBreaker = getCircuitBreaker(CIRCUITS.NOTIFY)
+    this.suppressionService = null
+  }
+
+  /**
+   * Attach the suppression list once the database is available
+   * @param {object} suppressionService - SuppressionService instance
+   */
+  setSuppressionService(suppressionService) {
+    this.suppressionService = suppressionService
+  }
+
+  /**
+   * Refuse to send to a suppressed contact unless the message is transactional
+   * (OTP, verification link, unsubscribe confirmation)
+   * @param {string} contact - Phone number or email address
+   * @param {object} options - Send options
+   * @param {boolean} [options.transactional] - Skip the suppression check
+   * @param {string} operationId - Operation/correlation ID of the caller
+   */
+  async assertNotSuppressed(contact, options, operationId) {
+    if (options?.transactional || !this.suppressionService) {
+      return
+    }
+    const suppression = await this.suppressionService.findSuppression(contact)
+    if (suppression) {
+      logger.warn(
+        `notify.send.suppressed ${JSON.stringify({ operationId, channel: suppression.channel, reason: suppression.reason })}`
+      )
+      throw new SuppressedContactError(suppression.reason)
+    }
+  }
+
+  /**
+   * Run a Notify API call with the configured timeout, retrying server
+   * errors and rate limits with exponential backoff. Every attempt is logged
+   * against the caller's operationId. Attempts go through the shared Notify
+   * circuit breaker, so an outage fails fast with category 'circuit_open'.
+   * @param {string} operation - Log event prefix, e.g. 'notify.send_sms'
+   * @param {string} operationId - Operation/correlation ID of the caller
+   * @param {Function} call - Performs a single Notify API call
+   * @returns {Promise<any>} - The Notify response
+   */
+  async callWithRetry(operation, operationId, call) {
+    const timeoutMs = config.get('notify.timeoutMs')
+    const maxAttempts = Math.max(1, config.get('notify.retry.maxAttempts') || 1)
+    const baseDelayMs = config.get('notify.retry.baseDelayMs') || 0
+    const maxDelayMs = config.get('notify.retry.maxDelayMs') || 0
+
+    for (let attempt = 1; ; attempt++) {
+      logger.debug(
+        `${operation}.attempt ${JSON.stringify({ operationId, attempt, maxAttempts })}`
+      )
+      try {
+        return await this.circuitBreaker.execute(
+          () => withTimeout(call(), timeoutMs),
+          isNotifyOutage
+        )
+      } catch (err) {
+        const parsed = parseNotifyError(err)
+        const willRetry =
+          RETRY_CATEGORIES.has(parsed.category) && attempt < maxAttempts
+        const delayMs = willRetry
+          ? getBackoffDelay(attempt, baseDelayMs, maxDelayMs)
+          : 0
+        logger.warn(
+          `${operation}.attempt_failed ${JSON.stringify({ operationId, attempt, maxAttempts, category: parsed.category, statusCode: parsed.statusCode, errorType: parsed.errorType, willRetry, delayMs })}`
+        )
+        if (!willRetry) {
+          throw err
+        }
+        await sleep(delayMs)
+      }
+    }
   }
 
   /**
    * Generic SMS sender
+   * @param {string} [reference] - Passed to Notify to trace the delivery (e.g. an Idempotency-Key)
+   * @param {object} [options] - { transactional } sends even to suppressed numbers;
+   * { templateAlias } names the template in metrics
    */
-  async sendSmsGeneric(templateId, phoneNumber, personalisation) {
+  async sendSmsGeneric(
+    templateId,
+    phoneNumber,
+    personalisation,
+    requestId = null,
+    reference = null,
+    options = {}
+  ) {
     const operationId = generateOperationId('sms')
+    const startedAt = Date.now()
     logger.debug(
       `notify.send_sms.start ${JSON.stringify({ operationId, templateId: maskTemplateId(templateId), phoneNumberMasked: maskMsisdn(phoneNumber), personalisationKeys: personalisation ? Object.keys(personalisation) : [] })}`
     )
@@ -92,11 +286,20 @@ class NotifyService {
         )
       }
 
+      await this.assertNotSuppressed(phoneNumber, options, operationId)
+
       logger.debug(`notify.send_sms.calling_notify_api`)
 
-      const response = await this.client.sendSms(templateId, phoneNumber, {
-        personalisation
-      })
+      const response = await this.callWithRetry(
+        'notify.send_sms',
+        operationId,
+        () =>
+          this.client.sendSms(
+            templateId,
+            phoneNumber,
+            buildSendOptions(personalisation, reference)
+          )
+      )
 
       const data = response?.data || {}
       logger.debug(
@@ -113,6 +316,7 @@ class NotifyService {
       logger.debug(
         `notify.send_sms.success ${JSON.stringify({ operationId, notificationId: data.id, templateId: maskTemplateId(templateId) })}`
       )
+      recordSendMetrics('sms', templateId, options, startedAt)
 
       return {
         notificationId: data.id,
@@ -123,19 +327,26 @@ class NotifyService {
       logger.error(
         `notify.send_sms_generic.failure ${JSON.stringify({ category: parsed.category, errorType: parsed.errorType, originalError: err.message, phoneNumberMasked: maskMsisdn(phoneNumber), statusCode: parsed.statusCode, templateId: maskTemplateId(templateId) })}`
       )
+      recordSendMetrics('sms', templateId, options, startedAt, parsed.category)
       throw new NotifySmsError('FailedToSendSMS', parsed)
     }
   }
 
   /**
    * Generic Email sender
+   * @param {string} [reference] - Passed to Notify to trace the delivery (e.g. an Idempotency-Key)
+   * @param {object} [options] - { transactional } sends even to suppressed addresses;
+   * { templateAlias } names the template in metrics
    */
   async sendEmailGeneric(
     templateId,
     emailAddress,
     personalisation,
-    requestId = null
+    requestId = null,
+    reference = null,
+    options = {}
   ) {
+    const startedAt = Date.now()
     const context = createLoggingContext(requestId, 'notify.send_email', {
       templateId: maskTemplateId(templateId),
       emailAddressMasked: maskEmail(emailAddress),
@@ -171,6 +382,12 @@ class NotifyService {
         )
       }
 
+      await this.assertNotSuppressed(
+        emailAddress,
+        options,
+        context.correlationId
+      )
+
       const apiContext = context.createChild('api_call')
       logDebug(
         logger,
@@ -179,9 +396,16 @@ class NotifyService {
         'Sending Email via GOV.UK Notify'
       )
 
-      const response = await this.client.sendEmail(templateId, emailAddress, {
-        personalisation
-      })
+      const response = await this.callWithRetry(
+        'notify.send_email',
+        context.correlationId,
+        () =>
+          this.client.sendEmail(
+            templateId,
+            emailAddress,
+            buildSendOptions(personalisation, reference)
+          )
+      )
 
       const data = response?.data || {}
       logDebug(logger, apiContext, 'api_response_received', `id=${data.id}`, {
@@ -210,6 +434,7 @@ class NotifyService {
         notificationId: data.id,
         apiResponseTime: apiContext.getDuration()
       })
+      recordSendMetrics('email', templateId, options, startedAt)
 
       return {
         notificationId: data.id,
@@ -225,6 +450,13 @@ class NotifyService {
         notifyResponse: err.response?.data,
         retryRecommended: parsed.retriable
       })
+      recordSendMetrics(
+        'email',
+        templateId,
+        options,
+        startedAt,
+        parsed.category
+      )
       throw new NotifySmsError('FailedToSendEmail', {
         ...parsed,
         correlationId: context.correlationId
@@ -242,13 +474,17 @@ class NotifyService {
     logger.debug(`notify.get_status.start`)
 
     try {
-      const response = await this.client.getNotificationById(notificationId)
+      const response = await this.callWithRetry(
+        'notify.get_status',
+        operationId,
+        () => this.client.getNotificationById(notificationId)
+      )
 
       logger.debug(
-        `notify.get_status.success ${JSON.stringify({ operationId, notificationId, status: response.body?.status, createdAt: response.body?.created_at })}`
+        `notify.get_status.success ${JSON.stringify({ operationId, notificationId, status: response.data?.status, createdAt: response.data?.created_at })}`
       )
 
-      return response.body
+      return response.data
     } catch (err) {
       const parsed = parseNotifyError(err)
       logger.error(
@@ -260,6 +496,43 @@ class NotifyService {
       })
     }
   }
+
+  /**
+   * Notifications Notify holds with the given reference, newest first
+   * @param {string} reference - Reference passed when the message was sent
+   * @returns {Promise<Array>} - Notify notifications (empty when none match)
+   */
+  async findNotificationsByReference(reference) {
+    const operationId = generateOperationId('lookup')
+
+    try {
+      const response = await this.callWithRetry(
+        'notify.find_by_reference',
+        operationId,
+        () => this.client.getNotifications(undefined, undefined, reference)
+      )
+      return response?.data?.notifications || []
+    } catch (err) {
+      const parsed = parseNotifyError(err)
+      logger.error(
+        `notify.find_by_reference.failure ${JSON.stringify({ operationId, statusCode: parsed.statusCode, errorType: parsed.errorType, category: parsed.category, originalError: err.message })}`
+      )
+      throw new NotifySmsError('FailedToFindNotifications', parsed)
+    }
+  }
+}
+
+/**
+ * Raised instead of sending to a contact on the suppression list
+ */
+class SuppressedContactError extends Error {
+  constructor(reason) {
+    super('Contact is suppressed')
+    this.name = 'SuppressedContactError'
+    this.category = 'suppressed'
+    this.retriable = false
+    this.reason = reason
+  }
 }
 
 /**
@@ -281,69 +554,130 @@ class NotifySmsError extends Error {
 // Create singleton instance
 const notifyService = new NotifyService()
 
+// One instance per API key, so every Notify service a caller can be routed
+// to keeps a single client
+const notifyServices = new Map([[notifyService.apiKey, notifyService]])
+
 /**
- * Send SMS via notification service
+ * The NotifyService for an API key, created on first use. New instances
+ * share the singleton's suppression list.
+ * @param {string} [apiKey] - Notify API key; notify.apiKey when omitted
+ * @returns {NotifyService}
  */
-async function sendSms(
-  phoneNumber,
-  templateId,
-  personalisation,
-  requestId = null
-) {
-  return notifyService.sendSmsGeneric(
-    templateId,
-    phoneNumber,
-    personalisation,
-    requestId
-  )
+function getNotifyService(apiKey) {
+  if (!apiKey) {
+    return notifyService
+  }
+  if (!notifyServices.has(apiKey)) {
+    const service = new NotifyService(apiKey)
+    service.setSuppressionService(notifyService.suppressionService)
+    notifyServices.set(apiKey, service)
+  }
+  return notifyServices.get(apiKey)
 }
 
 /**
- * Send Email via notification service
+ * Factory function to create notification service with simplified interface
+ * @param {string} [apiKey] - Notify API key; notify.apiKey when omitted
  */
-async function sendEmail(
-  emailAddress,
-  templateId,
-  personalisation,
-  requestId = null
-) {
-  return notifyService.sendEmailGeneric(
+function createNotificationService(apiKey) {
+  const service = getNotifyService(apiKey)
+
+  /**
+   * Send SMS via notification service
+   */
+  async function sendSms(
+    phoneNumber,
     templateId,
+    personalisation,
+    requestId = null,
+    reference = null,
+    options = {}
+  ) {
+    return service.sendSmsGeneric(
+      templateId,
+      phoneNumber,
+      personalisation,
+      requestId,
+      reference,
+      options
+    )
+  }
+
+  /**
+   * Send Email via notification service
+   */
+  async function sendEmail(
     emailAddress,
+    templateId,
     personalisation,
-    requestId
-  )
-}
+    requestId = null,
+    reference = null,
+    options = {}
+  ) {
+    return service.sendEmailGeneric(
+      templateId,
+      emailAddress,
+      personalisation,
+      requestId,
+      reference,
+      options
+    )
+  }
 
-/**
- * Send notification (SMS or Email) via /send-notification api
- */
-async function send(
-  phoneNumber,
-  emailAddress,
-  templateId,
-  personalisation,
-  requestId = null
-) {
-  if (phoneNumber) {
-    return sendSms(phoneNumber, templateId, personalisation, requestId)
-  } else if (emailAddress) {
-    return sendEmail(emailAddress, templateId, personalisation, requestId)
-  } else {
-    throw new Error('Either phoneNumber or emailAddress must be provided')
+  /**
+   * Send notification (SMS or Email) via /send-notification api
+   */
+  async function send(
+    phoneNumber,
+    emailAddress,
+    templateId,
+    personalisation,
+    requestId = null,
+    reference = null,
+    options = {}
+  ) {
+    if (phoneNumber) {
+      return sendSms(
+        phoneNumber,
+        templateId,
+        personalisation,
+        requestId,
+        reference,
+        options
+      )
+    } else if (emailAddress) {
+      return sendEmail(
+        emailAddress,
+        templateId,
+        personalisation,
+        requestId,
+        reference,
+        options
+      )
+    } else {
+      throw new Error('Either phoneNumber or emailAddress must be provided')
+    }
   }
-}
 
-/**
- * Factory function to create notification service with simplified interface
- */
-function createNotificationService() {
-  return { sendSms, sendEmail, send }
+  return {
+    sendSms,
+    sendEmail,
+    send,
+    // Look up a notification's current status in Notify
+    getNotificationStatus: (notificationId) =>
+      service.getNotificationStatus(notificationId),
+    // Look up notifications already sent with a reference (outbox dedup)
+    findNotificationsByReference: (reference) =>
+      service.findNotificationsByReference(reference)
+  }
 }
 
 export {
   notifyService,
   NotifyService,
   NotifySmsError,
+  SuppressedContactError,
+  getNotifyService,
   createNotificationService
 }
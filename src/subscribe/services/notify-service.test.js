@@ -50,7 +50,8 @@ function createMockSetup() {
   const mockNotifyClient = {
     sendSms: vi.fn(),
     sendEmail: vi.fn(),
-    getNotificationById: vi.fn()
+    getNotificationById: vi.fn(),
+    getNotifications: vi.fn()
   }
 
   const mockConfig = {
@@ -462,6 +463,34 @@ describe('Notify Service', () => {
         })
       }, 10000)
 
+      it('should pass the reference to Notify when given', async () => {
+        setupMocks(mockNotifyClient, mockConfig, mockLogger)
+
+        const { NotifyService } = await import('./notify-service.js')
+
+        mockNotifyClient.sendSms.mockResolvedValue({
+          data: { id: 'sms-ref', uri: 'https://example.com' }
+        })
+
+        const service = new NotifyService()
+        await service.sendSmsGeneric(
+          'template-456',
+          '+447123456789',
+          { code: '12345' },
+          'req-1',
+          'idem-key-1'
+        )
+
+        expect(mockNotifyClient.sendSms).toHaveBeenCalledWith(
+          'template-456',
+          '+447123456789',
+          {
+            personalisation: { code: '12345' },
+            reference: 'idem-key-1'
+          }
+        )
+      }, 10000)
+
       it('should handle null personalisation in SMS', async () => {
         setupMocks(mockNotifyClient, mockConfig, mockLogger)
 
@@ -931,7 +960,7 @@ describe('Notify Service', () => {
         }
 
         mockNotifyClient.getNotificationById.mockResolvedValue({
-          body: mockStatus
+          data: mockStatus
         })
 
         const service = new NotifyService()
@@ -980,6 +1009,408 @@ describe('Notify Service', () => {
         expect(logCall).toContain('NotFoundError')
       }, 10000)
     })
+
+    describe('findNotificationsByReference Method', () => {
+      it('should list notifications sent with the reference', async () => {
+        setupMocks(mockNotifyClient, mockConfig, mockLogger)
+
+        const { NotifyService } = await import('./notify-service.js')
+
+        mockNotifyClient.getNotifications.mockResolvedValue({
+          data: { notifications: [{ id: 'sent-1', reference: 'ref-1' }] }
+        })
+
+        const service = new NotifyService()
+        const result = await service.findNotificationsByReference('ref-1')
+
+        expect(mockNotifyClient.getNotifications).toHaveBeenCalledWith(
+          undefined,
+          undefined,
+          'ref-1',
+          undefined
+        )
+        expect(result).toEqual([{ id: 'sent-1', reference: 'ref-1' }])
+      }, 10000)
+
+      it('should wrap lookup failures', async () => {
+        setupMocks(mockNotifyClient, mockConfig, mockLogger)
+
+        const { NotifyService, NotifySmsError } = await import(
+          './notify-service.js'
+        )
+
+        const apiError = new Error('Forbidden')
+        apiError.response = {
+          status: 403,
+          data: { status_code: 403, errors: [{ error: 'AuthError' }] }
+        }
+        mockNotifyClient.getNotifications.mockRejectedValue(apiError)
+
+        const service = new NotifyService()
+        const error = await service
+          .findNotificationsByReference('ref-1')
+          .catch((e) => e)
+
+        expect(error).toBeInstanceOf(NotifySmsError)
+        expect(error.message).toBe('FailedToFindNotifications')
+        expect(error.category).toBe('forbidden')
+        expect(mockLogger.error).toHaveBeenCalledWith(
+          expect.stringContaining('notify.find_by_reference.failure')
+        )
+      }, 10000)
+    })
+
+    describe('Suppression list', () => {
+      function suppressedList() {
+        return {
+          findSuppression: vi
+            .fn()
+            .mockResolvedValue({ channel: 'sms', reason: 'stop' })
+        }
+      }
+
+      it('should refuse a suppressed number with category suppressed', async () => {
+        setupMocks(mockNotifyClient, mockConfig, mockLogger)
+
+        const { NotifyService } = await import('./notify-service.js')
+
+        const service = new NotifyService()
+        const suppressionService = suppressedList()
+        service.setSuppressionService(suppressionService)
+
+        await expect(
+          service.sendSmsGeneric('template-456', '+447123456789', {})
+        ).rejects.toMatchObject({
+          name: 'NotifySmsError',
+          category: 'suppressed',
+          retriable: false
+        })
+        expect(suppressionService.findSuppression).toHaveBeenCalledWith(
+          '+447123456789'
+        )
+        expect(mockNotifyClient.sendSms).not.toHaveBeenCalled()
+        expect(mockLogger.warn).toHaveBeenCalledWith(
+          expect.stringContaining('notify.send.suppressed')
+        )
+      }, 10000)
+
+      it('should refuse a suppressed email address', async () => {
+        setupMocks(mockNotifyClient, mockConfig, mockLogger)
+
+        const { NotifyService } = await import('./notify-service.js')
+
+        const service = new NotifyService()
+        service.setSuppressionService(suppressedList())
+
+        await expect(
+          service.sendEmailGeneric('template-456', 'user@example.com', {})
+        ).rejects.toMatchObject({ category: 'suppressed' })
+        expect(mockNotifyClient.sendEmail).not.toHaveBeenCalled()
+      }, 10000)
+
+      it('should send transactional messages to suppressed contacts', async () => {
+        setupMocks(mockNotifyClient, mockConfig, mockLogger)
+
+        const { NotifyService } = await import('./notify-service.js')
+
+        mockNotifyClient.sendSms.mockResolvedValue({
+          data: { id: 'otp-1', uri: 'https://example.com' }
+        })
+
+        const service = new NotifyService()
+        const suppressionService = suppressedList()
+        service.setSuppressionService(suppressionService)
+
+        const result = await service.sendSmsGeneric(
+          'template-456',
+          '+447123456789',
+          { code: '12345' },
+          null,
+          null,
+          { transactional: true }
+        )
+
+        expect(result.notificationId).toBe('otp-1')
+        expect(suppressionService.findSuppression).not.toHaveBeenCalled()
+      }, 10000)
+
+      it('should send when the contact is not suppressed', async () => {
+        setupMocks(mockNotifyClient, mockConfig, mockLogger)
+
+        const { NotifyService } = await import('./notify-service.js')
+
+        mockNotifyClient.sendSms.mockResolvedValue({
+          data: { id: 'sms-1', uri: 'https://example.com' }
+        })
+
+        const service = new NotifyService()
+        service.setSuppressionService({
+          findSuppression: vi.fn().mockResolvedValue(null)
+        })
+
+        const result = await service.sendSmsGeneric(
+          'template-456',
+          '+447123456789',
+          {}
+        )
+
+        expect(result.notificationId).toBe('sms-1')
+      }, 10000)
+    })
+
+    describe('Metrics', () => {
+      const mockMetricsCounter = vi.fn()
+      const mockMetricsTimer = vi.fn()
+
+      beforeEach(() => {
+        vi.doMock(
+          '../../common/helpers/metrics.js',
+          async (importOriginal) => ({
+            ...(await importOriginal()),
+            metricsCounter: mockMetricsCounter,
+            metricsTimer: mockMetricsTimer
+          })
+        )
+      })
+
+      afterEach(() => {
+        vi.doUnmock('../../common/helpers/metrics.js')
+      })
+
+      it('should count sends by channel and configured template alias', async () => {
+        setupMocks(mockNotifyClient, mockConfig, mockLogger)
+
+        const { NotifyService } = await import('./notify-service.js')
+
+        mockNotifyClient.sendSms.mockResolvedValue({
+          data: { id: 'otp-1', uri: 'https://example.com' }
+        })
+
+        await new NotifyService().sendSmsGeneric(
+          'template-456',
+          '+447123456789',
+          {}
+        )
+
+        expect(mockMetricsCounter).toHaveBeenCalledWith('NotificationSent', 1, {
+          channel: 'sms',
+          templateAlias: 'otp-sms'
+        })
+        expect(mockMetricsTimer).toHaveBeenCalledWith(
+          'NotificationSendDuration',
+          expect.any(Number),
+          { channel: 'sms', templateAlias: 'otp-sms' }
+        )
+      }, 10000)
+
+      it('should count failures by Notify error category', async () => {
+        setupMocks(mockNotifyClient, mockConfig, mockLogger)
+
+        const { NotifyService } = await import('./notify-service.js')
+
+        mockNotifyClient.sendEmail.mockRejectedValue({
+          response: {
+            status: 400,
+            data: { errors: [{ error: 'BadRequestError' }] }
+          }
+        })
+
+        await expect(
+          new NotifyService().sendEmailGeneric(
+            'tmpl-alert',
+            'user@example.com',
+            {},
+            null,
+            null,
+            { templateAlias: 'daqi-alert-email' }
+          )
+        ).rejects.toThrow()
+
+        expect(mockMetricsCounter).toHaveBeenCalledWith(
+          'NotificationFailed',
+          1,
+          {
+            channel: 'email',
+            templateAlias: 'daqi-alert-email',
+            errorCategory: 'bad_request'
+          }
+        )
+      }, 10000)
+
+      it('should name templates it cannot place as unregistered', async () => {
+        setupMocks(mockNotifyClient, mockConfig, mockLogger)
+
+        const { NotifyService } = await import('./notify-service.js')
+
+        mockNotifyClient.sendSms.mockResolvedValue({
+          data: { id: 'sms-1', uri: 'https://example.com' }
+        })
+
+        await new NotifyService().sendSmsGeneric(
+          'tmpl-other',
+          '+447123456789',
+          {}
+        )
+
+        expect(mockMetricsCounter).toHaveBeenCalledWith(
+          'NotificationSent',
+          1,
+          expect.objectContaining({ templateAlias: 'unregistered' })
+        )
+      }, 10000)
+    })
+  })
+
+  describe('Timeout and retry', () => {
+    let mockNotifyClient
+    let mockConfig
+    let mockLogger
+
+    function serverError(status = 500, error = 'InternalServerError') {
+      const apiError = new Error('Notify error')
+      apiError.response = {
+        status,
+        data: { status_code: status, errors: [{ error }] }
+      }
+      return apiError
+    }
+
+    beforeEach(() => {
+      const mocks = createMockSetup()
+      mockNotifyClient = mocks.mockNotifyClient
+      mockLogger = mocks.mockLogger
+      const retryConfig = {
+        'notify.apiKey': 'test-api-key-123',
+        'notify.timeoutMs': 50,
+        'notify.retry.maxAttempts': 3,
+        'notify.retry.baseDelayMs': 1,
+        'notify.retry.maxDelayMs': 5,
+        'circuitBreaker.failureThreshold': 3,
+        'circuitBreaker.resetTimeoutSeconds': 30
+      }
+      mockConfig = { get: vi.fn((key) => retryConfig[key]) }
+
+      vi.clearAllMocks()
+      vi.resetModules()
+      setupMocks(mockNotifyClient, mockConfig, mockLogger)
+    })
+
+    function attemptFailedLogs() {
+      return mockLogger.warn.mock.calls
+        .map((call) => call[0])
+        .filter((line) => line.includes('.attempt_failed'))
+    }
+
+    it('should retry server errors and succeed on a later attempt', async () => {
+      const { NotifyService } = await import('./notify-service.js')
+      mockNotifyClient.sendSms
+        .mockRejectedValueOnce(serverError(503, 'ServiceUnavailable'))
+        .mockResolvedValueOnce({ data: { id: 'notification-retry' } })
+
+      const service = new NotifyService()
+      const result = await service.sendSmsGeneric('t', '+447123456789', {})
+
+      expect(result.notificationId).toBe('notification-retry')
+      expect(mockNotifyClient.sendSms).toHaveBeenCalledTimes(2)
+      const logs = attemptFailedLogs()
+      expect(logs).toHaveLength(1)
+      expect(logs[0]).toContain('notify.send_sms.attempt_failed')
+      expect(logs[0]).toContain('"operationId":"sms_')
+      expect(logs[0]).toContain('"category":"server_error"')
+      expect(logs[0]).toContain('"willRetry":true')
+    })
+
+    it('should open the circuit after repeated outages and fail fast', async () => {
+      const { NotifyService } = await import('./notify-service.js')
+      mockNotifyClient.sendSms.mockRejectedValue(serverError())
+
+      const service = new NotifyService()
+      await expect(
+        service.sendSmsGeneric('t', '+447123456789', {})
+      ).rejects.toMatchObject({ category: 'server_error' })
+      expect(mockNotifyClient.sendSms).toHaveBeenCalledTimes(3)
+
+      await expect(
+        service.sendSmsGeneric('t', '+447123456789', {})
+      ).rejects.toMatchObject({ category: 'circuit_open', retriable: false })
+      expect(mockNotifyClient.sendSms).toHaveBeenCalledTimes(3)
+    })
+
+    it('should not count client errors against the circuit', async () => {
+      const { NotifyService } = await import('./notify-service.js')
+      mockNotifyClient.sendSms.mockRejectedValue(
+        serverError(400, 'BadRequestError')
+      )
+
+      const service = new NotifyService()
+      for (let i = 0; i < 4; i++) {
+        await expect(
+          service.sendSmsGeneric('t', '+447123456789', {})
+        ).rejects.toMatchObject({ category: 'bad_request' })
+      }
+      expect(mockNotifyClient.sendSms).toHaveBeenCalledTimes(4)
+    })
+
+    it('should retry rate limits up to maxAttempts then throw', async () => {
+      const { NotifyService, NotifySmsError } = await import(
+        './notify-service.js'
+      )
+      mockNotifyClient.sendEmail.mockRejectedValue(
+        serverError(429, 'RateLimitError')
+      )
+
+      const service = new NotifyService()
+      const error = await service
+        .sendEmailGeneric('t', 'user@example.com', {}, 'req-123')
+        .catch((e) => e)
+
+      expect(error).toBeInstanceOf(NotifySmsError)
+      expect(error.category).toBe('rate_limit')
+      expect(mockNotifyClient.sendEmail).toHaveBeenCalledTimes(3)
+      const logs = attemptFailedLogs()
+      expect(logs).toHaveLength(3)
+      expect(logs.every((l) => l.includes('"operationId":"req-123"'))).toBe(
+        true
+      )
+      expect(logs[2]).toContain('"willRetry":false')
+    })
+
+    it('should not retry permanent failures', async () => {
+      const { NotifyService } = await import('./notify-service.js')
+      mockNotifyClient.sendSms.mockRejectedValue(
+        serverError(400, 'BadRequestError')
+      )
+
+      const service = new NotifyService()
+      await expect(
+        service.sendSmsGeneric('t', '+447123456789', {})
+      ).rejects.toMatchObject({ category: 'bad_request' })
+      expect(mockNotifyClient.sendSms).toHaveBeenCalledTimes(1)
+    })
+
+    it('should time out slow calls without retrying them', async () => {
+      const { NotifyService } = await import('./notify-service.js')
+      mockNotifyClient.sendSms.mockImplementation(() => new Promise(() => {}))
+
+      const service = new NotifyService()
+      await expect(
+        service.sendSmsGeneric('t', '+447123456789', {})
+      ).rejects.toMatchObject({ category: 'timeout', retriable: false })
+      expect(mockNotifyClient.sendSms).toHaveBeenCalledTimes(1)
+    })
+
+    it('should apply timeout and retry to status lookups', async () => {
+      const { NotifyService } = await import('./notify-service.js')
+      mockNotifyClient.getNotificationById
+        .mockRejectedValueOnce(serverError(502, 'BadGateway'))
+        .mockResolvedValueOnce({ data: { status: 'delivered' } })
+
+      const service = new NotifyService()
+      const result = await service.getNotificationStatus('notification-123')
+
+      expect(result).toEqual({ status: 'delivered' })
+      expect(mockNotifyClient.getNotificationById).toHaveBeenCalledTimes(2)
+    })
   })
 
   describe('Service Export Structure', () => {
@@ -1027,6 +1458,25 @@ describe('Notify Service', () => {
       expect(typeof service.sendEmail).toBe('function')
       expect(typeof service.send).toBe('function')
     }, 10000)
+
+    it('should keep one NotifyService per API key', async () => {
+      const { mockNotifyClient, mockConfig, mockLogger } = createMockSetup()
+      setupMocks(mockNotifyClient, mockConfig, mockLogger)
+      const suppressionService = { findSuppression: vi.fn() }
+
+      const { notifyService, getNotifyService } = await import(
+        './notify-service.js'
+      )
+      notifyService.setSuppressionService(suppressionService)
+      const forecasts = getNotifyService('forecasts-key')
+
+      expect(getNotifyService()).toBe(notifyService)
+      expect(getNotifyService('test-api-key-123')).toBe(notifyService)
+      expect(forecasts).not.toBe(notifyService)
+      expect(getNotifyService('forecasts-key')).toBe(forecasts)
+      expect(forecasts.apiKey).toBe('forecasts-key')
+      expect(forecasts.suppressionService).toBe(suppressionService)
+    }, 10000)
   })
 
   describe('Wrapper Functions (sendSms, sendEmail, send)', () => {
@@ -1075,6 +1525,19 @@ describe('Notify Service', () => {
       expect(result.notificationId).toBe('email-wrapper-123')
     }, 10000)
 
+    it('getNotificationStatus should delegate to the singleton', async () => {
+      setupMocks(mockNotifyClient, mockConfig, mockLogger)
+      mockNotifyClient.getNotificationById.mockResolvedValue({
+        data: { id: 'status-123', status: 'delivered' }
+      })
+
+      const { createNotificationService } = await import('./notify-service.js')
+      const service = createNotificationService()
+      const result = await service.getNotificationStatus('status-123')
+
+      expect(result).toEqual({ id: 'status-123', status: 'delivered' })
+    }, 10000)
+
     it('send should route to sendSms when phoneNumber is provided', async () => {
       setupMocks(mockNotifyClient, mockConfig, mockLogger)
       mockNotifyClient.sendSms.mockResolvedValue({
@@ -1,6 +1,7 @@
 import { validateAndNormalizeUKPhoneNumber } from '../../common/helpers/phone-validation.js'
 import { generateOTPWithExpiry } from '../../common/helpers/otp-generator.js'
 import { createUserContactService } from './user-contact-service.js'
+import { createSendRateLimitService } from './send-rate-limit.service.js'
 import { config } from '../../config.js'
 
 // Define constants for clarity
@@ -10,8 +11,9 @@ const MOCK_OTP = '12345'
 
 function createOtpService(db, logger) {
   const userContactService = createUserContactService(db, logger)
+  const sendRateLimitService = createSendRateLimitService(db, logger)
 
-  async function generate(phoneNumber) {
+  async function generate(phoneNumber, language) {
     try {
       const phoneValidation = validateAndNormalizeUKPhoneNumber(phoneNumber)
 
@@ -20,6 +22,33 @@ function createOtpService(db, logger) {
       }
 
       const normalizedPhoneNumber = phoneValidation.normalized
+
+      // A locked-out contact must wait for the cooldown before a fresh OTP
+      // can be issued, otherwise the lockout could be bypassed by regenerating.
+      const lockedUntil = await userContactService.getActiveLockout(
+        normalizedPhoneNumber
+      )
+      if (lockedUntil) {
+        return {
+          error: 'Too many failed attempts',
+          errorCode: 'otp_locked',
+          lockedUntil
+        }
+      }
+
+      const rateLimit = await sendRateLimitService.checkAndRecord(
+        normalizedPhoneNumber,
+        'sms'
+      )
+      if (!rateLimit.allowed) {
+        return {
+          error: 'Too many OTP requests',
+          errorCode: 'rate_limited',
+          reason: rateLimit.reason,
+          retryAfterSeconds: rateLimit.retryAfterSeconds
+        }
+      }
+
       const expiryMinutes = config.get('useMock')
         ? MOCK_OTP_EXPIRY_MINUTES
         : OTP_EXPIRY_MINUTES
@@ -32,7 +61,8 @@ function createOtpService(db, logger) {
       await userContactService.storeVerificationDetails(
         normalizedPhoneNumber,
         storedOtp,
-        expiryTime
+        expiryTime,
+        language
       )
       return { normalizedPhoneNumber, otp }
     } catch (error) {
@@ -58,7 +88,9 @@ function createOtpService(db, logger) {
       )
 
       if (!validationResult.valid) {
-        return { error: validationResult.error }
+        const { error, errorCode, attemptsRemaining, lockedUntil } =
+          validationResult
+        return { error, errorCode, attemptsRemaining, lockedUntil }
       }
       return { normalizedPhoneNumber }
     } catch (error) {
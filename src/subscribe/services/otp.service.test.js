@@ -5,6 +5,7 @@ import { generateOTPWithExpiry } from '../../common/helpers/otp-generator.js'
 import { config } from '../../config.js'
 
 import { createUserContactService } from './user-contact-service.js'
+import { createSendRateLimitService } from './send-rate-limit.service.js'
 
 // FIXED: Moved all vi.mock() calls to after imports
 vi.mock('../../common/helpers/phone-validation.js', () => ({
@@ -21,6 +22,10 @@ vi.mock('./user-contact-service.js', () => ({
   createUserContactService: vi.fn()
 }))
 
+vi.mock('./send-rate-limit.service.js', () => ({
+  createSendRateLimitService: vi.fn()
+}))
+
 vi.mock('../../config.js', () => ({
   config: {
     get: vi.fn(() => false)
@@ -39,7 +44,12 @@ describe('OTP Service', () => {
 
   const mockUserContactService = {
     storeVerificationDetails: vi.fn(),
-    validateSecret: vi.fn()
+    validateSecret: vi.fn(),
+    getActiveLockout: vi.fn()
+  }
+
+  const mockSendRateLimitService = {
+    checkAndRecord: vi.fn()
   }
 
   let otpService
@@ -52,6 +62,9 @@ describe('OTP Service', () => {
     config.get.mockImplementation(() => false)
 
     // Setup user contact service mock
+    mockUserContactService.getActiveLockout.mockResolvedValue(null)
+    mockSendRateLimitService.checkAndRecord.mockResolvedValue({ allowed: true })
+    createSendRateLimitService.mockReturnValue(mockSendRateLimitService)
     createUserContactService.mockReturnValue(mockUserContactService)
 
     // Create service instance
@@ -104,7 +117,7 @@ describe('OTP Service', () => {
         expect(generateOTPWithExpiry).toHaveBeenCalledWith(15)
         expect(
           mockUserContactService.storeVerificationDetails
-        ).toHaveBeenCalledWith(normalizedPhone, otp, expiryTime)
+        ).toHaveBeenCalledWith(normalizedPhone, otp, expiryTime, undefined)
         expect(result).toEqual({
           normalizedPhoneNumber: normalizedPhone,
           otp
@@ -120,7 +133,7 @@ describe('OTP Service', () => {
         expect(generateOTPWithExpiry).toHaveBeenCalledWith(15)
         expect(
           mockUserContactService.storeVerificationDetails
-        ).toHaveBeenCalledWith(normalizedPhone, otp, expiryTime)
+        ).toHaveBeenCalledWith(normalizedPhone, otp, expiryTime, undefined)
 
         expect(result.normalizedPhoneNumber).toBe(normalizedPhone)
         expect(result.otp).toBe(otp)
@@ -133,7 +146,7 @@ describe('OTP Service', () => {
 
         expect(
           mockUserContactService.storeVerificationDetails
-        ).toHaveBeenCalledWith(normalizedPhone, '12345', expiryTime)
+        ).toHaveBeenCalledWith(normalizedPhone, '12345', expiryTime, undefined)
         // Real OTP is still returned so Notify sends the actual code
         expect(result).toEqual({
           normalizedPhoneNumber: normalizedPhone,
@@ -160,6 +173,53 @@ describe('OTP Service', () => {
         ).not.toHaveBeenCalled()
       })
 
+      it('should refuse to issue a new OTP while the contact is locked out', async () => {
+        const lockedUntil = new Date(Date.now() + 60 * 1000)
+        validateAndNormalizeUKPhoneNumber.mockReturnValue({
+          isValid: true,
+          normalized: normalizedPhone
+        })
+        mockUserContactService.getActiveLockout.mockResolvedValue(lockedUntil)
+
+        const result = await otpService.generate(phoneNumber)
+
+        expect(result).toEqual({
+          error: 'Too many failed attempts',
+          errorCode: 'otp_locked',
+          lockedUntil
+        })
+        expect(generateOTPWithExpiry).not.toHaveBeenCalled()
+        expect(
+          mockUserContactService.storeVerificationDetails
+        ).not.toHaveBeenCalled()
+      })
+
+      it('should refuse to issue a new OTP when the number is rate limited', async () => {
+        validateAndNormalizeUKPhoneNumber.mockReturnValue({
+          isValid: true,
+          normalized: normalizedPhone
+        })
+        mockSendRateLimitService.checkAndRecord.mockResolvedValue({
+          allowed: false,
+          reason: 'min_interval',
+          retryAfterSeconds: 45
+        })
+
+        const result = await otpService.generate(phoneNumber)
+
+        expect(mockSendRateLimitService.checkAndRecord).toHaveBeenCalledWith(
+          normalizedPhone,
+          'sms'
+        )
+        expect(result).toEqual({
+          error: 'Too many OTP requests',
+          errorCode: 'rate_limited',
+          reason: 'min_interval',
+          retryAfterSeconds: 45
+        })
+        expect(generateOTPWithExpiry).not.toHaveBeenCalled()
+      })
+
       it('should handle database storage failure', async () => {
         validateAndNormalizeUKPhoneNumber.mockReturnValue({
           isValid: true,
@@ -248,6 +308,27 @@ describe('OTP Service', () => {
         expect(mockLogger.info).not.toHaveBeenCalled()
       })
 
+      it('should pass through attempt-limit details', async () => {
+        validateAndNormalizeUKPhoneNumber.mockReturnValue({
+          isValid: true,
+          normalized: normalizedPhone
+        })
+        mockUserContactService.validateSecret.mockResolvedValue({
+          valid: false,
+          error: 'Invalid secret',
+          errorCode: 'invalid_otp',
+          attemptsRemaining: 2
+        })
+
+        const result = await otpService.validate(phoneNumber, 'wrong-otp')
+
+        expect(result).toEqual({
+          error: 'Invalid secret',
+          errorCode: 'invalid_otp',
+          attemptsRemaining: 2
+        })
+      })
+
       it('should handle validation service failure', async () => {
         validateAndNormalizeUKPhoneNumber.mockReturnValue({
           isValid: true,
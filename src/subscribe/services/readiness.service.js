@@ -0,0 +1,245 @@
+import { fetch } from 'undici'
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { CRON_RUN_STATUS } from '../../common/helpers/cron-run.js'
+import { config } from '../../config.js'
+import { createNotificationProvider } from './notification-provider.js'
+import { SMS_REPLY_POLL_JOB } from './sms-reply.service.js'
+
+const CHECK_STATUS = {
+  UP: 'up',
+  DOWN: 'down',
+  STALE: 'stale',
+  DISABLED: 'disabled'
+}
+
+// Overall readiness: down when a critical check fails, degraded otherwise
+const READINESS_STATUS = {
+  OK: 'ok',
+  DEGRADED: 'degraded',
+  DOWN: 'down'
+}
+
+const READINESS_TIMEOUT_CODE = 'READINESS_TIMEOUT'
+const MS_PER_SECOND = 1000
+const MS_PER_MINUTE = 60 * 1000
+// Failed Notify checks are retried sooner than successful ones expire, so a
+// recovered key or outage does not hold the service unready
+const NOTIFY_FAILURE_CACHE_MS = 30 * 1000
+// The poll cron is stale once this many intervals pass without a success
+const CRON_STALE_INTERVALS = 3
+// Matches no message; the lookup only proves Notify accepts the key
+const NOTIFY_PROBE_REFERENCE = 'aqie-notify-service-readiness'
+
+// Last Notify check for the process, shared by every readiness request
+let notifyCheck = null
+
+function withTimeout(promise, timeoutMs) {
+  let timer
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Check timed out after ${timeoutMs}ms`)
+      err.code = READINESS_TIMEOUT_CODE
+      reject(err)
+    }, timeoutMs)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Short reason for a failed check. The endpoint is unauthenticated, so error
+ * messages (which may name hosts) are only logged.
+ */
+function describeFailure(error) {
+  if (error.code === READINESS_TIMEOUT_CODE) {
+    return 'timeout'
+  }
+  const statusCode = error.response?.status
+  if (statusCode === 401 || statusCode === 403) {
+    return 'unauthorized'
+  }
+  return statusCode ? `http_${statusCode}` : 'unreachable'
+}
+
+/**
+ * Forget the cached Notify check (tests)
+ */
+function resetNotifyCheck() {
+  notifyCheck = null
+}
+
+/**
+ * Deep readiness checks behind /health/ready. MongoDB and Notify are
+ * critical: the service cannot take requests without them. The alert backend
+ * and SMS reply cron only affect reply processing, so they degrade the
+ * result without failing it.
+ */
+class ReadinessService {
+  /**
+   * Creates a new ReadinessService instance
+   * @param {object} db - MongoDB database instance
+   * @param {object} logger - Logger instance
+   */
+  constructor(db, logger) {
+    this.db = db
+    this.logger = logger || createLogger()
+    this.timeoutMs = config.get('health.timeoutMs')
+  }
+
+  /**
+   * Run every check in parallel
+   * @returns {Promise<object>} - { status, checks: { mongo, notify, alertBackend, smsReplyCron } }
+   */
+  async check() {
+    const [mongo, notify, alertBackend, smsReplyCron] = await Promise.all([
+      this.runCheck('mongo', true, () => this.checkMongo()),
+      this.runCheck('notify', true, () => this.checkNotify()),
+      this.runCheck('alertBackend', false, () => this.checkAlertBackend()),
+      this.runCheck('smsReplyCron', false, () => this.checkSmsReplyCron())
+    ])
+    const checks = { mongo, notify, alertBackend, smsReplyCron }
+
+    const failing = Object.values(checks).filter(
+      (result) =>
+        result.status === CHECK_STATUS.DOWN ||
+        result.status === CHECK_STATUS.STALE
+    )
+    let status = READINESS_STATUS.OK
+    if (failing.some((result) => result.critical)) {
+      status = READINESS_STATUS.DOWN
+    } else if (failing.length) {
+      status = READINESS_STATUS.DEGRADED
+    }
+    return { status, checks }
+  }
+
+  /**
+   * Time a check, turning a throw into status 'down'
+   */
+  async runCheck(name, critical, check) {
+    const startedAt = Date.now()
+    try {
+      const result = await check()
+      return { critical, ...result, durationMs: Date.now() - startedAt }
+    } catch (error) {
+      this.logger.warn(
+        `readiness.check_failed ${JSON.stringify({ check: name, error: error.message })}`
+      )
+      return {
+        critical,
+        status: CHECK_STATUS.DOWN,
+        error: describeFailure(error),
+        durationMs: Date.now() - startedAt
+      }
+    }
+  }
+
+  async checkMongo() {
+    await withTimeout(this.db.command({ ping: 1 }), this.timeoutMs)
+    return { status: CHECK_STATUS.UP }
+  }
+
+  /**
+   * Look up a reference no message carries, proving Notify is reachable and
+   * accepts the default key. The result is cached for
+   * health.notifyCacheSeconds so readiness probes do not spend API quota.
+   */
+  async checkNotify() {
+    const now = Date.now()
+    if (notifyCheck && now < notifyCheck.expiresAt) {
+      return { ...notifyCheck.result, cached: true }
+    }
+
+    let result
+    try {
+      await withTimeout(
+        createNotificationProvider().getNotifications(
+          undefined,
+          undefined,
+          NOTIFY_PROBE_REFERENCE
+        ),
+        this.timeoutMs
+      )
+      result = { status: CHECK_STATUS.UP }
+    } catch (error) {
+      this.logger.warn(
+        `readiness.check_failed ${JSON.stringify({ check: 'notify', error: error.message })}`
+      )
+      result = { status: CHECK_STATUS.DOWN, error: describeFailure(error) }
+    }
+
+    result.checkedAt = new Date(now).toISOString()
+    const cacheMs =
+      result.status === CHECK_STATUS.UP
+        ? config.get('health.notifyCacheSeconds') * MS_PER_SECOND
+        : NOTIFY_FAILURE_CACHE_MS
+    notifyCheck = { result, expiresAt: now + cacheMs }
+    return { ...result, cached: false }
+  }
+
+  /**
+   * Any answer below 500 from the alert backend's /health counts as up
+   */
+  async checkAlertBackend() {
+    const response = await fetch(
+      `${config.get('notify.alertBackend.url')}/health`,
+      { signal: AbortSignal.timeout(this.timeoutMs) }
+    )
+    if (response.status >= 500) {
+      return { status: CHECK_STATUS.DOWN, error: `http_${response.status}` }
+    }
+    return { status: CHECK_STATUS.UP }
+  }
+
+  /**
+   * Stale when the last completed sms-reply-poll run in cron_runs is older
+   * than CRON_STALE_INTERVALS poll intervals
+   */
+  async checkSmsReplyCron() {
+    if (!config.get('notify.smsReplyPollEnabled')) {
+      return { status: CHECK_STATUS.DISABLED }
+    }
+
+    const lastRun = await withTimeout(
+      this.db
+        .collection('cron_runs')
+        .find(
+          { job: SMS_REPLY_POLL_JOB, status: CRON_RUN_STATUS.COMPLETED },
+          { projection: { _id: 0, startedAt: 1 } }
+        )
+        .sort({ startedAt: -1 })
+        .limit(1)
+        .next(),
+      this.timeoutMs
+    )
+    const staleAfterMs =
+      config.get('notify.smsReplyPollIntervalMinutes') *
+      CRON_STALE_INTERVALS *
+      MS_PER_MINUTE
+    const lastSuccessAt = lastRun?.startedAt ?? null
+    const fresh =
+      lastSuccessAt && Date.now() - lastSuccessAt.getTime() <= staleAfterMs
+
+    return {
+      status: fresh ? CHECK_STATUS.UP : CHECK_STATUS.STALE,
+      lastSuccessAt: lastSuccessAt?.toISOString() ?? null
+    }
+  }
+}
+
+/**
+ * Factory function to create ReadinessService instance
+ * @param {object} db - MongoDB database instance
+ * @param {object} logger - Logger instance
+ * @returns {ReadinessService} - ReadinessService instance
+ */
+function createReadinessService(db, logger) {
+  return new ReadinessService(db, logger)
+}
+
+export {
+  CHECK_STATUS,
+  READINESS_STATUS,
+  ReadinessService,
+  createReadinessService,
+  resetNotifyCheck
+}
@@ -0,0 +1,228 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { fetch } from 'undici'
+import {
+  ReadinessService,
+  createReadinessService,
+  resetNotifyCheck
+} from './readiness.service.js'
+import { createNotificationProvider } from './notification-provider.js'
+import { config } from '../../config.js'
+
+const mockGetNotifications = vi.fn()
+
+vi.mock('undici', () => ({
+  fetch: vi.fn()
+}))
+
+vi.mock('./notification-provider.js', () => ({
+  createNotificationProvider: vi.fn(() => ({
+    getNotifications: mockGetNotifications
+  }))
+}))
+
+vi.mock('./sms-reply.service.js', () => ({
+  SMS_REPLY_POLL_JOB: 'sms-reply-poll'
+}))
+
+vi.mock('../../config.js', () => ({
+  config: { get: vi.fn() }
+}))
+
+const CONFIG = {
+  'health.timeoutMs': 1000,
+  'health.notifyCacheSeconds': 300,
+  'notify.alertBackend.url': 'https://alert-backend',
+  'notify.smsReplyPollEnabled': true,
+  'notify.smsReplyPollIntervalMinutes': 1
+}
+
+function useConfig(overrides = {}) {
+  config.get.mockImplementation((key) => ({ ...CONFIG, ...overrides })[key])
+}
+
+function notifyError(status) {
+  return Object.assign(new Error(`Request failed with status ${status}`), {
+    response: { status }
+  })
+}
+
+describe('ReadinessService', () => {
+  let db
+  let cronCursor
+  let logger
+  let service
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    vi.useFakeTimers({ now: new Date('2025-01-01T12:00:00Z') })
+    useConfig()
+    resetNotifyCheck()
+    cronCursor = {
+      sort: vi.fn(() => cronCursor),
+      limit: vi.fn(() => cronCursor),
+      next: vi
+        .fn()
+        .mockResolvedValue({ startedAt: new Date('2025-01-01T11:59:00Z') })
+    }
+    db = {
+      command: vi.fn().mockResolvedValue({ ok: 1 }),
+      collection: vi.fn(() => ({ find: vi.fn(() => cronCursor) }))
+    }
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+    mockGetNotifications.mockResolvedValue({ data: { notifications: [] } })
+    fetch.mockResolvedValue({ status: 200 })
+    service = new ReadinessService(db, logger)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should create an instance via the factory', () => {
+    expect(createReadinessService(db, logger)).toBeInstanceOf(ReadinessService)
+  })
+
+  it('should report ok with a check per dependency', async () => {
+    const readiness = await service.check()
+
+    expect(readiness.status).toBe('ok')
+    expect(readiness.checks).toEqual({
+      mongo: expect.objectContaining({ status: 'up', critical: true }),
+      notify: expect.objectContaining({
+        status: 'up',
+        critical: true,
+        cached: false,
+        checkedAt: '2025-01-01T12:00:00.000Z'
+      }),
+      alertBackend: expect.objectContaining({ status: 'up', critical: false }),
+      smsReplyCron: expect.objectContaining({
+        status: 'up',
+        critical: false,
+        lastSuccessAt: '2025-01-01T11:59:00.000Z'
+      })
+    })
+    expect(db.command).toHaveBeenCalledWith({ ping: 1 })
+    expect(fetch).toHaveBeenCalledWith(
+      'https://alert-backend/health',
+      expect.objectContaining({ signal: expect.anything() })
+    )
+  })
+
+  it('should be down when MongoDB cannot be pinged', async () => {
+    db.command.mockRejectedValue(new Error('connection refused to mongo:27017'))
+
+    const readiness = await service.check()
+
+    expect(readiness.status).toBe('down')
+    expect(readiness.checks.mongo).toMatchObject({
+      status: 'down',
+      error: 'unreachable'
+    })
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining('readiness.check_failed')
+    )
+  })
+
+  it('should be down when Notify rejects the key', async () => {
+    mockGetNotifications.mockRejectedValue(notifyError(403))
+
+    const readiness = await service.check()
+
+    expect(readiness.status).toBe('down')
+    expect(readiness.checks.notify).toMatchObject({
+      status: 'down',
+      error: 'unauthorized'
+    })
+  })
+
+  it('should reuse a successful Notify check until it expires', async () => {
+    await service.check()
+    vi.advanceTimersByTime(299 * 1000)
+    const cached = await service.check()
+    vi.advanceTimersByTime(2 * 1000)
+    await service.check()
+
+    expect(cached.checks.notify).toMatchObject({
+      cached: true,
+      checkedAt: '2025-01-01T12:00:00.000Z'
+    })
+    expect(mockGetNotifications).toHaveBeenCalledTimes(2)
+    expect(mockGetNotifications).toHaveBeenCalledWith(
+      undefined,
+      undefined,
+      'aqie-notify-service-readiness'
+    )
+    expect(createNotificationProvider).toHaveBeenCalledWith()
+  })
+
+  it('should recheck a failed Notify check sooner', async () => {
+    mockGetNotifications.mockRejectedValueOnce(notifyError(500))
+
+    await service.check()
+    vi.advanceTimersByTime(31 * 1000)
+    const readiness = await service.check()
+
+    expect(readiness.checks.notify).toMatchObject({
+      status: 'up',
+      cached: false
+    })
+  })
+
+  it('should only degrade when the alert backend or cron fail', async () => {
+    fetch.mockResolvedValue({ status: 503 })
+    cronCursor.next.mockResolvedValue({
+      startedAt: new Date('2025-01-01T11:56:00Z')
+    })
+
+    const readiness = await service.check()
+
+    expect(readiness.status).toBe('degraded')
+    expect(readiness.checks.alertBackend).toMatchObject({
+      status: 'down',
+      error: 'http_503'
+    })
+    expect(readiness.checks.smsReplyCron).toMatchObject({
+      status: 'stale',
+      lastSuccessAt: '2025-01-01T11:56:00.000Z'
+    })
+  })
+
+  it('should read the last completed poll run from cron_runs', async () => {
+    const find = vi.fn(() => cronCursor)
+    db.collection.mockReturnValue({ find })
+
+    await service.checkSmsReplyCron()
+
+    expect(db.collection).toHaveBeenCalledWith('cron_runs')
+    expect(find).toHaveBeenCalledWith(
+      { job: 'sms-reply-poll', status: 'completed' },
+      expect.anything()
+    )
+    expect(cronCursor.sort).toHaveBeenCalledWith({ startedAt: -1 })
+  })
+
+  it('should treat a cron that never completed as stale, and skip it when disabled', async () => {
+    cronCursor.next.mockResolvedValue(null)
+
+    expect(await service.checkSmsReplyCron()).toEqual({
+      status: 'stale',
+      lastSuccessAt: null
+    })
+
+    useConfig({ 'notify.smsReplyPollEnabled': false })
+    expect(await service.checkSmsReplyCron()).toEqual({ status: 'disabled' })
+  })
+
+  it('should time out a hung dependency', async () => {
+    db.command.mockReturnValue(new Promise(() => {}))
+
+    const pending = service.check()
+    await vi.advanceTimersByTimeAsync(1000)
+    const readiness = await pending
+
+    expect(readiness.checks.mongo).toMatchObject({
+      status: 'down',
+      error: 'timeout'
+    })
+  })
+})
@@ -0,0 +1,177 @@
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { maskContact } from '../../common/helpers/masking-utils.js'
+import { config } from '../../config.js'
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+const DUPLICATE_KEY_ERROR = 11000
+// A concurrent send to the same contact forces a re-check; after this many
+// the send is refused rather than retried again
+const MAX_RECORD_ATTEMPTS = 3
+
+/**
+ * Per-recipient send throttle backed by MongoDB
+ * Collection: send-rate-limits
+ * Document shape:
+ * {
+ *   contact: string,             // normalized phone (+447...) or lowercased email
+ *   channel: string,             // 'sms' | 'email'
+ *   sends: Date[],               // most recent send times (capped)
+ *   lastSentAt: Date,
+ *   createdAt: Date,
+ *   updatedAt: Date
+ * }
+ */
+class SendRateLimitService {
+  /**
+   * Creates a new SendRateLimitService instance
+   * @param {object} db - MongoDB database instance
+   * @param {object} logger - Logger instance
+   */
+  constructor(db, logger) {
+    this.db = db
+    this.logger = logger || createLogger()
+    this.collection = db.collection('send-rate-limits')
+  }
+
+  /**
+   * Work out how long the caller must wait before another send is allowed
+   * @param {number[]} sends - Send times (ms) within the last 24 hours, ascending
+   * @param {number} now - Current time (ms)
+   * @returns {{retryAfterMs:number, reason:string|null}}
+   */
+  getRetryAfter(sends, now) {
+    const minIntervalMs = config.get('sendRateLimit.minIntervalSeconds') * 1000
+    const maxPerHour = config.get('sendRateLimit.maxPerHour')
+    const maxPerDay = config.get('sendRateLimit.maxPerDay')
+
+    const sendsInHour = sends.filter((t) => t > now - HOUR_MS)
+    const candidates = []
+
+    if (sends.length > 0) {
+      candidates.push({
+        retryAfterMs: sends[sends.length - 1] + minIntervalMs - now,
+        reason: 'min_interval'
+      })
+    }
+    if (sendsInHour.length >= maxPerHour) {
+      candidates.push({
+        retryAfterMs:
+          sendsInHour[sendsInHour.length - maxPerHour] + HOUR_MS - now,
+        reason: 'hourly_limit'
+      })
+    }
+    if (sends.length >= maxPerDay) {
+      candidates.push({
+        retryAfterMs: sends[sends.length - maxPerDay] + DAY_MS - now,
+        reason: 'daily_limit'
+      })
+    }
+
+    return candidates.reduce(
+      (longest, candidate) =>
+        candidate.retryAfterMs > longest.retryAfterMs ? candidate : longest,
+      { retryAfterMs: 0, reason: null }
+    )
+  }
+
+  /**
+   * Check the recipient's quota and, if allowed, record a send against it
+   * @param {string} contact - The normalized phone number or lowercased email
+   * @param {string} channel - 'sms' or 'email'
+   * @returns {Promise<object>} - { allowed: true } or { allowed: false, reason, retryAfterSeconds }
+   */
+  async checkAndRecord(contact, channel) {
+    if (!config.get('sendRateLimit.enabled')) {
+      return { allowed: true }
+    }
+
+    try {
+      for (let attempt = 1; attempt <= MAX_RECORD_ATTEMPTS; attempt++) {
+        const result = await this.tryRecord(contact, channel)
+        if (result) {
+          return result
+        }
+      }
+
+      // Every attempt lost to a send recorded in between, so the minimum
+      // interval has just restarted
+      const retryAfterSeconds = Math.max(
+        config.get('sendRateLimit.minIntervalSeconds'),
+        1
+      )
+      this.logger.warn(
+        `send_rate_limit.rejected ${JSON.stringify({ contact: maskContact(contact), channel, reason: 'min_interval', retryAfterSeconds, concurrent: true })}`
+      )
+      return { allowed: false, reason: 'min_interval', retryAfterSeconds }
+    } catch (error) {
+      this.logger.error(
+        `send_rate_limit.error ${JSON.stringify({ contact: maskContact(contact), channel, error: error.message, errorName: error.name })}`
+      )
+      throw new Error(`Failed to check send rate limit: ${error.message}`)
+    }
+  }
+
+  /**
+   * One check-and-record against the document as read. The write only
+   * applies if lastSentAt is unchanged since the read, so concurrent sends to
+   * the same contact cannot all pass the same quota.
+   * @returns {Promise<object|null>} - The outcome, or null when another send was recorded first
+   */
+  async tryRecord(contact, channel) {
+    const now = Date.now()
+    const document = await this.collection.findOne({ contact })
+    const sends = (document?.sends || [])
+      .map((sentAt) => new Date(sentAt).getTime())
+      .filter((t) => t > now - DAY_MS)
+      .sort((a, b) => a - b)
+
+    const { retryAfterMs, reason } = this.getRetryAfter(sends, now)
+    if (retryAfterMs > 0) {
+      const retryAfterSeconds = Math.ceil(retryAfterMs / 1000)
+      this.logger.warn(
+        `send_rate_limit.rejected ${JSON.stringify({ contact: maskContact(contact), channel, reason, retryAfterSeconds, sendsInLastDay: sends.length })}`
+      )
+      return { allowed: false, reason, retryAfterSeconds }
+    }
+
+    const sentAt = new Date(now)
+    const historySize = Math.max(
+      config.get('sendRateLimit.maxPerHour'),
+      config.get('sendRateLimit.maxPerDay')
+    )
+    // A first send inserts; the unique contact index rejects a second insert
+    const filter = document
+      ? { contact, lastSentAt: document.lastSentAt }
+      : { contact, lastSentAt: { $exists: false } }
+    try {
+      const result = await this.collection.updateOne(
+        filter,
+        {
+          $set: { channel, lastSentAt: sentAt, updatedAt: sentAt },
+          $push: { sends: { $each: [sentAt], $slice: -historySize } },
+          $setOnInsert: { createdAt: sentAt }
+        },
+        { upsert: !document }
+      )
+      return document && result.matchedCount === 0 ? null : { allowed: true }
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        return null
+      }
+      throw error
+    }
+  }
+}
+
+/**
+ * Factory function to create SendRateLimitService instance
+ * @param {object} db - MongoDB database instance
+ * @param {object} logger - Logger instance
+ * @returns {SendRateLimitService} - SendRateLimitService instance
+ */
+function createSendRateLimitService(db, logger) {
+  return new SendRateLimitService(db, logger)
+}
+
+export { SendRateLimitService, createSendRateLimitService }
@@ -0,0 +1,241 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  SendRateLimitService,
+  createSendRateLimitService
+} from './send-rate-limit.service.js'
+import { config } from '../../config.js'
+
+vi.mock('../../config.js', () => ({
+  config: {
+    get: vi.fn()
+  }
+}))
+
+const NOW = new Date('2025-01-01T12:00:00Z').getTime()
+const SECOND = 1000
+const MINUTE = 60 * SECOND
+
+function createMockLogger() {
+  return {
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn()
+  }
+}
+
+function createMockCollection() {
+  return {
+    findOne: vi.fn(),
+    updateOne: vi
+      .fn()
+      .mockResolvedValue({ acknowledged: true, matchedCount: 1 })
+  }
+}
+
+function setConfig(overrides = {}) {
+  const values = {
+    'sendRateLimit.enabled': true,
+    'sendRateLimit.minIntervalSeconds': 60,
+    'sendRateLimit.maxPerHour': 3,
+    'sendRateLimit.maxPerDay': 5,
+    ...overrides
+  }
+  config.get.mockImplementation((key) => values[key])
+}
+
+function sendsAgo(...minutesAgo) {
+  return minutesAgo.map((m) => new Date(NOW - m * MINUTE))
+}
+
+describe('SendRateLimitService', () => {
+  let mockCollection
+  let mockLogger
+  let service
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(NOW)
+    setConfig()
+    mockCollection = createMockCollection()
+    mockLogger = createMockLogger()
+    service = new SendRateLimitService(
+      { collection: vi.fn(() => mockCollection) },
+      mockLogger
+    )
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should allow and record the first send to a recipient', async () => {
+    mockCollection.findOne.mockResolvedValue(null)
+
+    const result = await service.checkAndRecord('+447123456789', 'sms')
+
+    expect(result).toEqual({ allowed: true })
+    expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      { contact: '+447123456789', lastSentAt: { $exists: false } },
+      {
+        $set: {
+          channel: 'sms',
+          lastSentAt: new Date(NOW),
+          updatedAt: new Date(NOW)
+        },
+        $push: { sends: { $each: [new Date(NOW)], $slice: -5 } },
+        $setOnInsert: { createdAt: new Date(NOW) }
+      },
+      { upsert: true }
+    )
+  })
+
+  it('should only record against the quota it checked', async () => {
+    const lastSentAt = new Date(NOW - 10 * MINUTE)
+    mockCollection.findOne.mockResolvedValue({
+      sends: [lastSentAt],
+      lastSentAt
+    })
+
+    await service.checkAndRecord('+447123456789', 'sms')
+
+    expect(mockCollection.updateOne).toHaveBeenCalledWith(
+      { contact: '+447123456789', lastSentAt },
+      expect.anything(),
+      { upsert: false }
+    )
+  })
+
+  it('should re-check when a concurrent send was recorded first', async () => {
+    const earlier = new Date(NOW - 10 * MINUTE)
+    const concurrent = new Date(NOW - 1 * SECOND)
+    mockCollection.findOne
+      .mockResolvedValueOnce({ sends: [earlier], lastSentAt: earlier })
+      .mockResolvedValueOnce({
+        sends: [earlier, concurrent],
+        lastSentAt: concurrent
+      })
+    mockCollection.updateOne.mockResolvedValueOnce({ matchedCount: 0 })
+
+    const result = await service.checkAndRecord('+447123456789', 'sms')
+
+    expect(result).toEqual({
+      allowed: false,
+      reason: 'min_interval',
+      retryAfterSeconds: 59
+    })
+    expect(mockCollection.updateOne).toHaveBeenCalledTimes(1)
+  })
+
+  it('should re-check when a concurrent first send inserted the document', async () => {
+    mockCollection.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce({
+      sends: [new Date(NOW)],
+      lastSentAt: new Date(NOW)
+    })
+    mockCollection.updateOne.mockRejectedValueOnce(
+      Object.assign(new Error('duplicate key'), { code: 11000 })
+    )
+
+    const result = await service.checkAndRecord('+447123456789', 'sms')
+
+    expect(result).toMatchObject({ allowed: false, reason: 'min_interval' })
+  })
+
+  it('should refuse the send after repeated conflicts', async () => {
+    mockCollection.findOne.mockResolvedValue({ sends: [], lastSentAt: null })
+    mockCollection.updateOne.mockResolvedValue({ matchedCount: 0 })
+
+    const result = await service.checkAndRecord('+447123456789', 'sms')
+
+    expect(result).toEqual({
+      allowed: false,
+      reason: 'min_interval',
+      retryAfterSeconds: 60
+    })
+    expect(mockCollection.updateOne).toHaveBeenCalledTimes(3)
+  })
+
+  it('should reject a send inside the minimum interval', async () => {
+    mockCollection.findOne.mockResolvedValue({
+      sends: [new Date(NOW - 20 * SECOND)]
+    })
+
+    const result = await service.checkAndRecord('+447123456789', 'sms')
+
+    expect(result).toEqual({
+      allowed: false,
+      reason: 'min_interval',
+      retryAfterSeconds: 40
+    })
+    expect(mockCollection.updateOne).not.toHaveBeenCalled()
+    const logCall = mockLogger.warn.mock.calls[0][0]
+    expect(logCall).toContain('send_rate_limit.rejected')
+    expect(logCall).toContain('***789')
+  })
+
+  it('should reject once the rolling hourly cap is reached', async () => {
+    mockCollection.findOne.mockResolvedValue({ sends: sendsAgo(50, 30, 10) })
+
+    const result = await service.checkAndRecord('+447123456789', 'sms')
+
+    expect(result).toEqual({
+      allowed: false,
+      reason: 'hourly_limit',
+      retryAfterSeconds: 10 * 60
+    })
+  })
+
+  it('should reject once the rolling daily cap is reached', async () => {
+    mockCollection.findOne.mockResolvedValue({
+      sends: sendsAgo(23 * 60, 20 * 60, 10 * 60, 5 * 60, 2 * 60)
+    })
+
+    const result = await service.checkAndRecord('user@example.com', 'email')
+
+    expect(result).toEqual({
+      allowed: false,
+      reason: 'daily_limit',
+      retryAfterSeconds: 60 * 60
+    })
+  })
+
+  it('should ignore sends older than 24 hours', async () => {
+    mockCollection.findOne.mockResolvedValue({
+      sends: sendsAgo(30 * 60, 28 * 60, 26 * 60, 25 * 60, 2 * 60)
+    })
+
+    const result = await service.checkAndRecord('user@example.com', 'email')
+
+    expect(result).toEqual({ allowed: true })
+  })
+
+  it('should skip all checks when disabled', async () => {
+    setConfig({ 'sendRateLimit.enabled': false })
+
+    const result = await service.checkAndRecord('+447123456789', 'sms')
+
+    expect(result).toEqual({ allowed: true })
+    expect(mockCollection.findOne).not.toHaveBeenCalled()
+    expect(mockCollection.updateOne).not.toHaveBeenCalled()
+  })
+
+  it('should wrap database errors', async () => {
+    mockCollection.findOne.mockRejectedValue(new Error('Connection lost'))
+
+    await expect(
+      service.checkAndRecord('+447123456789', 'sms')
+    ).rejects.toThrow('Failed to check send rate limit: Connection lost')
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      expect.stringContaining('send_rate_limit.error')
+    )
+  })
+
+  it('should create an instance via the factory', () => {
+    const db = { collection: vi.fn(() => mockCollection) }
+
+    const instance = createSendRateLimitService(db, mockLogger)
+
+    expect(instance).toBeInstanceOf(SendRateLimitService)
+    expect(db.collection).toHaveBeenCalledWith('send-rate-limits')
+  })
+})
@@ -0,0 +1,55 @@
+import { LANGUAGE } from './template-language.js'
+
+// What an inbound SMS keyword asks this service to do
+const SMS_KEYWORD_ACTION = {
+  OPT_OUT: 'opt_out',
+  RESUBSCRIBE: 'resubscribe',
+  HELP: 'help'
+}
+
+// Keyword (lowercase, whole message) -> action
+const SMS_KEYWORDS = {
+  stop: SMS_KEYWORD_ACTION.OPT_OUT,
+  unsubscribe: SMS_KEYWORD_ACTION.OPT_OUT,
+  cancel: SMS_KEYWORD_ACTION.OPT_OUT,
+  end: SMS_KEYWORD_ACTION.OPT_OUT,
+  quit: SMS_KEYWORD_ACTION.OPT_OUT,
+  start: SMS_KEYWORD_ACTION.RESUBSCRIBE,
+  unstop: SMS_KEYWORD_ACTION.RESUBSCRIBE,
+  subscribe: SMS_KEYWORD_ACTION.RESUBSCRIBE,
+  help: SMS_KEYWORD_ACTION.HELP,
+  info: SMS_KEYWORD_ACTION.HELP
+}
+
+// Welsh keywords; replies to these are sent in Welsh
+const WELSH_SMS_KEYWORDS = {
+  stopio: SMS_KEYWORD_ACTION.OPT_OUT,
+  'dad-danysgrifio': SMS_KEYWORD_ACTION.OPT_OUT,
+  canslo: SMS_KEYWORD_ACTION.OPT_OUT,
+  dechrau: SMS_KEYWORD_ACTION.RESUBSCRIBE,
+  tanysgrifio: SMS_KEYWORD_ACTION.RESUBSCRIBE,
+  cymorth: SMS_KEYWORD_ACTION.HELP
+}
+
+/**
+ * Work out which keyword (if any) an inbound message is.
+ * Case, surrounding whitespace and trailing punctuation ("Stop.") are ignored;
+ * the keyword must be the whole message.
+ * @param {string} content - Message body
+ * @returns {object|null} - { action, language }, or null for a non-keyword
+ */
+function resolveKeyword(content) {
+  const keyword = String(content ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[.!?]+$/, '')
+  if (Object.hasOwn(SMS_KEYWORDS, keyword)) {
+    return { action: SMS_KEYWORDS[keyword], language: LANGUAGE.ENGLISH }
+  }
+  if (Object.hasOwn(WELSH_SMS_KEYWORDS, keyword)) {
+    return { action: WELSH_SMS_KEYWORDS[keyword], language: LANGUAGE.WELSH }
+  }
+  return null
+}
+
+export { SMS_KEYWORD_ACTION, SMS_KEYWORDS, WELSH_SMS_KEYWORDS, resolveKeyword }
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import { SMS_KEYWORD_ACTION, resolveKeyword } from './sms-keywords.js'
+
+const english = (action) => ({ action, language: 'en' })
+
+describe('resolveKeyword', () => {
+  it.each(['STOP', 'unsubscribe', 'Cancel', 'END', 'quit'])(
+    'should map %s to opt-out',
+    (content) => {
+      expect(resolveKeyword(content)).toEqual(
+        english(SMS_KEYWORD_ACTION.OPT_OUT)
+      )
+    }
+  )
+
+  it.each(['START', 'unstop', 'Subscribe'])(
+    'should map %s to resubscribe',
+    (content) => {
+      expect(resolveKeyword(content)).toEqual(
+        english(SMS_KEYWORD_ACTION.RESUBSCRIBE)
+      )
+    }
+  )
+
+  it.each(['HELP', 'info'])('should map %s to help', (content) => {
+    expect(resolveKeyword(content)).toEqual(english(SMS_KEYWORD_ACTION.HELP))
+  })
+
+  it('should ignore surrounding whitespace and trailing punctuation', () => {
+    expect(resolveKeyword('  Stop.\n')).toEqual(
+      english(SMS_KEYWORD_ACTION.OPT_OUT)
+    )
+    expect(resolveKeyword('help?')).toEqual(english(SMS_KEYWORD_ACTION.HELP))
+  })
+
+  it.each([
+    ['STOPIO', SMS_KEYWORD_ACTION.OPT_OUT],
+    ['Dad-danysgrifio', SMS_KEYWORD_ACTION.OPT_OUT],
+    ['canslo', SMS_KEYWORD_ACTION.OPT_OUT],
+    ['DECHRAU', SMS_KEYWORD_ACTION.RESUBSCRIBE],
+    ['tanysgrifio', SMS_KEYWORD_ACTION.RESUBSCRIBE],
+    ['Cymorth', SMS_KEYWORD_ACTION.HELP]
+  ])('should map Welsh keyword %s to %s', (content, action) => {
+    expect(resolveKeyword(content)).toEqual({ action, language: 'cy' })
+  })
+
+  it('should report English keywords as English', () => {
+    expect(resolveKeyword('stop')).toEqual({
+      action: SMS_KEYWORD_ACTION.OPT_OUT,
+      language: 'en'
+    })
+    expect(resolveKeyword('hello')).toBeNull()
+  })
+
+  it('should not match keywords inside a longer message', () => {
+    expect(resolveKeyword('please stop texting me')).toBeNull()
+    expect(resolveKeyword('YES')).toBeNull()
+    expect(resolveKeyword('toString')).toBeNull()
+    expect(resolveKeyword(undefined)).toBeNull()
+  })
+})
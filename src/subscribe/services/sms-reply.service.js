@@ -1,37 +1,350 @@
-import { NotifyClient } from 'notifications-node-client'
+import { randomUUID } from 'node:crypto'
 import { config } from '../../config.js'
 import { fetch } from 'undici'
-import { createNotificationService } from './notify-service.js'
+import {
+  createNotificationProvider,
+  isFakeProviderEnabled
+} from './notification-provider.js'
+import {
+  DEFAULT_NOTIFY_SERVICE_ID,
+  createNotifyServiceRegistry
+} from './notify-service-registry.service.js'
+import {
+  SUPPRESSION_REASON,
+  createSuppressionService
+} from './suppression.service.js'
+import { createUserContactService } from './user-contact-service.js'
+import { SMS_KEYWORD_ACTION, resolveKeyword } from './sms-keywords.js'
+import {
+  DEFAULT_LANGUAGE,
+  LANGUAGE,
+  resolveTemplateId
+} from './template-language.js'
 import { maskPhoneNumber } from '../../common/helpers/masking-utils.js'
+import { METRIC, metricsCounter } from '../../common/helpers/metrics.js'
+import { encodeCursor, decodeCursor } from '../../common/helpers/pagination.js'
+import {
+  CIRCUITS,
+  getCircuitBreaker
+} from '../../common/helpers/circuit-breaker.js'
+
+const DEFAULT_MAX_PAGES = 10
+const DUPLICATE_KEY_ERROR = 11000
+const DEFAULT_MAX_ATTEMPTS = 5
+const DEFAULT_RETRY_BASE_DELAY_MINUTES = 1
+const DEFAULT_RETRY_MAX_DELAY_MINUTES = 60
+const RETRY_BATCH_SIZE = 50
+const MS_PER_MINUTE = 60 * 1000
+// How long a run holds a claimed reply before another may retry it
+const CLAIM_LEASE_MS = 5 * MS_PER_MINUTE
+
+// How received texts reach the service (notify.smsReplyMode)
+const SMS_REPLY_MODE = {
+  POLL: 'poll',
+  PUSH: 'push',
+  BOTH: 'both'
+}
+
+// Where an sms_replies record came from
+const SMS_REPLY_SOURCE = {
+  POLL: 'poll',
+  PUSH: 'push'
+}
+
+// Statuses of replies still awaiting a successful run; every other status
+// on an sms_replies record is final. A processing record is claimed by the
+// run acting on it
+const SMS_REPLY_STATUS = {
+  PROCESSING: 'processing',
+  PENDING: 'pending',
+  DEAD_LETTER: 'dead_letter'
+}
+
+// Most rows a CSV export returns; narrow the date range for more
+const EXPORT_LIMIT = 50000
+
+const REPLY_PROJECTION = {
+  _id: 0,
+  messageId: 1,
+  phoneNumber: 1,
+  content: 1,
+  receivedAt: 1,
+  status: 1,
+  source: 1,
+  serviceId: 1,
+  processedAt: 1,
+  attempts: 1,
+  lastError: 1,
+  nextAttemptAt: 1,
+  deadLetteredAt: 1
+}
+
+const DEAD_LETTER_PROJECTION = {
+  _id: 0,
+  messageId: 1,
+  phoneNumber: 1,
+  content: 1,
+  receivedAt: 1,
+  attempts: 1,
+  lastError: 1,
+  lastAttemptAt: 1,
+  deadLetteredAt: 1,
+  replayCount: 1
+}
+
+// Lock resource and cron_runs job name for a poll, scheduled or manual
+const SMS_REPLY_POLL_JOB = 'sms-reply-poll'
+
+// One document per Notify service holding the newest message handled by a
+// completed poll, and a resume cursor while a poll cut short by the page
+// limit left a gap. The default service keeps the original id.
+const HIGH_WATER_MARK_ID = 'received_texts'
+
+function highWaterMarkId(serviceId = DEFAULT_NOTIFY_SERVICE_ID) {
+  return serviceId === DEFAULT_NOTIFY_SERVICE_ID
+    ? HIGH_WATER_MARK_ID
+    : `${HIGH_WATER_MARK_ID}:${serviceId}`
+}
+
+// Keyword action -> handler method on the service
+const KEYWORD_HANDLERS = {
+  [SMS_KEYWORD_ACTION.OPT_OUT]: 'handleStop',
+  [SMS_KEYWORD_ACTION.RESUBSCRIBE]: 'handleStart',
+  [SMS_KEYWORD_ACTION.HELP]: 'handleHelp'
+}
+
+/**
+ * Whether a received text is the high-water mark message or older than it
+ * @param {object} msg - Notify received text
+ * @param {object|null} highWaterMark - { messageId, createdAt }
+ * @returns {boolean}
+ */
+function isAtOrBefore(msg, highWaterMark) {
+  if (!highWaterMark) {
+    return false
+  }
+  return (
+    msg.id === highWaterMark.messageId ||
+    new Date(msg.created_at) < new Date(highWaterMark.createdAt)
+  )
+}
+
+/**
+ * Filter for replies a run may retry: pending ones whose backoff has
+ * elapsed, and claims left by a run that died before finishing
+ * @param {Date} now
+ * @returns {object}
+ */
+function dueForRetry(now) {
+  return {
+    $or: [
+      { status: SMS_REPLY_STATUS.PENDING, nextAttemptAt: { $lte: now } },
+      { status: SMS_REPLY_STATUS.PROCESSING, claimExpiresAt: { $lte: now } }
+    ]
+  }
+}
+
+/**
+ * @param {object} msg - Notify received text
+ * @returns {object} - { messageId, createdAt } for the high-water mark
+ */
+function toMark(msg) {
+  return { messageId: msg.id, createdAt: new Date(msg.created_at) }
+}
+
+/**
+ * Delay before the next attempt at a failed reply: base * 2^(attempts - 1),
+ * capped at the configured maximum
+ * @param {number} attempts - Failed attempts so far (at least 1)
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelayMs(attempts) {
+  const baseMinutes =
+    config.get('notify.smsReplyRetry.baseDelayMinutes') ??
+    DEFAULT_RETRY_BASE_DELAY_MINUTES
+  const maxMinutes =
+    config.get('notify.smsReplyRetry.maxDelayMinutes') ??
+    DEFAULT_RETRY_MAX_DELAY_MINUTES
+  return Math.min(maxMinutes, baseMinutes * 2 ** (attempts - 1)) * MS_PER_MINUTE
+}
+
+function normalisePhoneNumber(userNumber) {
+  return userNumber.startsWith('+') ? userNumber : `+${userNumber}`
+}
+
+/**
+ * sms_replies filter for the admin search
+ * @param {object} filters - { status, from, to, phoneSuffix }
+ * @returns {object} - MongoDB filter
+ */
+function buildReplyFilter({ status, from, to, phoneSuffix }) {
+  const filter = {}
+  if (status?.length) {
+    filter.status = { $in: status }
+  }
+  if (from || to) {
+    filter.receivedAt = {}
+    if (from) {
+      filter.receivedAt.$gte = from
+    }
+    if (to) {
+      filter.receivedAt.$lt = to
+    }
+  }
+  if (phoneSuffix) {
+    // Validated as digits only, so safe to use as a pattern
+    filter.phoneNumber = { $regex: `${phoneSuffix}$` }
+  }
+  return filter
+}
+
+/**
+ * One page of sms_replies, newest first
+ * @returns {Promise<object>} - { replies, nextCursor } or { error }
+ */
+async function findRepliesPage(collection, filter, projection, options) {
+  const { limit, cursor } = options
+  const pageFilter = { ...filter }
+  if (cursor) {
+    const lastId = decodeCursor(cursor)
+    if (!lastId) {
+      return { error: 'Invalid cursor' }
+    }
+    pageFilter._id = { $lt: lastId }
+  }
+
+  const documents = await collection
+    .find(pageFilter, { projection: { ...projection, _id: 1 } })
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .toArray()
+
+  const hasMore = documents.length > limit
+  const page = documents.slice(0, limit)
+  return {
+    replies: page.map(({ _id, ...rest }) => rest),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]._id) : null
+  }
+}
+
+/**
+ * Rebuild the Notify received text a pending sms_replies record came from
+ * @param {object} record - sms_replies record
+ * @returns {object} - Received text as processMessage expects it
+ */
+function toReceivedText(record) {
+  return {
+    id: record.messageId,
+    user_number: record.phoneNumber,
+    notify_number: record.notifyNumber,
+    content: record.content,
+    created_at: record.receivedAt,
+    source: record.source,
+    serviceId: record.serviceId
+  }
+}
+
+/**
+ * Template for a keyword reply through a service. The default service
+ * replies with the notify config templates; others with their own
+ * replyTemplates, keyed as the config keys, Welsh ones under welsh.
+ * @param {object} service - From the Notify service registry
+ * @param {string} templateConfigKey - e.g. 'notify.helpTemplateId'
+ * @param {string} language - One of LANGUAGE
+ * @returns {string|null} - Template id, or null when none is configured
+ */
+function resolveReplyTemplateId(service, templateConfigKey, language) {
+  if (service.serviceId === DEFAULT_NOTIFY_SERVICE_ID) {
+    return resolveTemplateId(templateConfigKey, language)
+  }
+  const templates = service.replyTemplates || {}
+  const key = templateConfigKey.replace(/^notify\./, '')
+  return (
+    (language === LANGUAGE.WELSH && templates.welsh?.[key]) ||
+    templates[key] ||
+    null
+  )
+}
 
 function createSmsReplyService(db, logger) {
-  const client = new NotifyClient(config.get('notify.apiKey'))
+  // Received texts are read with each service's own key
+  const clients = new Map([
+    [DEFAULT_NOTIFY_SERVICE_ID, createNotificationProvider()]
+  ])
+  const clientFor = ({ serviceId, apiKey }) => {
+    if (!clients.has(serviceId)) {
+      clients.set(serviceId, createNotificationProvider(apiKey))
+    }
+    return clients.get(serviceId)
+  }
   const alertBackendUrl = config.get('notify.alertBackend.url')
-  const notificationService = createNotificationService()
+  const alertBackendTimeoutMs = config.get('notify.alertBackend.timeoutMs')
+  const suppressionService = createSuppressionService(db, logger)
+  const userContactService = createUserContactService(db, logger)
+  const notifyServiceRegistry = createNotifyServiceRegistry(db, logger)
+  const alertBackendCircuit = getCircuitBreaker(CIRCUITS.ALERT_BACKEND)
 
   return {
+    /**
+     * Poll every registered Notify service for new received texts and
+     * process them. A service whose poll fails is skipped and its mark left
+     * alone; the others are still processed, then the run fails.
+     * @returns {Promise<object>} - { total, processed, retried, failed }
+     */
     async pollAndProcessReplies() {
       try {
-        const response = await client.getReceivedTexts()
-        const messages = response.data.received_text_messages || []
+        const polls = []
+        let pollError = null
+        for (const service of await this.listPolledServices()) {
+          try {
+            polls.push({
+              serviceId: service.serviceId,
+              ...(await this.fetchNewMessages(service))
+            })
+          } catch (error) {
+            logger.error(
+              `sms_reply.poll.service_failure ${JSON.stringify({ serviceId: service.serviceId, error: error.message, errorName: error.name, cause: error.cause?.code })}`
+            )
+            pollError ??= error
+          }
+        }
+        // Stable, so each service's own order holds for equal timestamps
+        const messages = polls
+          .flatMap((poll) => poll.messages)
+          .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        const total = polls.reduce((sum, poll) => sum + poll.total, 0)
+        const pages = polls.reduce((sum, poll) => sum + poll.pages, 0)
+        const reachedKnown = polls.every((poll) => poll.reachedKnown)
 
-        let newMessages = 0
-        let alreadyProcessed = 0
+        // Earlier failures that are due go first, then new messages oldest
+        // first, so a STOP followed by START ends subscribed. A message that
+        // fails is left pending for a later run and doesn't stop the rest
         const processedPhones = new Set()
-
+        const retry = await this.retryPendingReplies(processedPhones)
+        let processed = 0
+        let failed = retry.failed
         for (const msg of messages) {
-          const exists = await this.isProcessed(msg.id)
-          if (exists) {
-            alreadyProcessed++
-            continue
+          const succeeded = await this.tryProcessMessage(msg, processedPhones)
+          if (succeeded) {
+            processed++
+          } else if (succeeded === false) {
+            failed++
           }
-          await this.processMessage(msg, processedPhones)
-          newMessages++
         }
+
+        for (const { serviceId, nextState } of polls) {
+          if (nextState) {
+            await this.saveHighWaterMark(nextState, serviceId)
+          }
+        }
+
         logger.info(
-          `sms_reply.poll.complete ${JSON.stringify({ total: messages.length, newMessages, alreadyProcessed })}`
+          `sms_reply.poll.complete ${JSON.stringify({ services: polls.map((poll) => poll.serviceId), total, newMessages: messages.length, pages, reachedKnown, retried: retry.retried, failed })}`
         )
-        return { total: messages.length, processed: newMessages }
+        if (pollError) {
+          throw pollError
+        }
+        return { total, processed, retried: retry.retried, failed }
       } catch (error) {
         logger.error(
           `sms_reply.poll.failure ${JSON.stringify({ error: error.message, errorName: error.name, cause: error.cause?.code })}`
@@ -40,147 +353,928 @@ function createSmsReplyService(db, logger) {
       }
     },
 
+    /**
+     * Services whose received texts are polled. The fake provider holds one
+     * inbox for the process, so only the default service reads it.
+     * @returns {Promise<object[]>} - Services with their API keys
+     */
+    async listPolledServices() {
+      if (isFakeProviderEnabled()) {
+        return [{ serviceId: DEFAULT_NOTIFY_SERVICE_ID }]
+      }
+      return notifyServiceRegistry.listServices()
+    },
+
+    /**
+     * Fetch a service's received texts no earlier poll handled, reading at
+     * most notify.smsReplyPollMaxPages pages. When the limit cuts the walk short,
+     * the high-water mark stays where it is and the oldest message fetched
+     * is saved as a resume cursor. The next run fills that gap before
+     * looking for newer messages, so older texts are never skipped and
+     * messages are still handled oldest first. Messages are tagged with the
+     * service they were read from.
+     * @param {object} [service] - { serviceId, apiKey }; the default when omitted
+     * @returns {Promise<object>} - { messages (oldest first), total, pages,
+     *   reachedKnown, nextState (for saveHighWaterMark, null if unchanged) }
+     */
+    async fetchNewMessages(service = { serviceId: DEFAULT_NOTIFY_SERVICE_ID }) {
+      const { serviceId } = service
+      const client = clientFor(service)
+      const maxPages =
+        config.get('notify.smsReplyPollMaxPages') || DEFAULT_MAX_PAGES
+      const state = await this.getHighWaterMark(serviceId)
+      const resume = state?.resume ?? null
+      let mark = state?.messageId
+        ? { messageId: state.messageId, createdAt: state.createdAt }
+        : null
+      let nextResume = null
+      const walks = []
+
+      if (resume) {
+        const gap = await this.walkReceivedTexts(
+          client,
+          resume.olderThan,
+          mark,
+          maxPages
+        )
+        walks.push(gap)
+        if (gap.complete) {
+          mark = resume.newest
+        } else {
+          nextResume = { ...resume, olderThan: gap.olderThan }
+        }
+      }
+
+      const pagesLeft = maxPages - (walks[0]?.pages ?? 0)
+      if (!nextResume && pagesLeft > 0) {
+        const latest = await this.walkReceivedTexts(
+          client,
+          undefined,
+          mark,
+          pagesLeft
+        )
+        walks.unshift(latest)
+        const newest = latest.messages[0]
+        if (!latest.complete) {
+          nextResume = {
+            olderThan: latest.olderThan,
+            newest: newest ? toMark(newest) : mark
+          }
+        } else if (newest) {
+          mark = toMark(newest)
+        }
+      }
+
+      const messages = walks.flatMap((walk) => walk.messages)
+      const pages = walks.reduce((sum, walk) => sum + walk.pages, 0)
+      if (nextResume) {
+        logger.warn(
+          `sms_reply.poll.page_limit_reached ${JSON.stringify({ serviceId, pages, resumeFrom: nextResume.olderThan, oldestFetchedAt: messages.at(-1)?.created_at })}`
+        )
+      }
+
+      const changed = resume || nextResume || messages.length > 0
+      return {
+        messages: messages.reverse().map((msg) => ({ ...msg, serviceId })),
+        total: walks.reduce((sum, walk) => sum + walk.total, 0),
+        pages,
+        reachedKnown: walks[0].reachedKnown,
+        nextState: changed ? { mark, resume: nextResume } : null
+      }
+    },
+
+    /**
+     * Page back through Notify's received texts (newest first) from
+     * olderThan until a message at or before the mark, or one an earlier
+     * poll recorded in sms_replies, is reached. Pushed messages are skipped
+     * rather than stopped at, as push gives no guarantee that older
+     * messages arrived.
+     * @param {object} client - Notification provider for the service
+     * @param {string|undefined} olderThan - Start below this message id
+     * @param {object|null} highWaterMark - { messageId, createdAt }
+     * @param {number} maxPages - Most pages to read
+     * @returns {Promise<object>} - { messages (newest first), total, pages,
+     *   reachedKnown, complete (nothing older is left unread), olderThan }
+     */
+    async walkReceivedTexts(client, olderThan, highWaterMark, maxPages) {
+      const newMessages = []
+      let total = 0
+      let pages = 0
+      let reachedKnown = false
+      let hasMore = true
+
+      while (hasMore && !reachedKnown && pages < maxPages) {
+        const response = await client.getReceivedTexts(olderThan)
+        const page = response.data.received_text_messages || []
+        pages++
+        total += page.length
+
+        for (const msg of page) {
+          if (isAtOrBefore(msg, highWaterMark)) {
+            reachedKnown = true
+            break
+          }
+          const record = await this.findReply(msg.id)
+          if (record?.source === SMS_REPLY_SOURCE.PUSH) {
+            continue
+          }
+          if (record) {
+            reachedKnown = true
+            break
+          }
+          newMessages.push(msg)
+        }
+
+        hasMore = page.length > 0 && Boolean(response.data.links?.next)
+        olderThan = page.at(-1)?.id ?? olderThan
+      }
+
+      return {
+        messages: newMessages,
+        total,
+        pages,
+        reachedKnown,
+        complete: reachedKnown || !hasMore,
+        olderThan
+      }
+    },
+
+    async getHighWaterMark(serviceId) {
+      return db
+        .collection('sms_reply_state')
+        .findOne({ _id: highWaterMarkId(serviceId) })
+    },
+
+    /**
+     * @param {object} state - { mark: { messageId, createdAt } | null,
+     *   resume: { olderThan, newest } | null }
+     * @param {string} [serviceId] - Service polled; the default when omitted
+     */
+    async saveHighWaterMark({ mark, resume }, serviceId) {
+      await db.collection('sms_reply_state').updateOne(
+        { _id: highWaterMarkId(serviceId) },
+        {
+          $set: {
+            messageId: mark?.messageId ?? null,
+            createdAt: mark?.createdAt ?? null,
+            resume,
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true }
+      )
+    },
+
+    /**
+     * Retry due pending replies without polling Notify; the scheduled run
+     * when received texts are pushed
+     * @returns {Promise<object>} - { retried, failed }
+     */
+    async processPendingReplies() {
+      const result = await this.retryPendingReplies(new Set())
+      logger.info(`sms_reply.retry.complete ${JSON.stringify(result)}`)
+      return result
+    },
+
+    /**
+     * Retry pending replies whose backoff has elapsed, and abandoned claims,
+     * oldest first
+     * @param {Set<string>} processedPhones - Keywords handled this run
+     * @returns {Promise<object>} - { retried, failed }
+     */
+    async retryPendingReplies(processedPhones) {
+      const due = await db
+        .collection('sms_replies')
+        .find(dueForRetry(new Date()))
+        .sort({ receivedAt: 1 })
+        .limit(RETRY_BATCH_SIZE)
+        .toArray()
+
+      let retried = 0
+      let failed = 0
+      for (const record of due) {
+        logger.info(
+          `sms_reply.retry ${JSON.stringify({ messageId: record.messageId, attempt: record.attempts + 1 })}`
+        )
+        const succeeded = await this.tryProcessMessage(
+          toReceivedText(record),
+          processedPhones,
+          record
+        )
+        if (succeeded) {
+          retried++
+        } else if (succeeded === false) {
+          failed++
+        }
+      }
+      return { retried, failed }
+    },
+
+    /**
+     * Claim a message, then process it, recording a failure instead of
+     * throwing
+     * @param {object} msg - Notify received text
+     * @param {Set<string>} processedPhones - Keywords handled this run
+     * @param {object} [record] - Its sms_replies record, when retrying
+     * @returns {Promise<boolean|null>} - true when the message was
+     *   processed, false when it was left to retry, null when another run
+     *   has claimed it
+     */
+    async tryProcessMessage(msg, processedPhones, record = null) {
+      const claimed = await this.claimReply(msg, record)
+      if (!claimed) {
+        logger.info(
+          `sms_reply.already_claimed ${JSON.stringify({ messageId: msg.id })}`
+        )
+        return null
+      }
+      try {
+        await this.processMessage(claimed, processedPhones)
+        return true
+      } catch (error) {
+        await this.recordFailure(claimed, error, (record?.attempts ?? 0) + 1)
+        return false
+      }
+    },
+
+    /**
+     * Claim a message before acting on it, so the poll and a pushed
+     * callback (or two runs retrying it) never both take its side effects.
+     * A new message is claimed by inserting its sms_replies record, which
+     * the unique messageId index allows only once; a stored one by moving
+     * it to processing while it is still due. Claims expire after
+     * CLAIM_LEASE_MS so a run that dies mid-way is retried.
+     * @param {object} msg - Notify received text
+     * @param {object|null} record - Its sms_replies record, when retrying
+     * @returns {Promise<object|null>} - msg with its claimId, or null
+     */
+    async claimReply(msg, record) {
+      const replies = db.collection('sms_replies')
+      const now = new Date()
+      const claimId = randomUUID()
+      const claimExpiresAt = new Date(now.getTime() + CLAIM_LEASE_MS)
+
+      if (record) {
+        const claimed = await replies.findOneAndUpdate(
+          { messageId: msg.id, ...dueForRetry(now) },
+          {
+            $set: {
+              status: SMS_REPLY_STATUS.PROCESSING,
+              claimId,
+              claimExpiresAt
+            },
+            $unset: { nextAttemptAt: '' }
+          }
+        )
+        return claimed ? { ...msg, claimId } : null
+      }
+
+      try {
+        await replies.insertOne({
+          messageId: msg.id,
+          phoneNumber: normalisePhoneNumber(msg.user_number),
+          content: msg.content,
+          receivedAt: new Date(msg.created_at),
+          status: SMS_REPLY_STATUS.PROCESSING,
+          source: msg.source || SMS_REPLY_SOURCE.POLL,
+          ...(await this.describeInbound(msg)),
+          attempts: 0,
+          claimId,
+          claimExpiresAt
+        })
+        return { ...msg, claimId }
+      } catch (error) {
+        if (error.code === DUPLICATE_KEY_ERROR) {
+          return null
+        }
+        throw error
+      }
+    },
+
+    /**
+     * Leave a failed message pending with its next attempt time, or
+     * dead-letter it once notify.smsReplyRetry.maxAttempts is reached
+     * @param {object} msg - Notify received text
+     * @param {Error} error - Why the attempt failed
+     * @param {number} attempts - Failed attempts including this one
+     */
+    async recordFailure(msg, error, attempts) {
+      const maxAttempts =
+        config.get('notify.smsReplyRetry.maxAttempts') || DEFAULT_MAX_ATTEMPTS
+      const phoneNumber = normalisePhoneNumber(msg.user_number)
+      const now = new Date()
+      const deadLetter = attempts >= maxAttempts
+      const fields = {
+        phoneNumber,
+        content: msg.content,
+        receivedAt: new Date(msg.created_at),
+        source: msg.source || SMS_REPLY_SOURCE.POLL,
+        ...(await this.describeInbound(msg)),
+        attempts,
+        lastError: error.message,
+        lastAttemptAt: now
+      }
+
+      // Only the run holding the claim records the outcome
+      const claim = { messageId: msg.id, claimId: msg.claimId }
+      const releaseClaim = { claimId: '', claimExpiresAt: '' }
+
+      if (deadLetter) {
+        await db.collection('sms_replies').updateOne(claim, {
+          $set: {
+            ...fields,
+            status: SMS_REPLY_STATUS.DEAD_LETTER,
+            deadLetteredAt: now
+          },
+          $unset: { nextAttemptAt: '', ...releaseClaim }
+        })
+        metricsCounter(METRIC.SMS_REPLY, 1, {
+          status: SMS_REPLY_STATUS.DEAD_LETTER
+        })
+        logger.error(
+          `sms_reply.dead_lettered ${JSON.stringify({ messageId: msg.id, phoneNumber: maskPhoneNumber(phoneNumber), attempts, error: error.message })}`
+        )
+        return
+      }
+
+      const nextAttemptAt = new Date(now.getTime() + getRetryDelayMs(attempts))
+      await db.collection('sms_replies').updateOne(claim, {
+        $set: { ...fields, status: SMS_REPLY_STATUS.PENDING, nextAttemptAt },
+        $unset: releaseClaim
+      })
+      metricsCounter(METRIC.SMS_REPLY, 1, { status: SMS_REPLY_STATUS.PENDING })
+      logger.warn(
+        `sms_reply.retry_scheduled ${JSON.stringify({ messageId: msg.id, phoneNumber: maskPhoneNumber(phoneNumber), attempts, maxAttempts, nextAttemptAt })}`
+      )
+    },
+
+    /**
+     * Dead-lettered replies, newest first
+     * @param {object} options - { limit, cursor }
+     * @returns {Promise<object>} - { replies, nextCursor } or { error }
+     */
+    async listDeadLetters({ limit, cursor }) {
+      try {
+        return await findRepliesPage(
+          db.collection('sms_replies'),
+          { status: SMS_REPLY_STATUS.DEAD_LETTER },
+          DEAD_LETTER_PROJECTION,
+          { limit, cursor }
+        )
+      } catch (error) {
+        logger.error(
+          `sms_reply.dead_letter.list_error ${JSON.stringify({ error: error.message })}`
+        )
+        throw new Error(
+          `Failed to list dead-lettered replies: ${error.message}`
+        )
+      }
+    },
+
+    /**
+     * Search recorded replies, newest first
+     * @param {object} options - { status, from, to, phoneSuffix, limit, cursor }
+     * @returns {Promise<object>} - { replies, nextCursor } or { error }
+     */
+    async listReplies({ limit, cursor, ...filters }) {
+      try {
+        return await findRepliesPage(
+          db.collection('sms_replies'),
+          buildReplyFilter(filters),
+          REPLY_PROJECTION,
+          { limit, cursor }
+        )
+      } catch (error) {
+        logger.error(
+          `sms_reply.list.error ${JSON.stringify({ status: filters.status, error: error.message })}`
+        )
+        throw new Error(`Failed to list SMS replies: ${error.message}`)
+      }
+    },
+
+    /**
+     * Every reply matching the search, oldest first, for a CSV export.
+     * Stops at EXPORT_LIMIT rows.
+     * @param {object} filters - { status, from, to, phoneSuffix }
+     * @returns {Promise<object>} - { replies, truncated }
+     */
+    async exportReplies(filters) {
+      try {
+        const documents = await db
+          .collection('sms_replies')
+          .find(buildReplyFilter(filters), { projection: REPLY_PROJECTION })
+          .sort({ receivedAt: 1 })
+          .limit(EXPORT_LIMIT + 1)
+          .toArray()
+
+        const truncated = documents.length > EXPORT_LIMIT
+        if (truncated) {
+          logger.warn(
+            `sms_reply.export.truncated ${JSON.stringify({ limit: EXPORT_LIMIT })}`
+          )
+        }
+        return { replies: documents.slice(0, EXPORT_LIMIT), truncated }
+      } catch (error) {
+        logger.error(
+          `sms_reply.export.error ${JSON.stringify({ status: filters.status, error: error.message })}`
+        )
+        throw new Error(`Failed to export SMS replies: ${error.message}`)
+      }
+    },
+
+    /**
+     * @param {string} messageId - Notify received text id
+     * @returns {Promise<object|null>}
+     */
+    async getReply(messageId) {
+      try {
+        return await db
+          .collection('sms_replies')
+          .findOne({ messageId }, { projection: REPLY_PROJECTION })
+      } catch (error) {
+        logger.error(
+          `sms_reply.get.error ${JSON.stringify({ messageId, error: error.message })}`
+        )
+        throw new Error(`Failed to get SMS reply: ${error.message}`)
+      }
+    },
+
+    /**
+     * Put a dead-lettered reply back in the retry queue with a fresh set of
+     * attempts; the next poll picks it up
+     * @param {string} messageId - Notify received text id
+     * @returns {Promise<object>} - { replayed, nextAttemptAt }
+     */
+    async replayDeadLetter(messageId) {
+      const nextAttemptAt = new Date()
+      try {
+        const result = await db.collection('sms_replies').updateOne(
+          { messageId, status: SMS_REPLY_STATUS.DEAD_LETTER },
+          {
+            $set: {
+              status: SMS_REPLY_STATUS.PENDING,
+              attempts: 0,
+              nextAttemptAt,
+              replayedAt: nextAttemptAt
+            },
+            $inc: { replayCount: 1 }
+          }
+        )
+        const replayed = result.matchedCount > 0
+        if (replayed) {
+          logger.info(
+            `sms_reply.dead_letter.replayed ${JSON.stringify({ messageId })}`
+          )
+        }
+        return { replayed, nextAttemptAt }
+      } catch (error) {
+        logger.error(
+          `sms_reply.dead_letter.replay_error ${JSON.stringify({ messageId, error: error.message })}`
+        )
+        throw new Error(
+          `Failed to replay dead-lettered reply: ${error.message}`
+        )
+      }
+    },
+
     async processMessage(msg, processedPhones = new Set()) {
-      const phoneNumber = msg.user_number.startsWith('+')
-        ? msg.user_number
-        : `+${msg.user_number}`
+      const phoneNumber = normalisePhoneNumber(msg.user_number)
       const content = msg.content.trim().toLowerCase()
+      const keyword = resolveKeyword(msg.content)
 
       logger.info(
-        `sms_reply.process ${JSON.stringify({ messageId: msg.id, phoneNumber: maskPhoneNumber(phoneNumber), content })}`
+        `sms_reply.process ${JSON.stringify({ messageId: msg.id, phoneNumber: maskPhoneNumber(phoneNumber), content, action: keyword?.action ?? null, language: keyword?.language })}`
       )
 
-      if (content === 'stop') {
-        await this.handleStop(phoneNumber, msg, processedPhones)
-      } else {
-        await this.markProcessed(
-          msg.id,
+      const handler = KEYWORD_HANDLERS[keyword?.action]
+      if (handler) {
+        const service = await this.findReplyService(msg)
+        await this[handler](
           phoneNumber,
-          msg.content,
-          msg.created_at,
-          'ignored'
+          msg,
+          processedPhones,
+          keyword.language,
+          service
         )
+      } else {
+        await this.markProcessed(msg, phoneNumber, 'ignored')
         logger.info(
           `sms_reply.ignored ${JSON.stringify({ messageId: msg.id, phoneNumber: maskPhoneNumber(phoneNumber) })}`
         )
       }
     },
 
-    async handleStop(phoneNumber, msg, processedPhones) {
+    /**
+     * Call the alert backend for a phone number, bounded by
+     * notify.alertBackend.timeoutMs so a hung backend cannot stall the poll
+     * while it holds the lock. Network errors, timeouts and 5xx count towards
+     * the alert-backend circuit; while it is open this fails fast. Only a
+     * successful response body is parsed; 5xx and timeouts throw with a
+     * category, other statuses are left to the caller.
+     * @returns {Promise<object>} - { response, result }
+     */
+    async callAlertBackend(method, path, phoneNumber) {
+      return alertBackendCircuit.execute(async () => {
+        let res
+        try {
+          res = await fetch(`${alertBackendUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ phoneNumber }),
+            signal: AbortSignal.timeout(alertBackendTimeoutMs)
+          })
+        } catch (error) {
+          if (error.name === 'TimeoutError') {
+            throw Object.assign(
+              new Error(`Backend timed out after ${alertBackendTimeoutMs}ms`),
+              { category: 'timeout' }
+            )
+          }
+          throw error
+        }
+        if (res.status >= 500) {
+          throw Object.assign(new Error(`Backend returned ${res.status}`), {
+            category: 'server_error'
+          })
+        }
+        return { response: res, result: res.ok ? await res.json() : null }
+      })
+    },
+
+    /**
+     * Opt a number out of or in to alerts at the alert backend, for services
+     * whose subscriptions it holds; for the others the suppression alone
+     * opts the number out
+     * @param {object|null} service - From findReplyService
+     * @returns {Promise<object|null>} - The backend response, or null when
+     *   the service does not use it
+     */
+    async updateAlertSubscription(service, method, path, phoneNumber) {
+      if (!service?.alertBackend) {
+        return null
+      }
+      const { response } = await this.callAlertBackend(
+        method,
+        path,
+        phoneNumber
+      )
+      return response
+    },
+
+    async handleStop(
+      phoneNumber,
+      msg,
+      processedPhones,
+      keywordLanguage,
+      service
+    ) {
+      const batchKey = `${SMS_KEYWORD_ACTION.OPT_OUT}:${phoneNumber}`
       try {
         // Check if already processed in this batch
-        if (processedPhones.has(phoneNumber)) {
-          await this.markProcessed(
-            msg.id,
-            phoneNumber,
-            msg.content,
-            msg.created_at,
-            'duplicate_stop'
-          )
+        if (processedPhones.has(batchKey)) {
+          await this.markProcessed(msg, phoneNumber, 'duplicate_stop')
           logger.info(
             `sms_reply.stop.duplicate_in_batch ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), messageId: msg.id })}`
           )
           return
         }
 
-        // Call backend to unsubscribe
-        const response = await fetch(`${alertBackendUrl}/opt-out-sms-alert`, {
-          method: 'DELETE',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ phoneNumber })
+        // Suppress locally first so no further alerts go out even if the
+        // backend call below fails and the message is retried
+        await suppressionService.suppress({
+          contact: phoneNumber,
+          channel: 'sms',
+          reason: SUPPRESSION_REASON.STOP
         })
 
-        const result = await response.json()
+        const response = await this.updateAlertSubscription(
+          service,
+          'DELETE',
+          '/opt-out-sms-alert',
+          phoneNumber
+        )
 
-        if (response.status === 200) {
+        if (!response || response.status === 200) {
           // Successfully unsubscribed
-          await db.collection('sms_replies').insertOne({
-            messageId: msg.id,
-            phoneNumber,
-            content: msg.content,
-            receivedAt: new Date(msg.created_at),
-            status: 'unsubscribed',
-            processedAt: new Date()
-          })
+          await this.markProcessed(msg, phoneNumber, 'unsubscribed')
 
           // Track this phone number in current batch
-          processedPhones.add(phoneNumber)
+          processedPhones.add(batchKey)
 
           logger.info(
             `sms_reply.stop.unsubscribed ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), messageId: msg.id })}`
           )
 
           // Send confirmation SMS
-          await this.sendUnsubscribeConfirmation(phoneNumber)
+          await this.sendUnsubscribeConfirmation(
+            phoneNumber,
+            keywordLanguage,
+            service
+          )
         } else if (response.status === 404) {
           // User not found
-          await db.collection('sms_replies').insertOne({
-            messageId: msg.id,
-            phoneNumber,
-            content: msg.content,
-            receivedAt: new Date(msg.created_at),
-            status: 'user_not_found',
-            processedAt: new Date()
-          })
+          await this.markProcessed(msg, phoneNumber, 'user_not_found')
 
-          processedPhones.add(phoneNumber)
+          processedPhones.add(batchKey)
 
           logger.warn(
             `sms_reply.stop.user_not_found ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), messageId: msg.id })}`
           )
         } else {
-          // Server error - don't mark as processed, will retry
-          throw new Error(result.error || `Backend returned ${response.status}`)
+          // Unexpected response - don't mark as processed, will retry
+          throw new Error(`Backend returned ${response.status}`)
         }
       } catch (error) {
         logger.error(
-          `sms_reply.stop.failure ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), error: error.message })}`
+          `sms_reply.stop.failure ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), error: error.message, category: error.category })}`
         )
         throw error
       }
     },
 
-    async isProcessed(messageId) {
-      const record = await db.collection('sms_replies').findOne({ messageId })
-      return !!record
+    async handleStart(
+      phoneNumber,
+      msg,
+      processedPhones,
+      keywordLanguage,
+      service
+    ) {
+      const batchKey = `${SMS_KEYWORD_ACTION.RESUBSCRIBE}:${phoneNumber}`
+      try {
+        if (processedPhones.has(batchKey)) {
+          await this.markProcessed(msg, phoneNumber, 'duplicate_start')
+          logger.info(
+            `sms_reply.start.duplicate_in_batch ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), messageId: msg.id })}`
+          )
+          return
+        }
+
+        await this.liftStopSuppression(phoneNumber)
+
+        const response = await this.updateAlertSubscription(
+          service,
+          'POST',
+          '/opt-in-sms-alert',
+          phoneNumber
+        )
+
+        if (!response || response.status === 200) {
+          await this.markProcessed(msg, phoneNumber, 'resubscribed')
+          processedPhones.add(batchKey)
+
+          logger.info(
+            `sms_reply.start.resubscribed ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), messageId: msg.id })}`
+          )
+
+          await this.sendReply(
+            phoneNumber,
+            'notify.resubscribeConfirmationTemplateId',
+            'sms_reply.resubscribe_confirmation',
+            keywordLanguage,
+            service
+          )
+        } else if (response.status === 404) {
+          await this.markProcessed(
+            msg,
+            phoneNumber,
+            'resubscribe_user_not_found'
+          )
+          processedPhones.add(batchKey)
+
+          logger.warn(
+            `sms_reply.start.user_not_found ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), messageId: msg.id })}`
+          )
+        } else {
+          // Unexpected response - don't mark as processed, will retry
+          throw new Error(`Backend returned ${response.status}`)
+        }
+      } catch (error) {
+        logger.error(
+          `sms_reply.start.failure ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), error: error.message, category: error.category })}`
+        )
+        throw error
+      }
     },
 
-    async markProcessed(messageId, phoneNumber, content, createdAt, status) {
-      await db.collection('sms_replies').insertOne({
+    /**
+     * A START undoes a STOP (or a bounce, as the number evidently works);
+     * suppressions added by an admin stay until an admin removes them
+     */
+    async liftStopSuppression(phoneNumber) {
+      const suppression = await suppressionService.findSuppression(phoneNumber)
+      if (!suppression) {
+        return
+      }
+      if (suppression.reason === SUPPRESSION_REASON.MANUAL) {
+        logger.warn(
+          `sms_reply.start.manual_suppression_kept ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber) })}`
+        )
+        return
+      }
+      await suppressionService.removeSuppression(phoneNumber)
+    },
+
+    async handleHelp(
+      phoneNumber,
+      msg,
+      processedPhones,
+      keywordLanguage,
+      service
+    ) {
+      const batchKey = `${SMS_KEYWORD_ACTION.HELP}:${phoneNumber}`
+      if (processedPhones.has(batchKey)) {
+        await this.markProcessed(msg, phoneNumber, 'duplicate_help')
+        logger.info(
+          `sms_reply.help.duplicate_in_batch ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), messageId: msg.id })}`
+        )
+        return
+      }
+
+      // Not retried: a failed help reply is recorded rather than re-sent
+      const sent = await this.sendReply(
+        phoneNumber,
+        'notify.helpTemplateId',
+        'sms_reply.help',
+        keywordLanguage,
+        service
+      )
+      await this.markProcessed(
+        msg,
+        phoneNumber,
+        sent ? 'help_sent' : 'help_not_sent'
+      )
+      processedPhones.add(batchKey)
+    },
+
+    /**
+     * @param {string} messageId - Notify received text id
+     * @returns {Promise<object|null>} - { status, source } when recorded
+     */
+    async findReply(messageId) {
+      return db
+        .collection('sms_replies')
+        .findOne(
+          { messageId },
+          { projection: { _id: 0, status: 1, source: 1 } }
+        )
+    },
+
+    /**
+     * The number a text was sent to and the Notify service owning it, so
+     * replies to each service's inbound number can be told apart. Polled
+     * texts carry the service they were read from; pushed ones are matched
+     * on their number.
+     * @param {object} msg - Notify received text
+     * @returns {Promise<object>} - { serviceId, notifyNumber? }
+     */
+    async describeInbound(msg) {
+      const serviceId =
+        msg.serviceId ??
+        (await notifyServiceRegistry.findServiceIdByInboundNumber(
+          msg.notify_number
+        ))
+      return {
+        serviceId,
+        ...(msg.notify_number && { notifyNumber: msg.notify_number })
+      }
+    },
+
+    /**
+     * The Notify service a text was sent to; keyword replies go back
+     * through it
+     * @param {object} msg - Notify received text
+     * @returns {Promise<object|null>} - null when no longer registered
+     */
+    async findReplyService(msg) {
+      const { serviceId } = await this.describeInbound(msg)
+      return notifyServiceRegistry.findService(serviceId)
+    },
+
+    async markProcessed(msg, phoneNumber, status) {
+      const messageId = msg.id
+      const record = {
         messageId,
         phoneNumber,
-        content,
-        receivedAt: new Date(createdAt),
+        content: msg.content,
+        receivedAt: new Date(msg.created_at),
         status,
+        source: msg.source || SMS_REPLY_SOURCE.POLL,
+        ...(await this.describeInbound(msg)),
         processedAt: new Date()
-      })
+      }
+      // Resolves the claim taken in claimReply; if it has expired and
+      // another run has taken the message over, that run records it
+      const resolved = await db
+        .collection('sms_replies')
+        .updateOne(
+          { messageId, claimId: msg.claimId },
+          { $set: record, $unset: { claimId: '', claimExpiresAt: '' } }
+        )
+      if (resolved.matchedCount > 0) {
+        metricsCounter(METRIC.SMS_REPLY, 1, { status })
+        return
+      }
+      logger.warn(
+        `sms_reply.already_recorded ${JSON.stringify({ messageId, status })}`
+      )
+    },
+
+    async sendUnsubscribeConfirmation(phoneNumber, keywordLanguage, service) {
+      return this.sendReply(
+        phoneNumber,
+        'notify.unsubscribeConfirmationTemplateId',
+        'sms_reply.confirmation',
+        keywordLanguage,
+        service
+      )
+    },
+
+    /**
+     * Language to reply in: a Welsh keyword always gets a Welsh reply,
+     * otherwise the language the number chose when it was verified.
+     * A failed lookup falls back to English rather than blocking the reply.
+     * @param {string} phoneNumber - Normalised phone number
+     * @param {string} [keywordLanguage] - Language of the keyword received
+     * @returns {Promise<string>} - One of LANGUAGE
+     */
+    async resolveReplyLanguage(phoneNumber, keywordLanguage) {
+      if (keywordLanguage === LANGUAGE.WELSH) {
+        return LANGUAGE.WELSH
+      }
+      try {
+        const contact = await userContactService.getUserByContact(phoneNumber)
+        return contact?.language || DEFAULT_LANGUAGE
+      } catch (error) {
+        logger.warn(
+          `sms_reply.language_lookup_failed ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), error: error.message })}`
+        )
+        return DEFAULT_LANGUAGE
+      }
     },
 
-    async sendUnsubscribeConfirmation(phoneNumber) {
+    /**
+     * Reply with a configured template through the service the text was
+     * sent to. Replies are transactional so they reach numbers on the
+     * suppression list.
+     * @param {string} phoneNumber - Normalised phone number
+     * @param {string} templateConfigKey - Config key holding the template id
+     * @param {string} event - Log event prefix
+     * @param {string} [keywordLanguage] - Language of the keyword received
+     * @param {object|null} service - From findReplyService
+     * @returns {Promise<boolean>} - true when the reply was sent
+     */
+    async sendReply(
+      phoneNumber,
+      templateConfigKey,
+      event,
+      keywordLanguage,
+      service
+    ) {
       try {
-        const templateId = config.get(
-          'notify.unsubscribeConfirmationTemplateId'
+        const language = await this.resolveReplyLanguage(
+          phoneNumber,
+          keywordLanguage
         )
+        const templateId =
+          service &&
+          resolveReplyTemplateId(service, templateConfigKey, language)
 
         if (!templateId) {
           logger.warn(
-            `sms_reply.confirmation.no_template ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber) })}`
+            `${event}.no_template ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), serviceId: service?.serviceId })}`
           )
-          return
+          return false
         }
 
-        await notificationService.sendSms(phoneNumber, templateId, {})
+        const notificationService =
+          await notifyServiceRegistry.getNotificationService(service.serviceId)
+        await notificationService.sendSms(
+          phoneNumber,
+          templateId,
+          {},
+          null,
+          null,
+          { transactional: true }
+        )
 
         logger.info(
-          `sms_reply.confirmation.sent ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber) })}`
+          `${event}.sent ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), serviceId: service.serviceId, language })}`
         )
+        return true
       } catch (error) {
         logger.error(
-          `sms_reply.confirmation.failed ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), error: error.message })}`
+          `${event}.failed ${JSON.stringify({ phoneNumber: maskPhoneNumber(phoneNumber), error: error.message })}`
         )
+        return false
       }
     }
   }
 }
 
-export { createSmsReplyService }
+export {
+  SMS_REPLY_POLL_JOB,
+  SMS_REPLY_MODE,
+  SMS_REPLY_SOURCE,
+  SMS_REPLY_STATUS,
+  createSmsReplyService
+}
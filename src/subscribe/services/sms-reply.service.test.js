@@ -1,7 +1,12 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { createSmsReplyService } from '../services/sms-reply.service.js'
 import { NotifyClient } from 'notifications-node-client'
 import { fetch as undiciFetch } from 'undici'
+import { config } from '../../config.js'
+import { metricsCounter } from '../../common/helpers/metrics.js'
+import { createNotificationService } from './notify-service.js'
+
+const mockSendSms = vi.fn()
 
 // -------------------------
 // Mocks
@@ -15,37 +20,94 @@ vi.mock('notifications-node-client', () => {
   }
 })
 
+vi.mock('./notify-service.js', () => ({
+  createNotificationService: vi.fn(() => ({ sendSms: mockSendSms }))
+}))
+
+vi.mock('../../common/helpers/metrics.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  metricsCounter: vi.fn()
+}))
+
 vi.mock('undici', () => ({
   fetch: vi.fn()
 }))
 
 // Mock config
+const baseConfig = (key) => {
+  if (key === 'notify.apiKey') return 'fake-key'
+  if (key === 'notify.alertBackend.url') return 'https://alert-backend'
+  if (key === 'notify.alertBackend.timeoutMs') return 5000
+  return null
+}
+
 vi.mock('../../config.js', () => ({
   config: {
-    get: vi.fn((key) => {
-      if (key === 'notify.apiKey') return 'fake-key'
-      if (key === 'notify.alertBackend.url') return 'https://alert-backend'
-      return null
-    })
+    get: vi.fn()
   }
 }))
 
+function receivedTexts(...messages) {
+  return {
+    data: {
+      received_text_messages: messages.map(([id, content]) => ({
+        id,
+        user_number: '+447700900777',
+        content,
+        created_at: '2024-01-01'
+      }))
+    }
+  }
+}
+
+function findCursor(documents) {
+  const cursor = {
+    sort: vi.fn(() => cursor),
+    limit: vi.fn(() => cursor),
+    toArray: vi.fn().mockResolvedValue(documents)
+  }
+  return cursor
+}
+
 describe('createSmsReplyService', () => {
   let dbMock
   let loggerMock
   let service
   let notifyClientMock
   let fetchMock
+  let stateCollection
+  let servicesCollection
 
   beforeEach(() => {
     vi.clearAllMocks()
+    config.get.mockImplementation(baseConfig)
 
-    // DB mock
+    // DB mock; the high-water mark has its own collection, everything
+    // else shares one so tests can reach it via dbMock.collection()
+    stateCollection = {
+      findOne: vi.fn().mockResolvedValue(null),
+      updateOne: vi.fn()
+    }
+    servicesCollection = { find: vi.fn(() => findCursor([])) }
+    const sharedCollection = {
+      find: vi.fn(() => findCursor([])),
+      findOne: vi.fn(),
+      insertOne: vi.fn(),
+      findOneAndUpdate: vi.fn().mockImplementation(async ({ messageId }) => ({
+        messageId
+      })),
+      updateOne: vi
+        .fn()
+        .mockResolvedValue({ matchedCount: 1, upsertedCount: 1 })
+    }
     dbMock = {
-      collection: vi.fn().mockReturnValue({
-        findOne: vi.fn(),
-        insertOne: vi.fn()
-      })
+      collection: vi.fn(
+        (name) =>
+          ({
+            sms_reply_state: stateCollection,
+            'notify-services': servicesCollection
+          })[name] ?? sharedCollection
+      )
     }
 
     // Logger mock
@@ -67,6 +129,17 @@ describe('createSmsReplyService', () => {
     fetchMock = vi.mocked(undiciFetch)
   })
 
+  // sms_replies outcomes, as recorded against each message's claim
+  function resolvedRecords() {
+    return dbMock
+      .collection()
+      .updateOne.mock.calls.filter(([filter]) => 'claimId' in filter)
+      .map(([filter, update]) => ({
+        messageId: filter.messageId,
+        ...update.$set
+      }))
+  }
+
   // -----------------------------------------------------
   // Test: pollAndProcessReplies() — success (no messages)
   // -----------------------------------------------------
@@ -77,7 +150,7 @@ describe('createSmsReplyService', () => {
 
     const result = await service.pollAndProcessReplies()
 
-    expect(result).toEqual({ total: 0, processed: 0 })
+    expect(result).toEqual({ total: 0, processed: 0, retried: 0, failed: 0 })
     expect(loggerMock.info).toHaveBeenCalledWith(
       expect.stringContaining('sms_reply.poll.complete')
     )
@@ -104,7 +177,7 @@ describe('createSmsReplyService', () => {
 
     const result = await service.pollAndProcessReplies()
 
-    expect(result).toEqual({ total: 1, processed: 0 })
+    expect(result).toEqual({ total: 1, processed: 0, retried: 0, failed: 0 })
     // Check that poll.complete was called
     expect(loggerMock.info).toHaveBeenCalledWith(
       expect.stringContaining('sms_reply.poll.complete')
@@ -132,14 +205,15 @@ describe('createSmsReplyService', () => {
 
     fetchMock.mockResolvedValue({
       status: 200,
+      ok: true,
       json: () => Promise.resolve({ success: true })
     })
 
     const result = await service.pollAndProcessReplies()
 
-    expect(result).toEqual({ total: 1, processed: 1 })
+    expect(result).toEqual({ total: 1, processed: 1, retried: 0, failed: 0 })
 
-    expect(dbMock.collection().insertOne).toHaveBeenCalledWith(
+    expect(resolvedRecords()).toContainEqual(
       expect.objectContaining({
         messageId: 'm1',
         phoneNumber: '+447700900111',
@@ -154,6 +228,47 @@ describe('createSmsReplyService', () => {
     )
     expect(logCall[0]).toContain('****0111')
     expect(logCall[0]).toContain('m1')
+
+    // Number added to the local suppression list
+    expect(dbMock.collection).toHaveBeenCalledWith('suppressions')
+    expect(dbMock.collection().updateOne).toHaveBeenCalledWith(
+      { contact: '+447700900111' },
+      expect.objectContaining({
+        $set: expect.objectContaining({ channel: 'sms', reason: 'stop' })
+      }),
+      { upsert: true }
+    )
+  })
+
+  // -----------------------------------------------------
+  // Test: STOP → suppressed even when backend is down
+  // -----------------------------------------------------
+  it('suppresses the number before calling the backend', async () => {
+    notifyClientMock.getReceivedTexts.mockResolvedValue({
+      data: {
+        received_text_messages: [
+          {
+            id: 'mDown',
+            user_number: '447700900555',
+            content: 'STOP',
+            created_at: '2024-01-01'
+          }
+        ]
+      }
+    })
+
+    dbMock.collection().findOne.mockResolvedValue(null)
+    fetchMock.mockRejectedValue(new Error('connect ECONNREFUSED'))
+
+    const result = await service.pollAndProcessReplies()
+
+    expect(result.failed).toBe(1)
+
+    expect(dbMock.collection().updateOne).toHaveBeenCalledWith(
+      { contact: '+447700900555' },
+      expect.anything(),
+      { upsert: true }
+    )
   })
 
   // -----------------------------------------------------
@@ -177,14 +292,15 @@ describe('createSmsReplyService', () => {
 
     fetchMock.mockResolvedValue({
       status: 404,
+      ok: false,
       json: () => Promise.resolve({ error: 'User not found' })
     })
 
     const result = await service.pollAndProcessReplies()
 
-    expect(result).toEqual({ total: 1, processed: 1 })
+    expect(result).toEqual({ total: 1, processed: 1, retried: 0, failed: 0 })
 
-    expect(dbMock.collection().insertOne).toHaveBeenCalledWith(
+    expect(resolvedRecords()).toContainEqual(
       expect.objectContaining({
         messageId: 'mX',
         phoneNumber: '+447700900222',
@@ -198,9 +314,9 @@ describe('createSmsReplyService', () => {
   })
 
   // -----------------------------------------------------
-  // Test: STOP → backend error → should throw
+  // Test: STOP → backend error → left pending for retry
   // -----------------------------------------------------
-  it('throws error when backend returns server error for STOP', async () => {
+  it('leaves a STOP pending with a retry time when the backend fails', async () => {
     notifyClientMock.getReceivedTexts.mockResolvedValue({
       data: {
         received_text_messages: [
@@ -218,19 +334,35 @@ describe('createSmsReplyService', () => {
 
     fetchMock.mockResolvedValue({
       status: 500,
+      ok: false,
       json: () => Promise.resolve({ error: 'Server exploded' })
     })
 
-    await expect(service.pollAndProcessReplies()).rejects.toThrow(
-      'Server exploded'
-    )
+    const result = await service.pollAndProcessReplies()
 
+    expect(result).toEqual({ total: 1, processed: 0, retried: 0, failed: 1 })
+    expect(dbMock.collection().updateOne).toHaveBeenCalledWith(
+      { messageId: 'mErr', claimId: expect.any(String) },
+      {
+        $set: expect.objectContaining({
+          phoneNumber: '+447700900333',
+          status: 'pending',
+          attempts: 1,
+          lastError: 'Backend returned 500',
+          nextAttemptAt: expect.any(Date)
+        }),
+        $unset: { claimId: '', claimExpiresAt: '' }
+      }
+    )
+    expect(loggerMock.warn).toHaveBeenCalledWith(
+      expect.stringContaining('sms_reply.retry_scheduled')
+    )
     expect(loggerMock.error).toHaveBeenCalledWith(
       expect.stringContaining('sms_reply.stop.failure')
     )
     const logCall = loggerMock.error.mock.calls[0][0]
     expect(logCall).toContain('****0333')
-    expect(logCall).toContain('Server exploded')
+    expect(logCall).toContain('Backend returned 500')
   })
 
   // -----------------------------------------------------
@@ -254,9 +386,9 @@ describe('createSmsReplyService', () => {
 
     const result = await service.pollAndProcessReplies()
 
-    expect(result).toEqual({ total: 1, processed: 1 })
+    expect(result).toEqual({ total: 1, processed: 1, retried: 0, failed: 0 })
 
-    expect(dbMock.collection().insertOne).toHaveBeenCalledWith(
+    expect(resolvedRecords()).toContainEqual(
       expect.objectContaining({
         messageId: 'mNon',
         status: 'ignored'
@@ -268,17 +400,18 @@ describe('createSmsReplyService', () => {
   // Test: Duplicate STOP in same batch
   // -----------------------------------------------------
   it('detects batch duplicate STOP and marks duplicate_stop', async () => {
+    // Notify lists newest first; mA is the older STOP
     notifyClientMock.getReceivedTexts.mockResolvedValue({
       data: {
         received_text_messages: [
           {
-            id: 'mA',
+            id: 'mB',
             user_number: '+447700900999',
             content: 'stop',
             created_at: '2024-01-01'
           },
           {
-            id: 'mB',
+            id: 'mA',
             user_number: '+447700900999',
             content: 'stop',
             created_at: '2024-01-01'
@@ -291,15 +424,16 @@ describe('createSmsReplyService', () => {
 
     fetchMock.mockResolvedValue({
       status: 200,
+      ok: true,
       json: () => Promise.resolve({ success: true })
     })
 
     const result = await service.pollAndProcessReplies()
 
-    expect(result).toEqual({ total: 2, processed: 2 })
+    expect(result).toEqual({ total: 2, processed: 2, retried: 0, failed: 0 })
 
     // First STOP unsubscribed
-    expect(dbMock.collection().insertOne).toHaveBeenCalledWith(
+    expect(resolvedRecords()).toContainEqual(
       expect.objectContaining({ messageId: 'mA', status: 'unsubscribed' })
     )
     expect(loggerMock.info).toHaveBeenCalledWith(
@@ -307,11 +441,1317 @@ describe('createSmsReplyService', () => {
     )
 
     // Second STOP duplicate
-    expect(dbMock.collection().insertOne).toHaveBeenCalledWith(
+    expect(resolvedRecords()).toContainEqual(
       expect.objectContaining({ messageId: 'mB', status: 'duplicate_stop' })
     )
     expect(loggerMock.info).toHaveBeenCalledWith(
       expect.stringContaining('sms_reply.stop.duplicate_in_batch')
     )
   })
+
+  // -----------------------------------------------------
+  // Keyword registry
+  // -----------------------------------------------------
+  it('treats UNSUBSCRIBE as an opt-out', async () => {
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mU', 'Unsubscribe'])
+    )
+    dbMock.collection().findOne.mockResolvedValue(null)
+    fetchMock.mockResolvedValue({
+      status: 200,
+      ok: true,
+      json: () => Promise.resolve({ success: true })
+    })
+
+    await service.pollAndProcessReplies()
+
+    expect(fetchMock).toHaveBeenCalledWith(
+      'https://alert-backend/opt-out-sms-alert',
+      expect.objectContaining({ method: 'DELETE' })
+    )
+    expect(resolvedRecords()).toContainEqual(
+      expect.objectContaining({ messageId: 'mU', status: 'unsubscribed' })
+    )
+  })
+
+  it('sends the unsubscribe confirmation as transactional', async () => {
+    config.get.mockImplementation((key) =>
+      key === 'notify.unsubscribeConfirmationTemplateId'
+        ? 'tpl-unsub'
+        : baseConfig(key)
+    )
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['m1', 'STOP'])
+    )
+    dbMock.collection().findOne.mockResolvedValue(null)
+    fetchMock.mockResolvedValue({
+      status: 200,
+      ok: true,
+      json: () => Promise.resolve({ success: true })
+    })
+
+    await service.pollAndProcessReplies()
+
+    expect(mockSendSms).toHaveBeenCalledWith(
+      '+447700900777',
+      'tpl-unsub',
+      {},
+      null,
+      null,
+      { transactional: true }
+    )
+  })
+
+  // -----------------------------------------------------
+  // START → resubscribe
+  // -----------------------------------------------------
+  it('resubscribes on START, lifts the STOP suppression and confirms', async () => {
+    config.get.mockImplementation((key) =>
+      key === 'notify.resubscribeConfirmationTemplateId'
+        ? 'tpl-start'
+        : baseConfig(key)
+    )
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mS', 'start'])
+    )
+    dbMock
+      .collection()
+      .findOne.mockResolvedValueOnce(null) // not processed
+      .mockResolvedValueOnce({ contact: '+447700900777', reason: 'stop' })
+    dbMock.collection().deleteOne = vi
+      .fn()
+      .mockResolvedValue({ deletedCount: 1 })
+    fetchMock.mockResolvedValue({
+      status: 200,
+      ok: true,
+      json: () => Promise.resolve({ success: true })
+    })
+
+    const result = await service.pollAndProcessReplies()
+
+    expect(result).toEqual({ total: 1, processed: 1, retried: 0, failed: 0 })
+    expect(fetchMock).toHaveBeenCalledWith(
+      'https://alert-backend/opt-in-sms-alert',
+      expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ phoneNumber: '+447700900777' })
+      })
+    )
+    expect(dbMock.collection().deleteOne).toHaveBeenCalledWith({
+      contact: '+447700900777'
+    })
+    expect(resolvedRecords()).toContainEqual(
+      expect.objectContaining({ messageId: 'mS', status: 'resubscribed' })
+    )
+    expect(mockSendSms).toHaveBeenCalledWith(
+      '+447700900777',
+      'tpl-start',
+      {},
+      null,
+      null,
+      { transactional: true }
+    )
+  })
+
+  it('keeps a manual suppression when the user sends START', async () => {
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mS', 'SUBSCRIBE'])
+    )
+    dbMock
+      .collection()
+      .findOne.mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ contact: '+447700900777', reason: 'manual' })
+    dbMock.collection().deleteOne = vi.fn()
+    fetchMock.mockResolvedValue({
+      status: 200,
+      ok: true,
+      json: () => Promise.resolve({ success: true })
+    })
+
+    await service.pollAndProcessReplies()
+
+    expect(dbMock.collection().deleteOne).not.toHaveBeenCalled()
+    expect(loggerMock.warn).toHaveBeenCalledWith(
+      expect.stringContaining('sms_reply.start.manual_suppression_kept')
+    )
+  })
+
+  it('records resubscribe_user_not_found when backend returns 404', async () => {
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mS', 'UNSTOP'])
+    )
+    dbMock.collection().findOne.mockResolvedValue(null)
+    fetchMock.mockResolvedValue({
+      status: 404,
+      ok: false,
+      json: () => Promise.resolve({ error: 'User not found' })
+    })
+
+    await service.pollAndProcessReplies()
+
+    expect(resolvedRecords()).toContainEqual(
+      expect.objectContaining({
+        messageId: 'mS',
+        status: 'resubscribe_user_not_found'
+      })
+    )
+    expect(mockSendSms).not.toHaveBeenCalled()
+  })
+
+  it('leaves START pending when backend fails', async () => {
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mS', 'START'])
+    )
+    dbMock.collection().findOne.mockResolvedValue(null)
+    fetchMock.mockResolvedValue({
+      status: 503,
+      ok: false,
+      json: () => Promise.resolve({ error: 'Unavailable' })
+    })
+
+    const result = await service.pollAndProcessReplies()
+
+    expect(result.failed).toBe(1)
+    expect(resolvedRecords()).toEqual([
+      expect.objectContaining({ messageId: 'mS', status: 'pending' })
+    ])
+    expect(loggerMock.error).toHaveBeenCalledWith(
+      expect.stringContaining('sms_reply.start.failure')
+    )
+  })
+
+  it('reports a non-JSON 5xx from the backend by status', async () => {
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mH', 'STOP'])
+    )
+    dbMock.collection().findOne.mockResolvedValue(null)
+    const json = vi
+      .fn()
+      .mockRejectedValue(new SyntaxError('Unexpected token <'))
+    fetchMock.mockResolvedValue({ status: 502, ok: false, json })
+
+    const result = await service.pollAndProcessReplies()
+
+    expect(result.failed).toBe(1)
+    expect(json).not.toHaveBeenCalled()
+    expect(loggerMock.error).toHaveBeenCalledWith(
+      expect.stringContaining('"category":"server_error"')
+    )
+  })
+
+  it('bounds each backend call with a timeout', async () => {
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mT', 'STOP'])
+    )
+    dbMock.collection().findOne.mockResolvedValue(null)
+    fetchMock.mockRejectedValue(
+      Object.assign(new Error('The operation was aborted due to timeout'), {
+        name: 'TimeoutError'
+      })
+    )
+
+    const result = await service.pollAndProcessReplies()
+
+    expect(result.failed).toBe(1)
+    expect(fetchMock).toHaveBeenCalledWith(
+      'https://alert-backend/opt-out-sms-alert',
+      expect.objectContaining({ signal: expect.any(AbortSignal) })
+    )
+    expect(loggerMock.error).toHaveBeenCalledWith(
+      expect.stringContaining('"category":"timeout"')
+    )
+  })
+
+  it('marks a repeated START in the same batch as duplicate_start', async () => {
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mB', 'start'], ['mA', 'START'])
+    )
+    dbMock.collection().findOne.mockResolvedValue(null)
+    fetchMock.mockResolvedValue({
+      status: 200,
+      ok: true,
+      json: () => Promise.resolve({ success: true })
+    })
+
+    await service.pollAndProcessReplies()
+
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(resolvedRecords()).toContainEqual(
+      expect.objectContaining({ messageId: 'mB', status: 'duplicate_start' })
+    )
+  })
+
+  // -----------------------------------------------------
+  // HELP → help template
+  // -----------------------------------------------------
+  it('replies to HELP with the help template', async () => {
+    config.get.mockImplementation((key) =>
+      key === 'notify.helpTemplateId' ? 'tpl-help' : baseConfig(key)
+    )
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mH', 'Help'])
+    )
+    dbMock.collection().findOne.mockResolvedValue(null)
+
+    await service.pollAndProcessReplies()
+
+    expect(fetchMock).not.toHaveBeenCalled()
+    expect(mockSendSms).toHaveBeenCalledWith(
+      '+447700900777',
+      'tpl-help',
+      {},
+      null,
+      null,
+      { transactional: true }
+    )
+    expect(resolvedRecords()).toContainEqual(
+      expect.objectContaining({ messageId: 'mH', status: 'help_sent' })
+    )
+  })
+
+  it('records help_not_sent when no help template is configured', async () => {
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mH', 'INFO'])
+    )
+    dbMock.collection().findOne.mockResolvedValue(null)
+
+    await service.pollAndProcessReplies()
+
+    expect(mockSendSms).not.toHaveBeenCalled()
+    expect(resolvedRecords()).toContainEqual(
+      expect.objectContaining({ messageId: 'mH', status: 'help_not_sent' })
+    )
+    expect(loggerMock.warn).toHaveBeenCalledWith(
+      expect.stringContaining('sms_reply.help.no_template')
+    )
+  })
+
+  it('records help_not_sent when the help reply fails', async () => {
+    config.get.mockImplementation((key) =>
+      key === 'notify.helpTemplateId' ? 'tpl-help' : baseConfig(key)
+    )
+    mockSendSms.mockRejectedValueOnce(new Error('FailedToSendSMS'))
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mH2', 'HELP'], ['mH', 'HELP'])
+    )
+    dbMock.collection().findOne.mockResolvedValue(null)
+
+    await service.pollAndProcessReplies()
+
+    expect(resolvedRecords()).toContainEqual(
+      expect.objectContaining({ messageId: 'mH', status: 'help_not_sent' })
+    )
+    expect(resolvedRecords()).toContainEqual(
+      expect.objectContaining({ messageId: 'mH2', status: 'duplicate_help' })
+    )
+    expect(mockSendSms).toHaveBeenCalledTimes(1)
+  })
+
+  // -----------------------------------------------------
+  // Welsh
+  // -----------------------------------------------------
+  describe('Welsh replies', () => {
+    beforeEach(() => {
+      config.get.mockImplementation((key) => {
+        if (key === 'notify.unsubscribeConfirmationTemplateId') {
+          return 'tpl-unsub'
+        }
+        if (key === 'notify.welsh.unsubscribeConfirmationTemplateId') {
+          return 'tpl-unsub-cy'
+        }
+        return baseConfig(key)
+      })
+      fetchMock.mockResolvedValue({
+        status: 200,
+        ok: true,
+        json: () => Promise.resolve({ success: true })
+      })
+    })
+
+    it('unsubscribes on STOPIO and confirms in Welsh', async () => {
+      notifyClientMock.getReceivedTexts.mockResolvedValue(
+        receivedTexts(['mCy', 'Stopio'])
+      )
+      dbMock.collection().findOne.mockResolvedValue(null)
+
+      await service.pollAndProcessReplies()
+
+      expect(fetchMock).toHaveBeenCalledWith(
+        'https://alert-backend/opt-out-sms-alert',
+        expect.objectContaining({ method: 'DELETE' })
+      )
+      expect(mockSendSms.mock.calls[0][1]).toBe('tpl-unsub-cy')
+    })
+
+    it('confirms an English STOP in the language stored for the number', async () => {
+      notifyClientMock.getReceivedTexts.mockResolvedValue(
+        receivedTexts(['mEn', 'STOP'])
+      )
+      dbMock
+        .collection()
+        .findOne.mockResolvedValueOnce(null) // not processed
+        .mockResolvedValueOnce({ contact: '+447700900777', language: 'cy' })
+
+      await service.pollAndProcessReplies()
+
+      expect(mockSendSms.mock.calls[0][1]).toBe('tpl-unsub-cy')
+    })
+
+    it('confirms in English when the stored contact has no language', async () => {
+      notifyClientMock.getReceivedTexts.mockResolvedValue(
+        receivedTexts(['mEn', 'STOP'])
+      )
+      dbMock
+        .collection()
+        .findOne.mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ contact: '+447700900777' })
+
+      await service.pollAndProcessReplies()
+
+      expect(mockSendSms.mock.calls[0][1]).toBe('tpl-unsub')
+    })
+  })
+
+  it('claims a message before acting on it', async () => {
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mC', 'STOP'])
+    )
+    dbMock.collection().findOne.mockResolvedValue(null)
+    fetchMock.mockResolvedValue({
+      status: 200,
+      ok: true,
+      json: () => Promise.resolve({ success: true })
+    })
+
+    await service.pollAndProcessReplies()
+
+    const [claim] = dbMock.collection().insertOne.mock.calls[0]
+    expect(claim).toEqual(
+      expect.objectContaining({
+        messageId: 'mC',
+        status: 'processing',
+        claimId: expect.any(String),
+        claimExpiresAt: expect.any(Date)
+      })
+    )
+    expect(dbMock.collection().updateOne).toHaveBeenCalledWith(
+      { messageId: 'mC', claimId: claim.claimId },
+      {
+        $set: expect.objectContaining({ status: 'unsubscribed' }),
+        $unset: { claimId: '', claimExpiresAt: '' }
+      }
+    )
+  })
+
+  it('takes no action on a message another run has claimed', async () => {
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mDup', 'STOP'])
+    )
+    dbMock.collection().findOne.mockResolvedValue(null)
+    dbMock
+      .collection()
+      .insertOne.mockRejectedValueOnce(
+        Object.assign(new Error('E11000 duplicate key'), { code: 11000 })
+      )
+
+    const result = await service.pollAndProcessReplies()
+
+    expect(result).toEqual({ total: 1, processed: 0, retried: 0, failed: 0 })
+    expect(fetchMock).not.toHaveBeenCalled()
+    expect(dbMock.collection().updateOne).not.toHaveBeenCalled()
+    expect(loggerMock.info).toHaveBeenCalledWith(
+      expect.stringContaining('sms_reply.already_claimed')
+    )
+  })
+
+  it('leaves the record to the run that took over an expired claim', async () => {
+    notifyClientMock.getReceivedTexts.mockResolvedValue(
+      receivedTexts(['mLate', 'hello'])
+    )
+    dbMock.collection().findOne.mockResolvedValue(null)
+    dbMock.collection().updateOne.mockResolvedValueOnce({ matchedCount: 0 })
+
+    const result = await service.pollAndProcessReplies()
+
+    expect(result).toEqual({ total: 1, processed: 1, retried: 0, failed: 0 })
+    expect(loggerMock.warn).toHaveBeenCalledWith(
+      expect.stringContaining('sms_reply.already_recorded')
+    )
+  })
+
+  // -----------------------------------------------------
+  // Paging and high-water mark
+  // -----------------------------------------------------
+  describe('paging', () => {
+    function page(ids, next = true) {
+      return {
+        data: {
+          received_text_messages: ids.map(([id, createdAt]) => ({
+            id,
+            user_number: '+447700900777',
+            content: 'hello',
+            created_at: createdAt
+          })),
+          links: next ? { next: 'https://api.notifications/next' } : {}
+        }
+      }
+    }
+
+    it('pages back with older_than until a processed message is found', async () => {
+      notifyClientMock.getReceivedTexts
+        .mockResolvedValueOnce(
+          page([
+            ['m4', '2024-01-01T10:04:00Z'],
+            ['m3', '2024-01-01T10:03:00Z']
+          ])
+        )
+        .mockResolvedValueOnce(
+          page([
+            ['m2', '2024-01-01T10:02:00Z'],
+            ['m1', '2024-01-01T10:01:00Z']
+          ])
+        )
+      dbMock
+        .collection()
+        .findOne.mockImplementation(({ messageId }) =>
+          Promise.resolve(messageId === 'm1' ? { messageId } : null)
+        )
+
+      const result = await service.pollAndProcessReplies()
+
+      expect(notifyClientMock.getReceivedTexts).toHaveBeenNthCalledWith(
+        1,
+        undefined
+      )
+      expect(notifyClientMock.getReceivedTexts).toHaveBeenNthCalledWith(2, 'm3')
+      expect(result).toEqual({ total: 4, processed: 3, retried: 0, failed: 0 })
+      // Processed oldest first
+      expect(
+        dbMock.collection().insertOne.mock.calls.map(([doc]) => doc.messageId)
+      ).toEqual(['m2', 'm3', 'm4'])
+      expect(stateCollection.updateOne).toHaveBeenCalledWith(
+        { _id: 'received_texts' },
+        {
+          $set: expect.objectContaining({
+            messageId: 'm4',
+            createdAt: new Date('2024-01-01T10:04:00Z')
+          })
+        },
+        { upsert: true }
+      )
+    })
+
+    it('skips pushed messages instead of stopping at them', async () => {
+      notifyClientMock.getReceivedTexts.mockResolvedValueOnce(
+        page(
+          [
+            ['m3', '2024-01-01T10:03:00Z'],
+            ['m2', '2024-01-01T10:02:00Z'],
+            ['m1', '2024-01-01T10:01:00Z']
+          ],
+          false
+        )
+      )
+      const records = {
+        m3: { status: 'ignored', source: 'push' },
+        m1: { status: 'ignored', source: 'poll' }
+      }
+      dbMock
+        .collection()
+        .findOne.mockImplementation(({ messageId }) =>
+          Promise.resolve(records[messageId] ?? null)
+        )
+
+      const result = await service.pollAndProcessReplies()
+
+      expect(result).toEqual({ total: 3, processed: 1, retried: 0, failed: 0 })
+      expect(dbMock.collection().insertOne).toHaveBeenCalledTimes(1)
+      expect(resolvedRecords()).toContainEqual(
+        expect.objectContaining({ messageId: 'm2', source: 'poll' })
+      )
+    })
+
+    it('stops at the high-water mark without checking older messages', async () => {
+      stateCollection.findOne.mockResolvedValue({
+        messageId: 'm2',
+        createdAt: new Date('2024-01-01T10:02:00Z')
+      })
+      notifyClientMock.getReceivedTexts.mockResolvedValueOnce(
+        page([
+          ['m3', '2024-01-01T10:03:00Z'],
+          ['m2', '2024-01-01T10:02:00Z'],
+          ['m1', '2024-01-01T10:01:00Z']
+        ])
+      )
+      dbMock.collection().findOne.mockResolvedValue(null)
+
+      const result = await service.pollAndProcessReplies()
+
+      expect(notifyClientMock.getReceivedTexts).toHaveBeenCalledTimes(1)
+      expect(dbMock.collection().findOne).toHaveBeenCalledTimes(1)
+      expect(result).toEqual({ total: 3, processed: 1, retried: 0, failed: 0 })
+    })
+
+    it('does not move the high-water mark when nothing is new', async () => {
+      stateCollection.findOne.mockResolvedValue({
+        messageId: 'm1',
+        createdAt: new Date('2024-01-01T10:01:00Z')
+      })
+      notifyClientMock.getReceivedTexts.mockResolvedValueOnce(
+        page([['m1', '2024-01-01T10:01:00Z']])
+      )
+
+      await service.pollAndProcessReplies()
+
+      expect(stateCollection.updateOne).not.toHaveBeenCalled()
+    })
+
+    it('stops after the configured maximum pages and warns', async () => {
+      config.get.mockImplementation((key) =>
+        key === 'notify.smsReplyPollMaxPages' ? 2 : baseConfig(key)
+      )
+      notifyClientMock.getReceivedTexts
+        .mockResolvedValueOnce(page([['m4', '2024-01-01T10:04:00Z']]))
+        .mockResolvedValueOnce(page([['m3', '2024-01-01T10:03:00Z']]))
+      dbMock.collection().findOne.mockResolvedValue(null)
+
+      const result = await service.pollAndProcessReplies()
+
+      expect(notifyClientMock.getReceivedTexts).toHaveBeenCalledTimes(2)
+      expect(result).toEqual({ total: 2, processed: 2, retried: 0, failed: 0 })
+      expect(loggerMock.warn).toHaveBeenCalledWith(
+        expect.stringContaining('sms_reply.poll.page_limit_reached')
+      )
+    })
+
+    it('resumes below the oldest fetched message after hitting the page limit', async () => {
+      config.get.mockImplementation((key) =>
+        key === 'notify.smsReplyPollMaxPages' ? 2 : baseConfig(key)
+      )
+      stateCollection.findOne.mockResolvedValue({
+        messageId: 'm1',
+        createdAt: new Date('2024-01-01T10:01:00Z')
+      })
+      dbMock.collection().findOne.mockResolvedValue(null)
+      notifyClientMock.getReceivedTexts
+        .mockResolvedValueOnce(page([['m5', '2024-01-01T10:05:00Z']]))
+        .mockResolvedValueOnce(page([['m4', '2024-01-01T10:04:00Z']]))
+
+      await service.pollAndProcessReplies()
+
+      // The mark stays at m1 until the gap below m4 has been read
+      const [, firstUpdate] = stateCollection.updateOne.mock.calls[0]
+      expect(firstUpdate.$set).toEqual(
+        expect.objectContaining({
+          messageId: 'm1',
+          resume: {
+            olderThan: 'm4',
+            newest: {
+              messageId: 'm5',
+              createdAt: new Date('2024-01-01T10:05:00Z')
+            }
+          }
+        })
+      )
+
+      stateCollection.findOne.mockResolvedValue(firstUpdate.$set)
+      stateCollection.updateOne.mockClear()
+      dbMock.collection().insertOne.mockClear()
+      notifyClientMock.getReceivedTexts
+        .mockResolvedValueOnce(
+          page([
+            ['m3', '2024-01-01T10:03:00Z'],
+            ['m2', '2024-01-01T10:02:00Z'],
+            ['m1', '2024-01-01T10:01:00Z']
+          ])
+        )
+        .mockResolvedValueOnce(
+          page([
+            ['m6', '2024-01-01T10:06:00Z'],
+            ['m5', '2024-01-01T10:05:00Z']
+          ])
+        )
+
+      const result = await service.pollAndProcessReplies()
+
+      expect(notifyClientMock.getReceivedTexts).toHaveBeenNthCalledWith(3, 'm4')
+      expect(notifyClientMock.getReceivedTexts).toHaveBeenNthCalledWith(
+        4,
+        undefined
+      )
+      expect(result).toEqual({ total: 5, processed: 3, retried: 0, failed: 0 })
+      expect(
+        dbMock.collection().insertOne.mock.calls.map(([doc]) => doc.messageId)
+      ).toEqual(['m2', 'm3', 'm6'])
+      expect(stateCollection.updateOne.mock.calls[0][1].$set).toEqual(
+        expect.objectContaining({ messageId: 'm6', resume: null })
+      )
+    })
+
+    it('fills the gap before reading newer messages', async () => {
+      config.get.mockImplementation((key) =>
+        key === 'notify.smsReplyPollMaxPages' ? 1 : baseConfig(key)
+      )
+      stateCollection.findOne.mockResolvedValue({
+        messageId: 'm1',
+        createdAt: new Date('2024-01-01T10:01:00Z'),
+        resume: { olderThan: 'm4', newest: { messageId: 'm5' } }
+      })
+      dbMock.collection().findOne.mockResolvedValue(null)
+      notifyClientMock.getReceivedTexts.mockResolvedValueOnce(
+        page([['m3', '2024-01-01T10:03:00Z']])
+      )
+
+      await service.pollAndProcessReplies()
+
+      expect(notifyClientMock.getReceivedTexts).toHaveBeenCalledTimes(1)
+      expect(notifyClientMock.getReceivedTexts).toHaveBeenCalledWith('m4')
+      expect(stateCollection.updateOne.mock.calls[0][1].$set).toEqual(
+        expect.objectContaining({
+          messageId: 'm1',
+          resume: { olderThan: 'm3', newest: { messageId: 'm5' } }
+        })
+      )
+    })
+
+    it('moves the high-water mark past a message left pending', async () => {
+      notifyClientMock.getReceivedTexts.mockResolvedValueOnce(
+        receivedTexts(['m1', 'STOP'])
+      )
+      dbMock.collection().findOne.mockResolvedValue(null)
+      fetchMock.mockResolvedValue({
+        status: 500,
+        ok: false,
+        json: () => Promise.resolve({ error: 'Internal error' })
+      })
+
+      await service.pollAndProcessReplies()
+
+      expect(stateCollection.updateOne).toHaveBeenCalledWith(
+        { _id: 'received_texts' },
+        { $set: expect.objectContaining({ messageId: 'm1' }) },
+        { upsert: true }
+      )
+    })
+
+    it('does not record the mark when the poll itself fails', async () => {
+      notifyClientMock.getReceivedTexts.mockRejectedValue(
+        new Error('Notify down')
+      )
+
+      await expect(service.pollAndProcessReplies()).rejects.toThrow(
+        'Notify down'
+      )
+      expect(stateCollection.updateOne).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Notify services', () => {
+    let forecastsTexts
+
+    beforeEach(() => {
+      process.env.NOTIFY_API_KEY_FORECASTS = 'forecasts-key'
+      servicesCollection.find.mockReturnValue(
+        findCursor([
+          { serviceId: 'forecasts', apiKeyEnv: 'NOTIFY_API_KEY_FORECASTS' }
+        ])
+      )
+      forecastsTexts = vi.fn()
+      vi.mocked(NotifyClient).mockImplementationOnce(() => ({
+        getReceivedTexts: forecastsTexts
+      }))
+      dbMock.collection().findOne.mockResolvedValue(null)
+    })
+
+    afterEach(() => {
+      delete process.env.NOTIFY_API_KEY_FORECASTS
+    })
+
+    function textAt(id, createdAt) {
+      return {
+        data: {
+          received_text_messages: [
+            {
+              id,
+              user_number: '+447700900777',
+              content: 'hello',
+              created_at: createdAt
+            }
+          ]
+        }
+      }
+    }
+
+    it('polls each service with its own key and mark, oldest text first', async () => {
+      notifyClientMock.getReceivedTexts.mockResolvedValue(
+        textAt('d1', '2024-01-01T10:02:00Z')
+      )
+      forecastsTexts.mockResolvedValue(textAt('f1', '2024-01-01T10:01:00Z'))
+
+      const result = await service.pollAndProcessReplies()
+
+      expect(result).toEqual({ total: 2, processed: 2, retried: 0, failed: 0 })
+      expect(NotifyClient).toHaveBeenLastCalledWith('forecasts-key')
+      expect(
+        dbMock
+          .collection()
+          .insertOne.mock.calls.map(([doc]) => [doc.messageId, doc.serviceId])
+      ).toEqual([
+        ['f1', 'forecasts'],
+        ['d1', 'default']
+      ])
+      expect(stateCollection.findOne).toHaveBeenCalledWith({
+        _id: 'received_texts:forecasts'
+      })
+      expect(
+        stateCollection.updateOne.mock.calls.map(([filter, update]) => [
+          filter._id,
+          update.$set.messageId
+        ])
+      ).toEqual([
+        ['received_texts', 'd1'],
+        ['received_texts:forecasts', 'f1']
+      ])
+    })
+
+    it('tags a polled reply with the service it was read from, not its number', async () => {
+      notifyClientMock.getReceivedTexts.mockResolvedValue({
+        data: { received_text_messages: [] }
+      })
+      forecastsTexts.mockResolvedValue({
+        data: {
+          received_text_messages: [
+            {
+              id: 'f1',
+              user_number: '+447700900777',
+              notify_number: '07700900999',
+              content: 'hello',
+              created_at: '2024-01-01T10:01:00Z'
+            }
+          ]
+        }
+      })
+
+      await service.pollAndProcessReplies()
+
+      expect(dbMock.collection().insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({
+          messageId: 'f1',
+          serviceId: 'forecasts',
+          notifyNumber: '07700900999'
+        })
+      )
+    })
+
+    it('still processes the other services when one cannot be polled', async () => {
+      notifyClientMock.getReceivedTexts.mockResolvedValue(
+        textAt('d1', '2024-01-01T10:02:00Z')
+      )
+      forecastsTexts.mockRejectedValue(new Error('Invalid API key'))
+
+      await expect(service.pollAndProcessReplies()).rejects.toThrow(
+        'Invalid API key'
+      )
+
+      expect(dbMock.collection().insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({ messageId: 'd1' })
+      )
+      expect(
+        stateCollection.updateOne.mock.calls.map(([filter]) => filter._id)
+      ).toEqual(['received_texts'])
+      expect(loggerMock.error).toHaveBeenCalledWith(
+        expect.stringContaining('sms_reply.poll.service_failure')
+      )
+    })
+
+    it('polls only the default service while the fake provider is in use', async () => {
+      config.get.mockImplementation((key) =>
+        key === 'notify.provider' ? 'fake' : baseConfig(key)
+      )
+
+      expect(await service.listPolledServices()).toEqual([
+        { serviceId: 'default' }
+      ])
+      expect(servicesCollection.find).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('retries and dead letters', () => {
+    const pendingRecord = (overrides = {}) => ({
+      messageId: 'mP',
+      phoneNumber: '+447700900888',
+      content: 'STOP',
+      receivedAt: new Date('2024-01-01T09:00:00Z'),
+      status: 'pending',
+      attempts: 1,
+      ...overrides
+    })
+
+    beforeEach(() => {
+      notifyClientMock.getReceivedTexts.mockResolvedValue({
+        data: { received_text_messages: [] }
+      })
+      dbMock.collection().findOne.mockResolvedValue(null)
+    })
+
+    it('processes the rest of the batch when one message fails', async () => {
+      notifyClientMock.getReceivedTexts.mockResolvedValue(
+        receivedTexts(['m2', 'hello'], ['m1', 'STOP'])
+      )
+      fetchMock.mockRejectedValue(new Error('connect ECONNREFUSED'))
+
+      const result = await service.pollAndProcessReplies()
+
+      expect(result).toEqual({ total: 2, processed: 1, retried: 0, failed: 1 })
+      expect(resolvedRecords()).toContainEqual(
+        expect.objectContaining({ messageId: 'm2', status: 'ignored' })
+      )
+    })
+
+    it('counts replies by the status they were recorded with', async () => {
+      notifyClientMock.getReceivedTexts.mockResolvedValue(
+        receivedTexts(['m2', 'hello'], ['m1', 'STOP'])
+      )
+      fetchMock.mockRejectedValue(new Error('connect ECONNREFUSED'))
+
+      await service.pollAndProcessReplies()
+
+      expect(metricsCounter).toHaveBeenCalledWith('SmsReply', 1, {
+        status: 'ignored'
+      })
+      expect(metricsCounter).toHaveBeenCalledWith('SmsReply', 1, {
+        status: 'pending'
+      })
+    })
+
+    it('retries due pending replies and resolves the record in place', async () => {
+      const collection = dbMock.collection()
+      collection.find.mockReturnValue(findCursor([pendingRecord()]))
+      fetchMock.mockResolvedValue({
+        status: 200,
+        ok: true,
+        json: () => Promise.resolve({ success: true })
+      })
+
+      const result = await service.pollAndProcessReplies()
+
+      expect(result).toEqual({ total: 0, processed: 0, retried: 1, failed: 0 })
+      const due = {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: expect.any(Date) } },
+          { status: 'processing', claimExpiresAt: { $lte: expect.any(Date) } }
+        ]
+      }
+      expect(collection.find).toHaveBeenCalledWith(due)
+      expect(collection.insertOne).not.toHaveBeenCalled()
+      const [filter, claim] = collection.findOneAndUpdate.mock.calls[0]
+      expect(filter).toEqual({ messageId: 'mP', ...due })
+      expect(claim.$set.status).toBe('processing')
+      expect(collection.updateOne).toHaveBeenCalledWith(
+        { messageId: 'mP', claimId: claim.$set.claimId },
+        {
+          $set: expect.objectContaining({ status: 'unsubscribed' }),
+          $unset: { claimId: '', claimExpiresAt: '' }
+        }
+      )
+      expect(loggerMock.warn).not.toHaveBeenCalledWith(
+        expect.stringContaining('sms_reply.already_recorded')
+      )
+    })
+
+    it('skips a due reply another run has already claimed', async () => {
+      const collection = dbMock.collection()
+      collection.find.mockReturnValue(findCursor([pendingRecord()]))
+      collection.findOneAndUpdate.mockResolvedValue(null)
+
+      const result = await service.pollAndProcessReplies()
+
+      expect(result).toEqual({ total: 0, processed: 0, retried: 0, failed: 0 })
+      expect(fetchMock).not.toHaveBeenCalled()
+    })
+
+    it('doubles the delay between attempts up to the configured maximum', async () => {
+      vi.useFakeTimers({ now: new Date('2024-01-01T10:00:00Z') })
+      const collection = dbMock.collection()
+      const msg = {
+        id: 'mB',
+        user_number: '447700900888',
+        content: 'STOP',
+        created_at: '2024-01-01T09:00:00Z'
+      }
+
+      await service.recordFailure(msg, new Error('down'), 3)
+      await service.recordFailure(msg, new Error('down'), 4)
+      vi.useRealTimers()
+
+      const [first, second] = collection.updateOne.mock.calls
+      expect(first[1].$set.nextAttemptAt).toEqual(
+        new Date('2024-01-01T10:04:00Z')
+      )
+      expect(second[1].$set.nextAttemptAt).toEqual(
+        new Date('2024-01-01T10:08:00Z')
+      )
+
+      config.get.mockImplementation((key) =>
+        key === 'notify.smsReplyRetry.maxDelayMinutes' ? 5 : baseConfig(key)
+      )
+      vi.useFakeTimers({ now: new Date('2024-01-01T10:00:00Z') })
+      await service.recordFailure(msg, new Error('down'), 4)
+      vi.useRealTimers()
+      expect(collection.updateOne.mock.calls[2][1].$set.nextAttemptAt).toEqual(
+        new Date('2024-01-01T10:05:00Z')
+      )
+    })
+
+    it('dead-letters a reply on its final attempt', async () => {
+      config.get.mockImplementation((key) =>
+        key === 'notify.smsReplyRetry.maxAttempts' ? 3 : baseConfig(key)
+      )
+      const collection = dbMock.collection()
+      collection.find.mockReturnValue(
+        findCursor([pendingRecord({ attempts: 2 })])
+      )
+      fetchMock.mockResolvedValue({
+        status: 502,
+        ok: false,
+        json: () => Promise.resolve({ error: 'Bad gateway' })
+      })
+
+      const result = await service.pollAndProcessReplies()
+
+      expect(result.failed).toBe(1)
+      expect(collection.updateOne).toHaveBeenCalledWith(
+        { messageId: 'mP', claimId: expect.any(String) },
+        {
+          $set: expect.objectContaining({
+            status: 'dead_letter',
+            attempts: 3,
+            lastError: 'Backend returned 502',
+            deadLetteredAt: expect.any(Date)
+          }),
+          $unset: { nextAttemptAt: '', claimId: '', claimExpiresAt: '' }
+        }
+      )
+      const logCall = loggerMock.error.mock.calls.find((call) =>
+        call[0].includes('sms_reply.dead_lettered')
+      )
+      expect(logCall[0]).toContain('****0888')
+    })
+
+    it('records the source of a pushed message', async () => {
+      await service.tryProcessMessage(
+        {
+          id: 'mPush',
+          user_number: '447700900888',
+          content: 'hello',
+          created_at: '2024-01-01T09:00:00Z',
+          source: 'push'
+        },
+        new Set()
+      )
+
+      expect(resolvedRecords()).toContainEqual(
+        expect.objectContaining({
+          messageId: 'mPush',
+          phoneNumber: '+447700900888',
+          status: 'ignored',
+          source: 'push',
+          serviceId: 'default'
+        })
+      )
+    })
+
+    it('records the Notify service owning the inbound number', async () => {
+      config.get.mockImplementation((key) =>
+        key === 'notify.services'
+          ? [
+              {
+                serviceId: 'forecasts',
+                apiKey: 'forecasts-key',
+                inboundNumber: '+447700900999'
+              }
+            ]
+          : baseConfig(key)
+      )
+
+      await service.tryProcessMessage(
+        {
+          id: 'mForecast',
+          user_number: '447700900888',
+          notify_number: '07700900999',
+          content: 'hello',
+          created_at: '2024-01-01T09:00:00Z'
+        },
+        new Set()
+      )
+
+      expect(resolvedRecords()).toContainEqual(
+        expect.objectContaining({
+          messageId: 'mForecast',
+          serviceId: 'forecasts',
+          notifyNumber: '07700900999'
+        })
+      )
+    })
+
+    it('retries pending replies without polling Notify', async () => {
+      dbMock
+        .collection()
+        .find.mockReturnValue(
+          findCursor([pendingRecord({ content: 'hello', source: 'push' })])
+        )
+
+      const result = await service.processPendingReplies()
+
+      expect(result).toEqual({ retried: 1, failed: 0 })
+      expect(notifyClientMock.getReceivedTexts).not.toHaveBeenCalled()
+      expect(resolvedRecords()).toContainEqual(
+        expect.objectContaining({ messageId: 'mP', source: 'push' })
+      )
+    })
+
+    it('lists dead-lettered replies newest first with a cursor', async () => {
+      const { ObjectId } = await import('mongodb')
+      const ids = [new ObjectId(), new ObjectId()]
+      const cursor = findCursor([
+        { _id: ids[1], messageId: 'mB' },
+        { _id: ids[0], messageId: 'mA' }
+      ])
+      dbMock.collection().find.mockReturnValue(cursor)
+
+      const result = await service.listDeadLetters({ limit: 1 })
+
+      expect(dbMock.collection().find).toHaveBeenCalledWith(
+        { status: 'dead_letter' },
+        expect.anything()
+      )
+      expect(cursor.sort).toHaveBeenCalledWith({ _id: -1 })
+      expect(result.replies).toEqual([{ messageId: 'mB' }])
+      expect(result.nextCursor).toEqual(expect.any(String))
+    })
+
+    it('rejects a malformed cursor', async () => {
+      const result = await service.listDeadLetters({
+        limit: 20,
+        cursor: 'not-a-cursor'
+      })
+
+      expect(result).toEqual({ error: 'Invalid cursor' })
+    })
+
+    it('requeues a dead-lettered reply with fresh attempts', async () => {
+      const collection = dbMock.collection()
+      collection.updateOne.mockResolvedValue({ matchedCount: 1 })
+
+      const result = await service.replayDeadLetter('mP')
+
+      expect(result).toEqual({
+        replayed: true,
+        nextAttemptAt: expect.any(Date)
+      })
+      expect(collection.updateOne).toHaveBeenCalledWith(
+        { messageId: 'mP', status: 'dead_letter' },
+        {
+          $set: expect.objectContaining({ status: 'pending', attempts: 0 }),
+          $inc: { replayCount: 1 }
+        }
+      )
+    })
+
+    it('reports a reply that is not dead-lettered', async () => {
+      dbMock.collection().updateOne.mockResolvedValue({ matchedCount: 0 })
+
+      const result = await service.replayDeadLetter('mP')
+
+      expect(result.replayed).toBe(false)
+    })
+  })
+
+  describe('keyword replies to another service', () => {
+    function forecastsConfig(overrides = {}) {
+      config.get.mockImplementation((key) => {
+        if (key === 'notify.services') {
+          return [
+            {
+              serviceId: 'forecasts',
+              apiKey: 'forecasts-key',
+              inboundNumber: '+447700900999',
+              replyTemplates: {
+                unsubscribeConfirmationTemplateId: 'tpl-forecasts-unsub',
+                welsh: {
+                  unsubscribeConfirmationTemplateId: 'tpl-forecasts-unsub-cy'
+                }
+              },
+              ...overrides
+            }
+          ]
+        }
+        if (key === 'notify.unsubscribeConfirmationTemplateId') {
+          return 'tpl-unsub'
+        }
+        if (key === 'notify.helpTemplateId') {
+          return 'tpl-help'
+        }
+        return baseConfig(key)
+      })
+    }
+
+    function textToForecasts(id, content) {
+      return {
+        id,
+        user_number: '447700900888',
+        notify_number: '07700900999',
+        content,
+        created_at: '2024-01-01T09:00:00Z',
+        source: 'push'
+      }
+    }
+
+    beforeEach(() => {
+      dbMock.collection().findOne.mockResolvedValue(null)
+    })
+
+    it('confirms a STOP with that service and its template, without the alert backend', async () => {
+      forecastsConfig()
+
+      await service.tryProcessMessage(textToForecasts('mF', 'STOP'), new Set())
+
+      expect(fetchMock).not.toHaveBeenCalled()
+      expect(createNotificationService).toHaveBeenLastCalledWith(
+        'forecasts-key'
+      )
+      expect(mockSendSms).toHaveBeenCalledWith(
+        '+447700900888',
+        'tpl-forecasts-unsub',
+        {},
+        null,
+        null,
+        { transactional: true }
+      )
+      expect(resolvedRecords()).toContainEqual(
+        expect.objectContaining({
+          messageId: 'mF',
+          status: 'unsubscribed',
+          serviceId: 'forecasts'
+        })
+      )
+    })
+
+    it("replies in Welsh with the service's Welsh template", async () => {
+      forecastsConfig()
+
+      await service.tryProcessMessage(
+        textToForecasts('mF', 'STOPIO'),
+        new Set()
+      )
+
+      expect(mockSendSms.mock.calls[0][1]).toBe('tpl-forecasts-unsub-cy')
+    })
+
+    it('calls the alert backend for a service that uses it', async () => {
+      forecastsConfig({ alertBackend: true })
+      fetchMock.mockResolvedValue({
+        status: 200,
+        ok: true,
+        json: () => Promise.resolve({ success: true })
+      })
+
+      await service.tryProcessMessage(textToForecasts('mF', 'STOP'), new Set())
+
+      expect(fetchMock).toHaveBeenCalledWith(
+        'https://alert-backend/opt-out-sms-alert',
+        expect.objectContaining({ method: 'DELETE' })
+      )
+      expect(mockSendSms.mock.calls[0][1]).toBe('tpl-forecasts-unsub')
+    })
+
+    it("never replies with the default service's templates", async () => {
+      forecastsConfig()
+
+      await service.tryProcessMessage(textToForecasts('mH', 'HELP'), new Set())
+
+      expect(mockSendSms).not.toHaveBeenCalled()
+      expect(resolvedRecords()).toContainEqual(
+        expect.objectContaining({ messageId: 'mH', status: 'help_not_sent' })
+      )
+      expect(loggerMock.warn).toHaveBeenCalledWith(
+        expect.stringContaining('sms_reply.help.no_template')
+      )
+    })
+  })
+
+  describe('admin queries', () => {
+    it('filters by status, received date range and phone suffix', async () => {
+      const cursor = findCursor([])
+      dbMock.collection().find.mockReturnValue(cursor)
+      const from = new Date('2025-01-01T00:00:00Z')
+      const to = new Date('2025-02-01T00:00:00Z')
+
+      const result = await service.listReplies({
+        status: ['unsubscribed', 'user_not_found'],
+        from,
+        to,
+        phoneSuffix: '0111',
+        limit: 20
+      })
+
+      expect(result).toEqual({ replies: [], nextCursor: null })
+      expect(dbMock.collection().find).toHaveBeenCalledWith(
+        {
+          status: { $in: ['unsubscribed', 'user_not_found'] },
+          receivedAt: { $gte: from, $lt: to },
+          phoneNumber: { $regex: '0111$' }
+        },
+        expect.anything()
+      )
+      expect(cursor.sort).toHaveBeenCalledWith({ _id: -1 })
+      expect(cursor.limit).toHaveBeenCalledWith(21)
+    })
+
+    it('lists everything when no filters are given', async () => {
+      dbMock.collection().find.mockReturnValue(findCursor([]))
+
+      await service.listReplies({ limit: 20 })
+
+      expect(dbMock.collection().find).toHaveBeenCalledWith(
+        {},
+        expect.anything()
+      )
+    })
+
+    it('exports matching replies oldest first', async () => {
+      const rows = [{ messageId: 'm1' }, { messageId: 'm2' }]
+      const cursor = findCursor(rows)
+      dbMock.collection().find.mockReturnValue(cursor)
+
+      const result = await service.exportReplies({ status: ['unsubscribed'] })
+
+      expect(result).toEqual({ replies: rows, truncated: false })
+      expect(cursor.sort).toHaveBeenCalledWith({ receivedAt: 1 })
+    })
+
+    it('wraps query failures', async () => {
+      dbMock.collection().find.mockImplementation(() => {
+        throw new Error('db down')
+      })
+
+      await expect(service.exportReplies({})).rejects.toThrow(
+        'Failed to export SMS replies: db down'
+      )
+    })
+
+    it('looks up one reply by message id', async () => {
+      dbMock
+        .collection()
+        .findOne.mockResolvedValue({ messageId: 'm1', status: 'ignored' })
+
+      const reply = await service.getReply('m1')
+
+      expect(reply).toEqual({ messageId: 'm1', status: 'ignored' })
+      expect(dbMock.collection().findOne).toHaveBeenCalledWith(
+        { messageId: 'm1' },
+        { projection: expect.objectContaining({ _id: 0, content: 1 }) }
+      )
+    })
+  })
 })
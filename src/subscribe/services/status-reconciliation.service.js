@@ -0,0 +1,132 @@
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { isCircuitOpenError } from '../../common/helpers/circuit-breaker.js'
+import { config } from '../../config.js'
+import { createNotifyServiceRegistry } from './notify-service-registry.service.js'
+import {
+  PENDING_STATUSES,
+  createUserNotificationDetailService
+} from './user-notification-detail.service.js'
+import {
+  SUPPRESSION_REASON,
+  createSuppressionService
+} from './suppression.service.js'
+
+/**
+ * Fallback for missed delivery callbacks: polls Notify for notifications that
+ * have been submitted/sending for too long and applies the reported status.
+ * @param {object} db - MongoDB database instance
+ * @param {object} logger - Logger instance
+ */
+function createStatusReconciliationService(db, logger) {
+  logger = logger || createLogger()
+  const notifyServiceRegistry = createNotifyServiceRegistry(db, logger)
+  const userNotificationDetailService = createUserNotificationDetailService(
+    db,
+    logger
+  )
+  const suppressionService = createSuppressionService(db, logger)
+
+  /**
+   * Stop sending to a number/address Notify reports as permanently failing.
+   * The status is already applied, so a failure here is only logged.
+   */
+  async function suppressPermanentFailure(notificationId, notification) {
+    const contact = notification.phone_number || notification.email_address
+    if (!contact || !['sms', 'email'].includes(notification.type)) {
+      return
+    }
+    try {
+      await suppressionService.suppress({
+        contact,
+        channel: notification.type,
+        reason: SUPPRESSION_REASON.PERMANENT_FAILURE,
+        notificationId
+      })
+    } catch (error) {
+      logger.error(
+        `status_reconciliation.suppress_failed ${JSON.stringify({ notificationId, error: error.message })}`
+      )
+    }
+  }
+
+  /**
+   * Check one notification against the Notify service that sent it
+   * @returns {Promise<boolean>} - true when a final status was applied
+   */
+  async function reconcileNotification(notificationId, serviceId) {
+    const notificationService =
+      await notifyServiceRegistry.getNotificationService(serviceId)
+    const notification =
+      await notificationService.getNotificationStatus(notificationId)
+    const status = notification?.status
+
+    if (!status || PENDING_STATUSES.includes(status)) {
+      await userNotificationDetailService.markStatusChecked(
+        notificationId,
+        status || 'submitted'
+      )
+      return false
+    }
+
+    await userNotificationDetailService.updateDeliveryStatus({
+      notificationId,
+      status,
+      sentAt: notification.sent_at ? new Date(notification.sent_at) : null,
+      completedAt: notification.completed_at
+        ? new Date(notification.completed_at)
+        : null,
+      source: 'reconciliation'
+    })
+    if (status === 'permanent-failure') {
+      await suppressPermanentFailure(notificationId, notification)
+    }
+    return true
+  }
+
+  return {
+    /**
+     * Reconcile one batch of stale notifications
+     * @returns {Promise<object>} - { checked, updated, failed }
+     */
+    async reconcileStaleStatuses() {
+      const staleAfterMinutes =
+        config.get('notify.statusReconciliation.staleAfterMinutes') || 0
+      const limit = Math.max(
+        1,
+        config.get('notify.statusReconciliation.batchSize') || 1
+      )
+      const staleBefore = new Date(Date.now() - staleAfterMinutes * 60 * 1000)
+
+      const stale = await userNotificationDetailService.findStaleNotifications({
+        staleBefore,
+        limit
+      })
+      const summary = { checked: 0, updated: 0, failed: 0 }
+
+      for (const { notificationId, serviceId } of stale) {
+        try {
+          summary.checked++
+          if (await reconcileNotification(notificationId, serviceId)) {
+            summary.updated++
+          }
+        } catch (error) {
+          summary.failed++
+          logger.error(
+            `status_reconciliation.notification_failed ${JSON.stringify({ notificationId, error: error.message, category: error.category })}`
+          )
+          // Notify is down; the rest of the batch would fail the same way
+          if (isCircuitOpenError(error)) {
+            break
+          }
+        }
+      }
+
+      logger.info(
+        `status_reconciliation.complete ${JSON.stringify({ found: stale.length, ...summary })}`
+      )
+      return summary
+    }
+  }
+}
+
+export { createStatusReconciliationService }
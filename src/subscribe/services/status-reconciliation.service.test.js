@@ -0,0 +1,202 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createStatusReconciliationService } from './status-reconciliation.service.js'
+
+const mockGetNotificationStatus = vi.fn()
+const mockFindStaleNotifications = vi.fn()
+const mockUpdateDeliveryStatus = vi.fn()
+const mockMarkStatusChecked = vi.fn()
+const mockSuppress = vi.fn()
+
+vi.mock('notifications-node-client', () => ({
+  NotifyClient: vi.fn()
+}))
+
+// The registry hands out the real factory's service, spied on so the test
+// fails if it stops exposing getNotificationStatus
+const mockGetNotificationService = vi.fn(async () => {
+  const { createNotificationService } = await vi.importActual(
+    './notify-service.js'
+  )
+  const service = createNotificationService('test-key')
+  vi.spyOn(service, 'getNotificationStatus').mockImplementation(
+    mockGetNotificationStatus
+  )
+  return service
+})
+
+vi.mock('./notify-service-registry.service.js', () => ({
+  createNotifyServiceRegistry: vi.fn(() => ({
+    getNotificationService: mockGetNotificationService
+  }))
+}))
+
+vi.mock('./user-notification-detail.service.js', () => ({
+  PENDING_STATUSES: ['submitted', 'created', 'sending', 'pending'],
+  createUserNotificationDetailService: vi.fn(() => ({
+    findStaleNotifications: mockFindStaleNotifications,
+    updateDeliveryStatus: mockUpdateDeliveryStatus,
+    markStatusChecked: mockMarkStatusChecked
+  }))
+}))
+
+vi.mock('./suppression.service.js', () => ({
+  SUPPRESSION_REASON: { PERMANENT_FAILURE: 'permanent_failure' },
+  createSuppressionService: vi.fn(() => ({ suppress: mockSuppress }))
+}))
+
+vi.mock('../../config.js', () => ({
+  config: {
+    get: vi.fn((key) => {
+      if (key === 'notify.statusReconciliation.staleAfterMinutes') return 30
+      if (key === 'notify.statusReconciliation.batchSize') return 2
+      return null
+    })
+  }
+}))
+
+const NOW = new Date('2025-01-01T12:00:00Z')
+
+describe('createStatusReconciliationService', () => {
+  let logger
+  let service
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(NOW)
+    logger = { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() }
+    service = createStatusReconciliationService({}, logger)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.clearAllMocks()
+  })
+
+  it('should query a batch of notifications stale for longer than the cutoff', async () => {
+    mockFindStaleNotifications.mockResolvedValue([])
+
+    const result = await service.reconcileStaleStatuses()
+
+    expect(result).toEqual({ checked: 0, updated: 0, failed: 0 })
+    expect(mockFindStaleNotifications).toHaveBeenCalledWith({
+      staleBefore: new Date('2025-01-01T11:30:00Z'),
+      limit: 2
+    })
+  })
+
+  it('should apply final statuses reported by Notify', async () => {
+    mockFindStaleNotifications.mockResolvedValue([{ notificationId: 'n1' }])
+    mockGetNotificationStatus.mockResolvedValue({
+      id: 'n1',
+      status: 'delivered',
+      sent_at: '2025-01-01T10:00:01.000Z',
+      completed_at: '2025-01-01T10:00:05.000Z'
+    })
+
+    const result = await service.reconcileStaleStatuses()
+
+    expect(result).toEqual({ checked: 1, updated: 1, failed: 0 })
+    expect(mockUpdateDeliveryStatus).toHaveBeenCalledWith({
+      notificationId: 'n1',
+      status: 'delivered',
+      sentAt: new Date('2025-01-01T10:00:01.000Z'),
+      completedAt: new Date('2025-01-01T10:00:05.000Z'),
+      source: 'reconciliation'
+    })
+    expect(mockSuppress).not.toHaveBeenCalled()
+  })
+
+  it('should look statuses up through the Notify service that sent them', async () => {
+    mockFindStaleNotifications.mockResolvedValue([
+      { notificationId: 'n1', serviceId: 'forecasts' },
+      { notificationId: 'n2' }
+    ])
+    mockGetNotificationStatus.mockResolvedValue({ status: 'delivered' })
+
+    await service.reconcileStaleStatuses()
+
+    expect(mockGetNotificationService).toHaveBeenNthCalledWith(1, 'forecasts')
+    expect(mockGetNotificationService).toHaveBeenNthCalledWith(2, undefined)
+  })
+
+  it('should suppress the recipient of a permanent failure', async () => {
+    mockFindStaleNotifications.mockResolvedValue([{ notificationId: 'n1' }])
+    mockGetNotificationStatus.mockResolvedValue({
+      id: 'n1',
+      type: 'email',
+      email_address: 'user@example.com',
+      status: 'permanent-failure'
+    })
+
+    const result = await service.reconcileStaleStatuses()
+
+    expect(result).toEqual({ checked: 1, updated: 1, failed: 0 })
+    expect(mockSuppress).toHaveBeenCalledWith({
+      contact: 'user@example.com',
+      channel: 'email',
+      reason: 'permanent_failure',
+      notificationId: 'n1'
+    })
+  })
+
+  it('should count the notification as updated when suppression fails', async () => {
+    mockFindStaleNotifications.mockResolvedValue([{ notificationId: 'n1' }])
+    mockGetNotificationStatus.mockResolvedValue({
+      id: 'n1',
+      type: 'sms',
+      phone_number: '07700900111',
+      status: 'permanent-failure'
+    })
+    mockSuppress.mockRejectedValueOnce(new Error('DB down'))
+
+    const result = await service.reconcileStaleStatuses()
+
+    expect(result).toEqual({ checked: 1, updated: 1, failed: 0 })
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining('status_reconciliation.suppress_failed')
+    )
+  })
+
+  it('should only record the check while Notify still reports a pending status', async () => {
+    mockFindStaleNotifications.mockResolvedValue([{ notificationId: 'n1' }])
+    mockGetNotificationStatus.mockResolvedValue({ id: 'n1', status: 'sending' })
+
+    const result = await service.reconcileStaleStatuses()
+
+    expect(result).toEqual({ checked: 1, updated: 0, failed: 0 })
+    expect(mockMarkStatusChecked).toHaveBeenCalledWith('n1', 'sending')
+    expect(mockUpdateDeliveryStatus).not.toHaveBeenCalled()
+  })
+
+  it('should continue past individual failures', async () => {
+    mockFindStaleNotifications.mockResolvedValue([
+      { notificationId: 'n1' },
+      { notificationId: 'n2' }
+    ])
+    mockGetNotificationStatus
+      .mockRejectedValueOnce(new Error('FailedToGetNotificationStatus'))
+      .mockResolvedValueOnce({ id: 'n2', status: 'permanent-failure' })
+
+    const result = await service.reconcileStaleStatuses()
+
+    expect(result).toEqual({ checked: 2, updated: 1, failed: 1 })
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining('status_reconciliation.notification_failed')
+    )
+  })
+
+  it('should stop the batch when the Notify circuit is open', async () => {
+    mockFindStaleNotifications.mockResolvedValue([
+      { notificationId: 'n1' },
+      { notificationId: 'n2' }
+    ])
+    const err = new Error('FailedToGetNotificationStatus')
+    err.category = 'circuit_open'
+    mockGetNotificationStatus.mockRejectedValue(err)
+
+    const result = await service.reconcileStaleStatuses()
+
+    expect(result).toEqual({ checked: 1, updated: 0, failed: 1 })
+    expect(mockGetNotificationStatus).toHaveBeenCalledTimes(1)
+  })
+})
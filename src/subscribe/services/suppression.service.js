@@ -0,0 +1,207 @@
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { maskContact } from '../../common/helpers/masking-utils.js'
+import { normalizeUKPhoneNumber } from '../../common/helpers/phone-validation.js'
+import { encodeCursor, decodeCursor } from '../../common/helpers/pagination.js'
+
+// Why a contact was suppressed
+const SUPPRESSION_REASON = {
+  STOP: 'stop',
+  PERMANENT_FAILURE: 'permanent_failure',
+  MANUAL: 'manual'
+}
+
+// Fields returned by the admin API
+const PROJECTION = {
+  _id: 0,
+  contact: 1,
+  channel: 1,
+  reason: 1,
+  notificationId: 1,
+  note: 1,
+  createdAt: 1,
+  updatedAt: 1
+}
+
+/**
+ * Normalise a phone number or email so every source matches the same record
+ * (STOP replies arrive as 447..., API callers send 07..., emails vary in case)
+ * @param {string} contact - Phone number or email address
+ * @returns {string}
+ */
+function normalizeContact(contact) {
+  const value = String(contact).trim()
+  if (value.includes('@')) {
+    return value.toLowerCase()
+  }
+  return normalizeUKPhoneNumber(value)
+}
+
+/**
+ * Contacts that must not receive non-transactional messages
+ * Collection: suppressions
+ * Document shape:
+ * {
+ *   contact: string,          // normalized phone (+447...) or lowercased email
+ *   channel: string,          // 'sms' | 'email'
+ *   reason: string,           // 'stop' | 'permanent_failure' | 'manual'
+ *   notificationId: string,   // failed notification, for permanent_failure
+ *   note: string,             // free text, for manual
+ *   createdAt: Date,
+ *   updatedAt: Date
+ * }
+ */
+class SuppressionService {
+  /**
+   * Creates a new SuppressionService instance
+   * @param {object} db - MongoDB database instance
+   * @param {object} logger - Logger instance
+   */
+  constructor(db, logger) {
+    this.db = db
+    this.logger = logger || createLogger()
+    this.collection = db.collection('suppressions')
+  }
+
+  /**
+   * Add (or refresh) a suppression. The latest reason wins.
+   * @param {object} suppression
+   * @param {string} suppression.contact - Phone number or email address
+   * @param {string} suppression.channel - 'sms' or 'email'
+   * @param {string} suppression.reason - One of SUPPRESSION_REASON
+   * @param {string} [suppression.notificationId] - Notification that failed permanently
+   * @param {string} [suppression.note] - Admin note
+   * @returns {Promise<object>} - { contact, created }
+   */
+  async suppress({ contact, channel, reason, notificationId, note }) {
+    const normalized = normalizeContact(contact)
+    const now = new Date()
+    const details = { channel, reason, updatedAt: now }
+    if (notificationId) {
+      details.notificationId = notificationId
+    }
+    if (note) {
+      details.note = note
+    }
+
+    try {
+      const result = await this.collection.updateOne(
+        { contact: normalized },
+        { $set: details, $setOnInsert: { createdAt: now } },
+        { upsert: true }
+      )
+      const created = result.upsertedCount > 0
+      this.logger.info(
+        `suppression.added ${JSON.stringify({ contact: maskContact(normalized), channel, reason, created })}`
+      )
+      return { contact: normalized, created }
+    } catch (error) {
+      this.logger.error(
+        `suppression.add.error ${JSON.stringify({ contact: maskContact(normalized), reason, error: error.message })}`
+      )
+      throw new Error(`Failed to add suppression: ${error.message}`)
+    }
+  }
+
+  /**
+   * @param {string} contact - Phone number or email address
+   * @returns {Promise<object|null>} - The suppression, or null when the contact may be sent to
+   */
+  async findSuppression(contact) {
+    const normalized = normalizeContact(contact)
+    try {
+      return await this.collection.findOne(
+        { contact: normalized },
+        { projection: PROJECTION }
+      )
+    } catch (error) {
+      this.logger.error(
+        `suppression.lookup.error ${JSON.stringify({ contact: maskContact(normalized), error: error.message })}`
+      )
+      throw new Error(`Failed to look up suppression: ${error.message}`)
+    }
+  }
+
+  /**
+   * @param {string} contact - Phone number or email address
+   * @returns {Promise<object>} - { contact, removed }
+   */
+  async removeSuppression(contact) {
+    const normalized = normalizeContact(contact)
+    try {
+      const result = await this.collection.deleteOne({ contact: normalized })
+      const removed = result.deletedCount > 0
+      this.logger.info(
+        `suppression.removed ${JSON.stringify({ contact: maskContact(normalized), removed })}`
+      )
+      return { contact: normalized, removed }
+    } catch (error) {
+      this.logger.error(
+        `suppression.remove.error ${JSON.stringify({ contact: maskContact(normalized), error: error.message })}`
+      )
+      throw new Error(`Failed to remove suppression: ${error.message}`)
+    }
+  }
+
+  /**
+   * Page through suppressions, newest first
+   * @param {object} options
+   * @param {string} [options.reason] - Only include this reason
+   * @param {string} [options.channel] - Only include this channel
+   * @param {number} options.limit - Page size
+   * @param {string} [options.cursor] - nextCursor from the previous page
+   * @returns {Promise<object>} - { suppressions, nextCursor } or { error } for a bad cursor
+   */
+  async listSuppressions({ reason, channel, limit, cursor }) {
+    const filter = {}
+    if (reason) {
+      filter.reason = reason
+    }
+    if (channel) {
+      filter.channel = channel
+    }
+    if (cursor) {
+      const lastId = decodeCursor(cursor)
+      if (!lastId) {
+        return { error: 'Invalid cursor' }
+      }
+      filter._id = { $lt: lastId }
+    }
+
+    try {
+      const documents = await this.collection
+        .find(filter, { projection: { ...PROJECTION, _id: 1 } })
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .toArray()
+
+      const hasMore = documents.length > limit
+      const page = documents.slice(0, limit)
+      return {
+        suppressions: page.map(({ _id, ...rest }) => rest),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]._id) : null
+      }
+    } catch (error) {
+      this.logger.error(
+        `suppression.list.error ${JSON.stringify({ reason, channel, error: error.message })}`
+      )
+      throw new Error(`Failed to list suppressions: ${error.message}`)
+    }
+  }
+}
+
+/**
+ * Factory function to create SuppressionService instance
+ * @param {object} db - MongoDB database instance
+ * @param {object} logger - Logger instance
+ * @returns {SuppressionService}
+ */
+function createSuppressionService(db, logger) {
+  return new SuppressionService(db, logger)
+}
+
+export {
+  SUPPRESSION_REASON,
+  SuppressionService,
+  createSuppressionService,
+  normalizeContact
+}
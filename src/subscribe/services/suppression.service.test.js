@@ -0,0 +1,197 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { ObjectId } from 'mongodb'
+import {
+  SUPPRESSION_REASON,
+  SuppressionService,
+  createSuppressionService,
+  normalizeContact
+} from './suppression.service.js'
+
+function createMockLogger() {
+  return { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() }
+}
+
+function createMockCollection() {
+  return {
+    updateOne: vi.fn().mockResolvedValue({ upsertedCount: 1 }),
+    findOne: vi.fn().mockResolvedValue(null),
+    deleteOne: vi.fn().mockResolvedValue({ deletedCount: 1 }),
+    find: vi.fn()
+  }
+}
+
+function mockFindResult(collection, documents) {
+  const cursor = {
+    sort: vi.fn().mockReturnThis(),
+    limit: vi.fn().mockReturnThis(),
+    toArray: vi.fn().mockResolvedValue(documents)
+  }
+  collection.find.mockReturnValue(cursor)
+  return cursor
+}
+
+describe('normalizeContact', () => {
+  it('should normalise UK phone formats to +44', () => {
+    expect(normalizeContact('07700 900111')).toBe('+447700900111')
+    expect(normalizeContact('447700900111')).toBe('+447700900111')
+    expect(normalizeContact('+447700900111')).toBe('+447700900111')
+  })
+
+  it('should lowercase and trim emails', () => {
+    expect(normalizeContact(' User@Example.COM ')).toBe('user@example.com')
+  })
+})
+
+describe('SuppressionService', () => {
+  let collection
+  let logger
+  let service
+
+  beforeEach(() => {
+    collection = createMockCollection()
+    logger = createMockLogger()
+    service = new SuppressionService(
+      { collection: vi.fn(() => collection) },
+      logger
+    )
+  })
+
+  it('should create an instance via the factory', () => {
+    const db = { collection: vi.fn(() => collection) }
+
+    expect(createSuppressionService(db, logger)).toBeInstanceOf(
+      SuppressionService
+    )
+    expect(db.collection).toHaveBeenCalledWith('suppressions')
+  })
+
+  it('should upsert a suppression against the normalised contact', async () => {
+    const result = await service.suppress({
+      contact: '07700900111',
+      channel: 'sms',
+      reason: SUPPRESSION_REASON.STOP
+    })
+
+    expect(result).toEqual({ contact: '+447700900111', created: true })
+    expect(collection.updateOne).toHaveBeenCalledWith(
+      { contact: '+447700900111' },
+      {
+        $set: { channel: 'sms', reason: 'stop', updatedAt: expect.any(Date) },
+        $setOnInsert: { createdAt: expect.any(Date) }
+      },
+      { upsert: true }
+    )
+    const logLine = logger.info.mock.calls[0][0]
+    expect(logLine).toContain('suppression.added')
+    expect(logLine).not.toContain('+447700900111')
+  })
+
+  it('should record the failed notification and admin note when given', async () => {
+    collection.updateOne.mockResolvedValue({ upsertedCount: 0 })
+
+    const result = await service.suppress({
+      contact: 'user@example.com',
+      channel: 'email',
+      reason: SUPPRESSION_REASON.PERMANENT_FAILURE,
+      notificationId: 'n1',
+      note: 'bounced'
+    })
+
+    expect(result.created).toBe(false)
+    const [, update] = collection.updateOne.mock.calls[0]
+    expect(update.$set).toEqual(
+      expect.objectContaining({ notificationId: 'n1', note: 'bounced' })
+    )
+  })
+
+  it('should wrap errors when adding', async () => {
+    collection.updateOne.mockRejectedValue(new Error('DB down'))
+
+    await expect(
+      service.suppress({ contact: 'a@b.com', channel: 'email', reason: 'x' })
+    ).rejects.toThrow('Failed to add suppression: DB down')
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining('suppression.add.error')
+    )
+  })
+
+  it('should look up a suppression by normalised contact', async () => {
+    collection.findOne.mockResolvedValue({ contact: '+447700900111' })
+
+    const result = await service.findSuppression('447700900111')
+
+    expect(result).toEqual({ contact: '+447700900111' })
+    expect(collection.findOne).toHaveBeenCalledWith(
+      { contact: '+447700900111' },
+      expect.objectContaining({ projection: expect.any(Object) })
+    )
+  })
+
+  it('should wrap lookup errors', async () => {
+    collection.findOne.mockRejectedValue(new Error('DB down'))
+
+    await expect(service.findSuppression('a@b.com')).rejects.toThrow(
+      'Failed to look up suppression: DB down'
+    )
+  })
+
+  it('should remove a suppression', async () => {
+    const result = await service.removeSuppression('User@Example.com')
+
+    expect(result).toEqual({ contact: 'user@example.com', removed: true })
+    expect(collection.deleteOne).toHaveBeenCalledWith({
+      contact: 'user@example.com'
+    })
+  })
+
+  it('should report when there was nothing to remove', async () => {
+    collection.deleteOne.mockResolvedValue({ deletedCount: 0 })
+
+    const result = await service.removeSuppression('a@b.com')
+
+    expect(result.removed).toBe(false)
+  })
+
+  it('should page through suppressions newest first', async () => {
+    const ids = [new ObjectId(), new ObjectId(), new ObjectId()]
+    const cursor = mockFindResult(
+      collection,
+      ids.map((_id, i) => ({ _id, contact: `c${i}`, reason: 'manual' }))
+    )
+
+    const result = await service.listSuppressions({
+      reason: 'manual',
+      channel: 'email',
+      limit: 2
+    })
+
+    expect(collection.find).toHaveBeenCalledWith(
+      { reason: 'manual', channel: 'email' },
+      expect.any(Object)
+    )
+    expect(cursor.sort).toHaveBeenCalledWith({ _id: -1 })
+    expect(cursor.limit).toHaveBeenCalledWith(3)
+    expect(result.suppressions).toEqual([
+      { contact: 'c0', reason: 'manual' },
+      { contact: 'c1', reason: 'manual' }
+    ])
+    expect(result.nextCursor).toEqual(expect.any(String))
+
+    mockFindResult(collection, [])
+    await service.listSuppressions({ limit: 2, cursor: result.nextCursor })
+    expect(collection.find).toHaveBeenLastCalledWith(
+      { _id: { $lt: ids[1] } },
+      expect.any(Object)
+    )
+  })
+
+  it('should reject a malformed cursor', async () => {
+    const result = await service.listSuppressions({
+      limit: 2,
+      cursor: 'not-a-cursor'
+    })
+
+    expect(result).toEqual({ error: 'Invalid cursor' })
+    expect(collection.find).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,94 @@
+import { config } from '../../config.js'
+
+// Languages a recipient can receive messages in
+const LANGUAGE = {
+  ENGLISH: 'en',
+  WELSH: 'cy'
+}
+
+const SUPPORTED_LANGUAGES = Object.values(LANGUAGE)
+const DEFAULT_LANGUAGE = LANGUAGE.ENGLISH
+
+// Metric aliases for the templates the service sends itself; the template
+// registry holds aliases for everything sent through /send-notification
+const CONFIGURED_TEMPLATE_ALIASES = {
+  'notify.templateId': 'otp-sms',
+  'notify.emailTemplateId': 'email-verification',
+  'notify.unsubscribeConfirmationTemplateId': 'unsubscribe-confirmation',
+  'notify.resubscribeConfirmationTemplateId': 'resubscribe-confirmation',
+  'notify.helpTemplateId': 'help-reply'
+}
+
+/**
+ * Pick the template id for a language. Welsh ids live under notify.welsh with
+ * the same key as the English one (notify.templateId -> notify.welsh.templateId);
+ * the English template is used when no Welsh one is configured.
+ * @param {string} configKey - English template config key, e.g. 'notify.templateId'
+ * @param {string} [language] - One of LANGUAGE
+ * @returns {string|null} - Template id, or null when neither is configured
+ */
+function resolveTemplateId(configKey, language = DEFAULT_LANGUAGE) {
+  if (language === LANGUAGE.WELSH) {
+    const welshTemplateId = config.get(
+      configKey.replace(/^notify\./, 'notify.welsh.')
+    )
+    if (welshTemplateId) {
+      return welshTemplateId
+    }
+  }
+  return config.get(configKey)
+}
+
+/**
+ * Swap a caller-supplied (English) template id for its Welsh equivalent from
+ * notify.welsh.templateMap. Unmapped ids are returned unchanged, so callers
+ * may also pass a Welsh template id directly.
+ * @param {string} templateId - Template id from the request
+ * @param {string} [language] - One of LANGUAGE
+ * @returns {object} - { templateId, translated }
+ */
+function translateTemplateId(templateId, language = DEFAULT_LANGUAGE) {
+  if (language !== LANGUAGE.WELSH) {
+    return { templateId, translated: false }
+  }
+  const pair = (config.get('notify.welsh.templateMap') || [])
+    .map((entry) => entry.split(':').map((id) => id.trim()))
+    .find(([englishId]) => englishId === templateId)
+  return pair?.[1]
+    ? { templateId: pair[1], translated: true }
+    : { templateId, translated: false }
+}
+
+/**
+ * Alias of a template configured under notify or notify.welsh, with '-cy'
+ * appended for Welsh templates
+ * @param {string} templateId - GOV.UK Notify template id
+ * @returns {string|null} - e.g. 'otp-sms-cy', or null when not configured
+ */
+function findTemplateAlias(templateId) {
+  if (!templateId) {
+    return null
+  }
+  for (const [configKey, alias] of Object.entries(
+    CONFIGURED_TEMPLATE_ALIASES
+  )) {
+    if (config.get(configKey) === templateId) {
+      return alias
+    }
+    if (
+      config.get(configKey.replace(/^notify\./, 'notify.welsh.')) === templateId
+    ) {
+      return `${alias}-cy`
+    }
+  }
+  return null
+}
+
+export {
+  LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  resolveTemplateId,
+  translateTemplateId,
+  findTemplateAlias
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { config } from '../../config.js'
+import {
+  LANGUAGE,
+  resolveTemplateId,
+  translateTemplateId,
+  findTemplateAlias
+} from './template-language.js'
+
+vi.mock('../../config.js', () => ({
+  config: {
+    get: vi.fn()
+  }
+}))
+
+function mockConfig(values) {
+  config.get.mockImplementation((key) => values[key] ?? null)
+}
+
+describe('template-language', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('resolveTemplateId', () => {
+    it('should return the English template by default', () => {
+      mockConfig({
+        'notify.templateId': 'otp-en',
+        'notify.welsh.templateId': 'otp-cy'
+      })
+
+      expect(resolveTemplateId('notify.templateId')).toBe('otp-en')
+      expect(resolveTemplateId('notify.templateId', LANGUAGE.ENGLISH)).toBe(
+        'otp-en'
+      )
+    })
+
+    it('should return the Welsh template for cy', () => {
+      mockConfig({
+        'notify.emailTemplateId': 'link-en',
+        'notify.welsh.emailTemplateId': 'link-cy'
+      })
+
+      expect(resolveTemplateId('notify.emailTemplateId', LANGUAGE.WELSH)).toBe(
+        'link-cy'
+      )
+    })
+
+    it('should fall back to English when no Welsh template is configured', () => {
+      mockConfig({ 'notify.helpTemplateId': 'help-en' })
+
+      expect(resolveTemplateId('notify.helpTemplateId', LANGUAGE.WELSH)).toBe(
+        'help-en'
+      )
+    })
+  })
+
+  describe('translateTemplateId', () => {
+    beforeEach(() => {
+      mockConfig({
+        'notify.welsh.templateMap': [
+          'alert-en:alert-cy',
+          ' daily-en : daily-cy '
+        ]
+      })
+    })
+
+    it('should swap a mapped template for Welsh', () => {
+      expect(translateTemplateId('alert-en', LANGUAGE.WELSH)).toEqual({
+        templateId: 'alert-cy',
+        translated: true
+      })
+      expect(translateTemplateId('daily-en', LANGUAGE.WELSH)).toEqual({
+        templateId: 'daily-cy',
+        translated: true
+      })
+    })
+
+    it('should leave unmapped templates unchanged', () => {
+      expect(translateTemplateId('alert-cy', LANGUAGE.WELSH)).toEqual({
+        templateId: 'alert-cy',
+        translated: false
+      })
+    })
+
+    it('should not translate English sends', () => {
+      expect(translateTemplateId('alert-en', LANGUAGE.ENGLISH)).toEqual({
+        templateId: 'alert-en',
+        translated: false
+      })
+    })
+  })
+  describe('findTemplateAlias', () => {
+    beforeEach(() => {
+      mockConfig({
+        'notify.templateId': 'otp-en',
+        'notify.welsh.templateId': 'otp-cy',
+        'notify.helpTemplateId': 'help-en'
+      })
+    })
+
+    it('should name configured English and Welsh templates', () => {
+      expect(findTemplateAlias('otp-en')).toBe('otp-sms')
+      expect(findTemplateAlias('otp-cy')).toBe('otp-sms-cy')
+      expect(findTemplateAlias('help-en')).toBe('help-reply')
+    })
+
+    it('should return null for other templates', () => {
+      expect(findTemplateAlias('caller-template')).toBeNull()
+      expect(findTemplateAlias(undefined)).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,248 @@
+import { createLogger } from '../../common/helpers/logging/logger.js'
+import { maskTemplateId } from '../../common/helpers/masking-utils.js'
+import { DEFAULT_LANGUAGE } from './template-language.js'
+
+const TEMPLATE_CHANNEL = {
+  SMS: 'sms',
+  EMAIL: 'email'
+}
+
+// errorCode returned to callers when a send does not match the registry
+const TEMPLATE_ERROR = {
+  UNKNOWN_TEMPLATE: 'unknown_template',
+  CHANNEL_MISMATCH: 'channel_mismatch',
+  LANGUAGE_MISMATCH: 'language_mismatch',
+  INVALID_PERSONALISATION: 'invalid_personalisation'
+}
+
+const PROJECTION = {
+  _id: 0,
+  templateId: 1,
+  alias: 1,
+  channel: 1,
+  language: 1,
+  requiredKeys: 1,
+  optionalKeys: 1
+}
+
+/**
+ * Compare personalisation against a registry entry
+ * @param {object} template - Registry entry
+ * @param {object} personalisation - Values from the request
+ * @returns {object} - { missingKeys, extraKeys }
+ */
+function checkPersonalisation(template, personalisation = {}) {
+  const required = template.requiredKeys || []
+  const allowed = new Set([...required, ...(template.optionalKeys || [])])
+  const supplied = Object.keys(personalisation)
+  return {
+    missingKeys: required.filter((key) => !supplied.includes(key)),
+    extraKeys: supplied.filter((key) => !allowed.has(key))
+  }
+}
+
+/**
+ * Languages a template may be sent in. A Welsh send with no Welsh template
+ * mapped falls back to the English one (or the caller passed a Welsh id).
+ * @param {string} language - Language of the send
+ * @param {boolean} translated - Whether a Welsh template was swapped in
+ * @returns {string[]}
+ */
+function acceptedLanguages(language, translated) {
+  return translated ? [language] : [language, DEFAULT_LANGUAGE]
+}
+
+/**
+ * Notify templates callers may send through /send-notification, registered
+ * through the /admin/templates routes
+ * Collection: notification-templates
+ * Document shape:
+ * {
+ *   templateId: string,       // GOV.UK Notify template id
+ *   alias: string,            // readable name, e.g. 'daqi-alert-sms'
+ *   channel: string,          // 'sms' | 'email'
+ *   language: string,         // 'en' | 'cy'
+ *   requiredKeys: string[],   // personalisation every send must supply
+ *   optionalKeys: string[]    // personalisation that may be supplied
+ * }
+ */
+class TemplateRegistryService {
+  /**
+   * Creates a new TemplateRegistryService instance
+   * @param {object} db - MongoDB database instance
+   * @param {object} logger - Logger instance
+   */
+  constructor(db, logger) {
+    this.db = db
+    this.logger = logger || createLogger()
+    this.collection = db.collection('notification-templates')
+  }
+
+  /**
+   * @param {string} templateId - GOV.UK Notify template id
+   * @returns {Promise<object|null>} - The registry entry, or null when unregistered
+   */
+  async findTemplate(templateId) {
+    try {
+      return await this.collection.findOne(
+        { templateId },
+        { projection: PROJECTION }
+      )
+    } catch (error) {
+      this.logger.error(
+        `template_registry.lookup.error ${JSON.stringify({ templateId: maskTemplateId(templateId), error: error.message })}`
+      )
+      throw new Error(`Failed to look up template: ${error.message}`)
+    }
+  }
+
+  /**
+   * Check a send against the registry before it reaches Notify
+   * @param {object} send
+   * @param {string} send.templateId - Template that will be sent
+   * @param {string} send.channel - 'sms' or 'email'
+   * @param {object} send.personalisation - Values from the request
+   * @param {string} [send.language] - Language of the send
+   * @param {boolean} [send.translated] - Whether a Welsh template was swapped in
+   * @returns {Promise<object>} - { valid: true, template } or
+   *   { valid: false, errorCode, message, missingKeys?, extraKeys? }
+   */
+  async validateSend({
+    templateId,
+    channel,
+    personalisation,
+    language = DEFAULT_LANGUAGE,
+    translated = false
+  }) {
+    const template = await this.findTemplate(templateId)
+    if (!template) {
+      return {
+        valid: false,
+        errorCode: TEMPLATE_ERROR.UNKNOWN_TEMPLATE,
+        message: 'Template is not registered'
+      }
+    }
+
+    if (template.channel !== channel) {
+      return {
+        valid: false,
+        errorCode: TEMPLATE_ERROR.CHANNEL_MISMATCH,
+        message: `Template is for ${template.channel} but the recipient is ${channel === TEMPLATE_CHANNEL.SMS ? 'a phone number' : 'an email address'}`
+      }
+    }
+
+    if (
+      template.language &&
+      !acceptedLanguages(language, translated).includes(template.language)
+    ) {
+      return {
+        valid: false,
+        errorCode: TEMPLATE_ERROR.LANGUAGE_MISMATCH,
+        message: `Template is for ${template.language} but the send is in ${language}`
+      }
+    }
+
+    const { missingKeys, extraKeys } = checkPersonalisation(
+      template,
+      personalisation
+    )
+    if (missingKeys.length || extraKeys.length) {
+      return {
+        valid: false,
+        errorCode: TEMPLATE_ERROR.INVALID_PERSONALISATION,
+        message: 'Personalisation does not match the template',
+        missingKeys,
+        extraKeys
+      }
+    }
+
+    return { valid: true, template }
+  }
+
+  /**
+   * Add a template to the registry, or replace its entry
+   * @param {object} template - templateId, alias, channel, language,
+   *   requiredKeys, optionalKeys
+   * @returns {Promise<object>} - { template, created }
+   */
+  async registerTemplate({ templateId, ...details }) {
+    const now = new Date()
+    try {
+      const result = await this.collection.updateOne(
+        { templateId },
+        {
+          $set: { ...details, updatedAt: now },
+          $setOnInsert: { createdAt: now }
+        },
+        { upsert: true }
+      )
+      const created = result.upsertedCount > 0
+      this.logger.info(
+        `template_registry.registered ${JSON.stringify({ templateId: maskTemplateId(templateId), alias: details.alias, created })}`
+      )
+      return { template: { templateId, ...details }, created }
+    } catch (error) {
+      this.logger.error(
+        `template_registry.register.error ${JSON.stringify({ templateId: maskTemplateId(templateId), error: error.message })}`
+      )
+      throw new Error(`Failed to register template: ${error.message}`)
+    }
+  }
+
+  /**
+   * @returns {Promise<object[]>} - Every registered template, by alias
+   */
+  async listTemplates() {
+    try {
+      return await this.collection
+        .find({}, { projection: PROJECTION })
+        .sort({ alias: 1 })
+        .toArray()
+    } catch (error) {
+      this.logger.error(
+        `template_registry.list.error ${JSON.stringify({ error: error.message })}`
+      )
+      throw new Error(`Failed to list templates: ${error.message}`)
+    }
+  }
+
+  /**
+   * @param {string} templateId - GOV.UK Notify template id
+   * @returns {Promise<object>} - { removed }
+   */
+  async removeTemplate(templateId) {
+    try {
+      const result = await this.collection.deleteOne({ templateId })
+      const removed = result.deletedCount > 0
+      if (removed) {
+        this.logger.info(
+          `template_registry.removed ${JSON.stringify({ templateId: maskTemplateId(templateId) })}`
+        )
+      }
+      return { removed }
+    } catch (error) {
+      this.logger.error(
+        `template_registry.remove.error ${JSON.stringify({ templateId: maskTemplateId(templateId), error: error.message })}`
+      )
+      throw new Error(`Failed to remove template: ${error.message}`)
+    }
+  }
+}
+
+/**
+ * Factory function to create TemplateRegistryService instance
+ * @param {object} db - MongoDB database instance
+ * @param {object} logger - Logger instance
+ * @returns {TemplateRegistryService}
+ */
+function createTemplateRegistryService(db, logger) {
+  return new TemplateRegistryService(db, logger)
+}
+
+export {
+  TEMPLATE_CHANNEL,
+  TEMPLATE_ERROR,
+  TemplateRegistryService,
+  createTemplateRegistryService,
+  checkPersonalisation
+}
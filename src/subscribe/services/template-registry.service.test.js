@@ -0,0 +1,207 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import {
+  TEMPLATE_ERROR,
+  createTemplateRegistryService,
+  checkPersonalisation
+} from './template-registry.service.js'
+
+const ALERT_TEMPLATE = {
+  templateId: 'tmpl-sms-alert',
+  alias: 'daqi-alert-sms',
+  channel: 'sms',
+  language: 'en',
+  requiredKeys: ['area', 'level'],
+  optionalKeys: ['advice']
+}
+
+function createMockLogger() {
+  return { info: vi.fn(), error: vi.fn(), warn: vi.fn(), debug: vi.fn() }
+}
+
+describe('checkPersonalisation', () => {
+  it('should accept required keys with or without optional ones', () => {
+    expect(
+      checkPersonalisation(ALERT_TEMPLATE, { area: 'London', level: 'high' })
+    ).toEqual({ missingKeys: [], extraKeys: [] })
+    expect(
+      checkPersonalisation(ALERT_TEMPLATE, {
+        area: 'London',
+        level: 'high',
+        advice: 'Stay inside'
+      })
+    ).toEqual({ missingKeys: [], extraKeys: [] })
+  })
+
+  it('should report missing and unexpected keys', () => {
+    expect(
+      checkPersonalisation(ALERT_TEMPLATE, { area: 'London', name: 'Sam' })
+    ).toEqual({ missingKeys: ['level'], extraKeys: ['name'] })
+  })
+})
+
+describe('TemplateRegistryService', () => {
+  let collection
+  let logger
+  let service
+
+  beforeEach(() => {
+    collection = { findOne: vi.fn().mockResolvedValue(ALERT_TEMPLATE) }
+    logger = createMockLogger()
+    service = createTemplateRegistryService(
+      { collection: vi.fn(() => collection) },
+      logger
+    )
+  })
+
+  it('should look templates up by id', async () => {
+    await service.findTemplate('tmpl-sms-alert')
+
+    expect(collection.findOne).toHaveBeenCalledWith(
+      { templateId: 'tmpl-sms-alert' },
+      { projection: expect.objectContaining({ _id: 0 }) }
+    )
+  })
+
+  it('should accept a matching send', async () => {
+    const result = await service.validateSend({
+      templateId: 'tmpl-sms-alert',
+      channel: 'sms',
+      personalisation: { area: 'London', level: 'high' }
+    })
+
+    expect(result).toEqual({ valid: true, template: ALERT_TEMPLATE })
+  })
+
+  it('should reject an unregistered template', async () => {
+    collection.findOne.mockResolvedValue(null)
+
+    const result = await service.validateSend({
+      templateId: 'unknown',
+      channel: 'sms',
+      personalisation: {}
+    })
+
+    expect(result.valid).toBe(false)
+    expect(result.errorCode).toBe(TEMPLATE_ERROR.UNKNOWN_TEMPLATE)
+  })
+
+  it('should reject an SMS template sent to an email address', async () => {
+    const result = await service.validateSend({
+      templateId: 'tmpl-sms-alert',
+      channel: 'email',
+      personalisation: { area: 'London', level: 'high' }
+    })
+
+    expect(result.errorCode).toBe(TEMPLATE_ERROR.CHANNEL_MISMATCH)
+    expect(result.message).toBe(
+      'Template is for sms but the recipient is an email address'
+    )
+  })
+
+  it('should reject personalisation that does not match', async () => {
+    const result = await service.validateSend({
+      templateId: 'tmpl-sms-alert',
+      channel: 'sms',
+      personalisation: { area: 'London' }
+    })
+
+    expect(result).toMatchObject({
+      valid: false,
+      errorCode: TEMPLATE_ERROR.INVALID_PERSONALISATION,
+      missingKeys: ['level'],
+      extraKeys: []
+    })
+  })
+
+  it('should reject a template in another language', async () => {
+    collection.findOne.mockResolvedValue({ ...ALERT_TEMPLATE, language: 'cy' })
+
+    const result = await service.validateSend({
+      templateId: 'tmpl-sms-alert',
+      channel: 'sms',
+      personalisation: { area: 'London', level: 'high' },
+      language: 'en'
+    })
+
+    expect(result).toMatchObject({
+      valid: false,
+      errorCode: TEMPLATE_ERROR.LANGUAGE_MISMATCH,
+      message: 'Template is for cy but the send is in en'
+    })
+  })
+
+  it('should accept an English template for a Welsh send with no Welsh template', async () => {
+    const send = {
+      templateId: 'tmpl-sms-alert',
+      channel: 'sms',
+      personalisation: { area: 'London', level: 'high' },
+      language: 'cy'
+    }
+
+    expect((await service.validateSend(send)).valid).toBe(true)
+    expect(
+      (await service.validateSend({ ...send, translated: true })).errorCode
+    ).toBe(TEMPLATE_ERROR.LANGUAGE_MISMATCH)
+  })
+
+  it('should register a template, reporting whether it is new', async () => {
+    collection.updateOne = vi.fn().mockResolvedValue({ upsertedCount: 1 })
+    const { templateId, ...details } = ALERT_TEMPLATE
+
+    const result = await service.registerTemplate(ALERT_TEMPLATE)
+
+    expect(result).toEqual({ template: ALERT_TEMPLATE, created: true })
+    expect(collection.updateOne).toHaveBeenCalledWith(
+      { templateId },
+      {
+        $set: { ...details, updatedAt: expect.any(Date) },
+        $setOnInsert: { createdAt: expect.any(Date) }
+      },
+      { upsert: true }
+    )
+  })
+
+  it('should list templates by alias', async () => {
+    const cursor = {
+      sort: vi.fn().mockReturnThis(),
+      toArray: vi.fn().mockResolvedValue([ALERT_TEMPLATE])
+    }
+    collection.find = vi.fn(() => cursor)
+
+    expect(await service.listTemplates()).toEqual([ALERT_TEMPLATE])
+    expect(cursor.sort).toHaveBeenCalledWith({ alias: 1 })
+  })
+
+  it('should remove a template', async () => {
+    collection.deleteOne = vi
+      .fn()
+      .mockResolvedValueOnce({ deletedCount: 1 })
+      .mockResolvedValueOnce({ deletedCount: 0 })
+
+    expect(await service.removeTemplate('tmpl-sms-alert')).toEqual({
+      removed: true
+    })
+    expect(await service.removeTemplate('tmpl-sms-alert')).toEqual({
+      removed: false
+    })
+  })
+
+  it('should wrap register failures', async () => {
+    collection.updateOne = vi.fn().mockRejectedValue(new Error('timeout'))
+
+    await expect(service.registerTemplate(ALERT_TEMPLATE)).rejects.toThrow(
+      'Failed to register template: timeout'
+    )
+  })
+
+  it('should wrap lookup failures', async () => {
+    collection.findOne.mockRejectedValue(new Error('timeout'))
+
+    await expect(service.findTemplate('tmpl-sms-alert')).rejects.toThrow(
+      'Failed to look up template: timeout'
+    )
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining('template_registry.lookup.error')
+    )
+  })
+})
@@ -1,6 +1,13 @@
 import { createLogger } from '../../common/helpers/logging/logger.js'
 import { randomUUID } from 'node:crypto'
 import { maskContact } from '../../common/helpers/masking-utils.js'
+import { config } from '../../config.js'
+import {
+  SECRET_ALGORITHM,
+  hashSecret,
+  secretMatches
+} from '../../common/helpers/secret-hash.js'
+import { DEFAULT_LANGUAGE } from './template-language.js'
 
 /**
  * Service for managing user contact details in MongoDB
@@ -8,9 +15,13 @@ import { maskContact } from '../../common/helpers/masking-utils.js'
  * Document shape:
  * {
  *   contact: string,             // normalized phone (+447...) or lowercased email
- *   secret: string,              // OTP (phone) or token (email link)
+ *   secret: string,              // HMAC of the OTP (phone) or token (email link)
+ *   secretAlgorithm: string,     // 'hmac-sha256'; absent on legacy plaintext documents
  *   expiryTime: Date,
  *   validated: boolean,
+ *   failedAttempts: number,      // failed validations against the current secret
+ *   lockedUntil: Date|null,      // set once failedAttempts reaches otp.maxAttempts
+ *   language: string,            // 'en' | 'cy', used for later replies to this contact
  *   createdAt: Date,
  *   updatedAt: Date
  * }
@@ -32,16 +43,26 @@ class UserContactService {
    * @param {string} contact - The normalized phone number or lowercased email
    * @param {string} secret - The generated secret
    * @param {Date} expiryTime - When the secret expires
+   * @param {string} [language] - Language the contact asked for ('en' or 'cy')
    * @returns {Promise<object>} - Database operation result
    */
-  async storeVerificationDetails(contact, secret, expiryTime) {
+  async storeVerificationDetails(
+    contact,
+    secret,
+    expiryTime,
+    language = DEFAULT_LANGUAGE
+  ) {
     const operationId = `store_${randomUUID()}`
     try {
       const document = {
         contact,
-        secret,
+        secret: hashSecret(secret),
+        secretAlgorithm: SECRET_ALGORITHM,
         expiryTime,
         validated: false,
+        failedAttempts: 0,
+        lockedUntil: null,
+        language,
         createdAt: new Date(),
         updatedAt: new Date()
       }
@@ -88,17 +109,34 @@ class UserContactService {
           error: 'Contact Detail not found'
         }
       }
-      if (document.secret !== secret) {
+
+      const now = new Date()
+      if (document.lockedUntil && new Date(document.lockedUntil) > now) {
         this.logger.warn(
-          `user_contact.validate.secret_mismatch ${JSON.stringify({ operationId, contact: maskContact(contact) })}`
+          `user_contact.validate.locked ${JSON.stringify({ operationId, contact: maskContact(contact), lockedUntil: new Date(document.lockedUntil).toISOString() })}`
         )
         return {
           valid: false,
-          error: 'Invalid secret'
+          error: 'Too many failed attempts',
+          errorCode: 'otp_locked',
+          lockedUntil: new Date(document.lockedUntil)
         }
       }
 
-      const now = new Date()
+      if (!document.secret) {
+        this.logger.warn(
+          `user_contact.validate.secret_invalidated ${JSON.stringify({ operationId, contact: maskContact(contact) })}`
+        )
+        return {
+          valid: false,
+          error: 'Secret has been invalidated'
+        }
+      }
+
+      if (!secretMatches(secret, document)) {
+        return this.recordFailedAttempt(contact, operationId)
+      }
+
       const expiryTime = new Date(document.expiryTime)
       if (now > expiryTime) {
         this.logger.warn(
@@ -150,6 +188,86 @@ class UserContactService {
     }
   }
 
+  /**
+   * Count a failed validation attempt and lock the contact out once the
+   * configured maximum is reached. The secret is cleared on lockout so it
+   * cannot be guessed after the cooldown ends.
+   * @param {string} contact - The normalized phone number or lowercased email
+   * @param {string} operationId - Operation ID of the calling validation
+   * @returns {Promise<object>} - Validation result
+   */
+  async recordFailedAttempt(contact, operationId) {
+    const maxAttempts = config.get('otp.maxAttempts')
+    const document = await this.collection.findOneAndUpdate(
+      { contact },
+      {
+        $inc: { failedAttempts: 1 },
+        $set: { updatedAt: new Date() }
+      },
+      { returnDocument: 'after' }
+    )
+    const failedAttempts = document?.failedAttempts ?? maxAttempts
+
+    if (failedAttempts >= maxAttempts) {
+      const lockedUntil = new Date(
+        Date.now() + config.get('otp.lockoutMinutes') * 60 * 1000
+      )
+      await this.collection.updateOne(
+        { contact },
+        {
+          $set: {
+            secret: null,
+            lockedUntil,
+            updatedAt: new Date()
+          }
+        }
+      )
+      this.logger.warn(
+        `user_contact.validate.locked_out ${JSON.stringify({ operationId, contact: maskContact(contact), failedAttempts, lockedUntil: lockedUntil.toISOString() })}`
+      )
+      return {
+        valid: false,
+        error: 'Too many failed attempts',
+        errorCode: 'otp_locked',
+        lockedUntil
+      }
+    }
+
+    const attemptsRemaining = maxAttempts - failedAttempts
+    this.logger.warn(
+      `user_contact.validate.secret_mismatch ${JSON.stringify({ operationId, contact: maskContact(contact), failedAttempts, attemptsRemaining })}`
+    )
+    return {
+      valid: false,
+      error: 'Invalid secret',
+      errorCode: 'invalid_otp',
+      attemptsRemaining
+    }
+  }
+
+  /**
+   * Get the active lockout for a contact, if any
+   * @param {string} contact - The normalized phone number or lowercased email
+   * @returns {Promise<Date|null>} - When the lockout ends, or null if not locked
+   */
+  async getActiveLockout(contact) {
+    try {
+      const document = await this.collection.findOne(
+        { contact },
+        { projection: { lockedUntil: 1 } }
+      )
+      const lockedUntil = document?.lockedUntil
+        ? new Date(document.lockedUntil)
+        : null
+      return lockedUntil && lockedUntil > new Date() ? lockedUntil : null
+    } catch (error) {
+      this.logger.error(
+        `user_contact.lockout.error ${JSON.stringify({ contact: maskContact(contact), error: error.message, errorName: error.name })}`
+      )
+      throw new Error(`Failed to get lockout: ${error.message}`)
+    }
+  }
+
   /**
    * Get user contact details by phone number
    * @param {string} contact - The normalized phone number or lowercased email
@@ -14,6 +14,7 @@ function createMockCollection() {
   return {
     replaceOne: vi.fn(),
     findOne: vi.fn(),
+    findOneAndUpdate: vi.fn(),
     updateOne: vi.fn(),
     deleteMany: vi.fn()
   }
@@ -126,9 +127,13 @@ describe('User Contact Service', () => {
         { contact },
         {
           contact,
-          secret,
+          secret: expect.stringMatching(/^[0-9a-f]{64}$/),
+          secretAlgorithm: 'hmac-sha256',
           expiryTime,
           validated: false,
+          failedAttempts: 0,
+          lockedUntil: null,
+          language: 'en',
           createdAt: expect.any(Date),
           updatedAt: expect.any(Date)
         },
@@ -140,6 +145,8 @@ describe('User Contact Service', () => {
         upserted: true,
         modified: false
       })
+      const storedDocument = mockCollection.replaceOne.mock.calls[0][1]
+      expect(storedDocument.secret).not.toBe(secret)
 
       expect(mockLogger.debug).toHaveBeenCalledWith(
         expect.stringContaining('user_contact.store.success')
@@ -250,6 +257,7 @@ describe('User Contact Service', () => {
         expiryTime: new Date('2025-12-31T23:59:59Z'),
         validated: false
       })
+      mockCollection.findOneAndUpdate.mockResolvedValue({ failedAttempts: 1 })
 
       const mockDb = createMockDb(mockCollection)
       const service = new UserContactService(mockDb)
@@ -258,11 +266,119 @@ describe('User Contact Service', () => {
 
       expect(result).toEqual({
         valid: false,
-        error: 'Invalid secret'
+        error: 'Invalid secret',
+        errorCode: 'invalid_otp',
+        attemptsRemaining: 4
       })
+      expect(mockCollection.findOneAndUpdate).toHaveBeenCalledWith(
+        { contact: '+447123456789' },
+        {
+          $inc: { failedAttempts: 1 },
+          $set: { updatedAt: expect.any(Date) }
+        },
+        { returnDocument: 'after' }
+      )
+      expect(mockCollection.updateOne).not.toHaveBeenCalled()
+    })
+
+    it('should lock out and invalidate the secret on the final failed attempt', async () => {
+      setupLoggerMock(mockLogger)
+
+      const { UserContactService } = await import('./user-contact-service.js')
+
+      const mockCollection = createMockCollection()
+      mockCollection.findOne.mockResolvedValue({
+        secret: '123456',
+        expiryTime: new Date('2030-12-31T23:59:59Z'),
+        validated: false,
+        failedAttempts: 4
+      })
+      mockCollection.findOneAndUpdate.mockResolvedValue({ failedAttempts: 5 })
+      mockCollection.updateOne.mockResolvedValue({ modifiedCount: 1 })
+
+      const mockDb = createMockDb(mockCollection)
+      const service = new UserContactService(mockDb)
+
+      const result = await service.validateSecret('+447123456789', '654321')
+
+      expect(result).toEqual({
+        valid: false,
+        error: 'Too many failed attempts',
+        errorCode: 'otp_locked',
+        lockedUntil: expect.any(Date)
+      })
+      expect(result.lockedUntil.getTime()).toBeGreaterThan(Date.now())
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { contact: '+447123456789' },
+        {
+          $set: {
+            secret: null,
+            lockedUntil: expect.any(Date),
+            updatedAt: expect.any(Date)
+          }
+        }
+      )
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        expect.stringContaining('user_contact.validate.locked_out')
+      )
+    })
+
+    it('should reject validation while the contact is locked out', async () => {
+      setupLoggerMock(mockLogger)
+
+      const { UserContactService } = await import('./user-contact-service.js')
+
+      const lockedUntil = new Date(Date.now() + 10 * 60 * 1000)
+      const mockCollection = createMockCollection()
+      mockCollection.findOne.mockResolvedValue({
+        secret: null,
+        expiryTime: new Date('2030-12-31T23:59:59Z'),
+        validated: false,
+        failedAttempts: 5,
+        lockedUntil
+      })
+
+      const mockDb = createMockDb(mockCollection)
+      const service = new UserContactService(mockDb)
+
+      const result = await service.validateSecret('+447123456789', '123456')
+
+      expect(result).toEqual({
+        valid: false,
+        error: 'Too many failed attempts',
+        errorCode: 'otp_locked',
+        lockedUntil
+      })
+      expect(mockCollection.findOneAndUpdate).not.toHaveBeenCalled()
       expect(mockCollection.updateOne).not.toHaveBeenCalled()
     })
 
+    it('should reject an invalidated secret once the lockout has ended', async () => {
+      setupLoggerMock(mockLogger)
+
+      const { UserContactService } = await import('./user-contact-service.js')
+
+      const mockCollection = createMockCollection()
+      mockCollection.findOne.mockResolvedValue({
+        secret: null,
+        expiryTime: new Date('2030-12-31T23:59:59Z'),
+        validated: false,
+        failedAttempts: 5,
+        lockedUntil: new Date('2020-01-01T00:00:00Z')
+      })
+
+      const mockDb = createMockDb(mockCollection)
+      const service = new UserContactService(mockDb)
+
+      const result = await service.validateSecret('+447123456789', '123456')
+
+      expect(result).toEqual({
+        valid: false,
+        error: 'Secret has been invalidated'
+      })
+      expect(mockCollection.findOneAndUpdate).not.toHaveBeenCalled()
+    })
+
     it('should return error when secret has expired', async () => {
       setupLoggerMock(mockLogger)
 
@@ -345,6 +461,35 @@ describe('User Contact Service', () => {
       )
     })
 
+    it('should validate a hashed secret written by storeVerificationDetails', async () => {
+      setupLoggerMock(mockLogger)
+
+      const { UserContactService } = await import('./user-contact-service.js')
+
+      const mockCollection = createMockCollection()
+      mockCollection.replaceOne.mockResolvedValue({
+        upsertedId: 'new-id-123',
+        modifiedCount: 0
+      })
+      mockCollection.updateOne.mockResolvedValue({ modifiedCount: 1 })
+
+      const mockDb = createMockDb(mockCollection)
+      const service = new UserContactService(mockDb)
+
+      await service.storeVerificationDetails(
+        '+447123456789',
+        '12345',
+        new Date('2030-12-31T23:59:59Z')
+      )
+      mockCollection.findOne.mockResolvedValue(
+        mockCollection.replaceOne.mock.calls[0][1]
+      )
+
+      await expect(
+        service.validateSecret('+447123456789', '12345')
+      ).resolves.toEqual({ valid: true, error: null })
+    })
+
     it('should handle database errors in validateSecret', async () => {
       setupLoggerMock(mockLogger)
 
@@ -369,6 +514,59 @@ describe('User Contact Service', () => {
     })
   })
 
+  describe('getActiveLockout method', () => {
+    it('should return lockedUntil when the lockout is still active', async () => {
+      setupLoggerMock(mockLogger)
+
+      const { UserContactService } = await import('./user-contact-service.js')
+
+      const lockedUntil = new Date(Date.now() + 60 * 1000)
+      const mockCollection = createMockCollection()
+      mockCollection.findOne.mockResolvedValue({ lockedUntil })
+
+      const service = new UserContactService(createMockDb(mockCollection))
+
+      await expect(service.getActiveLockout('+447123456789')).resolves.toEqual(
+        lockedUntil
+      )
+    })
+
+    it('should return null when the lockout has ended or never existed', async () => {
+      setupLoggerMock(mockLogger)
+
+      const { UserContactService } = await import('./user-contact-service.js')
+
+      const mockCollection = createMockCollection()
+      mockCollection.findOne
+        .mockResolvedValueOnce({ lockedUntil: new Date('2020-01-01') })
+        .mockResolvedValueOnce(null)
+
+      const service = new UserContactService(createMockDb(mockCollection))
+
+      await expect(service.getActiveLockout('+447123456789')).resolves.toBe(
+        null
+      )
+      await expect(service.getActiveLockout('+447123456789')).resolves.toBe(
+        null
+      )
+    })
+
+    it('should handle database errors in getActiveLockout', async () => {
+      setupLoggerMock(mockLogger)
+
+      const { UserContactService } = await import('./user-contact-service.js')
+
+      const mockCollection = createMockCollection()
+      mockCollection.findOne.mockRejectedValue(new Error('Database error'))
+
+      const service = new UserContactService(createMockDb(mockCollection))
+
+      await expect(service.getActiveLockout('+447123456789')).rejects.toThrow(
+        'Failed to get lockout: Database error'
+      )
+    })
+  })
+
   describe('getUserByContact method - Integration Tests', () => {
     it('should return user document when found', async () => {
       setupLoggerMock(mockLogger)
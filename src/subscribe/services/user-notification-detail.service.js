@@ -1,4 +1,22 @@
 import { createLogger } from '../../common/helpers/logging/logger.js'
+import { encodeCursor, decodeCursor } from '../../common/helpers/pagination.js'
+
+// Statuses Notify reports before a notification reaches a final state
+const PENDING_STATUSES = ['submitted', 'created', 'sending', 'pending']
+
+// Fields returned by the query API; statusHistory only on single lookups
+const LIST_PROJECTION = {
+  _id: 0,
+  notificationId: 1,
+  alertId: 1,
+  channel: 1,
+  language: 1,
+  notifyStatus: 1,
+  createdAt: 1,
+  sentAt: 1,
+  completedAt: 1,
+  statusUpdatedAt: 1
+}
 
 class UserNotificationDetailService {
   constructor(db, logger) {
@@ -7,13 +25,25 @@ class UserNotificationDetailService {
     this.collection = db.collection('user-notification-details')
   }
 
-  async storeNotificationDetail({ notificationId, alertId, notifyStatus }) {
+  async storeNotificationDetail({
+    notificationId,
+    alertId,
+    channel,
+    batchId,
+    language,
+    serviceId,
+    notifyStatus
+  }) {
     try {
       const document = {
         notificationId,
         alertId,
+        channel,
         notifyStatus,
-        createdAt: new Date()
+        createdAt: new Date(),
+        ...(batchId && { batchId }),
+        ...(language && { language }),
+        ...(serviceId && { serviceId })
       }
 
       const result = await this.collection.insertOne(document)
@@ -28,10 +58,225 @@ class UserNotificationDetailService {
       throw new Error(`Failed to store notification detail: ${error.message}`)
     }
   }
+
+  /**
+   * Apply a GOV.UK Notify delivery receipt to the stored notification
+   * @param {object} receipt
+   * @param {string} receipt.notificationId - Notify notification id
+   * @param {string} receipt.status - delivered | permanent-failure | temporary-failure | technical-failure
+   * @param {Date} [receipt.sentAt] - When Notify sent the message to the provider
+   * @param {Date} [receipt.completedAt] - When the final status was reached
+   * @param {string} [receipt.source] - 'callback' or 'reconciliation'
+   * @returns {Promise<object>} - { matched: boolean }
+   */
+  async updateDeliveryStatus({
+    notificationId,
+    status,
+    sentAt,
+    completedAt,
+    source = 'callback'
+  }) {
+    try {
+      const now = new Date()
+      const set = {
+        notifyStatus: status,
+        statusUpdatedAt: now,
+        lastCheckedAt: now
+      }
+      if (sentAt) {
+        set.sentAt = sentAt
+      }
+      if (completedAt) {
+        set.completedAt = completedAt
+      }
+
+      const result = await this.collection.updateOne(
+        { notificationId },
+        {
+          $set: set,
+          $push: {
+            statusHistory: {
+              status,
+              source,
+              receivedAt: now,
+              completedAt: completedAt || null
+            }
+          }
+        }
+      )
+
+      const matched = result.matchedCount > 0
+      this.logger.info(
+        `user_notification_detail.status_update.${matched ? 'success' : 'not_found'} ${JSON.stringify({ notificationId, status, source })}`
+      )
+
+      return { matched }
+    } catch (error) {
+      this.logger.error(
+        `user_notification_detail.status_update.error ${JSON.stringify({ notificationId, status, error: error.message })}`
+      )
+      throw new Error(`Failed to update delivery status: ${error.message}`)
+    }
+  }
+
+  /**
+   * Notifications still awaiting a final status that were created, and last
+   * checked, before the given cutoff. Oldest checks come first so a batch
+   * limit still cycles through everything.
+   * @param {object} options
+   * @param {Date} options.staleBefore - Cutoff for createdAt / lastCheckedAt
+   * @param {number} options.limit - Maximum documents to return
+   * @returns {Promise<object[]>}
+   */
+  async findStaleNotifications({ staleBefore, limit }) {
+    try {
+      return await this.collection
+        .find({
+          notifyStatus: { $in: PENDING_STATUSES },
+          createdAt: { $lte: staleBefore },
+          $or: [
+            { lastCheckedAt: { $exists: false } },
+            { lastCheckedAt: { $lte: staleBefore } }
+          ]
+        })
+        .sort({ lastCheckedAt: 1, createdAt: 1 })
+        .limit(limit)
+        .toArray()
+    } catch (error) {
+      this.logger.error(
+        `user_notification_detail.find_stale.error ${JSON.stringify({ error: error.message })}`
+      )
+      throw new Error(`Failed to find stale notifications: ${error.message}`)
+    }
+  }
+
+  /**
+   * Page through the notifications sent for an alert, newest first
+   * @param {object} options
+   * @param {string} options.alertId - Alert correlation id
+   * @param {string[]} [options.statuses] - Only include these notifyStatus values
+   * @param {number} options.limit - Page size
+   * @param {string} [options.cursor] - nextCursor from the previous page
+   * @returns {Promise<object>} - { notifications, nextCursor } or { error } for a bad cursor
+   */
+  async listByAlertId({ alertId, statuses, limit, cursor }) {
+    const filter = { alertId }
+    if (statuses?.length) {
+      filter.notifyStatus = { $in: statuses }
+    }
+    if (cursor) {
+      const lastId = decodeCursor(cursor)
+      if (!lastId) {
+        return { error: 'Invalid cursor' }
+      }
+      filter._id = { $lt: lastId }
+    }
+
+    try {
+      const documents = await this.collection
+        .find(filter, { projection: { ...LIST_PROJECTION, _id: 1 } })
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .toArray()
+
+      const hasMore = documents.length > limit
+      const page = documents.slice(0, limit)
+      return {
+        notifications: page.map(({ _id, ...rest }) => rest),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]._id) : null
+      }
+    } catch (error) {
+      this.logger.error(
+        `user_notification_detail.list.error ${JSON.stringify({ alertId, error: error.message })}`
+      )
+      throw new Error(`Failed to list notifications: ${error.message}`)
+    }
+  }
+
+  /**
+   * @param {string} notificationId - Notify notification id
+   * @returns {Promise<object|null>} - The notification including statusHistory
+   */
+  async getByNotificationId(notificationId) {
+    try {
+      return await this.collection.findOne(
+        { notificationId },
+        { projection: { ...LIST_PROJECTION, statusHistory: 1 } }
+      )
+    } catch (error) {
+      this.logger.error(
+        `user_notification_detail.get.error ${JSON.stringify({ notificationId, error: error.message })}`
+      )
+      throw new Error(`Failed to get notification: ${error.message}`)
+    }
+  }
+
+  /**
+   * Count an alert's notifications by status and by channel
+   * @param {string} alertId - Alert correlation id
+   * @returns {Promise<object>} - { alertId, total, byStatus, byChannel }
+   */
+  async getDeliverySummary(alertId) {
+    try {
+      const groups = await this.collection
+        .aggregate([
+          { $match: { alertId } },
+          {
+            $group: {
+              _id: {
+                channel: { $ifNull: ['$channel', 'unknown'] },
+                status: '$notifyStatus'
+              },
+              count: { $sum: 1 }
+            }
+          }
+        ])
+        .toArray()
+
+      const summary = { alertId, total: 0, byStatus: {}, byChannel: {} }
+      for (const { _id, count } of groups) {
+        const { channel, status } = _id
+        summary.total += count
+        summary.byStatus[status] = (summary.byStatus[status] || 0) + count
+        summary.byChannel[channel] ??= { total: 0, byStatus: {} }
+        summary.byChannel[channel].total += count
+        summary.byChannel[channel].byStatus[status] = count
+      }
+      return summary
+    } catch (error) {
+      this.logger.error(
+        `user_notification_detail.summary.error ${JSON.stringify({ alertId, error: error.message })}`
+      )
+      throw new Error(`Failed to build delivery summary: ${error.message}`)
+    }
+  }
+
+  /**
+   * Record a reconciliation check that found the notification still pending
+   * @param {string} notificationId - Notify notification id
+   * @param {string} status - Status reported by Notify
+   */
+  async markStatusChecked(notificationId, status) {
+    try {
+      await this.collection.updateOne(
+        { notificationId },
+        { $set: { notifyStatus: status, lastCheckedAt: new Date() } }
+      )
+    } catch (error) {
+      this.logger.error(
+        `user_notification_detail.mark_checked.error ${JSON.stringify({ notificationId, status, error: error.message })}`
+      )
+      throw new Error(`Failed to mark status checked: ${error.message}`)
+    }
+  }
 }
 
 function createUserNotificationDetailService(db, logger) {
   return new UserNotificationDetailService(db, logger)
 }
 
-export { UserNotificationDetailService, createUserNotificationDetailService }
+export {
+  PENDING_STATUSES,
+  UserNotificationDetailService,
+  createUserNotificationDetailService
+}
@@ -11,7 +11,11 @@ function createMockLogger() {
 
 function createMockCollection() {
   return {
-    insertOne: vi.fn()
+    insertOne: vi.fn(),
+    updateOne: vi.fn(),
+    find: vi.fn(),
+    findOne: vi.fn(),
+    aggregate: vi.fn()
   }
 }
 
@@ -96,6 +100,7 @@ describe('UserNotificationDetailService', () => {
     const validParams = {
       notificationId: 'notif-123',
       alertId: 'alert-456',
+      channel: 'sms',
       notifyStatus: 'submitted'
     }
 
@@ -110,6 +115,7 @@ describe('UserNotificationDetailService', () => {
         expect.objectContaining({
           notificationId: 'notif-123',
           alertId: 'alert-456',
+          channel: 'sms',
           notifyStatus: 'submitted',
           createdAt: expect.any(Date)
         })
@@ -156,4 +162,321 @@ describe('UserNotificationDetailService', () => {
       )
     })
   })
+
+  describe('updateDeliveryStatus', () => {
+    const receipt = {
+      notificationId: 'notif-123',
+      status: 'delivered',
+      sentAt: new Date('2025-01-01T10:00:00Z'),
+      completedAt: new Date('2025-01-01T10:00:05Z')
+    }
+
+    it('should set status, timestamps and append to statusHistory', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      mockCollection.updateOne.mockResolvedValue({ matchedCount: 1 })
+
+      const result = await service.updateDeliveryStatus(receipt)
+
+      expect(result).toEqual({ matched: true })
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { notificationId: 'notif-123' },
+        {
+          $set: {
+            notifyStatus: 'delivered',
+            statusUpdatedAt: expect.any(Date),
+            lastCheckedAt: expect.any(Date),
+            sentAt: receipt.sentAt,
+            completedAt: receipt.completedAt
+          },
+          $push: {
+            statusHistory: {
+              status: 'delivered',
+              source: 'callback',
+              receivedAt: expect.any(Date),
+              completedAt: receipt.completedAt
+            }
+          }
+        }
+      )
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'user_notification_detail.status_update.success'
+        )
+      )
+    })
+
+    it('should omit missing timestamps', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      mockCollection.updateOne.mockResolvedValue({ matchedCount: 1 })
+
+      await service.updateDeliveryStatus({
+        notificationId: 'notif-123',
+        status: 'temporary-failure'
+      })
+
+      const [, update] = mockCollection.updateOne.mock.calls[0]
+      expect(update.$set).not.toHaveProperty('sentAt')
+      expect(update.$set).not.toHaveProperty('completedAt')
+      expect(update.$push.statusHistory.completedAt).toBeNull()
+    })
+
+    it('should report unmatched notifications', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      mockCollection.updateOne.mockResolvedValue({ matchedCount: 0 })
+
+      const result = await service.updateDeliveryStatus(receipt)
+
+      expect(result).toEqual({ matched: false })
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'user_notification_detail.status_update.not_found'
+        )
+      )
+    })
+
+    it('should throw and log error when updateOne fails', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      mockCollection.updateOne.mockRejectedValue(new Error('DB down'))
+
+      await expect(service.updateDeliveryStatus(receipt)).rejects.toThrow(
+        'Failed to update delivery status: DB down'
+      )
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.stringContaining('user_notification_detail.status_update.error')
+      )
+    })
+  })
+
+  describe('findStaleNotifications', () => {
+    it('should query pending notifications not checked since the cutoff', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      const cursor = {
+        sort: vi.fn().mockReturnThis(),
+        limit: vi.fn().mockReturnThis(),
+        toArray: vi.fn().mockResolvedValue([{ notificationId: 'n1' }])
+      }
+      mockCollection.find.mockReturnValue(cursor)
+      const staleBefore = new Date('2025-01-01T11:30:00Z')
+
+      const result = await service.findStaleNotifications({
+        staleBefore,
+        limit: 25
+      })
+
+      expect(result).toEqual([{ notificationId: 'n1' }])
+      expect(mockCollection.find).toHaveBeenCalledWith({
+        notifyStatus: { $in: ['submitted', 'created', 'sending', 'pending'] },
+        createdAt: { $lte: staleBefore },
+        $or: [
+          { lastCheckedAt: { $exists: false } },
+          { lastCheckedAt: { $lte: staleBefore } }
+        ]
+      })
+      expect(cursor.sort).toHaveBeenCalledWith({
+        lastCheckedAt: 1,
+        createdAt: 1
+      })
+      expect(cursor.limit).toHaveBeenCalledWith(25)
+    })
+
+    it('should wrap database errors', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      mockCollection.find.mockImplementation(() => {
+        throw new Error('DB down')
+      })
+
+      await expect(
+        service.findStaleNotifications({ staleBefore: new Date(), limit: 1 })
+      ).rejects.toThrow('Failed to find stale notifications: DB down')
+    })
+  })
+
+  describe('markStatusChecked', () => {
+    it('should record the status and check time', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      mockCollection.updateOne.mockResolvedValue({ matchedCount: 1 })
+
+      await service.markStatusChecked('n1', 'sending')
+
+      expect(mockCollection.updateOne).toHaveBeenCalledWith(
+        { notificationId: 'n1' },
+        { $set: { notifyStatus: 'sending', lastCheckedAt: expect.any(Date) } }
+      )
+    })
+
+    it('should wrap database errors', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      mockCollection.updateOne.mockRejectedValue(new Error('DB down'))
+
+      await expect(service.markStatusChecked('n1', 'sending')).rejects.toThrow(
+        'Failed to mark status checked: DB down'
+      )
+    })
+  })
+
+  describe('listByAlertId', () => {
+    const ids = [
+      '65a000000000000000000003',
+      '65a000000000000000000002',
+      '65a000000000000000000001'
+    ]
+
+    function mockFind(documents) {
+      const cursor = {
+        sort: vi.fn().mockReturnThis(),
+        limit: vi.fn().mockReturnThis(),
+        toArray: vi.fn().mockResolvedValue(documents)
+      }
+      mockCollection.find.mockReturnValue(cursor)
+      return cursor
+    }
+
+    async function documentsFor(hexIds) {
+      const { ObjectId } = await import('mongodb')
+      return hexIds.map((hex, i) => ({
+        _id: new ObjectId(hex),
+        notificationId: `n${i}`,
+        notifyStatus: 'delivered'
+      }))
+    }
+
+    it('should return a page and a cursor when more results exist', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      const cursor = mockFind(await documentsFor(ids))
+
+      const result = await service.listByAlertId({
+        alertId: 'alert-1',
+        statuses: ['delivered'],
+        limit: 2
+      })
+
+      expect(mockCollection.find).toHaveBeenCalledWith(
+        { alertId: 'alert-1', notifyStatus: { $in: ['delivered'] } },
+        expect.any(Object)
+      )
+      expect(cursor.sort).toHaveBeenCalledWith({ _id: -1 })
+      expect(cursor.limit).toHaveBeenCalledWith(3)
+      expect(result.notifications).toEqual([
+        { notificationId: 'n0', notifyStatus: 'delivered' },
+        { notificationId: 'n1', notifyStatus: 'delivered' }
+      ])
+      expect(result.nextCursor).toEqual(expect.any(String))
+    })
+
+    it('should continue after the cursor and end with a null cursor', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      mockFind(await documentsFor(ids))
+      const { nextCursor } = await service.listByAlertId({
+        alertId: 'alert-1',
+        limit: 2
+      })
+      mockFind(await documentsFor(ids.slice(2)))
+
+      const result = await service.listByAlertId({
+        alertId: 'alert-1',
+        limit: 2,
+        cursor: nextCursor
+      })
+
+      const [filter] = mockCollection.find.mock.calls[1]
+      expect(filter._id.$lt.toHexString()).toBe(ids[1])
+      expect(result.nextCursor).toBeNull()
+    })
+
+    it('should reject a malformed cursor', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+
+      const result = await service.listByAlertId({
+        alertId: 'alert-1',
+        limit: 2,
+        cursor: 'not-a-cursor'
+      })
+
+      expect(result).toEqual({ error: 'Invalid cursor' })
+      expect(mockCollection.find).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('getByNotificationId', () => {
+    it('should return the notification with its status history', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      mockCollection.findOne.mockResolvedValue({ notificationId: 'n1' })
+
+      const result = await service.getByNotificationId('n1')
+
+      expect(result).toEqual({ notificationId: 'n1' })
+      expect(mockCollection.findOne).toHaveBeenCalledWith(
+        { notificationId: 'n1' },
+        {
+          projection: expect.objectContaining({ _id: 0, statusHistory: 1 })
+        }
+      )
+    })
+
+    it('should wrap database errors', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      mockCollection.findOne.mockRejectedValue(new Error('DB down'))
+
+      await expect(service.getByNotificationId('n1')).rejects.toThrow(
+        'Failed to get notification: DB down'
+      )
+    })
+  })
+
+  describe('getDeliverySummary', () => {
+    it('should count notifications by status and channel', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      mockCollection.aggregate.mockReturnValue({
+        toArray: vi.fn().mockResolvedValue([
+          { _id: { channel: 'sms', status: 'delivered' }, count: 5 },
+          { _id: { channel: 'sms', status: 'permanent-failure' }, count: 1 },
+          { _id: { channel: 'email', status: 'delivered' }, count: 3 }
+        ])
+      })
+
+      const result = await service.getDeliverySummary('alert-1')
+
+      expect(mockCollection.aggregate.mock.calls[0][0][0]).toEqual({
+        $match: { alertId: 'alert-1' }
+      })
+      expect(result).toEqual({
+        alertId: 'alert-1',
+        total: 9,
+        byStatus: { delivered: 8, 'permanent-failure': 1 },
+        byChannel: {
+          sms: {
+            total: 6,
+            byStatus: { delivered: 5, 'permanent-failure': 1 }
+          },
+          email: { total: 3, byStatus: { delivered: 3 } }
+        }
+      })
+    })
+
+    it('should wrap database errors', async () => {
+      const { createUserNotificationDetailService } = await loadService()
+      const service = createUserNotificationDetailService(mockDb, mockLogger)
+      mockCollection.aggregate.mockImplementation(() => {
+        throw new Error('DB down')
+      })
+
+      await expect(service.getDeliverySummary('alert-1')).rejects.toThrow(
+        'Failed to build delivery summary: DB down'
+      )
+    })
+  })
 })
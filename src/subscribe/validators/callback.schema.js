@@ -0,0 +1,33 @@
+import Joi from 'joi'
+
+export const DELIVERY_STATUSES = [
+  'delivered',
+  'permanent-failure',
+  'temporary-failure',
+  'technical-failure'
+]
+
+// GOV.UK Notify delivery receipt; Notify may add fields, so unknown keys are allowed
+export const deliveryStatusCallbackSchema = Joi.object({
+  id: Joi.string().required(),
+  reference: Joi.string().allow(null, '').optional(),
+  to: Joi.string().optional(),
+  status: Joi.string()
+    .valid(...DELIVERY_STATUSES)
+    .required(),
+  created_at: Joi.date().iso().allow(null).optional(),
+  completed_at: Joi.date().iso().allow(null).optional(),
+  sent_at: Joi.date().iso().allow(null).optional(),
+  notification_type: Joi.string().optional(),
+  template_id: Joi.string().optional(),
+  template_version: Joi.number().optional()
+}).unknown(true)
+
+// GOV.UK Notify received text message callback
+export const receivedTextCallbackSchema = Joi.object({
+  id: Joi.string().required(),
+  source_number: Joi.string().required(),
+  destination_number: Joi.string().optional(),
+  message: Joi.string().allow('').required(),
+  date_received: Joi.date().iso().required()
+}).unknown(true)
@@ -0,0 +1,8 @@
+import Joi from 'joi'
+
+export const IDEMPOTENCY_KEY_HEADER = 'idempotency-key'
+
+// Optional Idempotency-Key; other headers pass through untouched
+export const idempotencyHeadersSchema = Joi.object({
+  [IDEMPOTENCY_KEY_HEADER]: Joi.string().min(1).max(255).optional()
+}).unknown(true)
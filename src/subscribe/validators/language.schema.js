@@ -0,0 +1,10 @@
+import Joi from 'joi'
+import {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES
+} from '../services/template-language.js'
+
+// 'en' or 'cy'; selects which template variant is sent
+export const languageSchema = Joi.string()
+  .valid(...SUPPORTED_LANGUAGES)
+  .default(DEFAULT_LANGUAGE)
@@ -1,11 +1,13 @@
 import Joi from 'joi'
+import { languageSchema } from './language.schema.js'
 
 const generateLinkSchema = Joi.object({
   emailAddress: Joi.string().email().required(),
   alertType: Joi.string().required(),
   location: Joi.string().required(),
   lat: Joi.number().required(),
-  long: Joi.number().required()
+  long: Joi.number().required(),
+  language: languageSchema
 })
 
 export { generateLinkSchema }
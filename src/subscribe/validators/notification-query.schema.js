@@ -0,0 +1,36 @@
+import Joi from 'joi'
+
+export const NOTIFICATION_STATUSES = [
+  'submitted',
+  'created',
+  'sending',
+  'pending',
+  'sent',
+  'delivered',
+  'permanent-failure',
+  'temporary-failure',
+  'technical-failure'
+]
+
+export const listNotificationsQuerySchema = Joi.object({
+  alertId: Joi.string().required(),
+  // ?status=delivered&status=permanent-failure or a single value
+  status: Joi.array()
+    .items(Joi.string().valid(...NOTIFICATION_STATUSES))
+    .single()
+    .optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional()
+})
+
+export const notificationIdParamsSchema = Joi.object({
+  notificationId: Joi.string().required()
+})
+
+export const outboxIdParamsSchema = Joi.object({
+  outboxId: Joi.string().guid().required()
+})
+
+export const alertIdParamsSchema = Joi.object({
+  alertId: Joi.string().required()
+})
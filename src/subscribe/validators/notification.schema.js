@@ -1,9 +1,51 @@
 import Joi from 'joi'
+import { languageSchema } from './language.schema.js'
+import { SUPPORTED_LANGUAGES } from '../services/template-language.js'
 
 export const sendNotificationSchema = Joi.object({
   phoneNumber: Joi.string().optional(),
   emailAddress: Joi.string().email().optional(),
   templateId: Joi.string().required(),
   personalisation: Joi.object().required(),
-  alertId: Joi.string().optional()
+  alertId: Joi.string().optional(),
+  // Notify service to send through; see notify.services
+  serviceId: Joi.string().optional(),
+  language: languageSchema
 }).or('phoneNumber', 'emailAddress')
+
+export const MAX_BATCH_RECIPIENTS = 1000
+
+export const sendNotificationBatchSchema = Joi.object({
+  alertId: Joi.string().required(),
+  templateId: Joi.string().required(),
+  // Shared across recipients; per-recipient values take precedence
+  personalisation: Joi.object().default({}),
+  serviceId: Joi.string().optional(),
+  language: languageSchema,
+  recipients: Joi.array()
+    .items(
+      Joi.object({
+        phoneNumber: Joi.string(),
+        emailAddress: Joi.string().email(),
+        personalisation: Joi.object().default({}),
+        // Overrides the batch language for this recipient
+        language: Joi.string()
+          .valid(...SUPPORTED_LANGUAGES)
+          .optional()
+      }).xor('phoneNumber', 'emailAddress')
+    )
+    .min(1)
+    .max(MAX_BATCH_RECIPIENTS)
+    .required()
+})
+
+export const batchIdParamsSchema = Joi.object({
+  batchId: Joi.string().uuid().required()
+})
+
+export const batchRecipientsQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'submitted', 'failed').optional(),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  // Index of the last recipient on the previous page
+  cursor: Joi.number().integer().min(0).optional()
+})
@@ -1,13 +1,15 @@
 /* eslint-disable no-useless-escape */
 
 import Joi from 'joi'
+import { languageSchema } from './language.schema.js'
 
 const generateOtpSchema = Joi.object({
   phoneNumber: Joi.string()
     .required()
     .min(10)
     .max(15)
-    .pattern(/^[\+\d\s\-\(\)]+$/)
+    .pattern(/^[\+\d\s\-\(\)]+$/),
+  language: languageSchema
 })
 
 const validateOtpSchema = Joi.object({
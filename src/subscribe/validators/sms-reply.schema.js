@@ -0,0 +1,51 @@
+import Joi from 'joi'
+
+export const SMS_REPLY_STATUSES = [
+  'unsubscribed',
+  'user_not_found',
+  'duplicate_stop',
+  'resubscribed',
+  'resubscribe_user_not_found',
+  'duplicate_start',
+  'help_sent',
+  'help_not_sent',
+  'duplicate_help',
+  'ignored',
+  'processing',
+  'pending',
+  'dead_letter'
+]
+
+export const listSmsRepliesQuerySchema = Joi.object({
+  // ?status=unsubscribed&status=user_not_found or a single value
+  status: Joi.array()
+    .items(Joi.string().valid(...SMS_REPLY_STATUSES))
+    .single()
+    .optional(),
+  // receivedAt range; from inclusive, to exclusive
+  from: Joi.date().iso().optional(),
+  to: Joi.date()
+    .iso()
+    .when('from', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('from'))
+    })
+    .optional(),
+  // Last digits of the phone number, as shown by the masked value
+  phoneSuffix: Joi.string()
+    .pattern(/^\d{2,4}$/)
+    .optional(),
+  format: Joi.string().valid('json', 'csv').default('json'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional()
+})
+
+export const listDeadLettersQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional()
+})
+
+// Notify received text ids are UUIDs
+export const messageIdParamsSchema = Joi.object({
+  messageId: Joi.string().guid().required()
+})
@@ -0,0 +1,30 @@
+import Joi from 'joi'
+
+export const SUPPRESSION_REASONS = ['stop', 'permanent_failure', 'manual']
+
+// A UK phone number (any common format) or an email address
+const contactSchema = Joi.alternatives().try(
+  Joi.string().email(),
+  Joi.string()
+    .min(10)
+    .max(15)
+    .pattern(/^[+\d\s\-()]+$/)
+)
+
+export const addSuppressionSchema = Joi.object({
+  contact: contactSchema.required(),
+  note: Joi.string().max(500).optional()
+})
+
+export const contactParamsSchema = Joi.object({
+  contact: contactSchema.required()
+})
+
+export const listSuppressionsQuerySchema = Joi.object({
+  reason: Joi.string()
+    .valid(...SUPPRESSION_REASONS)
+    .optional(),
+  channel: Joi.string().valid('sms', 'email').optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional()
+})
@@ -0,0 +1,24 @@
+import Joi from 'joi'
+import {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES
+} from '../services/template-language.js'
+
+const personalisationKeysSchema = Joi.array()
+  .items(Joi.string().max(100))
+  .unique()
+  .default([])
+
+export const registerTemplateSchema = Joi.object({
+  alias: Joi.string().max(100).required(),
+  channel: Joi.string().valid('sms', 'email').required(),
+  language: Joi.string()
+    .valid(...SUPPORTED_LANGUAGES)
+    .default(DEFAULT_LANGUAGE),
+  requiredKeys: personalisationKeysSchema,
+  optionalKeys: personalisationKeysSchema
+})
+
+export const templateIdParamsSchema = Joi.object({
+  templateId: Joi.string().required()
+})